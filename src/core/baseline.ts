@@ -0,0 +1,181 @@
+/**
+ * Baseline comparison for Astro SEO Checker
+ *
+ * A baseline file lists the issues of an earlier run, so sites with existing
+ * issues can fail builds on new issues only. Issues are matched on a
+ * fingerprint of their rule, page and element rather than their line, so
+ * edits elsewhere on a page don't turn existing issues into new ones.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+import {
+  AstroLogger,
+  AstroSeoCheckerOptions,
+  BaselineComparison,
+  BaselineIssue,
+  BaselineOptions
+} from '../types/index.js';
+import { ConfigError, FilesystemError } from '../errors.js';
+import { GradedIssue } from './fail-policy.js';
+
+// Bump when the stored issue format changes
+const BASELINE_VERSION = 1;
+
+/**
+ * Work out the baseline file and whether to rewrite it
+ *
+ * @param options - Integration options
+ * @returns Baseline options with an absolute file path, or undefined without a baseline
+ * @throws {ConfigError} If the baseline option has no file
+ */
+export function getBaselineOptions(options: AstroSeoCheckerOptions): BaselineOptions | undefined {
+  if (!options.baseline) {
+    return undefined;
+  }
+
+  const baseline = typeof options.baseline === 'string' ? { file: options.baseline } : options.baseline;
+  if (!baseline.file) {
+    throw new ConfigError(
+      'The baseline option needs a file',
+      { suggestion: "Set baseline to the path of the baseline file, e.g. 'seo-baseline.json', or to { file, update }." }
+    );
+  }
+
+  return {
+    file: path.resolve(options.astroProjectRoot ?? process.cwd(), baseline.file),
+    update: baseline.update === true
+  };
+}
+
+/**
+ * Compare the issues of a build with the baseline
+ *
+ * Each baseline issue matches at most one current issue, so a second copy of
+ * an issue on the same element of a page is still new.
+ *
+ * @param issues - Issues of the build, including broken links
+ * @param options - Baseline file and whether it is being rewritten
+ * @param logger - Logger instance
+ * @returns New, fixed and unchanged issues
+ */
+export function compareWithBaseline(issues: GradedIssue[], options: BaselineOptions, logger: AstroLogger): BaselineComparison {
+  const current = toBaselineIssues(issues);
+  const previous = loadBaseline(options.file, !options.update, logger);
+
+  // Baseline issues by fingerprint, removed as they are matched
+  const remaining = new Map<string, BaselineIssue[]>();
+  for (const issue of previous) {
+    remaining.set(issue.fingerprint, [...(remaining.get(issue.fingerprint) ?? []), issue]);
+  }
+
+  const newIssues: BaselineIssue[] = [];
+  let unchangedCount = 0;
+  for (const issue of current) {
+    if (remaining.get(issue.fingerprint)?.shift()) {
+      unchangedCount++;
+    } else {
+      newIssues.push(issue);
+    }
+  }
+
+  return {
+    file: options.file,
+    newIssues,
+    fixedIssues: [...remaining.values()].flat(),
+    unchangedCount,
+    update: options.update === true
+  };
+}
+
+/**
+ * Write the issues of a build as the new baseline
+ *
+ * @param issues - Issues of the build, including broken links
+ * @param file - Absolute path of the baseline file
+ * @throws {FilesystemError} If the file can't be written
+ */
+export function writeBaseline(issues: GradedIssue[], file: string): void {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ version: BASELINE_VERSION, issues: toBaselineIssues(issues) }, null, 2)}\n`, 'utf8');
+  } catch (error) {
+    throw new FilesystemError(
+      `Could not write baseline to ${file}: ${error instanceof Error ? error.message : String(error)}`,
+      { suggestion: 'Check write permissions or set baseline.file to a different location.' }
+    );
+  }
+}
+
+/**
+ * Fingerprint an issue by its rule, page and element
+ *
+ * Issues without an element use their subject, such as the duplicated title,
+ * and only fall back to the message when they have none. Messages can
+ * include counts like "used on 3 pages" that change without the issue changing.
+ *
+ * @param issue - The issue
+ * @returns Hex hash, stable across line number changes
+ */
+export function fingerprintIssue(issue: GradedIssue): string {
+  return crypto.createHash('sha256')
+    .update([issue.ruleId, issue.page, issue.selector ?? issue.subject ?? issue.message].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Turn issues into sorted baseline entries
+ */
+function toBaselineIssues(issues: GradedIssue[]): BaselineIssue[] {
+  return issues
+    .map((issue) => ({
+      fingerprint: fingerprintIssue(issue),
+      ruleId: issue.ruleId,
+      category: issue.category,
+      severity: issue.severity,
+      page: issue.page,
+      message: issue.message,
+      ...(issue.selector && { selector: issue.selector })
+    }))
+    .sort((a, b) =>
+      a.page.localeCompare(b.page) ||
+      a.ruleId.localeCompare(b.ruleId) ||
+      a.message.localeCompare(b.message) ||
+      a.fingerprint.localeCompare(b.fingerprint)
+    );
+}
+
+/**
+ * Read the issues of a baseline file
+ *
+ * A missing or unreadable baseline counts as empty, so every issue is new
+ * and failOn still applies to all of them.
+ *
+ * @param file - Absolute path of the baseline file
+ * @param warnIfMissing - Warn when the file does not exist
+ * @param logger - Logger instance
+ * @returns Baseline issues
+ */
+function loadBaseline(file: string, warnIfMissing: boolean, logger: AstroLogger): BaselineIssue[] {
+  if (!fs.existsSync(file)) {
+    if (warnIfMissing) {
+      logger.warn(`Baseline ${file} not found, every issue counts as new. Set baseline.update to create it.`);
+    }
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== BASELINE_VERSION || !Array.isArray(data.issues)) {
+      logger.warn(`Baseline ${file} has an unknown format, every issue counts as new. Set baseline.update to rewrite it.`);
+      return [];
+    }
+    return data.issues;
+  } catch (error) {
+    logger.warn(`Ignoring unreadable baseline ${file}, every issue counts as new: ${error instanceof Error ? error.message : String(error)}`);
+    return [];
+  }
+}
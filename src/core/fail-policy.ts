@@ -0,0 +1,253 @@
+/**
+ * Severity overrides and build failure policy for Astro SEO Checker
+ *
+ * Every rule has a default severity, which the `severities` option overrides
+ * per rule or per category. The `failOn` option sets how many issues of a
+ * severity, category or rule a build may have before it fails.
+ */
+
+import { RULES, SEVERITIES, getRule, getSeverity } from '../phases/issue-rules.js';
+import { CATEGORIES } from '../phases/types.js';
+import {
+  FailOnPolicy,
+  FailOnThreshold,
+  IssueSeverity,
+  IssuesMap,
+  SeoIssue,
+  SeverityOverrides
+} from '../types/index.js';
+import { ConfigError } from '../errors.js';
+
+/**
+ * Issue fields failOn thresholds and the baseline match on
+ */
+export type GradedIssue = Pick<SeoIssue, 'ruleId' | 'category' | 'severity' | 'page' | 'message' | 'selector' | 'subject'>;
+
+/**
+ * A failOn threshold the build's issues went over
+ */
+export interface FailOnViolation {
+  /** What the threshold counts, e.g. "warnings in metadata: duplicates" */
+  label: string;
+  count: number;
+  max: number;
+  /** Issues counted per rule id, most frequent first */
+  rules: [string, number][];
+}
+
+/**
+ * A failOn threshold with its severity shorthand expanded
+ */
+interface ResolvedThreshold {
+  severities?: IssueSeverity[];
+  category?: string;
+  rule?: string;
+  max: number;
+  /** Severity shorthand the threshold came from, e.g. "warning" for errors and warnings */
+  atLeast?: IssueSeverity;
+}
+
+/**
+ * Check the severities and failOn options before a scan
+ *
+ * @param severities - Severity overrides by rule id or category
+ * @param failOn - Build failure policy
+ * @throws {ConfigError} If an override or threshold names an unknown rule, category or severity
+ */
+export function validateFailPolicy(severities?: SeverityOverrides, failOn?: FailOnPolicy): void {
+  for (const [key, severity] of Object.entries(severities ?? {})) {
+    if (!getRule(key) && !isCategory(key)) {
+      throw new ConfigError(
+        `Unknown rule or category in severities: ${key}`,
+        { suggestion: 'Use a rule id such as "img-alt-missing" or a category such as "metadata: duplicates". The README lists every rule.' }
+      );
+    }
+    checkSeverity(severity, `severities["${key}"]`);
+  }
+
+  for (const threshold of toList(failOn)) {
+    if (typeof threshold === 'string') {
+      checkSeverity(threshold, 'failOn');
+      continue;
+    }
+    if (threshold.severity !== undefined) {
+      checkSeverity(threshold.severity, 'failOn severity');
+    }
+    if (threshold.category !== undefined && !isCategory(threshold.category)) {
+      throw new ConfigError(
+        `Unknown category in failOn: ${threshold.category}`,
+        { suggestion: 'Use a category as listed in the report, e.g. "metadata: duplicates".' }
+      );
+    }
+    if (threshold.rule !== undefined && !getRule(threshold.rule)) {
+      throw new ConfigError(
+        `Unknown rule in failOn: ${threshold.rule}`,
+        { suggestion: 'Use a rule id such as "img-alt-missing". The README lists every rule.' }
+      );
+    }
+    if (threshold.max !== undefined && (!Number.isInteger(threshold.max) || threshold.max < 0)) {
+      throw new ConfigError(
+        `Invalid failOn max: ${threshold.max}`,
+        { suggestion: 'Set max to the number of matching issues allowed before the build fails, e.g. 0.' }
+      );
+    }
+  }
+}
+
+/**
+ * Set the severity of every issue record from the overrides
+ *
+ * @param issuesMap - Issue records by category and message
+ * @param severities - Severity overrides by rule id or category
+ */
+export function applySeverities(issuesMap: IssuesMap, severities?: SeverityOverrides): void {
+  if (!severities || Object.keys(severities).length === 0) {
+    return;
+  }
+
+  for (const messages of issuesMap.values()) {
+    for (const records of messages.values()) {
+      for (const record of records) {
+        record.severity = getSeverity({ id: record.ruleId, category: record.category, severity: record.severity }, severities);
+      }
+    }
+  }
+}
+
+/**
+ * List broken links in the form failOn thresholds count, one per page a broken link is on
+ *
+ * @param brokenLinksMap - Map of broken link -> pages
+ * @param severities - Severity overrides by rule id or category
+ * @returns Graded broken links
+ */
+export function gradeBrokenLinks(brokenLinksMap: Map<string, Set<string>>, severities?: SeverityOverrides): GradedIssue[] {
+  const rule = RULES.LINK_BROKEN;
+  const severity = getSeverity(rule, severities);
+  return [...brokenLinksMap].flatMap(([link, pages]) => [...pages].map((page) => ({
+    ruleId: rule.id,
+    category: rule.category,
+    severity,
+    page,
+    message: `Broken link: ${link}`
+  })));
+}
+
+/**
+ * Find the failOn thresholds the issues of a build go over
+ *
+ * @param issues - Issues of the build
+ * @param failOn - Build failure policy
+ * @returns Thresholds that were exceeded, empty if the build passes
+ */
+export function checkFailOn(issues: GradedIssue[], failOn?: FailOnPolicy): FailOnViolation[] {
+  const violations: FailOnViolation[] = [];
+
+  for (const threshold of toList(failOn).map(resolveThreshold)) {
+    const matching = issues.filter((issue) =>
+      (!threshold.severities || threshold.severities.includes(issue.severity)) &&
+      (!threshold.category || issue.category === threshold.category) &&
+      (!threshold.rule || issue.ruleId === threshold.rule)
+    );
+    if (matching.length <= threshold.max) {
+      continue;
+    }
+
+    const rules = new Map<string, number>();
+    for (const issue of matching) {
+      rules.set(issue.ruleId, (rules.get(issue.ruleId) ?? 0) + 1);
+    }
+    violations.push({
+      label: describeThreshold(threshold, matching.length),
+      count: matching.length,
+      max: threshold.max,
+      rules: [...rules].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Describe why a build failed
+ *
+ * @param violations - Exceeded thresholds
+ * @returns One line per threshold with the rules that contributed most
+ */
+export function formatFailOnViolations(violations: FailOnViolation[]): string {
+  return violations.map(({ label, count, max, rules }) => {
+    const top = rules.slice(0, 5).map(([rule, ruleCount]) => `${rule} (${ruleCount})`).join(', ');
+    const more = rules.length > 5 ? `, and ${rules.length - 5} more rule${rules.length - 5 !== 1 ? 's' : ''}` : '';
+    return `  - ${count} ${label}, ${max} allowed: ${top}${more}`;
+  }).join('\n');
+}
+
+/**
+ * Turn a failOn entry into the severities, category and rule it counts
+ */
+function resolveThreshold(threshold: IssueSeverity | FailOnThreshold): ResolvedThreshold {
+  if (typeof threshold === 'string') {
+    // "warning" fails on warnings and anything more serious
+    return { severities: SEVERITIES.slice(0, SEVERITIES.indexOf(threshold) + 1), max: 0, atLeast: threshold };
+  }
+
+  return {
+    severities: threshold.severity ? [threshold.severity] : undefined,
+    category: threshold.category,
+    rule: threshold.rule,
+    max: threshold.max ?? 0
+  };
+}
+
+/**
+ * Describe the issues a threshold counts, e.g. "warnings in metadata: duplicates"
+ */
+function describeThreshold(threshold: ResolvedThreshold, count: number): string {
+  const s = count !== 1 ? 's' : '';
+  const names = { error: `error${s}`, warning: `warning${s}`, info: `info issue${s}` };
+  let label = `issue${s}`;
+  if (threshold.atLeast) {
+    label = threshold.atLeast === 'error' ? names.error : `${names[threshold.atLeast]} or worse`;
+  } else if (threshold.severities) {
+    label = names[threshold.severities[0]];
+  }
+
+  if (threshold.rule) {
+    label += ` of rule ${threshold.rule}`;
+  }
+  if (threshold.category) {
+    label += ` in ${threshold.category}`;
+  }
+  return label;
+}
+
+/**
+ * Allow a single failOn entry or a list
+ */
+function toList(failOn?: FailOnPolicy): Array<IssueSeverity | FailOnThreshold> {
+  if (failOn === undefined) {
+    return [];
+  }
+  return Array.isArray(failOn) ? failOn : [failOn];
+}
+
+/**
+ * Whether a name is a report category
+ */
+function isCategory(name: string): boolean {
+  return Object.values(CATEGORIES).includes(name as typeof CATEGORIES[string]);
+}
+
+/**
+ * Check that a value is a severity
+ *
+ * @throws {ConfigError} If it is not
+ */
+function checkSeverity(severity: string, option: string): void {
+  if (!SEVERITIES.includes(severity as IssueSeverity)) {
+    throw new ConfigError(
+      `Invalid severity in ${option}: ${severity}`,
+      { suggestion: `Use one of: ${SEVERITIES.join(', ')}.` }
+    );
+  }
+}
@@ -7,15 +7,39 @@ import path, { join } from 'path';
 import fs from 'fs';
 import fastGlob from 'fast-glob';
 
-import { normalizeHtmlFilePath } from '../phases/utils.js';
-import { runPhases, phases } from '../phases/index.js';
-import { AstroLogger, AstroSeoCheckerOptions, PhaseOptions } from '../types/index.js';
+import { finalizePhases, getEnabledPhases } from '../phases/index.js';
+import { createExternalLinkChecker } from '../phases/external-links.js';
+import { createLinkCache, getDefaultCacheDir } from '../phases/link-cache.js';
+import { createRedirectResolver, loadRedirectRules } from '../phases/redirects.js';
+import { listIssues } from '../phases/utils.js';
+import { AstroLogger, AstroSeoCheckerOptions, AstroSiteConfig, PageScan } from '../types/index.js';
 import {
   SeoCheckerError,
+  ConfigError,
   FilesystemError,
+  ThresholdError,
+  WorkerError,
   handleError
 } from '../errors.js';
-import { generateReport } from './report.js';
+import { generateReport, writeHtmlReport, exportLinkGraph } from './report.js';
+import {
+  validateFailPolicy,
+  applySeverities,
+  gradeBrokenLinks,
+  checkFailOn,
+  formatFailOnViolations
+} from './fail-policy.js';
+import { getBaselineOptions, compareWithBaseline, writeBaseline } from './baseline.js';
+import {
+  getScanSettings,
+  createScanResults,
+  createPhaseOptions,
+  scanPages,
+  scanPagesInWorkers,
+  mergeScanResults,
+  sortScanResults
+} from './page-scan.js';
+import { loadPageCache } from './page-cache.js';
 
 /**
  * Create the Astro SEO Checker integration
@@ -32,6 +56,8 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
   if (reportFormat) {
     defaultExtension = reportFormat.toLowerCase() === 'json' ? '.json' :
                       reportFormat.toLowerCase() === 'csv' ? '.csv' :
+                      reportFormat.toLowerCase() === 'html' ? '.html' :
+                      reportFormat.toLowerCase() === 'sarif' ? '.sarif' :
                       reportFormat.toLowerCase() === 'markdown' ? '.md' : '.log';
   }
 
@@ -46,30 +72,37 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
                     reportFilePath;
     reportFilePath = `${baseName}${defaultExtension}`;
   }
-  const brokenLinksMap: Map<string, Set<string>> = new Map(); // Map of brokenLink -> Set of documents
-  const checkedLinks: Map<string, boolean> = new Map();
-  const seoIssuesMap: Map<string, Map<string, Set<string>>> = new Map(); // Map of category -> Map of issue -> Set of documents
-
-  // Configure phases from options
-  // We need to use type assertion here since we're using 'as const' for phases
-  const mutablePhases = phases as unknown as Record<string, { enabled: boolean }>;
-  if (options.phases) {
-    for (const [phaseId, enabled] of Object.entries(options.phases)) {
-      if (mutablePhases[phaseId]) {
-        mutablePhases[phaseId].enabled = enabled ?? true;
-      }
-    }
-  }
-  
+
   // Configure email allowlist
   options.emailAllowlist = options.emailAllowlist || [];
 
   return {
     name: 'astro-seo-checker',
     hooks: {
-      'astro:config:setup': async ({ config }: { config: { redirects?: Record<string, any> } }) => {
+      'astro:config:setup': async ({ config }: {
+        config: {
+          redirects?: Record<string, any>;
+          root?: URL;
+          srcDir?: URL;
+          base?: string;
+          trailingSlash?: AstroSiteConfig['trailingSlash'];
+          build?: { format?: AstroSiteConfig['buildFormat'] };
+          site?: string;
+        }
+      }) => {
         // Save the redirects to the options
         options.astroConfigRedirects = config.redirects;
+        // The project root locates the persistent link cache
+        options.astroProjectRoot = config.root ? fileURLToPath(config.root) : undefined;
+        // SARIF reports point issues at the source files of pages
+        options.astroSrcDir = config.srcDir ? fileURLToPath(config.srcDir) : undefined;
+        // Links are resolved the way the deployed site serves them
+        options.astroSiteConfig = {
+          base: config.base,
+          trailingSlash: config.trailingSlash,
+          buildFormat: config.build?.format,
+          site: config.site
+        };
       },
       
       'astro:build:done': async ({ dir, logger }: { dir: URL; logger: AstroLogger }) => {
@@ -88,8 +121,39 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
             );
           }
           
-          // Find HTML files
-          const htmlFiles = await fastGlob('**/*.html', { cwd: distPath });
+          // Invalid options fail the build even when there is nothing to check
+          validateFailPolicy(options.severities, options.failOn);
+          const baselineOptions = getBaselineOptions(options);
+
+          // Pages checked at once, and worker threads to spread them across
+          const { concurrency, workers } = getScanSettings(options);
+
+          // Determine where to write the report file
+          let absoluteReportFilePath;
+
+          if (options.useAbsolutePaths && path.isAbsolute(reportFilePath)) {
+            // User specified an absolute path, use it directly
+            absoluteReportFilePath = reportFilePath;
+          } else if (options.reportOutputDir) {
+            // User specified a custom output directory
+            absoluteReportFilePath = path.isAbsolute(options.reportOutputDir) ?
+              join(options.reportOutputDir, reportFilePath) :
+              join(distPath, options.reportOutputDir, reportFilePath);
+          } else {
+            // Default: write to the dist directory
+            absoluteReportFilePath = join(distPath, reportFilePath);
+          }
+
+          // HTML report in the build output, so `astro preview` serves it
+          const htmlReportPath = options.htmlReport
+            ? join(distPath, typeof options.htmlReport === 'string' ? options.htmlReport : 'site-report.html')
+            : undefined;
+
+          // Find HTML files, leaving out reports a previous run wrote into the build output
+          const reportFiles = new Set([absoluteReportFilePath, htmlReportPath]);
+          const htmlFiles = (await fastGlob('**/*.html', { cwd: distPath }))
+            .filter((file) => !reportFiles.has(join(distPath, file)))
+            .sort();
           
           if (htmlFiles.length === 0) {
             logger.warn(`
@@ -100,10 +164,10 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
             return; // Early exit
           }
 
-          // Count enabled phases for better progress reporting
-          const enabledPhases = Object.values(phases).filter(phase => phase.enabled).length;
+          // Phases this integration runs; the shared registry is never changed
+          const enabledPhases = getEnabledPhases(options.phases);
           
-          if (enabledPhases === 0) {
+          if (enabledPhases.length === 0) {
             logger.warn(`
 ⚠️  No SEO check phases are enabled
    All checks have been disabled in your configuration.
@@ -113,9 +177,8 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
           }
 
           logger.info(`
-🔍 Starting SEO check on ${htmlFiles.length} HTML pages
-   Running ${enabledPhases} enabled phases: ${Object.values(phases)
-     .filter(phase => phase.enabled)
+🔍 Starting SEO check on ${htmlFiles.length} HTML pages${workers > 0 ? ` using ${workers} worker thread${workers !== 1 ? 's' : ''}` : ''}
+   Running ${enabledPhases.length} enabled phases: ${enabledPhases
      .map(phase => phase.name)
      .join(', ')}
           `);
@@ -123,99 +186,132 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
           // Start time
           const startTime = Date.now();
 
-          // Determine where to write the report file
-          let absoluteReportFilePath;
+          // Results from previous builds, so only new or expired external links are fetched
+          const checkExternal = options.checkExternalLinks !== false;
+          const cacheOptions = options.linkCheck?.cache;
+          const cacheSettings = typeof cacheOptions === 'object' ? cacheOptions : {};
+          const linkCache = checkExternal && cacheOptions !== false
+            ? createLinkCache({
+                ...cacheSettings,
+                // A relative directory is relative to the project root, like the baseline file
+                dir: path.resolve(options.astroProjectRoot ?? process.cwd(), cacheSettings.dir || getDefaultCacheDir(options.astroProjectRoot))
+              }, logger)
+            : undefined;
 
-          if (options.useAbsolutePaths && path.isAbsolute(reportFilePath)) {
-            // User specified an absolute path, use it directly
-            absoluteReportFilePath = reportFilePath;
-          } else if (options.reportOutputDir) {
-            // User specified a custom output directory
-            absoluteReportFilePath = path.isAbsolute(options.reportOutputDir) ?
-              join(options.reportOutputDir, reportFilePath) :
-              join(distPath, options.reportOutputDir, reportFilePath);
-          } else {
-            // Default: write to the dist directory
-            absoluteReportFilePath = join(distPath, reportFilePath);
+          // One external link checker per build so per-host limits apply across all pages
+          const externalLinkChecker = checkExternal
+            ? createExternalLinkChecker(options.linkCheck, logger, linkCache)
+            : undefined;
+
+          // Redirects from the Astro config and platform redirect files
+          const redirectRules = loadRedirectRules({
+            redirects: astroConfigRedirects,
+            distPath,
+            projectRoot: options.astroProjectRoot,
+            base: options.astroSiteConfig?.base
+          }, logger);
+
+          // Results are collected per build, so rebuilds in the same process start fresh
+          const results = createScanResults(distPath, options.astroSiteConfig);
+          const { brokenLinksMap, brokenLinkDetails, ignoredLinks, seoIssuesMap, siteContext } = results;
+
+          // Results of pages that did not change since the last build
+          const reportBasePath = absoluteReportFilePath.slice(0, absoluteReportFilePath.length - path.extname(absoluteReportFilePath).length);
+          const pageCacheSettings = typeof options.incremental === 'object' ? options.incremental : {};
+          const pageCache = options.incremental
+            ? await loadPageCache({
+                ...pageCacheSettings,
+                // A relative directory is relative to the project root, like the link cache
+                dir: path.resolve(options.astroProjectRoot ?? process.cwd(), pageCacheSettings.dir || getDefaultCacheDir(options.astroProjectRoot))
+              }, {
+                distPath,
+                htmlFiles,
+                options,
+                redirectRules,
+                // The report and link graph exports change on every build
+                ignore: (file) => file.startsWith(reportBasePath),
+                linkCache,
+                concurrency
+              }, logger)
+            : undefined;
+
+          const pagesToScan: string[] = [];
+          let cachedPages = 0;
+          for (const htmlFile of htmlFiles) {
+            const cached = pageCache?.get(htmlFile);
+            if (cached) {
+              mergeScanResults(results, cached.results);
+              cachedPages++;
+            } else {
+              pagesToScan.push(htmlFile);
+            }
           }
 
+          if (pageCache) {
+            logger.info(`   ${cachedPages} of ${htmlFiles.length} pages unchanged since the last build, checking ${pagesToScan.length}`);
+          }
+
+          // Set up options for the phase runner with links checking
+          const phaseOptions = createPhaseOptions(options, results, {
+            externalLinkChecker,
+            redirectResolver: createRedirectResolver(redirectRules),
+            logger
+          });
+
           // Track progress for large projects
           let pagesProcessed = 0;
-          const totalPages = htmlFiles.length;
-          const errors: any[] = [];
+          let errorCount = 0;
+          const totalPages = pagesToScan.length;
+          const onPage = (_file: string, scan: PageScan | null) => {
+            pagesProcessed++;
+            if (scan) {
+              pageCache?.set(scan);
+              mergeScanResults(results, scan.results);
+            } else {
+              errorCount++;
+            }
 
-          const checkHtmlPromises = htmlFiles.map(async (htmlFile) => {
-            try {
-              const absoluteHtmlFilePath = join(distPath, htmlFile);
-              
-              // Check if file exists and is readable
-              if (!fs.existsSync(absoluteHtmlFilePath)) {
-                throw new FilesystemError(`HTML file not found: ${absoluteHtmlFilePath}`);
-              }
-              
-              // Read file content
-              let htmlContent;
-              try {
-                htmlContent = fs.readFileSync(absoluteHtmlFilePath, 'utf8');
-              } catch (error) {
-                throw new FilesystemError(
-                  `Could not read HTML file: ${absoluteHtmlFilePath}`,
-                  { suggestion: "Check file permissions and ensure the file is not locked by another process." }
-                );
-              }
-              
-              const baseUrl = normalizeHtmlFilePath(absoluteHtmlFilePath, distPath);
+            // For large sites (>50 pages), show periodic progress
+            if (totalPages > 50 && pagesProcessed % 10 === 0) {
+              const percent = Math.round((pagesProcessed / totalPages) * 100);
+              logger.info(`   Progress: ${percent}% (${pagesProcessed}/${totalPages} pages scanned)`);
+            }
+          };
 
-              // Set up options for the phase runner with links checking
-              const phaseOptions: PhaseOptions = {
-                ...options,
-                brokenLinksMap,
-                checkedLinks,
-                astroConfigRedirects,
-                logger,
-                // Only enable verbose logging if specifically requested
-                verbose: options.verbose || false
-              };
-
-              // Run SEO check phases (including link checking in Foundation phase)
-              await runPhases(
-                htmlContent,
-                seoIssuesMap,
-                baseUrl,
-                absoluteHtmlFilePath,
-                distPath,
-                phaseOptions,
-                logger
-              );
+          if (workers > 0) {
+            await scanPagesInWorkers(
+              pagesToScan,
+              distPath,
+              options,
+              { workers, concurrency, redirectRules },
+              { externalLinkChecker, logger },
+              onPage
+            );
+          } else {
+            await scanPages(pagesToScan, distPath, phaseOptions, concurrency, onPage);
+          }
 
-              // Update progress
-              pagesProcessed++;
+          // Site-level checks run once, after every page was collected
+          await finalizePhases(siteContext, phaseOptions, logger);
 
-              // For large sites (>50 pages), show periodic progress
-              if (totalPages > 50 && pagesProcessed % 10 === 0) {
-                const percent = Math.round((pagesProcessed / totalPages) * 100);
-                logger.info(`   Progress: ${percent}% (${pagesProcessed}/${totalPages} pages scanned)`);
-              }
-            } catch (error) {
-              // Collect errors but don't stop processing
-              errors.push(error);
-              
-              // Log the error
-              if (error instanceof SeoCheckerError) {
-                handleError(error, logger, false);
-              } else {
-                logger.error(`Error processing file ${htmlFile}: ${error instanceof Error ? error.message : String(error)}`);
-              }
-            }
-          });
-          
-          // Wait for all checks to complete
-          await Promise.all(checkHtmlPromises);
+          // Pages finish in any order; sort so the report is the same on every run
+          sortScanResults(results);
+
+          // Severity overrides apply to every issue, including those of cached pages
+          applySeverities(seoIssuesMap, options.severities);
+
+          // Every issue of the build, in the form failOn and the baseline work with
+          const buildIssues = [...gradeBrokenLinks(brokenLinksMap, options.severities), ...listIssues(seoIssuesMap)];
+          const baseline = baselineOptions ? compareWithBaseline(buildIssues, baselineOptions, logger) : undefined;
+
+          // Persist external link and page results for the next build
+          linkCache?.save();
+          pageCache?.save();
           
           // Show summary of any errors
-          if (errors.length > 0) {
+          if (errorCount > 0) {
             logger.warn(`
-⚠️  Completed with ${errors.length} error${errors.length !== 1 ? 's' : ''}
+⚠️  Completed with ${errorCount} error${errorCount !== 1 ? 's' : ''}
    Some files could not be processed. See above for details.
    Results will be incomplete for these files.
             `);
@@ -230,7 +326,16 @@ export function createIntegration(options: AstroSeoCheckerOptions = {}) {
                 filePath: absoluteReportFilePath,
                 format: reportFormat,
                 startTime: startTime,
-                useAbsolutePaths: options.useAbsolutePaths
+                useAbsolutePaths: options.useAbsolutePaths,
+                brokenLinkDetails,
+                ignoredLinks,
+                linkGraph: siteContext.linkGraphPages,
+                incremental: pageCache ? { cachedPages, totalPages: htmlFiles.length } : undefined,
+                baseline,
+                severities: options.severities,
+                distPath,
+                projectRoot: options.astroProjectRoot,
+                srcDir: options.astroSrcDir
               },
               logger
             );
@@ -251,7 +356,85 @@ ${brokenLinksMap.size > 0 ? `⚠️  Found ${brokenLinksMap.size} broken link${b
 ${seoIssuesMap.size > 0 ? `⚠️  Found SEO issues in ${seoIssuesMap.size} categor${seoIssuesMap.size !== 1 ? 'ies' : 'y'}` : '✅ No SEO issues detected'}
             `);
           }
+
+          if (htmlReportPath) {
+            try {
+              writeHtmlReport(
+                brokenLinksMap,
+                seoIssuesMap,
+                {
+                  filePath: htmlReportPath,
+                  startTime,
+                  brokenLinkDetails,
+                  ignoredLinks,
+                  linkGraph: siteContext.linkGraphPages,
+                  incremental: pageCache ? { cachedPages, totalPages: htmlFiles.length } : undefined,
+                  baseline,
+                  severities: options.severities
+                },
+                logger
+              );
+            } catch (error) {
+              if (error instanceof SeoCheckerError) {
+                handleError(error, logger, false);
+              } else {
+                logger.error(`Failed to write HTML report: ${error instanceof Error ? error.message : String(error)}`);
+              }
+            }
+          }
+
+          // Site structure for graph tools, next to the report
+          if (options.linkGraphExport) {
+            try {
+              exportLinkGraph(
+                siteContext.linkGraphPages,
+                brokenLinksMap,
+                seoIssuesMap,
+                { filePath: absoluteReportFilePath, formats: options.linkGraphExport },
+                logger
+              );
+            } catch (error) {
+              if (error instanceof SeoCheckerError) {
+                handleError(error, logger, false);
+              } else {
+                logger.error(`Failed to export link graph: ${error instanceof Error ? error.message : String(error)}`);
+              }
+            }
+          }
+
+          if (baselineOptions?.update) {
+            try {
+              writeBaseline(buildIssues, baselineOptions.file);
+              logger.info(`   Baseline written to ${baselineOptions.file} with ${buildIssues.length} issue${buildIssues.length !== 1 ? 's' : ''}`);
+            } catch (error) {
+              if (error instanceof SeoCheckerError) {
+                handleError(error, logger, false);
+              } else {
+                logger.error(`Failed to write baseline: ${error instanceof Error ? error.message : String(error)}`);
+              }
+            }
+          }
+
+          // Fail the build only after the report is written, so it shows what to fix.
+          // With a baseline only new issues count, and rewriting it accepts every issue.
+          const violations = checkFailOn(
+            baseline ? (baseline.update ? [] : baseline.newIssues) : buildIssues,
+            options.failOn
+          );
+          if (violations.length > 0) {
+            throw new ThresholdError(
+              `Found more SEO issues than failOn allows:\n${formatFailOnViolations(violations)}`,
+              { suggestion: `Fix the issues listed in ${absoluteReportFilePath}, or adjust the failOn and severities options.` }
+            );
+          }
         } catch (error: any) {
+          // Fail the build when issues go over the failOn limits, or when the
+          // options are invalid or a worker failed, rather than pass it without a report
+          if (error instanceof ThresholdError || error instanceof ConfigError || error instanceof WorkerError) {
+            handleError(error, logger, false);
+            throw error;
+          }
+
           // Handle any unexpected errors
           if (error instanceof SeoCheckerError) {
             handleError(error, logger, true);
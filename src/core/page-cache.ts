@@ -0,0 +1,352 @@
+/**
+ * Incremental scan cache for Astro SEO Checker
+ *
+ * Persists the results of every page together with a hash of its content, so
+ * the next build only checks pages that changed. A page is also checked again
+ * when another page it read (for anchors or the 404 page) changed, when a page
+ * it links to was added or deleted, or when the cached result of an external
+ * link it checked expired.
+ *
+ * The whole cache is discarded when the checker options, the package version,
+ * the redirects or any file other than a page in the build output change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import fastGlob from 'fast-glob';
+import pLimit from 'p-limit';
+
+import {
+  AstroLogger,
+  AstroSeoCheckerOptions,
+  AstroSiteConfig,
+  BrokenLinkDetail,
+  LinkCache,
+  LinkGraphNode,
+  MixedContentFinding,
+  PageCache,
+  PageCacheOptions,
+  RedirectRule,
+  ScanResults,
+  SeoIssue
+} from '../types/index.js';
+import { createScanResults } from './page-scan.js';
+
+// Bump when the stored entry format changes to discard old caches
+const CACHE_VERSION = 3;
+const CACHE_FILE_NAME = 'pages.json';
+
+// Options that only change where and how the report is written, how issues are graded, or how fast pages are checked
+const REPORT_ONLY_OPTIONS = new Set([
+  'reportFilePath',
+  'logFilePath',
+  'reportFormat',
+  'reportOutputDir',
+  'useAbsolutePaths',
+  'linkGraphExport',
+  'htmlReport',
+  'verbose',
+  'severities',
+  'failOn',
+  'baseline',
+  'concurrency',
+  'workers',
+  'incremental'
+]);
+
+const PACKAGE_VERSION = getPackageVersion();
+
+/**
+ * The build a page cache is loaded for
+ */
+export interface PageCacheBuild {
+  distPath: string;
+  /** HTML files relative to the build output directory */
+  htmlFiles: string[];
+  options: AstroSeoCheckerOptions;
+  redirectRules: RedirectRule[];
+  /** Files the checker writes into the build output itself, e.g. the report */
+  ignore: (absolutePath: string) => boolean;
+  /** Results of external links, to tell whether the links of a page were checked again */
+  linkCache?: LinkCache;
+  /** Pages hashed at once */
+  concurrency: number;
+}
+
+/**
+ * A cached page and the state of everything its results depend on
+ */
+interface PageCacheEntry {
+  hash: string;
+  /** Hash of each other page read, null if it did not exist */
+  files: Record<string, string | null>;
+  /** Whether each page that links could resolve to existed */
+  linkTargets: Record<string, boolean>;
+  /** When each external link was last checked, per the link cache */
+  externalLinks: Record<string, number>;
+  results: SerializedResults;
+}
+
+/**
+ * Scan results of a page in a form that can be written as JSON
+ */
+interface SerializedResults {
+  brokenLinks: [string, string[]][];
+  brokenLinkDetails: [string, BrokenLinkDetail][];
+  ignoredLinks: [string, string[]][];
+  seoIssues: [string, [string, SeoIssue[]][]][];
+  titles: [string, string[]][];
+  descriptions: [string, string[]][];
+  mixedContent: { findings: MixedContentFinding[]; httpsHosts: string[] };
+  linkGraph: [string, LinkGraphNode][];
+}
+
+/**
+ * Load the incremental scan cache for a build
+ *
+ * Every page of the build is hashed up front, so get() can tell right away
+ * whether a page or the pages it read changed.
+ *
+ * @param options - Cache directory and refresh setting
+ * @param build - The build being checked
+ * @param logger - Logger instance
+ * @returns Cache instance
+ */
+export async function loadPageCache(
+  options: PageCacheOptions & { dir: string },
+  build: PageCacheBuild,
+  logger: AstroLogger
+): Promise<PageCache> {
+  const cacheFile = path.join(options.dir, CACHE_FILE_NAME);
+  const { distPath, linkCache } = build;
+  const astroSiteConfig = build.options.astroSiteConfig;
+
+  const hashes = await hashPages(build.htmlFiles, distPath, build.concurrency);
+  const key = hash(JSON.stringify({
+    cacheVersion: CACHE_VERSION,
+    packageVersion: PACKAGE_VERSION,
+    distPath,
+    options: Object.fromEntries(Object.entries(build.options).filter(([name]) => !REPORT_ONLY_OPTIONS.has(name))),
+    redirectRules: build.redirectRules,
+    assets: await getAssetSizes(distPath, build.ignore)
+  }, (_, value) => value instanceof RegExp ? value.toString() : value));
+
+  const entries = options.refresh ? new Map<string, PageCacheEntry>() : loadEntries(cacheFile, key, logger);
+  // Entries of this build's pages, so pages that no longer exist are dropped on save
+  const current = new Map<string, PageCacheEntry>();
+
+  /**
+   * Check whether an entry still matches the page and everything it read
+   */
+  function isCurrent(file: string, entry: PageCacheEntry): boolean {
+    return entry.hash === hashes.get(file) &&
+      Object.entries(entry.files).every(([dependency, dependencyHash]) => (hashes.get(dependency) ?? null) === dependencyHash) &&
+      Object.entries(entry.linkTargets).every(([target, existed]) => hashes.has(target) === existed) &&
+      Object.entries(entry.externalLinks).every(([url, checkedAt]) => linkCache?.get(url)?.checkedAt === checkedAt);
+  }
+
+  return {
+    get(file) {
+      const entry = entries.get(file);
+      if (!entry || !isCurrent(file, entry)) {
+        return null;
+      }
+
+      current.set(file, entry);
+      return {
+        file,
+        results: deserializeResults(entry.results, distPath, astroSiteConfig),
+        dependencies: {
+          files: Object.keys(entry.files),
+          linkTargets: Object.keys(entry.linkTargets),
+          externalLinks: Object.keys(entry.externalLinks)
+        }
+      };
+    },
+
+    set(scan) {
+      const pageHash = hashes.get(scan.file);
+      const externalLinks: Record<string, number> = {};
+      for (const url of scan.dependencies.externalLinks) {
+        const checkedAt = linkCache?.get(url)?.checkedAt;
+        if (checkedAt === undefined) {
+          // Unverified links, or links checked without the link cache, are checked again next time
+          current.delete(scan.file);
+          return;
+        }
+        externalLinks[url] = checkedAt;
+      }
+      if (pageHash === undefined) {
+        return;
+      }
+
+      current.set(scan.file, {
+        hash: pageHash,
+        files: Object.fromEntries(scan.dependencies.files.map((dependency) => [dependency, hashes.get(dependency) ?? null])),
+        linkTargets: Object.fromEntries(scan.dependencies.linkTargets.map((target) => [target, hashes.has(target)])),
+        externalLinks,
+        results: serializeResults(scan.results)
+      });
+    },
+
+    save() {
+      const pages = Object.fromEntries([...current].sort(([a], [b]) => a.localeCompare(b)));
+      try {
+        fs.mkdirSync(options.dir, { recursive: true });
+        fs.writeFileSync(cacheFile, JSON.stringify({ version: CACHE_VERSION, key, pages }), 'utf8');
+      } catch (error) {
+        logger.warn(`Could not write incremental scan cache to ${cacheFile}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Read cached entries from disk
+ *
+ * @param cacheFile - Path of the cache file
+ * @param key - Hash of the options, package version and build assets the cache must match
+ * @param logger - Logger instance
+ * @returns Cached entries by HTML file
+ */
+function loadEntries(cacheFile: string, key: string, logger: AstroLogger): Map<string, PageCacheEntry> {
+  if (!fs.existsSync(cacheFile)) {
+    return new Map();
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (data.version !== CACHE_VERSION || data.key !== key) {
+      logger.info('   Incremental scan cache is out of date (options, version, redirects or assets changed), checking every page');
+      return new Map();
+    }
+    return new Map(Object.entries(data.pages));
+  } catch (error) {
+    logger.warn(`Ignoring unreadable incremental scan cache ${cacheFile}: ${error instanceof Error ? error.message : String(error)}`);
+    return new Map();
+  }
+}
+
+/**
+ * Hash the content of every page
+ *
+ * @param htmlFiles - HTML files relative to the build output directory
+ * @param distPath - Absolute path to the build output directory
+ * @param concurrency - Files read at once
+ * @returns Map of HTML file -> content hash
+ */
+async function hashPages(htmlFiles: string[], distPath: string, concurrency: number): Promise<Map<string, string>> {
+  const limit = pLimit(concurrency);
+  const hashes = await Promise.all(htmlFiles.map((htmlFile) => limit(async () =>
+    hash(await fs.promises.readFile(path.join(distPath, htmlFile)))
+  )));
+  return new Map(htmlFiles.map((htmlFile, index) => [toPosix(htmlFile), hashes[index]]));
+}
+
+/**
+ * List every file of the build output other than pages, with its size
+ *
+ * Checks look at which files exist and at image sizes, not at asset contents,
+ * so names and sizes are enough to tell whether cached results still apply.
+ *
+ * @param distPath - Absolute path to the build output directory
+ * @param ignore - Files to leave out
+ * @returns Sorted [file, size] pairs
+ */
+async function getAssetSizes(distPath: string, ignore: (absolutePath: string) => boolean): Promise<[string, number][]> {
+  const entries = await fastGlob(['**/*', '!**/*.html'], { cwd: distPath, dot: true, stats: true });
+  return entries
+    .filter((entry) => !ignore(path.join(distPath, entry.path)))
+    .map((entry): [string, number] => [entry.path, entry.stats!.size])
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Turn the results of a page into JSON-safe data
+ */
+function serializeResults(results: ScanResults): SerializedResults {
+  const sets = (map: Map<string, Set<string>>): [string, string[]][] => [...map].map(([key, values]) => [key, [...values]]);
+  const { metadata, mixedContent, linkGraph } = results.siteContext;
+  return {
+    brokenLinks: sets(results.brokenLinksMap),
+    brokenLinkDetails: [...results.brokenLinkDetails],
+    ignoredLinks: sets(results.ignoredLinks),
+    seoIssues: [...results.seoIssuesMap].map(([category, messages]) => [category, [...messages]]),
+    titles: sets(metadata.titles),
+    descriptions: sets(metadata.descriptions),
+    mixedContent: { findings: mixedContent.findings, httpsHosts: [...mixedContent.httpsHosts] },
+    linkGraph: [...linkGraph.pages]
+  };
+}
+
+/**
+ * Rebuild the results of a page from cached data
+ */
+function deserializeResults(data: SerializedResults, distPath: string, astroSiteConfig?: AstroSiteConfig): ScanResults {
+  const sets = (entries: [string, string[]][]) => new Map(entries.map(([key, values]) => [key, new Set(values)]));
+  const results = createScanResults(distPath, astroSiteConfig);
+  // Merging adds occurrences to the details, so cached data is copied rather than shared
+  results.brokenLinksMap = sets(data.brokenLinks);
+  results.brokenLinkDetails = new Map(structuredClone(data.brokenLinkDetails));
+  results.ignoredLinks = sets(data.ignoredLinks);
+  for (const [category, messages] of data.seoIssues) {
+    results.seoIssuesMap.set(category, new Map(messages));
+  }
+
+  const { siteContext } = results;
+  siteContext.metadata.titles = sets(data.titles);
+  siteContext.metadata.descriptions = sets(data.descriptions);
+  siteContext.mixedContent.findings.push(...data.mixedContent.findings);
+  for (const host of data.mixedContent.httpsHosts) {
+    siteContext.mixedContent.httpsHosts.add(host);
+  }
+  siteContext.linkGraph.pages = new Map(data.linkGraph);
+
+  return results;
+}
+
+/**
+ * Hash file content or a string
+ */
+function hash(content: string | Buffer): string {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Use forward slashes in paths relative to the build output directory
+ */
+function toPosix(file: string): string {
+  return file.split(path.sep).join('/');
+}
+
+/**
+ * Find the version of this package, so updates discard cached results
+ *
+ * @returns Version from package.json, or "unknown"
+ */
+function getPackageVersion(): string {
+  let directory = path.dirname(fileURLToPath(import.meta.url));
+  for (;;) {
+    const packageFile = path.join(directory, 'package.json');
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+      if (packageJson.name === 'astro-seo-checker') {
+        return packageJson.version;
+      }
+    } catch {
+      // No package.json at this level
+    }
+
+    const parent = path.dirname(directory);
+    if (parent === directory) {
+      return 'unknown';
+    }
+    directory = parent;
+  }
+}
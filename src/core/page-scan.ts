@@ -0,0 +1,445 @@
+/**
+ * Page scanning for Astro SEO Checker
+ *
+ * Pages are read and checked a limited number at a time, so memory stays flat
+ * on large sites. With the `workers` option, pages are spread across worker
+ * threads. Every page is checked into its own results, which the main thread
+ * merges and, with the `incremental` option, caches.
+ */
+
+import os from 'os';
+import fs from 'fs';
+import path, { join } from 'path';
+import { Worker } from 'worker_threads';
+import pLimit from 'p-limit';
+
+import { normalizeHtmlFilePath } from '../phases/utils.js';
+import { runPhases, createSiteContext } from '../phases/index.js';
+import {
+  AstroLogger,
+  AstroSeoCheckerOptions,
+  AstroSiteConfig,
+  ExternalLinkChecker,
+  PhaseOptions,
+  RedirectResolver,
+  PageScan,
+  RedirectRule,
+  ScanResults
+} from '../types/index.js';
+import { ConfigError, FilesystemError, SeoCheckerError, WorkerError, handleError } from '../errors.js';
+
+// Pages read and checked at once per thread
+export const DEFAULT_PAGE_CONCURRENCY = 16;
+
+/**
+ * Messages a worker sends to the main thread
+ */
+export type WorkerMessage =
+  | { type: 'log'; level: 'info' | 'warn' | 'error' | 'debug'; message: string }
+  | { type: 'check'; id: number; url: string }
+  | { type: 'page'; file: string; scan: PageScan | null }
+  | { type: 'done' };
+
+/**
+ * Data a worker is started with
+ */
+export interface WorkerData {
+  distPath: string;
+  htmlFiles: string[];
+  options: AstroSeoCheckerOptions;
+  redirectRules: RedirectRule[];
+  concurrency: number;
+}
+
+/**
+ * Shared services the phases use while checking pages
+ */
+interface ScanServices {
+  externalLinkChecker?: ExternalLinkChecker;
+  redirectResolver: RedirectResolver;
+  logger: AstroLogger;
+}
+
+/**
+ * Work out page concurrency and worker count from the options
+ *
+ * @param options - Integration options
+ * @returns Pages checked at once per thread, and the number of workers (0 checks pages on the main thread)
+ * @throws {ConfigError} If concurrency or workers is not a positive whole number
+ */
+export function getScanSettings(options: AstroSeoCheckerOptions): { concurrency: number; workers: number } {
+  const concurrency = options.concurrency ?? DEFAULT_PAGE_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ConfigError(
+      `Invalid concurrency: ${concurrency}`,
+      { suggestion: 'Set concurrency to the number of pages to check at once, e.g. 16.' }
+    );
+  }
+
+  let workers = 0;
+  if (options.workers === true) {
+    // The main thread keeps handling external link requests and logging
+    workers = Math.max(1, os.availableParallelism() - 1);
+  } else if (typeof options.workers === 'number') {
+    if (!Number.isInteger(options.workers) || options.workers < 1) {
+      throw new ConfigError(
+        `Invalid workers: ${options.workers}`,
+        { suggestion: 'Set workers to true, or to the number of worker threads to use, e.g. 4.' }
+      );
+    }
+    workers = options.workers;
+  }
+
+  return { concurrency, workers };
+}
+
+/**
+ * Create empty results for a scan
+ *
+ * @param distPath - Absolute path to the build output directory
+ * @param astroSiteConfig - Astro base, trailingSlash, build.format and site settings
+ * @returns Empty results
+ */
+export function createScanResults(distPath: string, astroSiteConfig?: AstroSiteConfig): ScanResults {
+  const seoIssuesMap: ScanResults['seoIssuesMap'] = new Map();
+  return {
+    brokenLinksMap: new Map(),
+    brokenLinkDetails: new Map(),
+    ignoredLinks: new Map(),
+    seoIssuesMap,
+    siteContext: createSiteContext(distPath, seoIssuesMap, astroSiteConfig)
+  };
+}
+
+/**
+ * Create the options the phases run with
+ *
+ * Caches of links, anchors and page signatures are per thread. scanPages
+ * checks every page into its own results; the given results are where the
+ * finalize steps report.
+ *
+ * @param options - Integration options
+ * @param results - Results of the whole scan
+ * @param services - External link checker, redirect resolver and logger
+ * @returns Phase options
+ */
+export function createPhaseOptions(
+  options: AstroSeoCheckerOptions,
+  results: ScanResults,
+  services: ScanServices
+): PhaseOptions {
+  return {
+    ...options,
+    brokenLinksMap: results.brokenLinksMap,
+    brokenLinkDetails: results.brokenLinkDetails,
+    ignoredLinks: results.ignoredLinks,
+    checkedLinks: new Map(),
+    externalLinkChecker: services.externalLinkChecker,
+    redirectResolver: services.redirectResolver,
+    pageAnchors: new Map(), // Map of HTML file -> ids it defines
+    pageSignatures: new Map(), // Map of HTML file -> title and text
+    directoryEntries: new Map(), // Map of build output directory -> entry names
+    siteContext: results.siteContext,
+    logger: services.logger,
+    // Only enable verbose logging if specifically requested
+    verbose: options.verbose || false
+  };
+}
+
+/**
+ * Check pages on the current thread, a limited number at a time
+ *
+ * Each page is checked into its own results, so callers can merge and cache
+ * them per page. Caches of links, anchors and directory listings are shared.
+ *
+ * @param htmlFiles - HTML files relative to the build output directory
+ * @param distPath - Absolute path to the build output directory
+ * @param phaseOptions - Options from createPhaseOptions
+ * @param concurrency - Pages read and checked at once
+ * @param onPage - Called after each page with its scan, or null if it failed
+ */
+export async function scanPages(
+  htmlFiles: string[],
+  distPath: string,
+  phaseOptions: PhaseOptions,
+  concurrency: number,
+  onPage: (file: string, scan: PageScan | null) => void
+): Promise<void> {
+  const limit = pLimit(concurrency);
+  const logger = phaseOptions.logger!;
+
+  await Promise.all(htmlFiles.map((htmlFile) => limit(async () => {
+    try {
+      const absoluteHtmlFilePath = join(distPath, htmlFile);
+
+      // Read file content
+      let htmlContent;
+      try {
+        htmlContent = await fs.promises.readFile(absoluteHtmlFilePath, 'utf8');
+      } catch (error) {
+        throw new FilesystemError(
+          `Could not read HTML file: ${absoluteHtmlFilePath}`,
+          { suggestion: "Check file permissions and ensure the file is not locked by another process." }
+        );
+      }
+
+      const baseUrl = normalizeHtmlFilePath(absoluteHtmlFilePath, distPath);
+
+      // Other pages whose content the checks read, pages links could resolve to, and external links checked
+      const readFiles = new Set<string>();
+      const linkTargets = new Set<string>();
+      const externalLinks = new Set<string>();
+      const { externalLinkChecker } = phaseOptions;
+
+      const results = createScanResults(distPath, phaseOptions.astroSiteConfig);
+      const pageOptions: PhaseOptions = {
+        ...phaseOptions,
+        brokenLinksMap: results.brokenLinksMap,
+        brokenLinkDetails: results.brokenLinkDetails,
+        ignoredLinks: results.ignoredLinks,
+        siteContext: results.siteContext,
+        pageAnchors: trackReads(phaseOptions.pageAnchors!, readFiles),
+        pageSignatures: trackReads(phaseOptions.pageSignatures!, readFiles),
+        linkTargets,
+        externalLinkChecker: externalLinkChecker && {
+          check(url) {
+            externalLinks.add(url);
+            return externalLinkChecker.check(url);
+          }
+        }
+      };
+
+      // Run SEO check phases (including link checking in Foundation phase)
+      await runPhases(
+        htmlContent,
+        results.seoIssuesMap,
+        baseUrl,
+        absoluteHtmlFilePath,
+        distPath,
+        pageOptions,
+        logger
+      );
+
+      readFiles.delete(absoluteHtmlFilePath);
+      onPage(htmlFile, {
+        file: htmlFile,
+        results,
+        dependencies: {
+          files: [...readFiles].map((file) => path.relative(distPath, file).split(path.sep).join('/')).sort(),
+          linkTargets: [...linkTargets].map((file) => path.relative(distPath, file).split(path.sep).join('/')).sort(),
+          externalLinks: [...externalLinks].sort()
+        }
+      });
+    } catch (error) {
+      // Log the error but don't stop processing
+      if (error instanceof SeoCheckerError) {
+        handleError(error, logger, false);
+      } else {
+        logger.error(`Error processing file ${htmlFile}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+
+      onPage(htmlFile, null);
+    }
+  })));
+}
+
+/**
+ * Check pages across worker threads
+ *
+ * Pages are dealt out to the workers in turn. Workers send their log output
+ * and external link checks to this thread, so per-host limits and the link
+ * cache apply across all workers, and send back the scan of every page.
+ *
+ * @param htmlFiles - HTML files relative to the build output directory
+ * @param distPath - Absolute path to the build output directory
+ * @param options - Integration options
+ * @param settings - Worker count, pages checked at once per worker, and redirect rules
+ * @param services - External link checker and logger
+ * @param onPage - Called after each page with its scan, or null if it failed
+ * @throws {WorkerError} If a worker thread fails, after stopping the others
+ */
+export async function scanPagesInWorkers(
+  htmlFiles: string[],
+  distPath: string,
+  options: AstroSeoCheckerOptions,
+  settings: { workers: number; concurrency: number; redirectRules: RedirectRule[] },
+  services: Omit<ScanServices, 'redirectResolver'>,
+  onPage: (file: string, scan: PageScan | null) => void
+): Promise<void> {
+  const shares: string[][] = Array.from({ length: Math.min(settings.workers, htmlFiles.length) }, () => []);
+  htmlFiles.forEach((htmlFile, index) => shares[index % shares.length].push(htmlFile));
+
+  const workerUrl = new URL('./page-worker.js', import.meta.url);
+  const workers: Worker[] = [];
+
+  const scans = Promise.all(shares.map((share) => new Promise<void>((resolve, reject) => {
+    const workerData: WorkerData = {
+      distPath,
+      htmlFiles: share,
+      options,
+      redirectRules: settings.redirectRules,
+      concurrency: settings.concurrency
+    };
+    const worker = new Worker(workerUrl, { workerData });
+    workers.push(worker);
+    let done = false;
+
+    worker.on('message', (message: WorkerMessage) => {
+      switch (message.type) {
+        case 'log':
+          services.logger[message.level]?.(message.message);
+          break;
+        case 'check':
+          services.externalLinkChecker!.check(message.url).then(
+            (result) => worker.postMessage({ type: 'check-result', id: message.id, result }),
+            (error) => worker.postMessage({ type: 'check-result', id: message.id, error: error instanceof Error ? error.message : String(error) })
+          );
+          break;
+        case 'page':
+          onPage(message.file, message.scan);
+          break;
+        case 'done':
+          done = true;
+          resolve();
+          worker.terminate();
+          break;
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (!done) {
+        reject(new Error(`Worker stopped with exit code ${code} before checking all pages`));
+      }
+    });
+  })));
+
+  try {
+    await scans;
+  } catch (error) {
+    // The scan fails with the first worker, so the others are stopped rather than left checking pages
+    await Promise.all(workers.map((worker) => worker.terminate()));
+    throw new WorkerError(
+      `A worker thread failed before checking all pages: ${error instanceof Error ? error.message : String(error)}`,
+      { suggestion: 'Set workers to false to check pages on the main thread. Options passed to worker threads must not contain functions.' }
+    );
+  }
+}
+
+/**
+ * Merge the results of one page into the results of the scan
+ *
+ * @param target - Results to merge into
+ * @param source - Results to merge from
+ */
+export function mergeScanResults(target: ScanResults, source: ScanResults): void {
+  mergeSetMap(target.brokenLinksMap, source.brokenLinksMap);
+  mergeSetMap(target.ignoredLinks, source.ignoredLinks);
+
+  for (const [link, detail] of source.brokenLinkDetails) {
+    const existing = target.brokenLinkDetails.get(link);
+    if (existing) {
+      existing.occurrences.push(...detail.occurrences);
+    } else {
+      target.brokenLinkDetails.set(link, detail);
+    }
+  }
+
+  for (const [category, messages] of source.seoIssuesMap) {
+    if (!target.seoIssuesMap.has(category)) {
+      target.seoIssuesMap.set(category, new Map());
+    }
+    const targetMessages = target.seoIssuesMap.get(category)!;
+    for (const [message, records] of messages) {
+      targetMessages.set(message, [...(targetMessages.get(message) ?? []), ...records]);
+    }
+  }
+
+  const { siteContext } = target;
+  mergeSetMap(siteContext.metadata.titles, source.siteContext.metadata.titles);
+  mergeSetMap(siteContext.metadata.descriptions, source.siteContext.metadata.descriptions);
+  siteContext.mixedContent.findings.push(...source.siteContext.mixedContent.findings);
+  for (const host of source.siteContext.mixedContent.httpsHosts) {
+    siteContext.mixedContent.httpsHosts.add(host);
+  }
+  for (const [page, node] of source.siteContext.linkGraph.pages) {
+    siteContext.linkGraph.pages.set(page, node);
+  }
+}
+
+/**
+ * Sort links, issues and pages, so reports don't depend on which page finished first
+ *
+ * @param results - Results to sort in place
+ */
+export function sortScanResults(results: ScanResults): void {
+  sortSetMap(results.brokenLinksMap);
+  sortSetMap(results.ignoredLinks);
+
+  const details = [...results.brokenLinkDetails].sort(([a], [b]) => a.localeCompare(b));
+  results.brokenLinkDetails.clear();
+  for (const [link, detail] of details) {
+    detail.occurrences.sort((a, b) => a.page.localeCompare(b.page) || (a.line ?? 0) - (b.line ?? 0));
+    results.brokenLinkDetails.set(link, detail);
+  }
+
+  const categories = [...results.seoIssuesMap].sort(([a], [b]) => a.localeCompare(b));
+  results.seoIssuesMap.clear();
+  for (const [category, messages] of categories) {
+    const sortedMessages = [...messages].sort(([a], [b]) => a.localeCompare(b));
+    messages.clear();
+    for (const [message, records] of sortedMessages) {
+      records.sort((a, b) => a.page.localeCompare(b.page) || (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+      messages.set(message, records);
+    }
+    results.seoIssuesMap.set(category, messages);
+  }
+}
+
+/**
+ * Record the keys looked up in a per-build cache of file contents
+ *
+ * @param cache - Cache keyed by absolute file path
+ * @param reads - Set to add the looked up paths to
+ * @returns View of the cache that records lookups
+ */
+function trackReads<V>(cache: Map<string, V>, reads: Set<string>): Map<string, V> {
+  return new Proxy(cache, {
+    get(target, property) {
+      if (property === 'has' || property === 'get') {
+        return (key: string) => {
+          reads.add(key);
+          return property === 'has' ? target.has(key) : target.get(key);
+        };
+      }
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * Add the entries of one key -> Set map to another
+ */
+function mergeSetMap(target: Map<string, Set<string>>, source: Map<string, Set<string>>): void {
+  for (const [key, values] of source) {
+    const existing = target.get(key);
+    if (existing) {
+      for (const value of values) {
+        existing.add(value);
+      }
+    } else {
+      target.set(key, new Set(values));
+    }
+  }
+}
+
+/**
+ * Sort a key -> Set map by key, and each set by value
+ */
+function sortSetMap(map: Map<string, Set<string>>): void {
+  const entries = [...map].sort(([a], [b]) => a.localeCompare(b));
+  map.clear();
+  for (const [key, values] of entries) {
+    map.set(key, new Set([...values].sort()));
+  }
+}
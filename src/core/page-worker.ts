@@ -0,0 +1,70 @@
+/**
+ * Worker thread entry for Astro SEO Checker
+ *
+ * Checks its share of the pages and sends the results of each page to the
+ * main thread. Log output and external link checks go through the
+ * main thread, which owns the logger, the per-host limits and the link cache.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+
+import { createRedirectResolver } from '../phases/redirects.js';
+import { AstroLogger, ExternalLinkChecker, ExternalLinkResult } from '../types/index.js';
+import { createScanResults, createPhaseOptions, scanPages, WorkerData, WorkerMessage } from './page-scan.js';
+
+const port = parentPort!;
+const { distPath, htmlFiles, options, redirectRules, concurrency } = workerData as WorkerData;
+
+/**
+ * Send a message to the main thread
+ */
+function send(message: WorkerMessage): void {
+  port.postMessage(message);
+}
+
+const logger: AstroLogger = {
+  info: (message) => send({ type: 'log', level: 'info', message }),
+  warn: (message) => send({ type: 'log', level: 'warn', message }),
+  error: (message) => send({ type: 'log', level: 'error', message }),
+  debug: (message) => send({ type: 'log', level: 'debug', message })
+};
+
+// External link checks waiting for an answer from the main thread
+const pendingChecks = new Map<number, { resolve: (result: ExternalLinkResult) => void; reject: (error: Error) => void }>();
+let nextCheckId = 0;
+
+port.on('message', (message: { type: 'check-result'; id: number; result?: ExternalLinkResult; error?: string }) => {
+  const pending = pendingChecks.get(message.id);
+  if (!pending) {
+    return;
+  }
+  pendingChecks.delete(message.id);
+  if (message.error !== undefined) {
+    pending.reject(new Error(message.error));
+  } else {
+    pending.resolve(message.result!);
+  }
+});
+
+const externalLinkChecker: ExternalLinkChecker | undefined = options.checkExternalLinks !== false
+  ? {
+      check(url) {
+        const id = nextCheckId++;
+        return new Promise((resolve, reject) => {
+          pendingChecks.set(id, { resolve, reject });
+          send({ type: 'check', id, url });
+        });
+      }
+    }
+  : undefined;
+
+const results = createScanResults(distPath, options.astroSiteConfig);
+const phaseOptions = createPhaseOptions(options, results, {
+  externalLinkChecker,
+  redirectResolver: createRedirectResolver(redirectRules),
+  logger
+});
+
+await scanPages(htmlFiles, distPath, phaseOptions, concurrency, (file, scan) => send({ type: 'page', file, scan }));
+
+send({ type: 'done' });
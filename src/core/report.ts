@@ -5,10 +5,15 @@
 import path from 'path';
 import fs from 'fs';
 import { formatReport } from '../formatters/index.js';
+import { formatLinkGraph, getLinkGraphExtension, LINK_GRAPH_FORMATS } from '../formatters/link-graph-formatter.js';
+import { listIssues } from '../phases/utils.js';
+import { CATEGORY_GROUPS } from '../phases/types.js';
 import { 
   AstroLogger, 
   CategoryGroups, 
-  GroupEmojis, 
+  IssuesMap,
+  LinkGraphExportFormat,
+  LinkGraphPage,
   ReportOptions 
 } from '../types/index.js';
 import { ConfigError, FilesystemError } from '../errors.js';
@@ -17,7 +22,7 @@ import { ConfigError, FilesystemError } from '../errors.js';
  * Generate report and write to filesystem
  *
  * @param brokenLinksMap - Map of broken links to affected pages
- * @param seoIssuesMap - Map of SEO issues by category
+ * @param seoIssuesMap - SEO issue records by category and message
  * @param options - Report options
  * @param logger - Astro logger instance
  * @throws {FilesystemError} If report directory can't be created or file can't be written
@@ -25,7 +30,7 @@ import { ConfigError, FilesystemError } from '../errors.js';
  */
 export function generateReport(
   brokenLinksMap: Map<string, Set<string>>,
-  seoIssuesMap: Map<string, Map<string, Set<string>>>,
+  seoIssuesMap: IssuesMap,
   options: ReportOptions,
   logger: AstroLogger
 ): void {
@@ -34,19 +39,20 @@ export function generateReport(
   const elapsedTime = (endTime - options.startTime) / 1000;
 
   // Validate format if explicitly provided
-  if (options.format && !['markdown', 'json', 'csv'].includes(options.format.toLowerCase())) {
+  if (options.format && !['markdown', 'json', 'csv', 'html', 'sarif'].includes(options.format.toLowerCase())) {
     throw new ConfigError(
       `Invalid report format: '${options.format}'`,
       {
-        suggestion: "Valid formats are 'markdown', 'json', or 'csv'. You can also omit the format to auto-detect from file extension."
+        suggestion: "Valid formats are 'markdown', 'json', 'csv', 'html', or 'sarif'. You can also omit the format to auto-detect from file extension."
       }
     );
   }
 
   // Format report using the appropriate formatter
+  const seoIssues = listIssues(seoIssuesMap);
   let reportData: string;
   try {
-    reportData = formatReport(brokenLinksMap, seoIssuesMap, options);
+    reportData = formatReport(brokenLinksMap, seoIssues, options);
   } catch (error: any) {
     throw new ConfigError(
       `Failed to format report: ${error.message}`,
@@ -58,59 +64,25 @@ export function generateReport(
 
   // Count totals for console summary
   const brokenLinkCount = brokenLinksMap.size;
-  let totalSeoIssues = 0;
+  const ignoredLinkCount = options.ignoredLinks?.size ?? 0;
+  const totalSeoIssues = seoIssues.length;
   const issueCategories: string[] = [];
 
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    totalSeoIssues += issuesMap.size;
-    issueCategories.push(`${issuesMap.size} ${category}`);
+  for (const [category, messages] of seoIssuesMap.entries()) {
+    const count = [...messages.values()].reduce((total, records) => total + records.length, 0);
+    issueCategories.push(`${count} ${category}`);
   }
 
   // Write the report to file if file path is provided
   if (options.filePath) {
-    // Ensure directory exists
-    const reportDir = path.dirname(options.filePath);
-    if (!fs.existsSync(reportDir)) {
-      try {
-        fs.mkdirSync(reportDir, { recursive: true });
-      } catch (error) {
-        throw new FilesystemError(
-          `Could not create report directory: ${reportDir}`,
-          {
-            suggestion: "Check directory permissions or specify a different report location."
-          }
-        );
-      }
-    }
-
-    // Write report file
-    try {
-      fs.writeFileSync(options.filePath, reportData, 'utf8');
-    } catch (error) {
-      throw new FilesystemError(
-        `Could not write report to: ${options.filePath}`,
-        {
-          suggestion: "Check write permissions or specify a different report location."
-        }
-      );
-    }
+    writeReportFile(options.filePath, reportData);
 
     // Log summary to console
     const format = options.format || path.extname(options.filePath).substring(1) || 'log';
     const formatName = format.toUpperCase();
 
     // Group categories by type for better organization
-    const categoryGroups: CategoryGroups = {
-      performance: [],
-      accessibility: [],
-      metadata: [],
-      semantic: [],
-      crawlability: [],
-      linking: [],
-      content: [],
-      privacy: [],
-      technical: []
-    };
+    const categoryGroups: CategoryGroups = Object.fromEntries(Object.keys(CATEGORY_GROUPS).map((group) => [group, []]));
 
     // Sort issues into category groups
     for (const category of issueCategories) {
@@ -133,35 +105,15 @@ export function generateReport(
       // First add high-level summary by group
       categoriesByGroup = '\n\n  Issue breakdown:';
 
-      // Sort groups by priority for display
-      const groupDisplayOrder = [
-        'performance', 'accessibility', 'metadata',
-        'crawlability', 'linking', 'technical',
-        'content', 'privacy', 'semantic'
-      ];
-
-      // Add emojis for each group
-      const groupEmojis: GroupEmojis = {
-        performance: '⚡',
-        accessibility: '♿',
-        metadata: '📄',
-        crawlability: '🔍',
-        linking: '🔗',
-        technical: '🔧',
-        content: '📝',
-        privacy: '🔒',
-        semantic: '🏗️'
-      };
-
-      // Format the category groups for display
-      for (const group of groupDisplayOrder) {
+      // Format the category groups for display, in priority order
+      for (const [group, emoji] of Object.entries(CATEGORY_GROUPS)) {
         const issues = categoryGroups[group];
         if (issues && issues.length > 0) {
           // Calculate total issues in this group
           const totalInGroup = issues.reduce((sum, issue) => sum + issue.count, 0);
 
           // Add group header
-          categoriesByGroup += `\n    ${groupEmojis[group]} ${group[0].toUpperCase() + group.slice(1)}: ${totalInGroup} issue${totalInGroup !== 1 ? 's' : ''}`;
+          categoriesByGroup += `\n    ${emoji} ${group[0].toUpperCase() + group.slice(1)}: ${totalInGroup} issue${totalInGroup !== 1 ? 's' : ''}`;
 
           // Sort issues within the group by count (descending)
           issues.sort((a, b) => b.count - a.count);
@@ -189,11 +141,11 @@ export function generateReport(
     const summaryForConsole = `
 ✨ Astro SEO Checker Report ✨
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-✓ Scan completed in ${elapsedTime.toFixed(2)} seconds
+✓ Scan completed in ${elapsedTime.toFixed(2)} seconds${options.incremental ? `\n♻️  ${options.incremental.cachedPages} of ${options.incremental.totalPages} pages served from the incremental scan cache` : ''}${options.baseline ? `\n📌 Compared with the baseline: ${options.baseline.newIssues.length} new, ${options.baseline.fixedIssues.length} fixed, ${options.baseline.unchangedCount} unchanged` : ''}
 
 📊 Summary:
   ${brokenLinkCount > 0 ? `⚠️  ${brokenLinkCount} broken link${brokenLinkCount !== 1 ? 's' : ''}` : '✅ No broken links detected'}
-  ${totalSeoIssues > 0 ? `⚠️  ${totalSeoIssues} SEO issue${totalSeoIssues !== 1 ? 's' : ''}` : '✅ No SEO issues detected'}${categoriesByGroup}
+  ${totalSeoIssues > 0 ? `⚠️  ${totalSeoIssues} SEO issue${totalSeoIssues !== 1 ? 's' : ''}` : '✅ No SEO issues detected'}${ignoredLinkCount > 0 ? `\n  ⏭️  ${ignoredLinkCount} ignored link${ignoredLinkCount !== 1 ? 's' : ''} (linkCheck.ignore)` : ''}${categoriesByGroup}
 
 📄 Full ${formatName} report written to:
   ${options.filePath}${recommendations}
@@ -204,4 +156,126 @@ export function generateReport(
     // If no file path, just log the report directly
     logger.info(reportData);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Write the HTML report into the build output, so `astro preview` serves it
+ *
+ * @param brokenLinksMap - Map of broken links to affected pages
+ * @param seoIssuesMap - SEO issue records by category and message
+ * @param options - Report options, with the path of the HTML report
+ * @param logger - Astro logger instance
+ * @throws {FilesystemError} If the report can't be written
+ */
+export function writeHtmlReport(
+  brokenLinksMap: Map<string, Set<string>>,
+  seoIssuesMap: IssuesMap,
+  options: ReportOptions,
+  logger: AstroLogger
+): void {
+  writeReportFile(options.filePath, formatReport(brokenLinksMap, listIssues(seoIssuesMap), { ...options, format: 'html' }));
+  logger.info(`🌐 HTML report written to:\n  ${options.filePath}`);
+}
+
+/**
+ * Write report content, creating its directory if needed
+ *
+ * @param filePath - Absolute path of the report
+ * @param content - Formatted report
+ * @throws {FilesystemError} If the directory can't be created or the file can't be written
+ */
+function writeReportFile(filePath: string, content: string): void {
+  // Ensure directory exists
+  const reportDir = path.dirname(filePath);
+  if (!fs.existsSync(reportDir)) {
+    try {
+      fs.mkdirSync(reportDir, { recursive: true });
+    } catch (error) {
+      throw new FilesystemError(
+        `Could not create report directory: ${reportDir}`,
+        {
+          suggestion: "Check directory permissions or specify a different report location."
+        }
+      );
+    }
+  }
+
+  try {
+    fs.writeFileSync(filePath, content, 'utf8');
+  } catch (error) {
+    throw new FilesystemError(
+      `Could not write report to: ${filePath}`,
+      {
+        suggestion: "Check write permissions or specify a different report location."
+      }
+    );
+  }
+}
+
+/**
+ * Write the internal link graph next to the report file
+ *
+ * `site-report.log` gets `site-report.link-graph.json`, `.dot` and `.graphml`
+ * alongside it, depending on the requested formats.
+ *
+ * @param linkGraph - Per-page link graph statistics
+ * @param brokenLinksMap - Map of broken links to affected pages, for issue counts
+ * @param seoIssuesMap - SEO issue records by category and message, for issue counts
+ * @param options - Report file path and export formats (`true` for all of them)
+ * @param logger - Astro logger instance
+ * @returns Paths of the written files
+ * @throws {ConfigError} If an export format is unknown
+ * @throws {FilesystemError} If an export file can't be written
+ */
+export function exportLinkGraph(
+  linkGraph: LinkGraphPage[],
+  brokenLinksMap: Map<string, Set<string>>,
+  seoIssuesMap: IssuesMap,
+  options: { filePath: string; formats: boolean | LinkGraphExportFormat[] },
+  logger: AstroLogger
+): string[] {
+  const validFormats: string[] = Object.values(LINK_GRAPH_FORMATS);
+  const formats: string[] = options.formats === true ? validFormats : options.formats || [];
+
+  const invalidFormat = formats.find(format => !validFormats.includes(format));
+  if (invalidFormat) {
+    throw new ConfigError(
+      `Invalid link graph export format: '${invalidFormat}'`,
+      {
+        suggestion: "Valid formats are 'json', 'dot' and 'graphml', or set linkGraphExport to true for all of them."
+      }
+    );
+  }
+
+  if (formats.length === 0) {
+    return [];
+  }
+  if (linkGraph.length === 0) {
+    logger.warn('Link graph export skipped: no pages were collected. Is the crawlability phase enabled?');
+    return [];
+  }
+
+  // The export shares the report's directory and base name
+  const extension = path.extname(options.filePath);
+  const basePath = extension ? options.filePath.slice(0, -extension.length) : options.filePath;
+  fs.mkdirSync(path.dirname(options.filePath), { recursive: true });
+
+  const writtenFiles: string[] = [];
+  for (const format of formats) {
+    const exportPath = `${basePath}${getLinkGraphExtension(format)}`;
+    try {
+      fs.writeFileSync(exportPath, formatLinkGraph(format, linkGraph, brokenLinksMap, listIssues(seoIssuesMap)), 'utf8');
+    } catch (error) {
+      throw new FilesystemError(
+        `Could not write link graph to: ${exportPath}`,
+        {
+          suggestion: "Check write permissions or specify a different report location."
+        }
+      );
+    }
+    writtenFiles.push(exportPath);
+  }
+
+  logger.info(`🕸️  Link graph written to:\n  ${writtenFiles.join('\n  ')}`);
+  return writtenFiles;
+}
@@ -126,14 +126,48 @@ export class NetworkError extends SeoCheckerError {
   }
 }
 
+/**
+ * Error for builds whose issues go over the failOn limits
+ */
+export class ThresholdError extends SeoCheckerError {
+  constructor(message: string, options: {
+    fatal?: boolean;
+    suggestion?: string;
+    docLink?: string;
+  } = {}) {
+    super(message, {
+      category: 'Threshold',
+      ...options
+    });
+    this.name = 'ThresholdError';
+  }
+}
+
+/**
+ * Error for worker threads that failed before checking all of their pages
+ */
+export class WorkerError extends SeoCheckerError {
+  constructor(message: string, options: {
+    fatal?: boolean;
+    suggestion?: string;
+    docLink?: string;
+  } = {}) {
+    super(message, {
+      category: 'Worker Thread',
+      ...options
+    });
+    this.name = 'WorkerError';
+  }
+}
+
 /**
  * Common error instances with helpful suggestions
  */
 export const errors = {
   invalidReportFormat: new ConfigError(
-    "Invalid report format specified. Must be 'markdown', 'json', or 'csv'.",
+    "Invalid report format specified. Must be 'markdown', 'json', 'csv', 'html', or 'sarif'.",
     {
-      suggestion: "Use one of the supported formats: 'markdown', 'json', or 'csv'. The format can also be determined from the file extension."
+      suggestion: "Use one of the supported formats: 'markdown', 'json', 'csv', 'html', or 'sarif'. The format can also be determined from the file extension."
     }
   ),
   
@@ -0,0 +1,7 @@
+import { BrokenLinkDetail, SeoIssue, SeverityOverrides } from '../../index';
+
+export function listBrokenLinkIssues(
+  brokenLinksMap: Map<string, Set<string>>,
+  brokenLinkDetails?: Map<string, BrokenLinkDetail>,
+  severities?: SeverityOverrides
+): SeoIssue[];
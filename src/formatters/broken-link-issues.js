@@ -0,0 +1,57 @@
+/**
+ * Broken links as issue records
+ *
+ * Broken links are collected by URL with the pages they are on, not as issue
+ * records. Reports that list every issue the same way, such as the HTML and
+ * SARIF reports, turn them into records of the link-broken rule here.
+ */
+
+import { RULES, getSeverity } from '../phases/issue-rules.js';
+
+/**
+ * Turn each reference to a broken link into an issue record
+ *
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Map} [brokenLinkDetails] - Map of broken link -> failure reason and occurrences
+ * @param {Object} [severities] - Severity overrides by rule id or category
+ * @returns {Array<Object>} - Issues of the link-broken rule, one per element referencing a broken link
+ */
+export function listBrokenLinkIssues(brokenLinksMap, brokenLinkDetails, severities) {
+  const rule = RULES.LINK_BROKEN;
+  const severity = getSeverity(rule, severities);
+  const issues = [];
+
+  for (const [url, pages] of brokenLinksMap) {
+    const details = brokenLinkDetails?.get(url);
+    const message = details?.message ? `Broken link: ${url} (${details.message})` : `Broken link: ${url}`;
+    for (const page of [...pages].sort()) {
+      const occurrences = details?.occurrences.filter((occurrence) => occurrence.page === page) ?? [];
+      for (const occurrence of occurrences.length > 0 ? occurrences : [{}]) {
+        issues.push({
+          ruleId: rule.id,
+          category: rule.category,
+          severity,
+          message,
+          page,
+          file: getPageFile(page),
+          selector: occurrence.source,
+          line: occurrence.line,
+          fix: rule.fix
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Find the HTML file a page was built to
+ *
+ * @param {string} page - Page path as reported, e.g. "/about/" or "/index"
+ * @returns {string} - HTML file relative to the build output, e.g. "about/index.html"
+ */
+function getPageFile(page) {
+  const file = page.replace(/^\//, '');
+  return file === '' || file.endsWith('/') ? `${file}index.html` : `${file}.html`;
+}
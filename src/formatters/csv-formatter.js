@@ -9,38 +9,49 @@
  * Format report data as CSV
  * 
  * @param {Map} brokenLinksMap - Map of broken links to affected pages
- * @param {Map} seoIssuesMap - Map of SEO issues by category
+ * @param {Array<Object>} seoIssues - SEO issue records
  * @param {Object} options - Formatting options
  * @param {number} options.startTime - Start time of the scan in milliseconds
  * @returns {string} Formatted CSV content
  */
-export function formatCSV(brokenLinksMap, seoIssuesMap, options) {
+export function formatCSV(brokenLinksMap, seoIssues, options) {
   // Start with CSV headers
-  let csvContent = "issue_type,category,issue,page,timestamp\n";
+  let csvContent = "issue_type,category,issue,page,timestamp,source,reason,status,element,attribute,link_text,line,inbound_links,click_depth,rule_id,severity,selector,snippet,column,fix\n";
+  // Rule, severity, selector, snippet, column and fix only apply to SEO issues
+  const noIssueFields = '"","","","","",""';
   
   // Format timestamp
   const timestamp = new Date().toISOString();
   
-  // Process broken links
+  // Process broken links, one row per occurrence
   for (const [brokenLink, pagesSet] of brokenLinksMap.entries()) {
     const escapedLink = escapeCsvField(brokenLink);
+    const details = options.brokenLinkDetails?.get(brokenLink);
+    const failure = `"${escapeCsvField(details?.reason ?? '')}","${escapeCsvField(details?.status ?? '')}"`;
     
     for (const page of pagesSet) {
-      csvContent += `"broken_link","broken_link","${escapedLink}","${escapeCsvField(page)}","${timestamp}"\n`;
+      const occurrences = details?.occurrences.filter((occurrence) => occurrence.page === page) ?? [];
+      if (occurrences.length === 0) {
+        csvContent += `"broken_link","broken_link","${escapedLink}","${escapeCsvField(page)}","${timestamp}","",${failure},"","","","","","",${noIssueFields}\n`;
+      }
+      for (const occurrence of occurrences) {
+        const location = [occurrence.source, occurrence.element, occurrence.attribute, occurrence.text, occurrence.line]
+          .map((value) => `"${escapeCsvField(value ?? '')}"`);
+        csvContent += `"broken_link","broken_link","${escapedLink}","${escapeCsvField(page)}","${timestamp}",${location[0]},${failure},${location.slice(1).join(',')},"","",${noIssueFields}\n`;
+      }
     }
   }
   
-  // Process SEO issues
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    const escapedCategory = escapeCsvField(category);
-    
-    for (const [issue, pagesSet] of issuesMap.entries()) {
-      const escapedIssue = escapeCsvField(issue);
-      
-      for (const page of pagesSet) {
-        csvContent += `"seo_issue","${escapedCategory}","${escapedIssue}","${escapeCsvField(page)}","${timestamp}"\n`;
-      }
-    }
+  // Process SEO issues, one row per record
+  for (const issue of seoIssues) {
+    const fields = [issue.ruleId, issue.severity, issue.selector, issue.snippet, issue.column, issue.fix]
+      .map((value) => `"${escapeCsvField(value ?? '')}"`);
+    csvContent += `"seo_issue","${escapeCsvField(issue.category)}","${escapeCsvField(issue.message)}","${escapeCsvField(issue.page)}","${timestamp}","","","","","","","${issue.line ?? ''}","","",${fields.join(',')}\n`;
+  }
+
+  // One row per page with its inbound links and click depth
+  for (const page of options.linkGraph ?? []) {
+    csvContent += `"page","link_graph","","${escapeCsvField(page.page)}","${timestamp}","","","","","","","","${page.inbound}","${page.depth ?? ''}",${noIssueFields}\n`;
   }
   
   return csvContent;
@@ -0,0 +1,7 @@
+import { ReportOptions, SeoIssue } from '../../index';
+
+export function formatHTML(
+  brokenLinksMap: Map<string, Set<string>>,
+  seoIssues: SeoIssue[],
+  options: ReportOptions
+): string;
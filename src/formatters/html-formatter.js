@@ -0,0 +1,338 @@
+/**
+ * HTML Formatter
+ *
+ * Creates a single self-contained HTML page with a summary dashboard and an
+ * interactive list of issues. Styles, script and data are inlined so the
+ * report can be opened straight from disk or served with `astro preview`.
+ */
+
+import { CATEGORY_FORMATTING, CATEGORY_GROUPS } from '../phases/types.js';
+import { SEVERITIES } from '../phases/issue-rules.js';
+import { listBrokenLinkIssues } from './broken-link-issues.js';
+
+// Message groups start expanded when no more issues than this are shown
+const EXPANDED_ISSUE_LIMIT = 50;
+
+/**
+ * Format report data as a self-contained HTML page
+ *
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @param {Object} options - Formatting options
+ * @param {number} options.startTime - Start time of the scan in milliseconds
+ * @param {Object} [options.severities] - Severity overrides, applied to broken links
+ * @returns {string} Formatted HTML content
+ */
+export function formatHTML(brokenLinksMap, seoIssues, options) {
+  // Calculate elapsed time
+  const endTime = Date.now();
+  const elapsedTime = (endTime - options.startTime) / 1000; // Convert to seconds
+  const timestamp = new Date().toISOString();
+
+  // Broken links are listed like other issues, once per element referencing them
+  const issues = [...listBrokenLinkIssues(brokenLinksMap, options.brokenLinkDetails, options.severities), ...seoIssues].map(formatIssue);
+  const categories = [...new Set(issues.map((issue) => issue.category))]
+    .sort((a, b) => formatCategoryName(a).localeCompare(formatCategoryName(b)));
+
+  const data = {
+    categories: Object.fromEntries(categories.map((category) => [category, formatCategoryName(category)])),
+    issues,
+    expandedIssueLimit: EXPANDED_ISSUE_LIMIT
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Site Report - ${timestamp}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Site Report</h1>
+<p class="meta">Generated ${escapeHtml(timestamp)} · Scan completed in ${elapsedTime.toFixed(2)} seconds${options.incremental ? ` · ${options.incremental.cachedPages} of ${options.incremental.totalPages} pages served from the incremental scan cache` : ''}</p>
+</header>
+<main>
+${formatDashboard(brokenLinksMap, seoIssues, issues, options)}
+<section class="issues">
+<h2>Issues</h2>
+<form class="filters" role="search" onsubmit="return false">
+<label>Group by <select id="view"><option value="issues">Issue</option><option value="pages">Page</option></select></label>
+<label>Category <select id="filter-category"><option value="">All categories</option>${categories.map((category) => `<option value="${escapeHtml(category)}">${escapeHtml(formatCategoryName(category))}</option>`).join('')}</select></label>
+<label>Severity <select id="filter-severity"><option value="">All severities</option>${SEVERITIES.map((severity) => `<option value="${severity}">${severity}</option>`).join('')}</select></label>
+<label>Page <input id="filter-page" type="text" placeholder="/blog/"></label>
+<label>Search <input id="search" type="search" placeholder="Message, rule, element…"></label>
+</form>
+<p id="result-count" class="meta" aria-live="polite"></p>
+<div id="results"><noscript><p>Enable JavaScript to browse the issues.</p></noscript></div>
+</section>
+</main>
+<script type="application/json" id="report-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Format the summary dashboard: totals, severities and issues per category group
+ *
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @param {Array<Object>} issues - Every issue the page lists, including broken links
+ * @param {Object} options - Formatting options
+ * @returns {string} - HTML of the dashboard
+ */
+function formatDashboard(brokenLinksMap, seoIssues, issues, options) {
+  // Severities match the list below, so they include broken links
+  const severityCounts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  for (const issue of issues) {
+    severityCounts[issue.severity]++;
+  }
+
+  const totals = [
+    ['Broken links', brokenLinksMap.size],
+    ['SEO issues', seoIssues.length],
+    ...SEVERITIES.map((severity) => [`${severity[0].toUpperCase()}${severity.slice(1)}s`, severityCounts[severity], severity])
+  ];
+  const ignoredLinkCount = options.ignoredLinks?.size ?? 0;
+  if (ignoredLinkCount > 0) {
+    totals.push(['Ignored links', ignoredLinkCount]);
+  }
+  if (options.baseline) {
+    totals.push(
+      ['New since baseline', options.baseline.newIssues.length],
+      ['Fixed since baseline', options.baseline.fixedIssues.length]
+    );
+  }
+
+  let html = '<section class="dashboard">\n<h2>Summary</h2>\n<div class="totals">\n';
+  for (const [label, count, severity] of totals) {
+    html += `<div class="total${severity ? ` ${severity}` : ''}"><span class="number">${count}</span> ${escapeHtml(label)}</div>\n`;
+  }
+  html += '</div>\n<div class="groups">\n';
+
+  // Same groups as the console summary
+  for (const [group, emoji] of Object.entries(CATEGORY_GROUPS)) {
+    const counts = new Map();
+    for (const issue of seoIssues) {
+      if (issue.category.startsWith(group)) {
+        counts.set(issue.category, (counts.get(issue.category) ?? 0) + 1);
+      }
+    }
+    if (counts.size === 0) {
+      continue;
+    }
+
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    html += `<div class="group">\n<h3>${emoji} ${group[0].toUpperCase() + group.slice(1)} <span class="count">${total}</span></h3>\n<ul>\n`;
+    for (const [category, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+      html += `<li><button type="button" data-category="${escapeHtml(category)}">${escapeHtml(category.split(': ')[1] || category)}</button> <span class="count">${count}</span></li>\n`;
+    }
+    html += '</ul>\n</div>\n';
+  }
+
+  return `${html}</div>\n</section>`;
+}
+
+/**
+ * Pick the fields of an issue record the page shows
+ *
+ * @param {Object} issue - Issue record
+ * @returns {Object} - Issue with every field present
+ */
+function formatIssue(issue) {
+  return {
+    ruleId: issue.ruleId,
+    category: issue.category,
+    severity: issue.severity,
+    message: issue.message,
+    page: issue.page,
+    line: issue.line ?? null,
+    selector: issue.selector ?? null,
+    snippet: issue.snippet ?? null,
+    fix: issue.fix
+  };
+}
+
+/**
+ * Format category name for display
+ *
+ * @param {string} category - Category identifier
+ * @returns {string} - Formatted category name
+ */
+function formatCategoryName(category) {
+  return CATEGORY_FORMATTING[category] ?? category;
+}
+
+/**
+ * Escape text for use in HTML content and attributes
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+const STYLES = `
+:root { color-scheme: light dark; --fg: #1f2328; --muted: #656d76; --bg: #fff; --panel: #f6f8fa; --border: #d0d7de; --error: #cf222e; --warning: #9a6700; --info: #0969da; }
+@media (prefers-color-scheme: dark) { :root { --fg: #e6edf3; --muted: #8d96a0; --bg: #0d1117; --panel: #161b22; --border: #30363d; --error: #f85149; --warning: #d29922; --info: #4493f8; } }
+* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: var(--fg); background: var(--bg); }
+header, main { max-width: 72rem; margin: 0 auto; padding: 1rem 1.5rem; }
+h1 { margin: 0; }
+h2 { margin: 1.5rem 0 0.75rem; }
+h3 { margin: 0 0 0.5rem; font-size: 1rem; }
+.meta { color: var(--muted); margin: 0.25rem 0; }
+.count { color: var(--muted); font-weight: normal; }
+.totals, .groups { display: grid; gap: 0.75rem; grid-template-columns: repeat(auto-fill, minmax(11rem, 1fr)); }
+.groups { grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr)); margin-top: 0.75rem; }
+.total, .group { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem 1rem; }
+.total .number { display: block; font-size: 1.75rem; font-weight: 600; }
+.total.error .number { color: var(--error); }
+.total.warning .number { color: var(--warning); }
+.total.info .number { color: var(--info); }
+.group ul { list-style: none; margin: 0; padding: 0; }
+.group button { background: none; border: 0; padding: 0; color: var(--info); cursor: pointer; font: inherit; text-align: left; }
+.filters { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: end; margin-bottom: 0.5rem; }
+.filters label { display: flex; flex-direction: column; font-size: 0.85rem; color: var(--muted); }
+.filters select, .filters input { font: inherit; padding: 0.3rem 0.5rem; border: 1px solid var(--border); border-radius: 6px; background: var(--bg); color: var(--fg); }
+#results section { margin-top: 1.25rem; }
+details.issue { border: 1px solid var(--border); border-radius: 6px; margin: 0.5rem 0; padding: 0.5rem 0.75rem; }
+details.issue > summary { cursor: pointer; }
+details.issue ul { margin: 0.5rem 0 0; padding-left: 1.25rem; }
+details.issue li { margin: 0.25rem 0; }
+.rule { margin: 0.5rem 0 0; color: var(--muted); }
+.badge { display: inline-block; border-radius: 1rem; padding: 0 0.5rem; font-size: 0.75rem; font-weight: 600; color: #fff; }
+.badge.error { background: var(--error); }
+.badge.warning { background: var(--warning); }
+.badge.info { background: var(--info); }
+.snippet summary { cursor: pointer; color: var(--muted); }
+pre { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+code { font: 0.85rem ui-monospace, monospace; }
+.empty { color: var(--muted); }
+`;
+
+// Runs in the browser; plain ES5 without template literals so it can be inlined as is
+const SCRIPT = `
+(function () {
+  'use strict';
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var results = document.getElementById('results');
+  var resultCount = document.getElementById('result-count');
+  var controls = {
+    view: document.getElementById('view'),
+    category: document.getElementById('filter-category'),
+    severity: document.getElementById('filter-severity'),
+    page: document.getElementById('filter-page'),
+    search: document.getElementById('search')
+  };
+
+  function escape(text) {
+    return String(text).replace(/[&<>"']/g, function (char) { return '&#' + char.charCodeAt(0) + ';'; });
+  }
+
+  function label(category) {
+    return data.categories[category] || category;
+  }
+
+  // Text the search box matches against
+  data.issues.forEach(function (issue) {
+    issue.text = [issue.message, issue.page, issue.ruleId, issue.category, label(issue.category), issue.selector, issue.snippet, issue.fix]
+      .join(' ').toLowerCase();
+  });
+
+  function groupBy(issues, key) {
+    var groups = {};
+    var order = [];
+    issues.forEach(function (issue) {
+      if (!groups[issue[key]]) {
+        groups[issue[key]] = [];
+        order.push(issue[key]);
+      }
+      groups[issue[key]].push(issue);
+    });
+    return order.map(function (name) { return { name: name, issues: groups[name] }; });
+  }
+
+  function badge(severity) {
+    return '<span class="badge ' + severity + '">' + severity + '</span>';
+  }
+
+  function element(issue) {
+    if (issue.snippet) {
+      return '<details class="snippet"><summary><code>' + escape(issue.selector || 'Element') + '</code></summary>' +
+        '<pre><code>' + escape(issue.snippet) + '</code></pre></details>';
+    }
+    return issue.selector ? ' <code>' + escape(issue.selector) + '</code>' : '';
+  }
+
+  function item(issue, heading) {
+    return '<li>' + heading + (issue.line ? ' <span class="count">line ' + issue.line + '</span>' : '') + element(issue) + '</li>';
+  }
+
+  function byIssue(issues, open) {
+    var categories = groupBy(issues, 'category').sort(function (a, b) { return label(a.name).localeCompare(label(b.name)); });
+    return categories.map(function (category) {
+      var messages = groupBy(category.issues, 'message').sort(function (a, b) { return b.issues.length - a.issues.length; });
+      return '<section><h3>' + escape(label(category.name)) + ' <span class="count">' + category.issues.length + '</span></h3>' +
+        messages.map(function (message) {
+          var first = message.issues[0];
+          return '<details class="issue"' + open + '><summary>' + badge(first.severity) + ' ' + escape(message.name) +
+            ' <span class="count">' + message.issues.length + '</span></summary>' +
+            '<p class="rule">Rule <code>' + escape(first.ruleId) + '</code> · Fix: ' + escape(first.fix) + '</p><ul>' +
+            message.issues.map(function (issue) { return item(issue, escape(issue.page)); }).join('') +
+            '</ul></details>';
+        }).join('') + '</section>';
+    }).join('');
+  }
+
+  function byPage(issues, open) {
+    var pages = groupBy(issues, 'page').sort(function (a, b) { return a.name.localeCompare(b.name); });
+    return pages.map(function (page) {
+      return '<details class="issue"' + open + '><summary><strong>' + escape(page.name) + '</strong> <span class="count">' +
+        page.issues.length + '</span></summary><ul>' +
+        page.issues.map(function (issue) {
+          return item(issue, badge(issue.severity) + ' ' + escape(issue.message) + ' <span class="count">' + escape(label(issue.category)) + '</span>');
+        }).join('') + '</ul></details>';
+    }).join('');
+  }
+
+  function render() {
+    var category = controls.category.value;
+    var severity = controls.severity.value;
+    var page = controls.page.value.trim().toLowerCase();
+    var search = controls.search.value.trim().toLowerCase();
+    var issues = data.issues.filter(function (issue) {
+      return (!category || issue.category === category) &&
+        (!severity || issue.severity === severity) &&
+        (!page || issue.page.toLowerCase().indexOf(page) !== -1) &&
+        (!search || issue.text.indexOf(search) !== -1);
+    });
+
+    resultCount.textContent = 'Showing ' + issues.length + ' of ' + data.issues.length + ' issues';
+    var open = issues.length <= data.expandedIssueLimit ? ' open' : '';
+    results.innerHTML = issues.length === 0
+      ? '<p class="empty">No issues match the filters.</p>'
+      : (controls.view.value === 'pages' ? byPage : byIssue)(issues, open);
+  }
+
+  Object.keys(controls).forEach(function (name) {
+    controls[name].addEventListener('input', render);
+  });
+
+  // Categories in the dashboard filter the list
+  Array.prototype.forEach.call(document.querySelectorAll('[data-category]'), function (button) {
+    button.addEventListener('click', function () {
+      controls.category.value = button.getAttribute('data-category');
+      render();
+      controls.category.scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+
+  render();
+})();
+`;
@@ -5,18 +5,24 @@
  * - Markdown (.log or .md) - Human readable format with nice formatting
  * - CSV (.csv) - For spreadsheet import and analysis
  * - JSON (.json) - For programmatic usage and data processing
+ * - HTML (.html) - Self-contained page with filtering and search
+ * - SARIF (.sarif) - For code scanning tools such as GitHub code scanning
  */
 
 import { formatMarkdown } from './markdown-formatter.js';
 import { formatCSV } from './csv-formatter.js';
 import { formatJSON } from './json-formatter.js';
+import { formatHTML } from './html-formatter.js';
+import { formatSARIF } from './sarif-formatter.js';
 import path from 'path';
 
 // Output format constants
 export const OUTPUT_FORMATS = {
   MARKDOWN: 'markdown',
   CSV: 'csv',
-  JSON: 'json'
+  JSON: 'json',
+  HTML: 'html',
+  SARIF: 'sarif'
 };
 
 /**
@@ -40,6 +46,11 @@ export function getFormatter(filePath, format) {
       return formatJSON;
     case '.csv':
       return formatCSV;
+    case '.html':
+    case '.htm':
+      return formatHTML;
+    case '.sarif':
+      return formatSARIF;
     case '.md':
     case '.log':
     default:
@@ -50,7 +61,7 @@ export function getFormatter(filePath, format) {
 /**
  * Get formatter by name
  * 
- * @param {string} format - Format name (markdown, csv, json)
+ * @param {string} format - Format name (markdown, csv, json, html, sarif)
  * @returns {Function} The formatter function
  */
 function getFormatterByName(format) {
@@ -59,6 +70,10 @@ function getFormatterByName(format) {
       return formatJSON;
     case OUTPUT_FORMATS.CSV:
       return formatCSV;
+    case OUTPUT_FORMATS.HTML:
+      return formatHTML;
+    case OUTPUT_FORMATS.SARIF:
+      return formatSARIF;
     case OUTPUT_FORMATS.MARKDOWN:
     default:
       return formatMarkdown;
@@ -69,14 +84,14 @@ function getFormatterByName(format) {
  * Format a report using the appropriate formatter
  * 
  * @param {Map} brokenLinksMap - Map of broken links to affected pages
- * @param {Map} seoIssuesMap - Map of SEO issues by category
+ * @param {Array<Object>} seoIssues - SEO issue records
  * @param {Object} options - Formatting options
  * @param {string} options.filePath - Path where the report will be saved
  * @param {string} [options.format] - Optional explicit format override
  * @param {number} options.startTime - Start time of the scan in milliseconds
  * @returns {string} The formatted report content
  */
-export function formatReport(brokenLinksMap, seoIssuesMap, options) {
+export function formatReport(brokenLinksMap, seoIssues, options) {
   const formatter = getFormatter(options.filePath, options.format);
-  return formatter(brokenLinksMap, seoIssuesMap, options);
+  return formatter(brokenLinksMap, seoIssues, options);
 }
\ No newline at end of file
@@ -5,20 +5,24 @@
  * - Markdown (.log or .md) - Human readable format with nice formatting
  * - CSV (.csv) - For spreadsheet import and analysis
  * - JSON (.json) - For programmatic usage and data processing
+ * - HTML (.html) - Self-contained page with filtering and search
+ * - SARIF (.sarif) - For code scanning tools such as GitHub code scanning
  */
 
 import { formatMarkdown } from './markdown-formatter.js';
 import { formatCSV } from './csv-formatter.js';
 import { formatJSON } from './json-formatter.js';
+import { formatHTML } from './html-formatter.js';
+import { formatSARIF } from './sarif-formatter.js';
 import path from 'path';
-import { ReportOptions } from '../types/index.js';
+import { ReportOptions, SeoIssue } from '../types/index.js';
 
 /**
  * Formatter function type
  */
 export type FormatterFunction = (
   brokenLinksMap: Map<string, Set<string>>,
-  seoIssuesMap: Map<string, Map<string, Set<string>>>,
+  seoIssues: SeoIssue[],
   options: ReportOptions
 ) => string;
 
@@ -28,7 +32,9 @@ export type FormatterFunction = (
 export const OUTPUT_FORMATS = {
   MARKDOWN: 'markdown',
   CSV: 'csv',
-  JSON: 'json'
+  JSON: 'json',
+  HTML: 'html',
+  SARIF: 'sarif'
 } as const;
 
 export type OutputFormat = typeof OUTPUT_FORMATS[keyof typeof OUTPUT_FORMATS];
@@ -54,6 +60,11 @@ export function getFormatter(filePath: string, format?: string): FormatterFuncti
       return formatJSON;
     case '.csv':
       return formatCSV;
+    case '.html':
+    case '.htm':
+      return formatHTML;
+    case '.sarif':
+      return formatSARIF;
     case '.md':
     case '.log':
     default:
@@ -64,7 +75,7 @@ export function getFormatter(filePath: string, format?: string): FormatterFuncti
 /**
  * Get formatter by name
  * 
- * @param format - Format name (markdown, csv, json)
+ * @param format - Format name (markdown, csv, json, html, sarif)
  * @returns The formatter function
  */
 function getFormatterByName(format: string): FormatterFunction {
@@ -73,6 +84,10 @@ function getFormatterByName(format: string): FormatterFunction {
       return formatJSON;
     case OUTPUT_FORMATS.CSV:
       return formatCSV;
+    case OUTPUT_FORMATS.HTML:
+      return formatHTML;
+    case OUTPUT_FORMATS.SARIF:
+      return formatSARIF;
     case OUTPUT_FORMATS.MARKDOWN:
     default:
       return formatMarkdown;
@@ -83,15 +98,15 @@ function getFormatterByName(format: string): FormatterFunction {
  * Format a report using the appropriate formatter
  * 
  * @param brokenLinksMap - Map of broken links to affected pages
- * @param seoIssuesMap - Map of SEO issues by category
+ * @param seoIssues - SEO issue records
  * @param options - Formatting options
  * @returns The formatted report content
  */
 export function formatReport(
   brokenLinksMap: Map<string, Set<string>>,
-  seoIssuesMap: Map<string, Map<string, Set<string>>>,
+  seoIssues: SeoIssue[],
   options: ReportOptions
 ): string {
   const formatter = getFormatter(options.filePath, options.format);
-  return formatter(brokenLinksMap, seoIssuesMap, options);
+  return formatter(brokenLinksMap, seoIssues, options);
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
-import { ReportOptions } from '../../index';
+import { ReportOptions, SeoIssue } from '../../index';
 
 export function formatJSON(
   brokenLinksMap: Map<string, Set<string>>,
-  seoIssuesMap: Map<string, Map<string, Set<string>>>,
+  seoIssues: SeoIssue[],
   options: ReportOptions
 ): string;
\ No newline at end of file
@@ -5,16 +5,18 @@
  * Follows a consistent structure that can be easily parsed by code.
  */
 
+import { SEVERITIES } from '../phases/issue-rules.js';
+
 /**
  * Format report data as JSON
  * 
  * @param {Map} brokenLinksMap - Map of broken links to affected pages
- * @param {Map} seoIssuesMap - Map of SEO issues by category
+ * @param {Array<Object>} seoIssues - SEO issue records
  * @param {Object} options - Formatting options
  * @param {number} options.startTime - Start time of the scan in milliseconds
  * @returns {string} Formatted JSON content
  */
-export function formatJSON(brokenLinksMap, seoIssuesMap, options) {
+export function formatJSON(brokenLinksMap, seoIssues, options) {
   // Calculate elapsed time
   const endTime = Date.now();
   const elapsedTime = (endTime - options.startTime) / 1000; // Convert to seconds
@@ -25,11 +27,19 @@ export function formatJSON(brokenLinksMap, seoIssuesMap, options) {
     scanDuration: elapsedTime,
     summary: {
       brokenLinkCount: brokenLinksMap.size,
-      seoIssueCount: countTotalSeoIssues(seoIssuesMap),
-      categories: getSeoIssueCountByCategory(seoIssuesMap)
+      seoIssueCount: seoIssues.length,
+      ignoredLinkCount: options.ignoredLinks?.size ?? 0,
+      ...(options.incremental && {
+        pageCount: options.incremental.totalPages,
+        cachedPageCount: options.incremental.cachedPages
+      }),
+      categories: countBy(seoIssues, 'category'),
+      severities: { ...Object.fromEntries(SEVERITIES.map((severity) => [severity, 0])), ...countBy(seoIssues, 'severity') }
     },
-    brokenLinks: formatBrokenLinks(brokenLinksMap),
-    seoIssues: formatSeoIssues(seoIssuesMap)
+    ...(options.baseline && { baseline: formatBaseline(options.baseline) }),
+    brokenLinks: formatBrokenLinks(brokenLinksMap, options.brokenLinkDetails),
+    seoIssues: formatSeoIssues(seoIssues),
+    linkGraph: formatLinkGraph(options.linkGraph)
   };
   
   // Pretty-print JSON with 2-space indentation
@@ -37,48 +47,71 @@ export function formatJSON(brokenLinksMap, seoIssuesMap, options) {
 }
 
 /**
- * Count total number of SEO issues
+ * Count SEO issues by one of their fields
  * 
- * @param {Map} seoIssuesMap - Map of SEO issues by category
- * @returns {number} - Total issue count
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @param {string} field - Field to count by, e.g. "category" or "severity"
+ * @returns {Object} - Object with counts per field value
  */
-function countTotalSeoIssues(seoIssuesMap) {
-  let total = 0;
-  for (const [_, issuesMap] of seoIssuesMap.entries()) {
-    total += issuesMap.size;
+function countBy(seoIssues, field) {
+  const counts = {};
+  
+  for (const issue of seoIssues) {
+    counts[issue[field]] = (counts[issue[field]] ?? 0) + 1;
   }
-  return total;
+  
+  return counts;
 }
 
 /**
- * Count SEO issues by category
+ * Format the comparison with the baseline for JSON output
  * 
- * @param {Map} seoIssuesMap - Map of SEO issues by category
- * @returns {Object} - Object with category counts
+ * @param {Object} baseline - New, fixed and unchanged issues
+ * @returns {Object} - Counts, and the new and fixed issues with every field present
  */
-function getSeoIssueCountByCategory(seoIssuesMap) {
-  const counts = {};
-  
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    counts[category] = issuesMap.size;
-  }
-  
-  return counts;
+function formatBaseline(baseline) {
+  const formatIssue = (issue) => ({
+    fingerprint: issue.fingerprint,
+    ruleId: issue.ruleId,
+    category: issue.category,
+    severity: issue.severity,
+    page: issue.page,
+    message: issue.message,
+    selector: issue.selector ?? null
+  });
+
+  return {
+    file: baseline.file,
+    updated: baseline.update,
+    newIssueCount: baseline.newIssues.length,
+    fixedIssueCount: baseline.fixedIssues.length,
+    unchangedIssueCount: baseline.unchangedCount,
+    newIssues: baseline.newIssues.map(formatIssue),
+    fixedIssues: baseline.fixedIssues.map(formatIssue)
+  };
 }
 
 /**
  * Format broken links for JSON output
  * 
  * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Map} [brokenLinkDetails] - Map of broken link -> failure reason and occurrences
  * @returns {Array} - Array of broken link objects
  */
-function formatBrokenLinks(brokenLinksMap) {
+function formatBrokenLinks(brokenLinksMap, brokenLinkDetails) {
   const links = [];
   
   for (const [url, pagesSet] of brokenLinksMap.entries()) {
+    const details = brokenLinkDetails?.get(url);
+    
     links.push({
       url,
-      pages: Array.from(pagesSet)
+      reason: details?.reason ?? null,
+      message: details?.message ?? null,
+      status: details?.status ?? null,
+      pages: Array.from(pagesSet),
+      // One entry per element that references the link
+      occurrences: details?.occurrences ?? []
     });
   }
   
@@ -88,22 +121,44 @@ function formatBrokenLinks(brokenLinksMap) {
 /**
  * Format SEO issues for JSON output
  * 
- * @param {Map} seoIssuesMap - Map of SEO issues by category
- * @returns {Object} - Categorized SEO issues
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @returns {Object} - Issue records by category, with every field present
  */
-function formatSeoIssues(seoIssuesMap) {
+function formatSeoIssues(seoIssues) {
   const issues = {};
   
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    issues[category] = [];
-    
-    for (const [issue, pagesSet] of issuesMap.entries()) {
-      issues[category].push({
-        description: issue,
-        pages: Array.from(pagesSet)
-      });
-    }
+  for (const issue of seoIssues) {
+    issues[issue.category] = issues[issue.category] ?? [];
+    issues[issue.category].push({
+      ruleId: issue.ruleId,
+      severity: issue.severity,
+      message: issue.message,
+      page: issue.page,
+      file: issue.file,
+      selector: issue.selector ?? null,
+      snippet: issue.snippet ?? null,
+      line: issue.line ?? null,
+      column: issue.column ?? null,
+      fix: issue.fix
+    });
   }
   
   return issues;
-}
\ No newline at end of file
+}
+
+/**
+ * Format the position of each page in the internal link graph for JSON output
+ * 
+ * @param {Array} [linkGraph] - Per-page link graph statistics
+ * @returns {Array} - Array of page objects with inbound links and click depth
+ */
+function formatLinkGraph(linkGraph) {
+  return (linkGraph ?? []).map((page) => ({
+    page: page.page,
+    title: page.title,
+    inboundLinks: page.inbound,
+    outboundLinks: page.outbound,
+    clickDepth: page.depth,
+    nofollowOnly: page.nofollowOnly
+  }));
+}
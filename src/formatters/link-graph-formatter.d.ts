@@ -0,0 +1,16 @@
+import { LinkGraphPage, SeoIssue } from '../../index';
+
+export const LINK_GRAPH_FORMATS: {
+  JSON: 'json';
+  DOT: 'dot';
+  GRAPHML: 'graphml';
+};
+
+export function getLinkGraphExtension(format: string): string;
+
+export function formatLinkGraph(
+  format: string,
+  linkGraph: LinkGraphPage[],
+  brokenLinksMap: Map<string, Set<string>>,
+  seoIssues: SeoIssue[]
+): string;
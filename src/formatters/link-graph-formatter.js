@@ -0,0 +1,233 @@
+/**
+ * Link Graph Formatter
+ *
+ * Exports the page-to-page link graph so the site structure can be explored
+ * outside the report:
+ * - JSON (.link-graph.json) - Nodes and edges for scripts and visualizations
+ * - DOT (.link-graph.dot) - For rendering with Graphviz
+ * - GraphML (.link-graph.graphml) - For opening in Gephi, yEd or Cytoscape
+ *
+ * Nodes carry the page title, click depth and issue counts. Edges carry the
+ * anchor text and rel attribute of each link.
+ */
+
+// Export format constants
+export const LINK_GRAPH_FORMATS = {
+  JSON: 'json',
+  DOT: 'dot',
+  GRAPHML: 'graphml'
+};
+
+/**
+ * Get the file extension used for an export format
+ *
+ * @param {string} format - Export format (json, dot, graphml)
+ * @returns {string} - Extension including the `.link-graph` prefix
+ */
+export function getLinkGraphExtension(format) {
+  return `.link-graph.${format}`;
+}
+
+/**
+ * Format the link graph in one of the export formats
+ *
+ * @param {string} format - Export format (json, dot, graphml)
+ * @param {Array} linkGraph - Per-page link graph statistics
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @returns {string} - Formatted graph
+ */
+export function formatLinkGraph(format, linkGraph, brokenLinksMap, seoIssues) {
+  const graph = buildGraph(linkGraph, brokenLinksMap, seoIssues);
+
+  switch (format.toLowerCase()) {
+    case LINK_GRAPH_FORMATS.DOT:
+      return formatDOT(graph);
+    case LINK_GRAPH_FORMATS.GRAPHML:
+      return formatGraphML(graph);
+    case LINK_GRAPH_FORMATS.JSON:
+    default:
+      return JSON.stringify(graph, null, 2);
+  }
+}
+
+/**
+ * Build plain nodes and edges from the link graph statistics
+ *
+ * @param {Array} linkGraph - Per-page link graph statistics
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @returns {{nodes: Array, edges: Array}} - Graph with one edge per link between two different pages
+ */
+function buildGraph(linkGraph, brokenLinksMap, seoIssues) {
+  const issueCounts = countIssuesByPage(brokenLinksMap, seoIssues);
+
+  const nodes = linkGraph.map((page) => {
+    const counts = issueCounts.get(page.reportPath) ?? { total: 0, byCategory: {} };
+    return {
+      id: page.page,
+      title: page.title,
+      depth: page.depth,
+      inboundLinks: page.inbound,
+      outboundLinks: page.outbound,
+      issues: counts.total,
+      issuesByCategory: counts.byCategory
+    };
+  });
+
+  const edges = [];
+  for (const page of linkGraph) {
+    for (const link of page.links) {
+      // Links to the page itself, e.g. fragment links, are not part of the structure
+      if (link.target !== page.page) {
+        edges.push({ source: page.page, target: link.target, text: link.text, rel: link.rel, nofollow: link.nofollow });
+      }
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Count broken links and SEO issues on each page
+ *
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @returns {Map<string, {total: number, byCategory: Object}>} - Counts keyed by report path
+ */
+function countIssuesByPage(brokenLinksMap, seoIssues) {
+  const counts = new Map();
+  const add = (page, category) => {
+    if (!counts.has(page)) {
+      counts.set(page, { total: 0, byCategory: {} });
+    }
+    const pageCounts = counts.get(page);
+    pageCounts.total++;
+    pageCounts.byCategory[category] = (pageCounts.byCategory[category] ?? 0) + 1;
+  };
+
+  for (const pages of brokenLinksMap.values()) {
+    for (const page of pages) {
+      add(page, 'broken_links');
+    }
+  }
+  for (const issue of seoIssues) {
+    add(issue.page, issue.category);
+  }
+
+  return counts;
+}
+
+/**
+ * Format the graph as a Graphviz digraph
+ *
+ * Nofollow links are drawn dashed. Depth, issue counts and rel are kept as
+ * custom attributes, which Graphviz ignores when rendering.
+ *
+ * @param {{nodes: Array, edges: Array}} graph - Graph from buildGraph
+ * @returns {string} - DOT source
+ */
+function formatDOT(graph) {
+  let dot = 'digraph "site" {\n';
+  dot += '  rankdir=LR;\n';
+  dot += '  node [shape=box];\n\n';
+
+  for (const node of graph.nodes) {
+    const label = node.title ? `${node.title}\n${node.id}` : node.id;
+    const attributes = [
+      `label=${quoteDot(label)}`,
+      `title=${quoteDot(node.title)}`,
+      `depth=${node.depth ?? -1}`,
+      `issues=${node.issues}`
+    ];
+    if (node.issues > 0) {
+      attributes.push('color=red');
+    }
+    dot += `  ${quoteDot(node.id)} [${attributes.join(', ')}];\n`;
+  }
+
+  dot += '\n';
+
+  for (const edge of graph.edges) {
+    const attributes = [`label=${quoteDot(edge.text)}`, `rel=${quoteDot(edge.rel)}`];
+    if (edge.nofollow) {
+      attributes.push('style=dashed');
+    }
+    dot += `  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [${attributes.join(', ')}];\n`;
+  }
+
+  dot += '}\n';
+  return dot;
+}
+
+/**
+ * Format the graph as GraphML
+ *
+ * @param {{nodes: Array, edges: Array}} graph - Graph from buildGraph
+ * @returns {string} - GraphML document
+ */
+function formatGraphML(graph) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+    'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">\n';
+  xml += '  <key id="title" for="node" attr.name="title" attr.type="string"/>\n';
+  xml += '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>\n';
+  xml += '  <key id="inbound" for="node" attr.name="inboundLinks" attr.type="int"/>\n';
+  xml += '  <key id="outbound" for="node" attr.name="outboundLinks" attr.type="int"/>\n';
+  xml += '  <key id="issues" for="node" attr.name="issues" attr.type="int"/>\n';
+  xml += '  <key id="text" for="edge" attr.name="text" attr.type="string"/>\n';
+  xml += '  <key id="rel" for="edge" attr.name="rel" attr.type="string"/>\n';
+  xml += '  <key id="nofollow" for="edge" attr.name="nofollow" attr.type="boolean"/>\n';
+  xml += '  <graph id="site" edgedefault="directed">\n';
+
+  for (const node of graph.nodes) {
+    xml += `    <node id="${escapeXml(node.id)}">\n`;
+    xml += `      <data key="title">${escapeXml(node.title)}</data>\n`;
+    // Pages that can't be reached from the homepage have no depth
+    if (node.depth !== null) {
+      xml += `      <data key="depth">${node.depth}</data>\n`;
+    }
+    xml += `      <data key="inbound">${node.inboundLinks}</data>\n`;
+    xml += `      <data key="outbound">${node.outboundLinks}</data>\n`;
+    xml += `      <data key="issues">${node.issues}</data>\n`;
+    xml += '    </node>\n';
+  }
+
+  graph.edges.forEach((edge, index) => {
+    xml += `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">\n`;
+    xml += `      <data key="text">${escapeXml(edge.text)}</data>\n`;
+    xml += `      <data key="rel">${escapeXml(edge.rel)}</data>\n`;
+    xml += `      <data key="nofollow">${edge.nofollow}</data>\n`;
+    xml += '    </edge>\n';
+  });
+
+  xml += '  </graph>\n';
+  xml += '</graphml>\n';
+  return xml;
+}
+
+/**
+ * Quote a value as a DOT string
+ *
+ * @param {string} value - Value to quote
+ * @returns {string} - Double-quoted DOT string
+ */
+function quoteDot(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Escape a value for XML text and attributes
+ *
+ * @param {string} value - Value to escape
+ * @returns {string} - Escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
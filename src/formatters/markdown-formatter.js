@@ -6,17 +6,18 @@
  */
 
 import { CATEGORY_FORMATTING } from '../phases/types.js';
+import { groupIssues } from '../phases/utils.js';
 
 /**
  * Format report data as Markdown
  * 
  * @param {Map} brokenLinksMap - Map of broken links to affected pages
- * @param {Map} seoIssuesMap - Map of SEO issues by category
+ * @param {Array<Object>} seoIssues - SEO issue records
  * @param {Object} options - Formatting options 
  * @param {number} options.startTime - Start time of the scan in milliseconds
  * @returns {string} Formatted Markdown content
  */
-export function formatMarkdown(brokenLinksMap, seoIssuesMap, options) {
+export function formatMarkdown(brokenLinksMap, seoIssues, options) {
   // Calculate elapsed time
   const endTime = Date.now();
   const elapsedTime = (endTime - options.startTime) / 1000; // Convert to seconds
@@ -27,17 +28,21 @@ export function formatMarkdown(brokenLinksMap, seoIssuesMap, options) {
   // Start building report data
   let reportData = `# Site Report - ${timestamp}\n\n`;
   reportData += `Scan completed in ${elapsedTime.toFixed(2)} seconds\n\n`;
+  if (options.incremental) {
+    const { cachedPages, totalPages } = options.incremental;
+    reportData += `${cachedPages} of ${totalPages} pages served from the incremental scan cache\n\n`;
+  }
   
   // Count totals for summary
   const brokenLinkCount = brokenLinksMap.size;
-  let totalSeoIssues = 0;
+  const totalSeoIssues = seoIssues.length;
+  const seoIssuesMap = groupIssues(seoIssues);
   const issueCategories = [];
   
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    totalSeoIssues += issuesMap.size;
+  for (const [category, messages] of seoIssuesMap.entries()) {
     issueCategories.push({
       category,
-      count: issuesMap.size
+      count: [...messages.values()].reduce((count, records) => count + records.length, 0)
     });
   }
   
@@ -54,7 +59,29 @@ export function formatMarkdown(brokenLinksMap, seoIssuesMap, options) {
       reportData += `  - ${count} ${category}\n`;
     }
   }
+
+  // Links skipped by linkCheck.ignore are counted so they don't vanish silently
+  const ignoredLinkCount = options.ignoredLinks?.size ?? 0;
+  if (ignoredLinkCount > 0) {
+    reportData += `- Ignored Links: ${ignoredLinkCount}\n`;
+  }
+  if (options.baseline) {
+    reportData += `- Compared with the baseline: ${options.baseline.newIssues.length} new, ${options.baseline.fixedIssues.length} fixed, ${options.baseline.unchangedCount} unchanged\n`;
+  }
   reportData += "\n";
+
+  // Changes since the baseline come first, as they are what a build is judged on
+  if (options.baseline) {
+    const { newIssues, fixedIssues, update } = options.baseline;
+    reportData += "## 🆕 New Issues\n\n";
+    if (update) {
+      reportData += "The baseline was rewritten with the issues of this build.\n\n";
+    }
+    reportData += newIssues.length > 0 ? formatBaselineIssues(newIssues) : "No new issues since the baseline.\n\n";
+
+    reportData += "## ✅ Fixed Issues\n\n";
+    reportData += fixedIssues.length > 0 ? formatBaselineIssues(fixedIssues) : "No issues fixed since the baseline.\n\n";
+  }
   
   // Add broken links section if any exist
   if (brokenLinkCount > 0) {
@@ -66,11 +93,22 @@ export function formatMarkdown(brokenLinksMap, seoIssuesMap, options) {
     
     for (const [brokenLink, documentsSet] of sortedLinks) {
       const documents = Array.from(documentsSet).sort();
+      const details = options.brokenLinkDetails?.get(brokenLink);
       reportData += `### ${brokenLink}\n\n`;
+      if (details?.message) {
+        reportData += `Reason: ${details.message} (${details.reason})\n\n`;
+      }
       reportData += "Found in:\n";
       
       for (const doc of documents) {
-        reportData += `- ${doc}\n`;
+        // Name the element, line and link text of each reference on this page
+        const occurrences = details?.occurrences.filter(occurrence => occurrence.page === doc) ?? [];
+        if (occurrences.length === 0) {
+          reportData += `- ${doc}\n`;
+        }
+        for (const occurrence of occurrences) {
+          reportData += `- ${doc} (${formatOccurrence(occurrence)})\n`;
+        }
       }
       reportData += "\n";
     }
@@ -89,25 +127,51 @@ export function formatMarkdown(brokenLinksMap, seoIssuesMap, options) {
         return nameA.localeCompare(nameB);
       });
     
-    for (const [category, issuesMap] of sortedCategories) {
+    for (const [category, messages] of sortedCategories) {
       reportData += `### ${formatCategoryName(category)}\n\n`;
       
       // Sort issues by number of occurrences (most frequent first)
-      const sortedIssues = Array.from(issuesMap.entries())
-        .sort((a, b) => b[1].size - a[1].size);
+      const sortedIssues = Array.from(messages.entries())
+        .sort((a, b) => b[1].length - a[1].length);
       
-      for (const [issue, documentsSet] of sortedIssues) {
-        const documents = Array.from(documentsSet).sort();
-        reportData += `#### ${issue}\n\n`;
+      for (const [message, records] of sortedIssues) {
+        const [{ ruleId, severity, fix }] = records;
+        reportData += `#### ${message}\n\n`;
+        reportData += `Rule: \`${ruleId}\` (${severity})\n\n`;
+        reportData += `Fix: ${fix}\n\n`;
         reportData += "Found in:\n";
         
-        for (const doc of documents) {
-          reportData += `- ${doc}\n`;
+        const sortedRecords = [...records]
+          .sort((a, b) => a.page.localeCompare(b.page) || (a.line ?? 0) - (b.line ?? 0));
+        for (const record of sortedRecords) {
+          const location = formatIssueLocation(record);
+          reportData += location ? `- ${record.page} (${location})\n` : `- ${record.page}\n`;
+          if (record.snippet) {
+            reportData += `  ${formatCode(record.snippet)}\n`;
+          }
         }
         reportData += "\n";
       }
     }
   }
+
+  // Inbound links and click depth of every page, shallowest pages first
+  if (options.linkGraph && options.linkGraph.length > 0) {
+    reportData += "## 🕸️ Internal Link Graph\n\n";
+    reportData += "| Page | Inbound links | Outbound links | Click depth |\n";
+    reportData += "| --- | --- | --- | --- |\n";
+
+    // Without a homepage there is nothing to measure depth from
+    const hasHomepage = options.linkGraph.some((page) => page.depth === 0);
+    const sortedPages = [...options.linkGraph]
+      .sort((a, b) => (a.depth ?? Infinity) - (b.depth ?? Infinity) || a.page.localeCompare(b.page));
+
+    for (const page of sortedPages) {
+      const depth = page.depth ?? (!hasHomepage ? '-' : page.nofollowOnly ? 'nofollow only' : 'unreachable');
+      reportData += `| ${page.page} | ${page.inbound} | ${page.outbound} | ${depth} |\n`;
+    }
+    reportData += "\n";
+  }
   
   return reportData;
 }
@@ -129,4 +193,68 @@ function formatCategoryName(category) {
     .split(':')
     .map(part => part.trim().charAt(0).toUpperCase() + part.trim().slice(1))
     .join(': ');
+}
+
+/**
+ * Describe where on a page an issue was found
+ * 
+ * @param {Object} issue - Issue record
+ * @returns {string} - Line and element selector, e.g. 'line 12, `img[src="/hero.jpg"]`', or an empty string for page-level issues
+ */
+function formatIssueLocation(issue) {
+  const parts = [];
+  if (issue.line) {
+    parts.push(`line ${issue.line}`);
+  }
+  if (issue.selector) {
+    parts.push(formatCode(issue.selector));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Format text as inline code on a single line
+ * 
+ * @param {string} text - Code, e.g. an HTML snippet
+ * @returns {string} - Inline code span, with longer backtick fences if the text contains backticks
+ */
+function formatCode(text) {
+  const code = text.replace(/\s+/g, ' ').trim();
+  return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+}
+
+/**
+ * List issues compared with the baseline, one per line
+ * 
+ * @param {Array<Object>} issues - New or fixed issues
+ * @returns {string} - Markdown list, e.g. '- /about: Missing alt attribute on <img> (`img-alt-missing`, error, `img[src="/team.jpg"]`)'
+ */
+function formatBaselineIssues(issues) {
+  let list = '';
+  for (const issue of issues) {
+    const parts = [`\`${issue.ruleId}\``, issue.severity];
+    if (issue.selector) {
+      parts.push(formatCode(issue.selector));
+    }
+    list += `- ${issue.page}: ${issue.message} (${parts.join(', ')})\n`;
+  }
+  return `${list}\n`;
+}
+
+/**
+ * Describe where a broken link appears on a page
+ * 
+ * @param {Object} occurrence - Reference to the broken link
+ * @returns {string} - Line, element attribute and link text, e.g. 'line 12, `<a href>` "Docs"'
+ */
+function formatOccurrence(occurrence) {
+  const parts = [];
+  if (occurrence.line) {
+    parts.push(`line ${occurrence.line}`);
+  }
+  parts.push(`\`${occurrence.source}\``);
+  if (occurrence.text) {
+    parts.push(`"${occurrence.text}"`);
+  }
+  return parts.join(', ');
 }
\ No newline at end of file
@@ -6,7 +6,8 @@
  */
 
 import { CATEGORY_FORMATTING, CategoryId } from '../phases/types.js';
-import { ReportOptions } from '../../index.js';
+import { groupIssues } from '../phases/utils.js';
+import { BaselineIssue, BrokenLinkOccurrence, ReportOptions, SeoIssue } from '../../index.js';
 
 /**
  * Category summary interface
@@ -20,13 +21,13 @@ interface CategorySummary {
  * Format report data as Markdown
  * 
  * @param brokenLinksMap - Map of broken links to affected pages
- * @param seoIssuesMap - Map of SEO issues by category
+ * @param seoIssues - SEO issue records
  * @param options - Formatting options 
  * @returns Formatted Markdown content
  */
 export function formatMarkdown(
   brokenLinksMap: Map<string, Set<string>>,
-  seoIssuesMap: Map<string, Map<string, Set<string>>>,
+  seoIssues: SeoIssue[],
   options: ReportOptions
 ): string {
   // Calculate elapsed time
@@ -39,17 +40,21 @@ export function formatMarkdown(
   // Start building report data
   let reportData = `# Site Report - ${timestamp}\n\n`;
   reportData += `Scan completed in ${elapsedTime.toFixed(2)} seconds\n\n`;
+  if (options.incremental) {
+    const { cachedPages, totalPages } = options.incremental;
+    reportData += `${cachedPages} of ${totalPages} pages served from the incremental scan cache\n\n`;
+  }
   
   // Count totals for summary
   const brokenLinkCount = brokenLinksMap.size;
-  let totalSeoIssues = 0;
+  const totalSeoIssues = seoIssues.length;
+  const seoIssuesMap = groupIssues(seoIssues);
   const issueCategories: CategorySummary[] = [];
   
-  for (const [category, issuesMap] of seoIssuesMap.entries()) {
-    totalSeoIssues += issuesMap.size;
+  for (const [category, messages] of seoIssuesMap.entries()) {
     issueCategories.push({
       category,
-      count: issuesMap.size
+      count: [...messages.values()].reduce((count, records) => count + records.length, 0)
     });
   }
   
@@ -66,7 +71,29 @@ export function formatMarkdown(
       reportData += `  - ${count} ${category}\n`;
     }
   }
+
+  // Links skipped by linkCheck.ignore are counted so they don't vanish silently
+  const ignoredLinkCount = options.ignoredLinks?.size ?? 0;
+  if (ignoredLinkCount > 0) {
+    reportData += `- Ignored Links: ${ignoredLinkCount}\n`;
+  }
+  if (options.baseline) {
+    reportData += `- Compared with the baseline: ${options.baseline.newIssues.length} new, ${options.baseline.fixedIssues.length} fixed, ${options.baseline.unchangedCount} unchanged\n`;
+  }
   reportData += "\n";
+
+  // Changes since the baseline come first, as they are what a build is judged on
+  if (options.baseline) {
+    const { newIssues, fixedIssues, update } = options.baseline;
+    reportData += "## 🆕 New Issues\n\n";
+    if (update) {
+      reportData += "The baseline was rewritten with the issues of this build.\n\n";
+    }
+    reportData += newIssues.length > 0 ? formatBaselineIssues(newIssues) : "No new issues since the baseline.\n\n";
+
+    reportData += "## ✅ Fixed Issues\n\n";
+    reportData += fixedIssues.length > 0 ? formatBaselineIssues(fixedIssues) : "No issues fixed since the baseline.\n\n";
+  }
   
   // Add broken links section if any exist
   if (brokenLinkCount > 0) {
@@ -78,11 +105,22 @@ export function formatMarkdown(
     
     for (const [brokenLink, documentsSet] of sortedLinks) {
       const documents = Array.from(documentsSet).sort();
+      const details = options.brokenLinkDetails?.get(brokenLink);
       reportData += `### ${brokenLink}\n\n`;
+      if (details?.message) {
+        reportData += `Reason: ${details.message} (${details.reason})\n\n`;
+      }
       reportData += "Found in:\n";
       
       for (const doc of documents) {
-        reportData += `- ${doc}\n`;
+        // Name the element, line and link text of each reference on this page
+        const occurrences = details?.occurrences.filter(occurrence => occurrence.page === doc) ?? [];
+        if (occurrences.length === 0) {
+          reportData += `- ${doc}\n`;
+        }
+        for (const occurrence of occurrences) {
+          reportData += `- ${doc} (${formatOccurrence(occurrence)})\n`;
+        }
       }
       reportData += "\n";
     }
@@ -101,25 +139,51 @@ export function formatMarkdown(
         return nameA.localeCompare(nameB);
       });
     
-    for (const [category, issuesMap] of sortedCategories) {
+    for (const [category, messages] of sortedCategories) {
       reportData += `### ${formatCategoryName(category)}\n\n`;
       
       // Sort issues by number of occurrences (most frequent first)
-      const sortedIssues = Array.from(issuesMap.entries())
-        .sort((a, b) => b[1].size - a[1].size);
+      const sortedIssues = Array.from(messages.entries())
+        .sort((a, b) => b[1].length - a[1].length);
       
-      for (const [issue, documentsSet] of sortedIssues) {
-        const documents = Array.from(documentsSet).sort();
-        reportData += `#### ${issue}\n\n`;
+      for (const [message, records] of sortedIssues) {
+        const [{ ruleId, severity, fix }] = records;
+        reportData += `#### ${message}\n\n`;
+        reportData += `Rule: \`${ruleId}\` (${severity})\n\n`;
+        reportData += `Fix: ${fix}\n\n`;
         reportData += "Found in:\n";
         
-        for (const doc of documents) {
-          reportData += `- ${doc}\n`;
+        const sortedRecords = [...records]
+          .sort((a, b) => a.page.localeCompare(b.page) || (a.line ?? 0) - (b.line ?? 0));
+        for (const record of sortedRecords) {
+          const location = formatIssueLocation(record);
+          reportData += location ? `- ${record.page} (${location})\n` : `- ${record.page}\n`;
+          if (record.snippet) {
+            reportData += `  ${formatCode(record.snippet)}\n`;
+          }
         }
         reportData += "\n";
       }
     }
   }
+
+  // Inbound links and click depth of every page, shallowest pages first
+  if (options.linkGraph && options.linkGraph.length > 0) {
+    reportData += "## 🕸️ Internal Link Graph\n\n";
+    reportData += "| Page | Inbound links | Outbound links | Click depth |\n";
+    reportData += "| --- | --- | --- | --- |\n";
+
+    // Without a homepage there is nothing to measure depth from
+    const hasHomepage = options.linkGraph.some((page) => page.depth === 0);
+    const sortedPages = [...options.linkGraph]
+      .sort((a, b) => (a.depth ?? Infinity) - (b.depth ?? Infinity) || a.page.localeCompare(b.page));
+
+    for (const page of sortedPages) {
+      const depth = page.depth ?? (!hasHomepage ? '-' : page.nofollowOnly ? 'nofollow only' : 'unreachable');
+      reportData += `| ${page.page} | ${page.inbound} | ${page.outbound} | ${depth} |\n`;
+    }
+    reportData += "\n";
+  }
   
   return reportData;
 }
@@ -141,4 +205,68 @@ function formatCategoryName(category: string): string {
     .split(':')
     .map(part => part.trim().charAt(0).toUpperCase() + part.trim().slice(1))
     .join(': ');
+}
+
+/**
+ * Describe where on a page an issue was found
+ * 
+ * @param issue - Issue record
+ * @returns Line and element selector, e.g. 'line 12, `img[src="/hero.jpg"]`', or an empty string for page-level issues
+ */
+function formatIssueLocation(issue: SeoIssue): string {
+  const parts: string[] = [];
+  if (issue.line) {
+    parts.push(`line ${issue.line}`);
+  }
+  if (issue.selector) {
+    parts.push(formatCode(issue.selector));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Format text as inline code on a single line
+ * 
+ * @param text - Code, e.g. an HTML snippet
+ * @returns Inline code span, with longer backtick fences if the text contains backticks
+ */
+function formatCode(text: string): string {
+  const code = text.replace(/\s+/g, ' ').trim();
+  return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+}
+
+/**
+ * List issues compared with the baseline, one per line
+ * 
+ * @param issues - New or fixed issues
+ * @returns Markdown list, e.g. '- /about: Missing alt attribute on <img> (`img-alt-missing`, error, `img[src="/team.jpg"]`)'
+ */
+function formatBaselineIssues(issues: BaselineIssue[]): string {
+  let list = '';
+  for (const issue of issues) {
+    const parts = [`\`${issue.ruleId}\``, issue.severity];
+    if (issue.selector) {
+      parts.push(formatCode(issue.selector));
+    }
+    list += `- ${issue.page}: ${issue.message} (${parts.join(', ')})\n`;
+  }
+  return `${list}\n`;
+}
+
+/**
+ * Describe where a broken link appears on a page
+ * 
+ * @param occurrence - Reference to the broken link
+ * @returns Line, element attribute and link text, e.g. 'line 12, `<a href>` "Docs"'
+ */
+function formatOccurrence(occurrence: BrokenLinkOccurrence): string {
+  const parts: string[] = [];
+  if (occurrence.line) {
+    parts.push(`line ${occurrence.line}`);
+  }
+  parts.push(`\`${occurrence.source}\``);
+  if (occurrence.text) {
+    parts.push(`"${occurrence.text}"`);
+  }
+  return parts.join(', ');
 }
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * SARIF Formatter
+ *
+ * Creates a SARIF 2.1.0 log, the format code scanning tools such as GitHub
+ * and GitLab import. Every rule becomes a reporting descriptor with its help
+ * text, and every issue a result at the line of the built HTML file, or at
+ * the page's source file when it can be found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { RULES, getRule } from '../phases/issue-rules.js';
+import { listBrokenLinkIssues } from './broken-link-issues.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF levels by severity
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+// Extensions of page files in src/pages, in the order Astro prefers them
+const PAGE_EXTENSIONS = ['.astro', '.md', '.mdx', '.html'];
+
+/**
+ * Format report data as a SARIF log
+ *
+ * @param {Map} brokenLinksMap - Map of broken links to affected pages
+ * @param {Array<Object>} seoIssues - SEO issue records
+ * @param {Object} options - Formatting options
+ * @param {string} [options.distPath] - Build output directory, to locate HTML files
+ * @param {string} [options.projectRoot] - Project root, which result paths are relative to
+ * @param {string} [options.srcDir] - Astro source directory, to find the source file of each page
+ * @param {Object} [options.severities] - Severity overrides, for broken links
+ * @returns {string} Formatted SARIF content
+ */
+export function formatSARIF(brokenLinksMap, seoIssues, options) {
+  const rules = Object.values(RULES);
+  const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+  const locator = createLocator(options);
+
+  const results = [
+    ...listBrokenLinkIssues(brokenLinksMap, options.brokenLinkDetails, options.severities),
+    ...seoIssues
+  ].map((issue) => formatResult(issue, ruleIndexes, locator));
+
+  const run = {
+    tool: {
+      driver: {
+        name: 'astro-seo-checker',
+        rules: rules.map(formatRule)
+      }
+    },
+    ...(locator.baseIds && { originalUriBaseIds: locator.baseIds }),
+    results
+  };
+
+  return JSON.stringify({ $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] }, null, 2);
+}
+
+/**
+ * Turn a rule into a SARIF reporting descriptor
+ *
+ * @param {Object} rule - Issue rule
+ * @returns {Object} - Reporting descriptor with description, help text and default level
+ */
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.id.split('-').map((word) => word[0].toUpperCase() + word.slice(1)).join(''),
+    shortDescription: { text: rule.description },
+    fullDescription: { text: rule.description },
+    help: {
+      text: rule.fix,
+      markdown: `${rule.description}\n\n**How to fix:** ${rule.fix}`
+    },
+    defaultConfiguration: { level: LEVELS[rule.severity] },
+    properties: { category: rule.category, tags: ['seo', rule.category.split(':')[0]] }
+  };
+}
+
+/**
+ * Turn an issue into a SARIF result
+ *
+ * @param {Object} issue - Issue record
+ * @param {Map} ruleIndexes - Index of each rule in the driver's rules, by id
+ * @param {Object} locator - Finds the files of a page
+ * @returns {Object} - SARIF result
+ */
+function formatResult(issue, ruleIndexes, locator) {
+  const region = {
+    ...(issue.line && { startLine: issue.line }),
+    ...(issue.line && issue.column && { startColumn: issue.column }),
+    ...(issue.snippet && { snippet: { text: issue.snippet } })
+  };
+  const built = {
+    physicalLocation: {
+      artifactLocation: locator.distFile(issue.file),
+      ...(issue.line && { region })
+    }
+  };
+
+  // The source file has no line information, so the built HTML stays related
+  const source = locator.sourceFile(issue.file);
+  const locations = source
+    ? { locations: [{ physicalLocation: { artifactLocation: source } }], relatedLocations: [{ id: 1, ...built, message: { text: 'Built HTML' } }] }
+    : { locations: [built] };
+
+  return {
+    ruleId: issue.ruleId,
+    ...(ruleIndexes.has(issue.ruleId) && { ruleIndex: ruleIndexes.get(issue.ruleId) }),
+    level: LEVELS[issue.severity] ?? 'warning',
+    // The rule's help has the general fix, so only a more specific one is added
+    message: { text: issue.fix && issue.fix !== getRule(issue.ruleId)?.fix ? `${issue.message}. ${issue.fix}` : issue.message },
+    ...locations,
+    properties: {
+      page: issue.page,
+      category: issue.category,
+      ...(issue.selector && { selector: issue.selector })
+    }
+  };
+}
+
+/**
+ * Create a locator for the built and source files of pages
+ *
+ * Paths are relative to the project root when it is known, so code scanning
+ * can match them with the repository, and to the build output otherwise.
+ *
+ * @param {Object} options - Formatting options
+ * @returns {Object} - Base URIs for the SARIF run, and distFile/sourceFile lookups returning artifact locations
+ */
+function createLocator({ distPath, projectRoot, srcDir }) {
+  const baseId = projectRoot ? 'PROJECTROOT' : distPath ? 'DIST' : undefined;
+  const baseDir = projectRoot ?? distPath;
+  const pagesDir = projectRoot ? path.join(srcDir ?? path.join(projectRoot, 'src'), 'pages') : undefined;
+  const sources = new Map();
+
+  return {
+    baseIds: baseId && { [baseId]: { uri: pathToFileURL(baseDir.endsWith(path.sep) ? baseDir : `${baseDir}${path.sep}`).href } },
+
+    distFile(file) {
+      if (!distPath || !baseId) {
+        return { uri: file };
+      }
+      return { uri: toPosix(path.relative(baseDir, path.resolve(distPath, file))), uriBaseId: baseId };
+    },
+
+    sourceFile(file) {
+      if (!pagesDir) {
+        return null;
+      }
+      if (!sources.has(file)) {
+        sources.set(file, findPageSource(pagesDir, file));
+      }
+      const source = sources.get(file);
+      return source ? { uri: toPosix(path.relative(projectRoot, source)), uriBaseId: baseId } : null;
+    }
+  };
+}
+
+/**
+ * Find the file in src/pages a static page was built from
+ *
+ * Pages of dynamic routes such as [slug].astro can't be traced back this way.
+ *
+ * @param {string} pagesDir - Absolute path of src/pages
+ * @param {string} file - HTML file relative to the build output, e.g. "about/index.html"
+ * @returns {string|null} - Absolute path of the source file, or null if there is none
+ */
+function findPageSource(pagesDir, file) {
+  // "about/index.html" and "about.html" are both built from about.astro or about/index.astro
+  const route = file.replace(/\.html$/, '').replace(/(^|\/)index$/, '');
+  const candidates = route === ''
+    ? PAGE_EXTENSIONS.map((extension) => `index${extension}`)
+    : PAGE_EXTENSIONS.flatMap((extension) => [`${route}${extension}`, `${route}/index${extension}`]);
+
+  for (const candidate of candidates) {
+    const sourcePath = path.join(pagesDir, candidate);
+    if (fs.existsSync(sourcePath)) {
+      return sourcePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Use forward slashes in relative paths
+ */
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
@@ -14,9 +14,9 @@
  * a configurable threshold as potentially AI-generated.
  */
 
-import { parse } from 'node-html-parser';
-import { CATEGORIES } from './types.js';
+import { RULES } from './issue-rules.js';
 import { addIssue, extractTextContent } from './utils.js';
+import { getPageContext } from './page-context.js';
 
 // Pattern collections from our analysis
 const AI_PATTERNS = {
@@ -87,7 +87,7 @@ const AI_PATTERNS = {
 /**
  * Main handler for AI Detection phase
  *
- * @param {string} htmlContent - Raw HTML content to analyze
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
  * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
@@ -97,7 +97,7 @@ const AI_PATTERNS = {
  * @param {string[]} [options.aiDetectionExcludePaths=[]] - Paths to exclude from AI detection
  */
 export async function checkAiDetectionPhase(
-  htmlContent,
+  pageContext,
   issuesMap,
   baseUrl,
   documentPath,
@@ -110,8 +110,7 @@ export async function checkAiDetectionPhase(
     return;
   }
   
-  // Parse HTML and extract text content
-  const root = parse(htmlContent);
+  const { root } = getPageContext(pageContext, documentPath, distPath);
   
   // Extract all paragraph text for analysis
   const paragraphs = root.querySelectorAll('p, article, section, .content, .post');
@@ -149,8 +148,9 @@ export async function checkAiDetectionPhase(
       issuesMap,
       documentPath,
       `AI content score: ${scorePercentage}% (threshold: ${threshold}%)`,
-      CATEGORIES.AI_CONTENT,
-      distPath
+      RULES.AI_CONTENT,
+      distPath,
+      { subject: '' }
     );
   }
 }
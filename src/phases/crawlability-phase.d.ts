@@ -1,8 +1,15 @@
+import { IssuesMap, PageContext, SiteContext } from '../types/index.js';
+
 export function checkCrawlabilityPhase(
-  htmlContent: string,
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  page: PageContext | string,
+  issuesMap: IssuesMap,
   baseUrl: string,
   documentPath: string,
   distPath: string,
   options?: Record<string, any>
-): Promise<void>;
\ No newline at end of file
+): Promise<void>;
+
+export function finalizeCrawlabilityPhase(
+  siteContext: SiteContext,
+  options?: Record<string, any>
+): Promise<void>;
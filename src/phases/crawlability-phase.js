@@ -5,15 +5,21 @@
  * - Robots meta tags that block indexing or following
  * - Nofollow attributes on internal links
  * - Internal linking structure (too few or too many links)
+ * - Site-wide link graph: orphan pages, pages only reachable through nofollow
+ *   links, dead ends and click depth from the homepage
  * - Missing robots.txt or sitemap.xml files
  * - Invalid robots.txt or sitemap.xml configuration
+ *
+ * The link graph and the robots.txt and sitemap.xml checks are site-wide, so
+ * they run once in the finalize step after every page is collected.
  */
 
-import { parse } from 'node-html-parser';
 import path from 'path';
 import fs from 'fs';
-import { CATEGORIES } from './types.js';
+import { RULES } from './issue-rules.js';
 import { addIssue, isHomepage } from './utils.js';
+import { collectPageLinks, reportLinkGraph } from './link-graph.js';
+import { getPageContext, getMetaTags, getElementDetails } from './page-context.js';
 
 // Constants for optimal linking
 const MIN_RECOMMENDED_INTERNAL_LINKS = 3;
@@ -22,51 +28,77 @@ const MAX_RECOMMENDED_INTERNAL_LINKS = 100;
 /**
  * Main handler for Crawlability & Linking phase
  * 
- * @param {string} htmlContent - Raw HTML content to analyze
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
  * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
  * @param {string} distPath - Path to the build output directory
  * @param {Object} options - Configuration options
+ * @param {Object} [options.siteContext] - Run-scoped state that collects the link graph
  */
 export async function checkCrawlabilityPhase(
-  htmlContent,
+  pageContext,
   issuesMap,
   baseUrl,
   documentPath,
   distPath,
   options = {}
 ) {
-  const root = parse(htmlContent);
+  const page = getPageContext(pageContext, documentPath, distPath);
   
   // Check for robots meta tags that block indexing
-  checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options);
+  checkRobotsMetaTags(page, issuesMap, documentPath, distPath, options);
   
   // Check for nofollow links
-  checkNofollowLinks(root, issuesMap, documentPath, distPath, options);
+  checkNofollowLinks(page, issuesMap, documentPath, distPath, options);
   
   // Check internal linking structure
-  checkInternalLinkingStructure(root, issuesMap, baseUrl, documentPath, distPath, options);
-  
-  // Check for robots.txt issues and sitemap.xml if this is the homepage
-  if (isHomepage(documentPath, distPath, baseUrl)) {
+  checkInternalLinkingStructure(page, issuesMap, baseUrl, documentPath, distPath, options);
+
+  if (options.siteContext) {
+    // The link graph is analyzed once every page is collected
+    collectPageLinks(page.root, documentPath, distPath, options.siteContext.linkGraph, options);
+  } else if (isHomepage(documentPath, distPath, baseUrl)) {
+    // Without a site context, e.g. when checking a single page, the homepage checks the site files
     await checkRobotsTxt(issuesMap, documentPath, distPath, options);
     await checkSitemapXml(issuesMap, documentPath, distPath, options);
   }
 }
 
+/**
+ * Run the site-wide crawlability checks once all pages are collected
+ *
+ * robots.txt and sitemap.xml issues are reported on the homepage. The link
+ * graph statistics are stored in the site context for the report.
+ *
+ * @param {Object} siteContext - Run-scoped state filled while collecting pages
+ * @param {Object} options - Configuration options
+ * @param {number} [options.maxClickDepth] - Clicks from the homepage after which a page is reported
+ */
+export async function finalizeCrawlabilityPhase(siteContext, options = {}) {
+  const { issuesMap, distPath } = siteContext;
+  const homepagePath = path.join(distPath, 'index.html');
+
+  await checkRobotsTxt(issuesMap, homepagePath, distPath, options);
+  await checkSitemapXml(issuesMap, homepagePath, distPath, options);
+
+  siteContext.linkGraphPages = reportLinkGraph(siteContext.linkGraph, issuesMap, {
+    maxClickDepth: options.maxClickDepth
+  });
+}
+
 /**
  * Check for robots meta tags that affect crawlability
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options = {}) {
+function checkRobotsMetaTags(page, issuesMap, documentPath, distPath, options = {}) {
   // Check meta robots tags
-  const robotsMeta = root.querySelectorAll('meta[name="robots"], meta[name="googlebot"]');
+  const robotsMeta = getMetaTags(page, 'robots', 'googlebot');
   
   for (const meta of robotsMeta) {
     const content = meta.getAttribute('content') || '';
@@ -77,8 +109,9 @@ function checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options =
         issuesMap,
         documentPath,
         `Page has <meta name="${meta.getAttribute('name')}" content="${content}"> that prevents indexing`,
-        CATEGORIES.CRAWL_NOINDEX,
-        distPath
+        RULES.ROBOTS_NOINDEX,
+        distPath,
+        getElementDetails(page, meta)
       );
     }
     
@@ -88,8 +121,9 @@ function checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options =
         issuesMap,
         documentPath,
         `Page has <meta name="${meta.getAttribute('name')}" content="${content}"> that prevents following links`,
-        CATEGORIES.CRAWL_NOFOLLOW,
-        distPath
+        RULES.ROBOTS_NOFOLLOW,
+        distPath,
+        getElementDetails(page, meta)
       );
     }
     
@@ -99,8 +133,9 @@ function checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options =
         issuesMap,
         documentPath,
         `Page has <meta name="${meta.getAttribute('name')}" content="${content}"> that prevents caching`,
-        CATEGORIES.CRAWL_NOARCHIVE,
-        distPath
+        RULES.ROBOTS_NOARCHIVE,
+        distPath,
+        getElementDetails(page, meta)
       );
     }
   }
@@ -109,15 +144,15 @@ function checkRobotsMetaTags(root, issuesMap, documentPath, distPath, options =
 /**
  * Check for nofollow attributes on internal links
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkNofollowLinks(root, issuesMap, documentPath, distPath, options = {}) {
+function checkNofollowLinks(page, issuesMap, documentPath, distPath, options = {}) {
   // Check for nofollow links
-  const links = root.querySelectorAll('a[rel]');
+  const links = page.links.filter(link => link.hasAttribute('rel'));
   
   for (const link of links) {
     const rel = link.getAttribute('rel') || '';
@@ -134,8 +169,9 @@ function checkNofollowLinks(root, issuesMap, documentPath, distPath, options = {
         issuesMap,
         documentPath,
         `Internal link <a href="${href}"> has rel="nofollow" which can harm crawlability`,
-        CATEGORIES.LINK_NOFOLLOW,
-        distPath
+        RULES.LINK_NOFOLLOW_INTERNAL,
+        distPath,
+        getElementDetails(page, link)
       );
     }
   }
@@ -144,20 +180,20 @@ function checkNofollowLinks(root, issuesMap, documentPath, distPath, options = {
 /**
  * Check the internal linking structure for SEO best practices
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkInternalLinkingStructure(root, issuesMap, baseUrl, documentPath, distPath, options = {}) {
+function checkInternalLinkingStructure(page, issuesMap, baseUrl, documentPath, distPath, options = {}) {
   // Get customizable thresholds from options
   const minLinks = options.minInternalLinks || MIN_RECOMMENDED_INTERNAL_LINKS;
   const maxLinks = options.maxInternalLinks || MAX_RECOMMENDED_INTERNAL_LINKS;
   
   // Check for healthy number of internal links
-  const allLinks = root.querySelectorAll('a[href]');
+  const allLinks = page.links.filter(link => link.hasAttribute('href'));
   let internalLinkCount = 0;
   
   for (const link of allLinks) {
@@ -184,8 +220,9 @@ function checkInternalLinkingStructure(root, issuesMap, baseUrl, documentPath, d
       issuesMap,
       documentPath,
       `Page has only ${internalLinkCount} internal links (recommend at least ${minLinks} for good crawlability)`,
-      CATEGORIES.LINK_TOO_FEW,
-      distPath
+      RULES.LINKS_TOO_FEW,
+      distPath,
+      { subject: '' }
     );
   }
   
@@ -195,8 +232,9 @@ function checkInternalLinkingStructure(root, issuesMap, baseUrl, documentPath, d
       issuesMap,
       documentPath,
       `Page has ${internalLinkCount} internal links (recommend fewer than ${maxLinks} to avoid link dilution)`,
-      CATEGORIES.LINK_TOO_MANY,
-      distPath
+      RULES.LINKS_TOO_MANY,
+      distPath,
+      { subject: '' }
     );
   }
 }
@@ -218,7 +256,7 @@ async function checkRobotsTxt(issuesMap, documentPath, distPath, options = {}) {
         issuesMap,
         documentPath,
         'robots.txt file is missing (recommended for all production sites)',
-        CATEGORIES.CRAWL_ROBOTS_TXT,
+        RULES.ROBOTS_TXT_MISSING,
         distPath
       );
       return;
@@ -232,7 +270,7 @@ async function checkRobotsTxt(issuesMap, documentPath, distPath, options = {}) {
         issuesMap,
         documentPath,
         'robots.txt contains "Disallow: /" which blocks all search engines from crawling the site',
-        CATEGORIES.CRAWL_ROBOTS_TXT,
+        RULES.ROBOTS_TXT_DISALLOW_ALL,
         distPath
       );
     }
@@ -243,7 +281,7 @@ async function checkRobotsTxt(issuesMap, documentPath, distPath, options = {}) {
         issuesMap,
         documentPath,
         'robots.txt does not contain a Sitemap reference (recommended for better crawling)',
-        CATEGORIES.CRAWL_ROBOTS_TXT,
+        RULES.ROBOTS_TXT_NO_SITEMAP,
         distPath
       );
     }
@@ -283,7 +321,7 @@ async function checkSitemapXml(issuesMap, documentPath, distPath, options = {})
             issuesMap,
             documentPath,
             `Sitemap at ${path.relative(distPath, sitemapPath)} doesn't appear to be valid XML`,
-            CATEGORIES.CRAWL_SITEMAP,
+            RULES.SITEMAP_INVALID,
             distPath
           );
         }
@@ -300,7 +338,7 @@ async function checkSitemapXml(issuesMap, documentPath, distPath, options = {})
       issuesMap,
       documentPath,
       'No sitemap.xml file found (recommended for better search engine crawling)',
-      CATEGORIES.CRAWL_SITEMAP,
+      RULES.SITEMAP_MISSING,
       distPath
     );
   }
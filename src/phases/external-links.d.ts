@@ -0,0 +1,9 @@
+import { AstroLogger, ExternalLinkChecker, ExternalLinkResult, LinkCache, LinkCheckOptions, LinkFailure } from '../types/index.js';
+
+export function createExternalLinkChecker(
+  options?: LinkCheckOptions,
+  logger?: AstroLogger,
+  cache?: LinkCache
+): ExternalLinkChecker;
+
+export function describeLinkFailure(result: ExternalLinkResult): LinkFailure;
@@ -0,0 +1,388 @@
+/**
+ * External Link Checker
+ *
+ * Checks external URLs over HTTP while staying polite to the hosts involved:
+ * - Global and per-host concurrency limits
+ * - Request timeouts
+ * - HEAD requests with a GET fallback for hosts that reject HEAD
+ * - Exponential backoff on rate limiting that honors Retry-After
+ * - 429/503 responses that never clear are reported as unverified, not broken
+ * - Optional persistent cache so unchanged links aren't re-fetched every build
+ * - Redirects are followed hop by hop so the full chain can be reported
+ * - Optional soft 404 detection for pages that answer 200 with "not found"
+ */
+
+import { randomUUID } from 'crypto';
+import pLimit from 'p-limit';
+import fetch from 'node-fetch';
+import { detectSoft404 } from './soft-404.js';
+
+// Defaults for the linkCheck options
+const DEFAULT_CONCURRENCY = 50;
+const DEFAULT_PER_HOST_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000; // 1 second, doubled on every attempt
+const DEFAULT_MAX_RETRY_DELAY = 30000; // 30 seconds
+// Stop following redirects after this many hops, like browsers do
+const MAX_FOLLOWED_REDIRECTS = 20;
+// Largest page body downloaded for soft 404 detection
+const MAX_PAGE_SIZE = 1024 * 1024; // 1 MB
+
+// Statuses that mean "slow down" rather than "this link is broken"
+const RATE_LIMIT_STATUSES = [429, 503];
+// Network errors worth another attempt
+const RETRYABLE_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+// Statuses a server uses to say it does not implement HEAD
+const HEAD_REJECTED_STATUSES = [405, 501];
+// Statuses that redirect to the Location header
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Network errors that mean the host name could not be resolved
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ENODATA'];
+// Errors raised while negotiating TLS or validating the certificate
+const TLS_ERROR_PATTERN = /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_|EPROTO$)/;
+// Errors produced while following redirects, and how to describe them
+const REDIRECT_ERRORS = {
+  EREDIRECTLOOP: 'Redirect loop',
+  EMAXREDIRECTS: `More than ${MAX_FOLLOWED_REDIRECTS} redirects`,
+  EINVALIDREDIRECT: 'Invalid redirect location'
+};
+
+/**
+ * Create a checker for external links
+ *
+ * One checker should be shared by all pages of a build so concurrency limits
+ * and results apply site-wide.
+ *
+ * @param {Object} [options] - linkCheck options
+ * @param {number} [options.concurrency=50] - Maximum concurrent requests overall
+ * @param {number} [options.perHostConcurrency=4] - Maximum concurrent requests per host
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {number} [options.retries=3] - Retries for rate-limited or reset requests
+ * @param {number} [options.retryDelay=1000] - Initial backoff delay in milliseconds
+ * @param {number} [options.maxRetryDelay=30000] - Longest delay to wait before a retry
+ * @param {boolean} [options.headFirst=true] - Try a HEAD request before falling back to GET
+ * @param {boolean} [options.soft404=false] - Download successful pages and check them for soft 404s
+ * @param {Object} [logger] - Logger instance
+ * @param {Object} [cache] - Persistent cache created by createLinkCache
+ * @returns {{check: function(string): Promise<Object>}} - Checker instance
+ */
+export function createExternalLinkChecker(options = {}, logger, cache) {
+  const settings = {
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    perHostConcurrency: options.perHostConcurrency || DEFAULT_PER_HOST_CONCURRENCY,
+    timeout: options.timeout || DEFAULT_TIMEOUT,
+    retries: options.retries ?? DEFAULT_RETRIES,
+    retryDelay: options.retryDelay ?? DEFAULT_RETRY_DELAY,
+    maxRetryDelay: options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY,
+    headFirst: options.headFirst !== false,
+    soft404: options.soft404 === true
+  };
+
+  const globalLimit = pLimit(settings.concurrency);
+  const hostLimits = new Map(); // host -> limiter
+  const headRejectingHosts = new Set();
+  const results = new Map(); // url -> Promise of the check result
+  const probes = new Map(); // origin -> Promise of the response for a nonexistent URL
+
+  /**
+   * Run a request under the per-host and global limits
+   *
+   * The host slot is taken first, so requests queued behind a busy host don't
+   * hold global slots that requests to other hosts could use.
+   */
+  function limited(host, task) {
+    if (!hostLimits.has(host)) {
+      hostLimits.set(host, pLimit(settings.perHostConcurrency));
+    }
+    const hostLimit = hostLimits.get(host);
+    return hostLimit(() => globalLimit(task));
+  }
+
+  /**
+   * Send a single request with a timeout
+   */
+  async function request(url, method) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeout);
+    try {
+      const response = await fetch(url, { method, redirect: 'manual', signal: controller.signal });
+      // Let the connection go without buffering the body
+      response.body?.resume?.();
+      return { status: response.status, ok: response.ok, headers: response.headers };
+    } catch (error) {
+      const code = error.name === 'AbortError' ? 'ETIMEDOUT' : (error.code || error.errno || error.name);
+      return { status: null, ok: false, error: code };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Download an HTML page, following redirects
+   *
+   * @returns {Promise<Object|null>} - Status, final URL and HTML body, or null if the request failed
+   */
+  async function requestPage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeout);
+    try {
+      const response = await fetch(url, { signal: controller.signal, size: MAX_PAGE_SIZE });
+      const isHtml = (response.headers.get('content-type') || '').includes('html');
+      const html = isHtml ? await response.text() : '';
+      if (!isHtml) {
+        response.body?.resume?.();
+      }
+      return { status: response.status, finalUrl: response.url || url, html };
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check whether a page that loaded successfully is really a "not found" page
+   *
+   * The page is compared with the response for a random URL on the same
+   * origin, which is requested once per origin.
+   *
+   * @returns {Promise<string|null>} - Why the page looks like a soft 404, or null
+   */
+  async function checkSoft404(url, finalUrl) {
+    const { origin, host } = new URL(finalUrl);
+    const page = await limited(host, () => requestPage(finalUrl));
+    if (!page?.html || page.status >= 300) {
+      return null;
+    }
+
+    if (!probes.has(origin)) {
+      probes.set(origin, limited(host, () => requestPage(`${origin}/${randomUUID()}`)));
+    }
+    const probe = await probes.get(origin);
+
+    return detectSoft404({ url, html: page.html, finalUrl: page.finalUrl }, probe || undefined);
+  }
+
+  /**
+   * Request a URL and follow its redirects, recording every hop
+   *
+   * Each hop is sent under the limits of its own host.
+   */
+  async function follow(url, host, method) {
+    const redirects = [];
+    const visited = new Set([url]);
+    let currentUrl = url;
+    let currentHost = host;
+
+    while (true) {
+      const result = await limited(currentHost, () => request(currentUrl, method));
+      const location = result.headers?.get?.('location');
+      if (!REDIRECT_STATUSES.includes(result.status) || !location) {
+        return { ...result, finalUrl: currentUrl, redirects };
+      }
+
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl).href;
+      } catch (error) {
+        return { status: result.status, ok: false, error: 'EINVALIDREDIRECT', finalUrl: currentUrl, redirects };
+      }
+
+      redirects.push({ url: currentUrl, status: result.status });
+
+      if (visited.has(nextUrl)) {
+        return { status: result.status, ok: false, error: 'EREDIRECTLOOP', finalUrl: nextUrl, redirects };
+      }
+      if (redirects.length >= MAX_FOLLOWED_REDIRECTS) {
+        return { status: result.status, ok: false, error: 'EMAXREDIRECTS', finalUrl: nextUrl, redirects };
+      }
+
+      visited.add(nextUrl);
+      currentUrl = nextUrl;
+      currentHost = new URL(nextUrl).host;
+    }
+  }
+
+  /**
+   * Request a URL once, preferring HEAD and falling back to GET
+   */
+  async function attempt(url, host) {
+    if (settings.headFirst && !headRejectingHosts.has(host)) {
+      const headResult = await follow(url, host, 'HEAD');
+
+      // Hosts that don't implement HEAD get GET from now on
+      if (HEAD_REJECTED_STATUSES.includes(headResult.status)) {
+        headRejectingHosts.add(host);
+      }
+
+      // Trust HEAD when it succeeds or when the host asks us to slow down;
+      // anything else might be a HEAD-specific failure, so confirm with GET
+      if (headResult.ok || RATE_LIMIT_STATUSES.includes(headResult.status) || headResult.error === 'ETIMEDOUT') {
+        return headResult;
+      }
+    }
+
+    return follow(url, host, 'GET');
+  }
+
+  /**
+   * Check a URL, retrying with exponential backoff when rate limited or reset
+   */
+  async function run(url) {
+    // Results from earlier builds that haven't expired yet
+    // Successful results cached before soft 404 detection was enabled are checked again
+    const cached = cache?.get(url);
+    const needsSoft404Check = settings.soft404 && cached?.ok && cached.soft404 === undefined;
+    if (cached && !needsSoft404Check) {
+      // Soft 404 findings cached while detection was on are left out once it's off
+      const { soft404, ...result } = cached;
+      return { url, ...(settings.soft404 ? cached : result), unverified: false, attempts: 0, cached: true };
+    }
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return { url, status: null, ok: false, unverified: false, error: 'EINVALIDURL', attempts: 0 };
+    }
+
+    let result;
+    let attempts = 0;
+    while (true) {
+      result = await attempt(url, host);
+      attempts++;
+
+      const rateLimited = RATE_LIMIT_STATUSES.includes(result.status);
+      const retryable = rateLimited || RETRYABLE_ERRORS.includes(result.error);
+      if (!retryable || attempts > settings.retries) {
+        break;
+      }
+
+      const delay = getRetryDelay(result.headers, attempts, settings);
+      if (delay === null) {
+        // The server wants us to wait longer than we're willing to
+        break;
+      }
+
+      logger?.debug?.(`Retrying ${url} in ${delay}ms (${result.status || result.error})`);
+      await sleep(delay);
+    }
+
+    const checkResult = {
+      url,
+      status: result.status,
+      ok: result.ok,
+      unverified: RATE_LIMIT_STATUSES.includes(result.status),
+      error: result.error,
+      finalUrl: result.finalUrl || url,
+      redirects: result.redirects || [],
+      attempts
+    };
+
+    if (settings.soft404 && result.ok) {
+      checkResult.soft404 = await checkSoft404(url, checkResult.finalUrl);
+    }
+
+    cache?.set(url, checkResult);
+    return checkResult;
+  }
+
+  return {
+    /**
+     * Check an external URL; concurrent and repeated checks share one result
+     *
+     * @param {string} url - Absolute URL to check
+     * @returns {Promise<Object>} - Result with status, ok, unverified, error, finalUrl, redirects, attempts and, with soft404 enabled, soft404
+     */
+    check(url) {
+      if (!results.has(url)) {
+        results.set(url, run(url));
+      }
+      return results.get(url);
+    }
+  };
+}
+
+/**
+ * Explain why an external link check failed
+ *
+ * @param {Object} result - Result from the external link checker
+ * @returns {{reason: string, message: string}} - Failure kind (http-status, dns, timeout, tls, redirect, network or invalid-url) and a readable description
+ */
+export function describeLinkFailure(result) {
+  const { status, error } = result;
+
+  if (error && REDIRECT_ERRORS[error]) {
+    return { reason: 'redirect', message: REDIRECT_ERRORS[error] };
+  }
+  if (error === 'EINVALIDURL') {
+    return { reason: 'invalid-url', message: 'Invalid URL' };
+  }
+  if (error === 'ETIMEDOUT') {
+    return { reason: 'timeout', message: 'Request timed out' };
+  }
+  if (DNS_ERRORS.includes(error)) {
+    return { reason: 'dns', message: `DNS lookup failed (${error})` };
+  }
+  if (error && TLS_ERROR_PATTERN.test(error)) {
+    return { reason: 'tls', message: `TLS error (${error})` };
+  }
+  if (error) {
+    return { reason: 'network', message: `Connection failed (${error})` };
+  }
+  return { reason: 'http-status', message: `HTTP ${status}` };
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ *
+ * @param {Object} [headers] - Response headers of the failed attempt
+ * @param {number} attempts - Number of attempts made so far
+ * @param {Object} settings - Checker settings
+ * @returns {number|null} - Delay in milliseconds, or null if Retry-After exceeds the maximum delay
+ */
+function getRetryDelay(headers, attempts, settings) {
+  const backoff = Math.min(settings.retryDelay * 2 ** (attempts - 1), settings.maxRetryDelay);
+  const retryAfter = parseRetryAfter(headers?.get?.('retry-after'));
+
+  if (retryAfter === null) {
+    return backoff;
+  }
+  if (retryAfter > settings.maxRetryDelay) {
+    return null;
+  }
+  return Math.max(retryAfter, backoff);
+}
+
+/**
+ * Parse a Retry-After header given either in seconds or as an HTTP date
+ *
+ * @param {string|null|undefined} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
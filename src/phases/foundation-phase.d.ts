@@ -1,6 +1,8 @@
+import { IssuesMap, PageContext } from '../types/index.js';
+
 export function checkFoundationPhase(
-  htmlContent: string,
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  page: PageContext | string,
+  issuesMap: IssuesMap,
   baseUrl: string,
   documentPath: string,
   distPath: string,
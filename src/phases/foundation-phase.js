@@ -2,16 +2,28 @@
  * Foundation & Privacy Phase
  *
  * This phase handles basic site health and privacy issues:
- * - Detection of broken links in <a> tags and <img> sources
+ * - Detection of broken links and missing resources (anchors, images, srcset
+ *   candidates, media sources, stylesheets, icons, scripts, frames, objects
+ *   and social preview images)
+ * - Detection of fragment links pointing at missing ids
+ * - Reporting of external redirect chains, permanent moves and https downgrades
+ * - Detection of internal links that contradict the trailingSlash policy
+ * - Absolute links to the site's own domain are checked against the build output
+ * - Internal links are followed through Astro, Netlify, Cloudflare and Vercel
+ *   redirects, reporting loops, chains and redirects to missing pages
+ * - Links matching linkCheck.ignore are skipped and counted
+ * - Internal links must match the case of the build output, since production
+ *   hosts usually have case-sensitive file systems
+ * - Detection of soft 404s: internal links serving the content of 404.html and,
+ *   with linkCheck.soft404, external pages that answer 200 with "not found"
  * - Detection of exposed email addresses in content
  * - Finding unobfuscated mailto: links
  */
 
 import { parse } from 'node-html-parser';
-import { CATEGORIES } from './types.js';
+import { RULES } from './issue-rules.js';
 import {
   addIssue,
-  extractTextContent,
   decodeHtmlEntities,
   normalizePath,
   normalizeHtmlFilePath
@@ -19,16 +31,31 @@ import {
 import fs from 'fs';
 import path from 'path';
 import pLimit from 'p-limit';
-import fetch from 'node-fetch';
+import { createExternalLinkChecker, describeLinkFailure } from './external-links.js';
+import { getPageUrl, normalizeBase, stripBase, getTrailingSlashViolation, getSiteHosts, parseSiteUrl } from './site-paths.js';
+import { createRedirectResolver, parseAstroRedirects, formatRedirectHops } from './redirects.js';
+import { compileIgnorePatterns, isIgnoredLink, getHostRule } from './link-rules.js';
+import { getPageSignature, isSimilarPage } from './soft-404.js';
+import { getPageContext, getElementDetails } from './page-context.js';
 
 // Constants
 const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
 const GENERIC_OBFUSCATION_PATTERNS = ['[at]', '[dot]', ' at ', ' dot '];
+// <link rel> types whose href must resolve (any rel containing "icon" is checked as well)
+const LINK_REL_TYPES = ['stylesheet', 'preload', 'modulepreload', 'manifest', 'alternate'];
+// Meta tags that reference social preview images
+const SOCIAL_IMAGE_META = ['og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'];
+// Redirects a link may go through before the chain is reported as too long
+const DEFAULT_MAX_REDIRECTS = 2;
+// Redirect statuses that mean the link itself should be updated
+const PERMANENT_REDIRECT_STATUSES = [301, 308];
+// Longest link text kept for reporting where a broken link appears
+const MAX_LINK_TEXT_LENGTH = 80;
 
 /**
  * Main handler for Foundation & Privacy phase
  *
- * @param {string} htmlContent - Raw HTML content to analyze
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
  * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
@@ -36,7 +63,7 @@ const GENERIC_OBFUSCATION_PATTERNS = ['[at]', '[dot]', ' at ', ' dot '];
  * @param {Object} options - Configuration options
  */
 export async function checkFoundationPhase(
-  htmlContent,
+  pageContext,
   issuesMap,
   baseUrl,
   documentPath,
@@ -44,26 +71,15 @@ export async function checkFoundationPhase(
   options = {}
 ) {
   const allowlist = options.emailAllowlist || [];
-  const root = parse(htmlContent);
+  const page = getPageContext(pageContext, documentPath, distPath);
 
-  // 1. Check for broken links (if brokenLinksMap is provided)
+  // 1. Check for broken links and fragments (if brokenLinksMap is provided)
   if (options.brokenLinksMap) {
-    await checkLinksInHtml(
-      htmlContent,
-      options.brokenLinksMap,
-      baseUrl,
-      documentPath,
-      options.checkedLinks || new Map(),
-      distPath,
-      options.astroConfigRedirects || {},
-      options.logger,
-      options.checkExternalLinks
-    );
+    await checkLinksInHtml(page, issuesMap, baseUrl, documentPath, distPath, options);
   }
 
   // 2. Check for raw emails in text content
-  const textContent = extractTextContent(root);
-  const rawEmails = findRawEmails(textContent, allowlist);
+  const rawEmails = findRawEmails(page.text, allowlist);
 
   // Add any found raw emails to the issues map
   for (const email of rawEmails) {
@@ -71,13 +87,13 @@ export async function checkFoundationPhase(
       issuesMap,
       documentPath,
       `Raw email exposed: ${email}`,
-      CATEGORIES.PRIVACY_EMAIL,
+      RULES.PRIVACY_EMAIL_TEXT,
       distPath
     );
   }
 
   // 3. Check for mailto: links without obfuscation
-  const mailtoLinks = root.querySelectorAll('a[href^="mailto:"]');
+  const mailtoLinks = page.links.filter(link => (link.getAttribute('href') || '').startsWith('mailto:'));
 
   for (const link of mailtoLinks) {
     const href = link.getAttribute('href');
@@ -96,8 +112,9 @@ export async function checkFoundationPhase(
         issuesMap,
         documentPath,
         `Unobfuscated mailto link: ${email}`,
-        CATEGORIES.PRIVACY_EMAIL,
-        distPath
+        RULES.PRIVACY_MAILTO_LINK,
+        distPath,
+        getElementDetails(page, link)
       );
     }
   }
@@ -106,55 +123,120 @@ export async function checkFoundationPhase(
 /**
  * Check for broken links in HTML content
  *
- * @param {string} htmlContent - HTML content to analyze
- * @param {Map} brokenLinksMap - Map to store broken links
+ * @param {Object} page - Page context
+ * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
- * @param {Map} checkedLinks - Map of previously checked links
  * @param {string} distPath - Path to the build output directory
- * @param {Object} astroConfigRedirects - Redirect configuration from Astro
- * @param {Object} logger - Logger instance
- * @param {boolean} checkExternalLinks - Whether to check external links
+ * @param {Object} options - Configuration options
+ * @param {Map} options.brokenLinksMap - Map to store broken links
+ * @param {Map} [options.brokenLinkDetails] - Map to store the failure reason and occurrences of each broken link
+ * @param {Map} [options.ignoredLinks] - Map to store links skipped by linkCheck.ignore
+ * @param {Map} [options.checkedLinks] - Map of previously checked links
+ * @param {Map} [options.pageAnchors] - Cache of anchor ids per HTML file
+ * @param {Map} [options.pageSignatures] - Cache of title and text per HTML file, for soft 404 detection
+ * @param {Map} [options.directoryEntries] - Cache of directory listings in the build output, for case checks
+ * @param {Set} [options.linkTargets] - Set to add the HTML files internal links could resolve to, whether they exist or not
+ * @param {Object} [options.astroConfigRedirects] - Redirect configuration from Astro
+ * @param {Object} [options.redirectResolver] - Resolver for Astro and platform redirects
+ * @param {Object} [options.astroSiteConfig] - Astro base, trailingSlash, build.format and site settings
+ * @param {Object} [options.logger] - Logger instance
+ * @param {boolean} [options.checkExternalLinks] - Whether to check external links
+ * @param {Object} [options.externalLinkChecker] - Shared checker for external links
+ * @param {Object} [options.linkCheck] - External link checking options
+ * @param {string[]} [options.linkCheck.siteAliases] - Other domains that serve this site
+ * @param {Array<string|RegExp>} [options.linkCheck.ignore] - Links that should not be checked
+ * @param {Object} [options.linkCheck.hosts] - Per-host rules, keyed by host name
  */
-async function checkLinksInHtml(
-  htmlContent,
-  brokenLinksMap,
-  baseUrl,
-  documentPath,
-  checkedLinks = new Map(),
-  distPath = '',
-  astroConfigRedirects = {},
-  logger,
-  checkExternalLinks = true
-) {
-  const root = parse(htmlContent);
-  const linkElements = root.querySelectorAll('a[href]');
-  const links = linkElements.map((el) => el.getAttribute('href'));
+async function checkLinksInHtml(page, issuesMap, baseUrl, documentPath, distPath = '', options = {}) {
+  const {
+    brokenLinksMap,
+    checkedLinks = new Map(),
+    pageAnchors = new Map(),
+    pageSignatures = new Map(),
+    astroConfigRedirects = {},
+    astroSiteConfig,
+    logger,
+    checkExternalLinks = true
+  } = options;
 
-  // Add img src links
-  const imgElements = root.querySelectorAll('img[src]');
-  const imgLinks = imgElements.map((el) => el.getAttribute('src'));
-  links.push(...imgLinks);
+  // Resolve relative links against the URL the page is deployed at
+  const pageUrl = astroSiteConfig ? getPageUrl(documentPath, distPath, astroSiteConfig) : baseUrl;
+
+  // Without a shared resolver, only the Astro config redirects are known
+  const redirectResolver = options.redirectResolver ||
+    createRedirectResolver(parseAstroRedirects(astroConfigRedirects));
+  // Directory listings let file lookups match case exactly, even on case-insensitive file systems
+  const directoryEntries = options.directoryEntries || new Map();
+  // Every file a link could resolve to is recorded, so incremental scans check the
+  // page again when one of them is added or deleted, even if the link was checked before
+  const trackTargets = (urlPath) => {
+    for (const candidate of getPossiblePaths(urlPath, distPath, astroSiteConfig)) {
+      if (candidate.endsWith('.html')) {
+        options.linkTargets?.add(candidate);
+      }
+    }
+  };
+  const resolveFile = (urlPath) => {
+    trackTargets(urlPath);
+    return resolveInternalFile(urlPath, distPath, logger, astroSiteConfig, directoryEntries);
+  };
+  const fileExists = (urlPath) => Boolean(resolveFile(urlPath));
+
+  // Links the user doesn't want checked
+  const ignoreMatchers = compileIgnorePatterns(options.linkCheck?.ignore);
+
+  // Absolute links to these hosts are our own pages
+  const siteHosts = getSiteHosts(astroSiteConfig?.site, options.linkCheck?.siteAliases);
+
+  // Shared across pages by the integration so per-host limits apply site-wide
+  const externalLinkChecker = options.externalLinkChecker ||
+    (checkExternalLinks ? createExternalLinkChecker(options.linkCheck, logger) : null);
+
+  // Every URL the page references, together with the element it came from
+  const references = extractLinkReferences(page);
+
+  // Anchors on the current page are known up front, so same-page fragments
+  // never need a second parse
+  pageAnchors.set(documentPath, collectAnchorIds(page.root));
 
   const limit = pLimit(50); // Limit to 50 concurrent link checks
 
-  const checkLinkPromises = links.map((link) =>
+  const checkLinkPromises = references.map((reference) =>
     limit(async () => {
+      const { url: link, source, details } = reference;
+
+      // Same-page fragment links are resolved against the current document
+      if (link.startsWith('#')) {
+        checkFragment(link.slice(1), documentPath, link, null, issuesMap, documentPath, distPath, pageAnchors, details);
+        return;
+      }
+
       if (!isValidUrl(link)) {
         return;
       }
 
       let absoluteLink;
+      let fragment = '';
       try {
         // Differentiate between absolute, domain-relative, and relative links
-        if (/^https?:\/\//i.test(link) || /^:\/\//i.test(link)) {
-          // Absolute URL
-          absoluteLink = link;
+        if (/^https?:\/\//i.test(link) || /^:\/\//i.test(link) || link.startsWith('//')) {
+          // Absolute URL, protocol-relative ones are fetched over https
+          absoluteLink = link.startsWith('//') ? `https:${link}` : link;
+
+          // Links to our own domain are checked offline against the build output
+          const siteUrl = parseSiteUrl(absoluteLink, siteHosts);
+          if (siteUrl) {
+            absoluteLink = siteUrl.pathname;
+            fragment = siteUrl.hash.slice(1);
+          }
         } else {
           // Handle URL encoding properly by first ensuring the link is properly encoded
           // This helps with links containing spaces and special characters
           const properlyEncodedLink = link.includes('%') ? link : encodeURI(link);
-          absoluteLink = new URL(properlyEncodedLink, "https://localhost" + baseUrl).pathname;
+          const resolvedUrl = new URL(properlyEncodedLink, "https://localhost" + pageUrl);
+          absoluteLink = resolvedUrl.pathname;
+          fragment = resolvedUrl.hash.slice(1);
         }
       } catch (err) {
         // Invalid URL, skip
@@ -162,110 +244,753 @@ async function checkLinksInHtml(
         return;
       }
 
-      let fetchLink = link;
+      // Ignore patterns match the link as written or as resolved
+      if (isIgnoredLink([link, absoluteLink], ignoreMatchers)) {
+        addIgnoredLink(options.ignoredLinks, documentPath, link, distPath);
+        return;
+      }
+
+      let fetchLink = absoluteLink.startsWith('/') ? link : absoluteLink;
       if (absoluteLink.startsWith('/') && distPath) {
-        fetchLink = absoluteLink;
+        // Pages are deployed under the base, but the build output is not
+        fetchLink = stripBase(absoluteLink, astroSiteConfig?.base);
+        if (fetchLink === null) {
+          logger?.debug?.(`${link} in ${normalizePath(documentPath)} is outside the base ${astroSiteConfig.base}`);
+          addBrokenLink(brokenLinksMap, documentPath, link, distPath, reference, options.brokenLinkDetails, {
+            reason: 'outside-base',
+            message: `Outside the base ${astroSiteConfig.base}`
+          });
+          return;
+        }
+
+        if (isPageLink(source)) {
+          checkTrailingSlash(absoluteLink, link, issuesMap, documentPath, distPath, astroSiteConfig, details);
+        }
       }
 
-      // Handle redirects defined in Astro configuration
-      const decodedFetchLink = decodeURIComponent(fetchLink);
-      if (astroConfigRedirects[fetchLink] || astroConfigRedirects[decodedFetchLink]) {
-        const redirect = astroConfigRedirects[fetchLink] || astroConfigRedirects[decodedFetchLink];
-        if (redirect) {
-          fetchLink = redirect.destination ? redirect.destination : redirect;
+      // Follow redirects from the Astro config and platform redirect files
+      const redirect = fetchLink.startsWith('/') && distPath ? redirectResolver.resolve(fetchLink, fileExists) : null;
+      if (redirect) {
+        if (redirect.loop) {
+          addIssue(
+            issuesMap,
+            documentPath,
+            `Redirect loop for ${link}: ${formatRedirectHops(redirect.hops)}`,
+            RULES.LINK_REDIRECT_LOOP,
+            distPath,
+            details
+          );
+          addBrokenLink(brokenLinksMap, documentPath, link, distPath, reference, options.brokenLinkDetails, {
+            reason: 'redirect-loop',
+            message: `Redirect loop: ${formatRedirectHops(redirect.hops)}`
+          });
+          return;
+        }
+
+        // Rewrites serve the destination without the browser noticing
+        const redirectHops = redirect.hops.filter((hop) => hop.status !== 200);
+        if (redirectHops.length > 1) {
+          addIssue(
+            issuesMap,
+            documentPath,
+            `Redirect chain for ${link}: ${formatRedirectHops(redirect.hops)} (link to ${redirect.path} directly)`,
+            RULES.LINK_REDIRECT_CHAIN,
+            distPath,
+            { ...details, fix: `Link to ${redirect.path} directly.` }
+          );
         }
+
+        fetchLink = redirect.path;
       }
 
-      // Check if we've already validated this link, including the decoded version
-      const normalizedFetchLink = fetchLink.includes('%') ? decodeURIComponent(fetchLink) : fetchLink;
-      if (checkedLinks.has(fetchLink) || checkedLinks.has(normalizedFetchLink)) {
-        const linkKey = checkedLinks.has(fetchLink) ? fetchLink : normalizedFetchLink;
-        const isBroken = !checkedLinks.get(linkKey);
-        if (isBroken) {
-          addBrokenLink(brokenLinksMap, documentPath, link, distPath);
+      const isInternal = fetchLink.startsWith('/') && Boolean(distPath);
+
+      // External links go through the shared checker, which also remembers results
+      if (!isInternal) {
+        if (checkExternalLinks) {
+          await checkExternalLink(fetchLink, link, reference, issuesMap, documentPath, distPath, externalLinkChecker, options);
         }
         return;
       }
 
-      let isBroken = false;
+      // Check if we've already validated this link, including the decoded version
+      const normalizedFetchLink = fetchLink.includes('%') ? decodeURIComponent(fetchLink) : fetchLink;
+      const linkKey = [fetchLink, normalizedFetchLink].find((key) => checkedLinks.has(key));
 
-      if (fetchLink.startsWith('/') && distPath) {
+      let targetFile = null;
+      let isBroken;
+      if (linkKey) {
+        isBroken = !checkedLinks.get(linkKey);
+        trackTargets(fetchLink);
+      } else {
         // Internal link in build mode, check if file exists
-        // Decode URI components to handle spaces and special characters
-        const decodedPath = decodeURIComponent(fetchLink);
-
-        // Potential file paths to check
-        const possiblePaths = [
-          path.join(distPath, decodedPath),
-          path.join(distPath, decodedPath, 'index.html'),
-          path.join(distPath, `${decodedPath}.html`),
-        ];
-
-        // For files with spaces or special characters, also check the encoded path
-        if (decodedPath !== fetchLink) {
-          possiblePaths.push(
-            path.join(distPath, fetchLink),
-            path.join(distPath, fetchLink, 'index.html'),
-            path.join(distPath, `${fetchLink}.html`)
-          );
+        targetFile = resolveFile(fetchLink);
+        isBroken = !targetFile;
+
+        // Cache the link's validity - both encoded and decoded versions
+        const linkIsValid = !isBroken;
+        checkedLinks.set(fetchLink, linkIsValid);
+        if (!redirect) {
+          checkedLinks.set(absoluteLink, linkIsValid);
         }
 
-        // Check if any of the possible paths exist
-        if (!possiblePaths.some((p) => {
-          try {
-            return fs.existsSync(p);
-          } catch (err) {
-            // Handle invalid paths that might cause existsSync to fail
-            logger?.debug?.(`Error checking path ${p}: ${err.message}`);
-            return false;
-          }
-        })) {
-          isBroken = true;
+        // Also cache the decoded versions to handle URL-encoded characters
+        if (fetchLink.includes('%')) {
+          checkedLinks.set(decodeURIComponent(fetchLink), linkIsValid);
         }
-      } else if (checkExternalLinks) {
-        // External link, check via HTTP request. Retry 3 times if ECONNRESET
-        let retries = 0;
-        while (retries < 3) {
-          try {
-            const response = await fetch(fetchLink, { method: 'GET' });
-            isBroken = !response.ok;
-            if (isBroken) {
-              logger?.error(`${response.status} Error fetching ${fetchLink}`);
-            }
-            break;
-          } catch (error) {
-            isBroken = true;
-            let statusCodeNumber = error.errno == 'ENOTFOUND' ? 404 : (error.errno);
-            logger?.error(`${statusCodeNumber} error fetching ${fetchLink}`);
-            if (error.errno === 'ECONNRESET') {
-              retries++;
-              continue;
-            }
-            break;
-          }
+        if (!redirect && absoluteLink.includes('%')) {
+          checkedLinks.set(decodeURIComponent(absoluteLink), linkIsValid);
         }
       }
 
-      // Cache the link's validity - both encoded and decoded versions
-      const linkIsValid = !isBroken;
-      checkedLinks.set(fetchLink, linkIsValid);
-      checkedLinks.set(absoluteLink, linkIsValid);
+      if (isBroken) {
+        if (redirect) {
+          addIssue(
+            issuesMap,
+            documentPath,
+            `Redirect for ${link} leads to missing page ${redirect.path}: ${formatRedirectHops(redirect.hops)}`,
+            RULES.LINK_REDIRECT_MISSING,
+            distPath,
+            details
+          );
+        }
+        // A file that only differs in case works locally on macOS and Windows but not in production
+        const casedPath = findCorrectlyCasedPath(fetchLink, distPath, logger, astroSiteConfig, directoryEntries);
+        const failure = casedPath
+          ? { reason: 'case-mismatch', message: `Case mismatch, the page is at ${normalizeBase(astroSiteConfig?.base)}${casedPath}` }
+          : { reason: 'missing-file', message: redirect ? `No file for ${redirect.path} in the build output` : 'No file in the build output' };
+        addBrokenLink(brokenLinksMap, documentPath, link, distPath, reference, options.brokenLinkDetails, failure);
+      } else {
+        // Catch-all routes can render the 404 page for paths that don't exist
+        const notFoundSignature = getFileSignature(path.join(distPath, '404.html'), pageSignatures);
+        if (notFoundSignature || fragment) {
+          targetFile = targetFile || resolveFile(fetchLink);
+        }
+        if (notFoundSignature) {
+          checkInternalSoft404(targetFile, link, notFoundSignature, issuesMap, documentPath, distPath, pageSignatures, details);
+        }
+        if (fragment) {
+          checkFragment(fragment, targetFile, link, fetchLink, issuesMap, documentPath, distPath, pageAnchors, details);
+        }
+      }
+    })
+  );
+
+  await Promise.all(checkLinkPromises);
+}
+
+/**
+ * Collect every resource reference in a document
+ *
+ * Besides anchors and images this covers responsive image candidates, media
+ * sources, stylesheets and icons, scripts, frames, embedded objects and social
+ * preview images, since a missing target for any of them breaks the page.
+ *
+ * @param {Object} page - Page context
+ * @returns {Array<Object>} - URLs with the element and attribute they came from, e.g. source "<img srcset>",
+ *   plus the link text, line and the element details issues about the link are reported with
+ */
+function extractLinkReferences(page) {
+  const { root } = page;
+  const references = [];
+
+  const addReference = (el, url, attribute, source = `<${el.rawTagName.toLowerCase()} ${attribute}>`) => {
+    const details = getElementDetails(page, el);
+    references.push({
+      url,
+      source,
+      element: el.rawTagName.toLowerCase(),
+      attribute,
+      text: getLinkText(el),
+      line: details.line,
+      details
+    });
+  };
 
-      // Also cache the decoded versions to handle URL-encoded characters
-      if (fetchLink.includes('%')) {
-        checkedLinks.set(decodeURIComponent(fetchLink), linkIsValid);
+  const addAttribute = (selector, attribute) => {
+    for (const el of root.querySelectorAll(selector)) {
+      const value = el.getAttribute(attribute);
+      if (value !== undefined && value !== null) {
+        addReference(el, value.trim(), attribute);
       }
-      if (absoluteLink.includes('%')) {
-        checkedLinks.set(decodeURIComponent(absoluteLink), linkIsValid);
+    }
+  };
+
+  addAttribute('a[href]', 'href');
+  addAttribute('area[href]', 'href');
+  addAttribute('img[src]', 'src');
+  addAttribute('source[src]', 'src');
+  addAttribute('video[src]', 'src');
+  addAttribute('audio[src]', 'src');
+  addAttribute('track[src]', 'src');
+  addAttribute('video[poster]', 'poster');
+  addAttribute('script[src]', 'src');
+  addAttribute('iframe[src]', 'src');
+  addAttribute('object[data]', 'data');
+
+  // Responsive image candidates
+  for (const el of root.querySelectorAll('img[srcset], source[srcset]')) {
+    for (const url of parseSrcset(el.getAttribute('srcset') || '')) {
+      addReference(el, url, 'srcset');
+    }
+  }
+
+  // Stylesheets, icons, preloads, manifests and alternate versions of the page
+  for (const el of root.querySelectorAll('link[href]')) {
+    const rel = (el.getAttribute('rel') || '').toLowerCase();
+    const relTokens = rel.split(/\s+/);
+    const isChecked = relTokens.some((token) =>
+      token.includes('icon') || LINK_REL_TYPES.includes(token)
+    );
+    if (isChecked) {
+      addReference(el, el.getAttribute('href').trim(), 'href', `<link rel="${rel}" href>`);
+    }
+  }
+
+  // Social preview images
+  for (const el of root.querySelectorAll('meta[content]')) {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || '').toLowerCase();
+    if (SOCIAL_IMAGE_META.includes(key)) {
+      const attribute = el.hasAttribute('property') ? 'property' : 'name';
+      addReference(el, el.getAttribute('content').trim(), 'content', `<meta ${attribute}="${key}" content>`);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Get the text a reader sees for a link-bearing element
+ *
+ * Falls back to the alt, title or aria-label attribute for elements such as
+ * images that have no text content.
+ *
+ * @param {Object} el - Element the link was found in
+ * @returns {string} - Whitespace-collapsed text, shortened to MAX_LINK_TEXT_LENGTH
+ */
+function getLinkText(el) {
+  const text = (el.textContent || '').replace(/\s+/g, ' ').trim() ||
+    el.getAttribute('alt') || el.getAttribute('title') || el.getAttribute('aria-label') || '';
+
+  return text.length > MAX_LINK_TEXT_LENGTH ? `${text.slice(0, MAX_LINK_TEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Extract the URLs from a srcset attribute
+ *
+ * Follows the HTML candidate string rules closely enough to handle URLs that
+ * contain commas and descriptors with parentheses.
+ *
+ * @param {string} srcset - Value of the srcset attribute
+ * @returns {string[]} - Candidate URLs
+ */
+function parseSrcset(srcset) {
+  const urls = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Skip whitespace and separating commas
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+      position++;
+    }
+    if (position >= srcset.length) {
+      break;
+    }
+
+    // The URL runs until the next whitespace
+    const start = position;
+    while (position < srcset.length && !/\s/.test(srcset[position])) {
+      position++;
+    }
+    let url = srcset.slice(start, position);
+
+    // A trailing comma ends the candidate without descriptors
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      // Skip descriptors up to the next comma outside parentheses
+      let depth = 0;
+      while (position < srcset.length && (srcset[position] !== ',' || depth > 0)) {
+        if (srcset[position] === '(') depth++;
+        if (srcset[position] === ')') depth = Math.max(0, depth - 1);
+        position++;
       }
+    }
 
-      if (isBroken) {
-        addBrokenLink(brokenLinksMap, documentPath, link, distPath);
+    if (url) {
+      urls.push(url);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Check an external link over HTTP and record the outcome
+ *
+ * Rate-limited responses (429/503) that never cleared are reported as
+ * unverified instead of broken, since the target may well exist. Redirect
+ * chains are reported separately from the final outcome.
+ *
+ * @param {string} fetchLink - Absolute URL to request
+ * @param {string} link - Link as written in the source document
+ * @param {Object} reference - Element the link was found in, from extractLinkReferences
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {string} documentPath - Path to the document containing the link
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} externalLinkChecker - Checker created by createExternalLinkChecker
+ * @param {Object} options - Configuration options
+ */
+async function checkExternalLink(fetchLink, link, reference, issuesMap, documentPath, distPath, externalLinkChecker, options) {
+  const result = await externalLinkChecker.check(fetchLink);
+
+  if (result.redirects?.length) {
+    checkRedirectChain(result, link, issuesMap, documentPath, distPath, options, reference.details);
+  }
+
+  if (result.ok) {
+    if (result.soft404) {
+      addIssue(
+        issuesMap,
+        documentPath,
+        `Soft 404 for ${link}: ${result.soft404}`,
+        RULES.LINK_SOFT_404,
+        distPath,
+        reference.details
+      );
+    }
+    return;
+  }
+
+  // Some hosts answer bots with errors, e.g. 999 or 403 from linkedin.com
+  const hostRule = getHostRule(fetchLink, options.linkCheck?.hosts);
+  if (hostRule?.okStatuses?.includes(result.status)) {
+    return;
+  }
+
+  if (result.unverified) {
+    options.logger?.warn(`${result.status} Could not verify ${fetchLink} (rate limited)`);
+    addIssue(
+      issuesMap,
+      documentPath,
+      `Could not verify ${link}: HTTP ${result.status} after ${result.attempts} attempt${result.attempts !== 1 ? 's' : ''}`,
+      RULES.LINK_UNVERIFIED,
+      distPath,
+      reference.details
+    );
+    return;
+  }
+
+  const failure = describeLinkFailure(result);
+  options.logger?.error(`${failure.message} Error fetching ${fetchLink}`);
+  addBrokenLink(options.brokenLinksMap, documentPath, link, distPath, reference, options.brokenLinkDetails, {
+    ...failure,
+    status: result.status
+  });
+}
+
+/**
+ * Report an external link whose redirect chain needs attention
+ *
+ * A chain is reported when it starts with a permanent redirect (the link
+ * should point at the final URL instead), when it has more hops than
+ * linkCheck.maxRedirects, or when it downgrades from https to http.
+ * Single temporary redirects are common and left alone.
+ *
+ * @param {Object} result - Result from the external link checker
+ * @param {string} link - Link as written in the source document
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {string} documentPath - Path to the document containing the link
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} options - Configuration options
+ * @param {Object} [details] - Element the link was found in, from getElementDetails
+ */
+function checkRedirectChain(result, link, issuesMap, documentPath, distPath, options, details) {
+  const { redirects, finalUrl } = result;
+  const maxRedirects = options.linkCheck?.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+  const problems = [];
+
+  if (PERMANENT_REDIRECT_STATUSES.includes(redirects[0].status)) {
+    problems.push(`moved permanently (${redirects[0].status}), update link to ${finalUrl}`);
+  }
+
+  if (redirects.length > maxRedirects) {
+    problems.push(`${redirects.length} redirects exceed the limit of ${maxRedirects}`);
+  }
+
+  const urls = [...redirects.map((hop) => hop.url), finalUrl];
+  const downgrade = urls.findIndex((url, index) =>
+    index > 0 && url.startsWith('http:') && urls[index - 1].startsWith('https:')
+  );
+  if (downgrade !== -1) {
+    problems.push(`downgrades from https to http at ${urls[downgrade]}`);
+  }
+
+  if (problems.length === 0) {
+    return;
+  }
+
+  addIssue(
+    issuesMap,
+    documentPath,
+    `Redirected link ${link}: ${problems.join('; ')}. Chain: ${formatRedirectChain(result)}`,
+    RULES.LINK_REDIRECTED,
+    distPath,
+    details
+  );
+}
+
+/**
+ * Format a redirect chain as "301 url → 302 url → 200 url"
+ *
+ * @param {Object} result - Result from the external link checker
+ * @returns {string} - Each hop with its status code
+ */
+function formatRedirectChain(result) {
+  const hops = result.redirects.map((hop) => `${hop.status} ${hop.url}`);
+  hops.push(`${result.status ?? result.error} ${result.finalUrl}`);
+  return hops.join(' → ');
+}
+
+/**
+ * Report an internal link whose target renders the same content as 404.html
+ *
+ * @param {string|null} targetFile - Resolved file path of the link target
+ * @param {string} link - Link as written in the source document
+ * @param {Object} notFoundSignature - Signature of the built 404.html
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {string} documentPath - Path to the document containing the link
+ * @param {string} distPath - Path to the build output directory
+ * @param {Map} pageSignatures - Cache of title and text per HTML file
+ * @param {Object} [details] - Element the link was found in, from getElementDetails
+ */
+function checkInternalSoft404(targetFile, link, notFoundSignature, issuesMap, documentPath, distPath, pageSignatures, details) {
+  // Links to the 404 page itself are deliberate
+  if (!targetFile || path.resolve(targetFile) === path.resolve(distPath, '404.html')) {
+    return;
+  }
+
+  const signature = getFileSignature(targetFile, pageSignatures);
+  if (signature && isSimilarPage(signature, notFoundSignature)) {
+    addIssue(
+      issuesMap,
+      documentPath,
+      `Soft 404 for ${link}: content matches the 404 page`,
+      RULES.LINK_SOFT_404,
+      distPath,
+      details
+    );
+  }
+}
+
+/**
+ * Get the signature of an HTML file, reading each file only once
+ *
+ * @param {string} filePath - Path to the HTML file
+ * @param {Map} pageSignatures - Cache of title and text per HTML file
+ * @returns {Object|null} - Title and text of the page, or null if it is not an HTML file
+ */
+function getFileSignature(filePath, pageSignatures) {
+  if (!pageSignatures.has(filePath)) {
+    let signature = null;
+    if (filePath.endsWith('.html') && fs.existsSync(filePath)) {
+      signature = getPageSignature(fs.readFileSync(filePath, 'utf8'));
+    }
+    pageSignatures.set(filePath, signature);
+  }
+  return pageSignatures.get(filePath);
+}
+
+/**
+ * Check whether a reference navigates to a page rather than loading a resource
+ *
+ * @param {string} source - Element attribute the link was found in
+ * @returns {boolean} - True for <a href> and <area href>
+ */
+function isPageLink(source) {
+  return source === '<a href>' || source === '<area href>';
+}
+
+/**
+ * Report an internal link whose trailing slash contradicts the trailingSlash policy
+ *
+ * @param {string} urlPath - Resolved URL path of the link, including the base
+ * @param {string} link - Link as written in the source document
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {string} documentPath - Path to the document containing the link
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} [astroSiteConfig] - Astro settings captured by the integration
+ * @param {Object} [details] - Element the link was found in, from getElementDetails
+ */
+function checkTrailingSlash(urlPath, link, issuesMap, documentPath, distPath, astroSiteConfig, details) {
+  const violation = getTrailingSlashViolation(urlPath, astroSiteConfig?.trailingSlash);
+  if (!violation) {
+    return;
+  }
+
+  addIssue(
+    issuesMap,
+    documentPath,
+    `Link ${link} has ${violation}`,
+    RULES.LINK_TRAILING_SLASH,
+    distPath,
+    details
+  );
+}
+
+/**
+ * Find the file in the build output that serves an internal link
+ *
+ * @param {string} fetchLink - Link path relative to the build output (without base, query or fragment)
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} [logger] - Logger instance
+ * @param {Object} [astroSiteConfig] - Astro settings captured by the integration
+ * @param {Map} [directoryEntries] - Cache of directory listings, keyed by directory path
+ * @returns {string|null} - Absolute path of the matching file or directory, or null if none exists
+ */
+function resolveInternalFile(fetchLink, distPath, logger, astroSiteConfig, directoryEntries = new Map()) {
+  // Prefer a concrete file, but a bare directory still counts as existing
+  let existingDirectory = null;
+  for (const p of getPossiblePaths(fetchLink, distPath, astroSiteConfig)) {
+    try {
+      if (!fs.existsSync(p) || !hasExactCase(p, distPath, directoryEntries)) {
+        continue;
       }
-    })
+      if (fs.statSync(p).isFile()) {
+        return p;
+      }
+      existingDirectory = existingDirectory || p;
+    } catch (err) {
+      // Handle invalid paths that might cause existsSync to fail
+      logger?.debug?.(`Error checking path ${p}: ${err.message}`);
+    }
+  }
+
+  return existingDirectory;
+}
+
+/**
+ * List the files in the build output that could serve an internal link, most specific first
+ *
+ * @param {string} fetchLink - Link path relative to the build output (without base, query or fragment)
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} [astroSiteConfig] - Astro settings captured by the integration
+ * @returns {string[]} - Absolute paths, whether they exist or not
+ */
+function getPossiblePaths(fetchLink, distPath, astroSiteConfig) {
+  // Decode URI components to handle spaces and special characters
+  let decodedPath = fetchLink;
+  try {
+    decodedPath = decodeURIComponent(fetchLink);
+  } catch (err) {
+    // Malformed escape sequence, fall back to the raw path
+  }
+
+  const possiblePaths = [
+    path.join(distPath, decodedPath),
+    path.join(distPath, decodedPath, 'index.html'),
+    path.join(distPath, `${decodedPath}.html`),
+  ];
+
+  // For files with spaces or special characters, also check the encoded path
+  if (decodedPath !== fetchLink) {
+    possiblePaths.push(
+      path.join(distPath, fetchLink),
+      path.join(distPath, fetchLink, 'index.html'),
+      path.join(distPath, `${fetchLink}.html`)
+    );
+  }
+
+  // With build.format 'file', /about/ is served by about.html
+  if (astroSiteConfig?.buildFormat === 'file' && decodedPath.length > 1 && decodedPath.endsWith('/')) {
+    possiblePaths.push(path.join(distPath, `${decodedPath.slice(0, -1)}.html`));
+  }
+
+  return possiblePaths;
+}
+
+/**
+ * Check that every segment of a path in the build output matches the case on disk
+ *
+ * @param {string} filePath - Absolute path that exists in the build output
+ * @param {string} distPath - Path to the build output directory
+ * @param {Map} directoryEntries - Cache of directory listings, keyed by directory path
+ * @returns {boolean} - True if the path is spelled exactly like the files on disk
+ */
+function hasExactCase(filePath, distPath, directoryEntries) {
+  const relativePath = path.relative(distPath, filePath);
+  if (!relativePath || relativePath.startsWith('..')) {
+    return true;
+  }
+
+  let directory = distPath;
+  for (const segment of relativePath.split(path.sep)) {
+    if (!readDirectory(directory, directoryEntries).includes(segment)) {
+      return false;
+    }
+    directory = path.join(directory, segment);
+  }
+  return true;
+}
+
+/**
+ * Find the correctly cased version of an internal link that only differs in case
+ *
+ * @param {string} fetchLink - Link path relative to the build output
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} [logger] - Logger instance
+ * @param {Object} [astroSiteConfig] - Astro settings captured by the integration
+ * @param {Map} directoryEntries - Cache of directory listings, keyed by directory path
+ * @returns {string|null} - Correctly cased path (without base), or null if no page matches
+ */
+function findCorrectlyCasedPath(fetchLink, distPath, logger, astroSiteConfig, directoryEntries) {
+  let decodedPath = fetchLink;
+  try {
+    decodedPath = decodeURIComponent(fetchLink);
+  } catch (err) {
+    // Malformed escape sequence, fall back to the raw path
+  }
+
+  const segments = decodedPath.split('/').filter(Boolean);
+  const casedSegments = [];
+  let directory = distPath;
+
+  for (const [index, segment] of segments.entries()) {
+    const entries = readDirectory(directory, directoryEntries);
+    const lowerSegment = segment.toLowerCase();
+    let match = entries.find((entry) => entry === segment) ||
+      entries.find((entry) => entry.toLowerCase() === lowerSegment);
+
+    // /About may be served by about.html
+    if (!match && index === segments.length - 1) {
+      const htmlFile = entries.find((entry) => entry.toLowerCase() === `${lowerSegment}.html`);
+      match = htmlFile ? htmlFile.slice(0, -'.html'.length) : undefined;
+    }
+
+    if (!match) {
+      return null;
+    }
+    casedSegments.push(match);
+    directory = path.join(directory, match);
+  }
+
+  const trailingSlash = decodedPath.endsWith('/') && casedSegments.length > 0 ? '/' : '';
+  const casedPath = `/${casedSegments.join('/')}${trailingSlash}`;
+  if (casedPath === decodedPath) {
+    return null;
+  }
+
+  return resolveInternalFile(casedPath, distPath, logger, astroSiteConfig, directoryEntries) ? casedPath : null;
+}
+
+/**
+ * List a directory in the build output, reading each directory only once
+ *
+ * @param {string} directory - Absolute directory path
+ * @param {Map} directoryEntries - Cache of directory listings, keyed by directory path
+ * @returns {string[]} - Entry names, or an empty list if the directory can't be read
+ */
+function readDirectory(directory, directoryEntries) {
+  if (!directoryEntries.has(directory)) {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(directory);
+    } catch (err) {
+      // Not a directory or not readable
+    }
+    directoryEntries.set(directory, entries);
+  }
+  return directoryEntries.get(directory);
+}
+
+/**
+ * Check that a fragment identifier matches an element on the target page
+ *
+ * @param {string} fragment - Fragment without the leading '#'
+ * @param {string|null} targetFile - HTML file the fragment points into
+ * @param {string} link - Link as written in the source document
+ * @param {string|null} targetPath - Resolved path of the target page, null for same-page links
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {string} documentPath - Path to the document containing the link
+ * @param {string} distPath - Path to the build output directory
+ * @param {Map} pageAnchors - Cache of anchor ids per HTML file
+ * @param {Object} [details] - Element the link was found in, from getElementDetails
+ */
+function checkFragment(fragment, targetFile, link, targetPath, issuesMap, documentPath, distPath, pageAnchors, details) {
+  // Empty fragments and "#top" scroll to the top of the document, and
+  // text fragments (#:~:text=) are not tied to element ids
+  if (!fragment || fragment.toLowerCase() === 'top' || fragment.startsWith(':~:')) {
+    return;
+  }
+
+  // Only HTML documents have anchors we can verify
+  if (!targetFile || !targetFile.endsWith('.html')) {
+    return;
+  }
+
+  let id = fragment;
+  try {
+    id = decodeURIComponent(fragment);
+  } catch (err) {
+    // Keep the raw fragment if it is not valid percent-encoding
+  }
+
+  const anchors = getAnchorIds(targetFile, pageAnchors);
+  if (!anchors || anchors.has(id) || anchors.has(fragment)) {
+    return;
+  }
+
+  const location = targetPath ? `on ${normalizePath(targetPath)}` : 'on this page';
+  addIssue(
+    issuesMap,
+    documentPath,
+    `Broken anchor "${link}": no element with id="${id}" ${location}`,
+    RULES.LINK_BROKEN_ANCHOR,
+    distPath,
+    details
   );
+}
 
-  await Promise.all(checkLinkPromises);
+/**
+ * Get the anchor ids of an HTML file, parsing it only once per build
+ *
+ * @param {string} filePath - Absolute path to the HTML file
+ * @param {Map} pageAnchors - Cache of anchor ids per HTML file
+ * @returns {Set<string>|null} - Anchor ids, or null if the file can't be read
+ */
+function getAnchorIds(filePath, pageAnchors) {
+  if (pageAnchors.has(filePath)) {
+    return pageAnchors.get(filePath);
+  }
+
+  let anchors = null;
+  try {
+    anchors = collectAnchorIds(parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    // Unreadable target, leave the fragment unverified
+  }
+
+  pageAnchors.set(filePath, anchors);
+  return anchors;
+}
+
+/**
+ * Collect every fragment target in a document: element ids and legacy <a name> anchors
+ *
+ * @param {Object} root - Parsed HTML root
+ * @returns {Set<string>} - Set of anchor names
+ */
+function collectAnchorIds(root) {
+  const anchors = new Set();
+
+  for (const el of root.querySelectorAll('[id]')) {
+    anchors.add(el.getAttribute('id'));
+  }
+  for (const el of root.querySelectorAll('a[name]')) {
+    anchors.add(el.getAttribute('name'));
+  }
+
+  return anchors;
 }
 
 /**
@@ -275,11 +1000,13 @@ async function checkLinksInHtml(
  * @returns {boolean} - Whether the URL should be validated
  */
 function isValidUrl(url) {
-  // Skip mailto:, tel:, javascript:, and empty links
+  // Skip mailto:, tel:, javascript:, inline data, and empty links
   if (
     url.startsWith('mailto:') ||
     url.startsWith('tel:') ||
     url.startsWith('javascript:') ||
+    url.startsWith('data:') ||
+    url.startsWith('blob:') ||
     url.startsWith('#') ||
     url.trim() === ''
   ) {
@@ -296,8 +1023,11 @@ function isValidUrl(url) {
  * @param {string} documentPath - Path to the document
  * @param {string} brokenLink - Broken link URL
  * @param {string} distPath - Path to the build output directory
+ * @param {Object} [reference] - Element the link was found in, from extractLinkReferences
+ * @param {Map} [brokenLinkDetails] - Map of broken link -> failure reason and occurrences
+ * @param {Object} [failure] - Why the link is broken: reason, message and, for external links, status
  */
-function addBrokenLink(brokenLinksMap, documentPath, brokenLink, distPath) {
+function addBrokenLink(brokenLinksMap, documentPath, brokenLink, distPath, reference, brokenLinkDetails, failure) {
   // Normalize document path using the imported helper
   let normalizedPath = normalizeHtmlFilePath(documentPath, distPath);
 
@@ -305,6 +1035,51 @@ function addBrokenLink(brokenLinksMap, documentPath, brokenLink, distPath) {
     brokenLinksMap.set(brokenLink, new Set());
   }
   brokenLinksMap.get(brokenLink).add(normalizedPath);
+
+  if (!brokenLinkDetails) {
+    return;
+  }
+
+  // The first failure seen for a link explains it; every occurrence is kept
+  if (!brokenLinkDetails.has(brokenLink)) {
+    brokenLinkDetails.set(brokenLink, { ...failure, occurrences: [] });
+  }
+
+  if (reference) {
+    const { occurrences } = brokenLinkDetails.get(brokenLink);
+    const isDuplicate = occurrences.some((occurrence) =>
+      occurrence.page === normalizedPath && occurrence.source === reference.source && occurrence.line === reference.line
+    );
+    if (!isDuplicate) {
+      occurrences.push({
+        page: normalizedPath,
+        source: reference.source,
+        element: reference.element,
+        attribute: reference.attribute,
+        text: reference.text,
+        line: reference.line
+      });
+    }
+  }
+}
+
+/**
+ * Record a link that was skipped because it matches an ignore pattern
+ *
+ * @param {Map} [ignoredLinks] - Map of ignored link -> pages
+ * @param {string} documentPath - Path to the document
+ * @param {string} link - Link as written in the source document
+ * @param {string} distPath - Path to the build output directory
+ */
+function addIgnoredLink(ignoredLinks, documentPath, link, distPath) {
+  if (!ignoredLinks) {
+    return;
+  }
+
+  if (!ignoredLinks.has(link)) {
+    ignoredLinks.set(link, new Set());
+  }
+  ignoredLinks.get(link).add(normalizeHtmlFilePath(documentPath, distPath));
 }
 
 /**
@@ -1,37 +1,52 @@
 /**
  * Central registry for all SEO check phases
- * 
+ *
  * This file exports:
  * 1. Individual phase handler functions
- * 2. Phase configuration registry (for enabling/disabling phases)
- * 3. runPhases utility that executes enabled phases
+ * 2. Phase configuration registry, frozen so runs can't change each other's phases
+ * 3. getEnabledPhases utility that applies a run's `phases` option to the registry
+ * 4. createSiteContext, the run-scoped state shared by all pages of a scan
+ * 5. runPhases utility that parses a page once and executes the collect step of
+ *    enabled phases on it
+ * 6. finalizePhases utility that executes the finalize step of enabled phases
+ *    once all pages are scanned
  */
 
 // Import phase handlers
 import { checkFoundationPhase } from './foundation-phase.js';
-import { checkMetadataPhase } from './metadata-phase.js';
+import { checkMetadataPhase, finalizeMetadataPhase } from './metadata-phase.js';
 import { checkAccessibilityPhase } from './accessibility-phase.js';
-import { checkPerformancePhase } from './performance-phase.js';
-import { checkCrawlabilityPhase } from './crawlability-phase.js';
+import { checkPerformancePhase, finalizePerformancePhase } from './performance-phase.js';
+import { checkCrawlabilityPhase, finalizeCrawlabilityPhase } from './crawlability-phase.js';
 import { checkAiDetectionPhase } from './ai-detection-phase.js';
+import { createMixedContentCollector } from './mixed-content.js';
+import { createLinkGraph } from './link-graph.js';
+import { createPageContext } from './page-context.js';
 
 // Import types
-import { PHASE_IDS, PhaseOptions, AstroLogger } from '../types/index.js';
+import { PHASE_IDS, PhaseOptions, AstroLogger, AstroSeoCheckerOptions, AstroSiteConfig, IssuesMap, PageContext, SiteContext } from '../types/index.js';
 
-// Phase handler function type
+// Per-page step: checks the page and records cross-page data in options.siteContext
 type PhaseHandler = (
-  htmlContent: string,
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  page: PageContext | string,
+  issuesMap: IssuesMap,
   baseUrl: string,
   documentPath: string,
   distPath: string,
   options: PhaseOptions
 ) => Promise<void>;
 
+// Site-level step: runs once after every page was collected
+type PhaseFinalizer = (
+  siteContext: SiteContext,
+  options: PhaseOptions
+) => Promise<void> | void;
+
 // Phase configuration type
 interface PhaseConfig {
   name: string;
-  handler: PhaseHandler;
+  collect: PhaseHandler;
+  finalize?: PhaseFinalizer;
   description: string;
   enabled: boolean;
 }
@@ -48,62 +63,122 @@ export {
 
 /**
  * Phase configuration registry
- * - Each phase has a name, description, handler function and enabled status
- * - Used for configuration and phase execution
+ * - Each phase has a name, description, default enabled status, a collect
+ *   function run on every page and an optional finalize function run once per scan
+ * - Read-only: each run picks its phases with getEnabledPhases
  */
-export const phases: Record<string, PhaseConfig> = {
+export const phases: Readonly<Record<string, Readonly<PhaseConfig>>> = deepFreeze({
   [PHASE_IDS.FOUNDATION]: {
     name: 'Foundation & Privacy',
-    handler: checkFoundationPhase,
+    collect: checkFoundationPhase,
     description: 'Checks for broken links and exposed emails',
     enabled: true
   },
   [PHASE_IDS.METADATA]: {
     name: 'Metadata & Semantic Structure',
-    handler: checkMetadataPhase,
+    collect: checkMetadataPhase,
+    finalize: finalizeMetadataPhase,
     description: 'Checks for missing or duplicate metadata and heading structure',
     enabled: true
   },
   [PHASE_IDS.ACCESSIBILITY]: {
     name: 'Accessibility & UX Flags',
-    handler: checkAccessibilityPhase,
+    collect: checkAccessibilityPhase,
     description: 'Checks for accessibility issues like missing alt tags and generic link text',
     enabled: true
   },
   [PHASE_IDS.PERFORMANCE]: {
     name: 'Performance & Technical SEO',
-    handler: checkPerformancePhase,
+    collect: checkPerformancePhase,
+    finalize: finalizePerformancePhase,
     description: 'Checks for performance issues like large images, render-blocking resources and mobile viewport',
     enabled: true
   },
   [PHASE_IDS.CRAWLABILITY]: {
     name: 'Crawlability & Linking',
-    handler: checkCrawlabilityPhase,
+    collect: checkCrawlabilityPhase,
+    finalize: finalizeCrawlabilityPhase,
     description: 'Detects robots.txt issues, noindex/nofollow tags, and internal linking problems',
     enabled: true
   },
   [PHASE_IDS.AI_DETECTION]: {
     name: 'AI Content Detection',
-    handler: checkAiDetectionPhase,
+    collect: checkAiDetectionPhase,
     description: 'Detects potentially AI-generated content based on writing patterns',
     enabled: true
   }
-};
+});
+
+/**
+ * Get the phases a run executes, in registry order
+ *
+ * @param phaseSettings - The run's `phases` option; phases not listed keep their default
+ * @returns Enabled phases with their ids
+ */
+export function getEnabledPhases(
+  phaseSettings: AstroSeoCheckerOptions['phases'] = {}
+): Array<Readonly<PhaseConfig> & { id: string }> {
+  return Object.entries(phases)
+    .filter(([id, phase]) => phaseSettings[id] ?? phase.enabled)
+    .map(([id, phase]) => ({ id, ...phase }));
+}
+
+/**
+ * Freeze the registry and each phase in it
+ *
+ * @param registry - Phase configurations keyed by phase id
+ * @returns The frozen registry
+ */
+function deepFreeze<T extends Record<string, object>>(registry: T): Readonly<T> {
+  for (const phase of Object.values(registry)) {
+    Object.freeze(phase);
+  }
+  return Object.freeze(registry);
+}
+
+/**
+ * Create the state shared by all pages of one scan
+ *
+ * A new context per scan keeps results from leaking between builds, e.g.
+ * in watch mode or when several sites are checked in one process.
+ *
+ * @param distPath - Absolute path to the build output directory
+ * @param issuesMap - Map the finalize steps report into
+ * @param astroSiteConfig - Astro base, trailingSlash, build.format and site settings
+ * @returns Empty site context
+ */
+export function createSiteContext(
+  distPath: string,
+  issuesMap: IssuesMap,
+  astroSiteConfig?: AstroSiteConfig
+): SiteContext {
+  return {
+    distPath,
+    issuesMap,
+    metadata: {
+      titles: new Map(),
+      descriptions: new Map()
+    },
+    mixedContent: createMixedContentCollector(astroSiteConfig?.site),
+    linkGraph: createLinkGraph(),
+    linkGraphPages: []
+  };
+}
 
 /**
- * Runs all enabled SEO check phases on a given HTML document
+ * Runs the collect step of all enabled SEO check phases on a given HTML document
  *
  * @param htmlContent - Raw HTML content to analyze
  * @param issuesMap - Map to store found issues
  * @param baseUrl - Base URL for the document (for resolving relative links)
  * @param documentPath - Absolute path to the HTML file
  * @param distPath - Absolute path to the build output directory
- * @param options - Configuration options for checks
+ * @param options - Configuration options for checks, including the run's phases and siteContext
  * @param logger - Logger instance for output
  */
 export async function runPhases(
   htmlContent: string,
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  issuesMap: IssuesMap,
   baseUrl: string,
   documentPath: string,
   distPath: string,
@@ -117,16 +192,18 @@ export async function runPhases(
   // This reduces log noise while still providing some visibility
   const isVerboseLogging = options.verbose || false;
 
-  // Get all enabled phases with valid handlers
-  const enabledPhases = Object.entries(phases)
-    .filter(([_, phase]) => phase.enabled && typeof phase.handler === 'function')
-    .map(([id, phase]) => ({ id, ...phase }));
+  // Get the phases enabled for this run with valid handlers
+  const enabledPhases = getEnabledPhases(options.phases)
+    .filter(phase => typeof phase.collect === 'function');
+
+  // Parse the page once for all phases
+  const page = createPageContext(htmlContent, documentPath, distPath);
 
   // Run each enabled phase
   for (const phase of enabledPhases) {
     try {
-      await phase.handler(
-        htmlContent,
+      await phase.collect(
+        page,
         issuesMap,
         baseUrl,
         documentPath,
@@ -143,4 +220,35 @@ export async function runPhases(
       }
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Runs the finalize step of all enabled SEO check phases, after every page was collected
+ *
+ * Phases run in registry order, so the report is the same regardless of the
+ * order in which pages finished.
+ *
+ * @param siteContext - State collected from all pages
+ * @param options - Configuration options for checks
+ * @param logger - Logger instance for output
+ */
+export async function finalizePhases(
+  siteContext: SiteContext,
+  options: PhaseOptions = {} as PhaseOptions,
+  logger?: AstroLogger
+): Promise<void> {
+  const enabledPhases = getEnabledPhases(options.phases)
+    .filter(phase => typeof phase.finalize === 'function');
+
+  for (const phase of enabledPhases) {
+    try {
+      await phase.finalize!(siteContext, options);
+    } catch (error) {
+      logger?.error(`Error in phase '${phase.name}' while finalizing: ${error instanceof Error ? error.message : String(error)}`);
+
+      if (options.verbose && error instanceof Error && error.stack) {
+        logger?.error(error.stack);
+      }
+    }
+  }
+}
@@ -0,0 +1,9 @@
+import { IssueRule, IssueSeverity, SeverityOverrides } from '../types/index.js';
+
+export const SEVERITIES: IssueSeverity[];
+
+export const RULES: Record<string, IssueRule>;
+
+export function getRule(id: string): IssueRule | undefined;
+
+export function getSeverity(rule: Pick<IssueRule, 'id' | 'category' | 'severity'>, severities?: SeverityOverrides): IssueSeverity;
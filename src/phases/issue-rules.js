@@ -0,0 +1,468 @@
+/**
+ * Issue Rules
+ *
+ * Every check reports its issues under a rule: a stable id, the report
+ * category, a default severity, a short description and how to fix it.
+ * Phases pass the rule to addIssue, which turns it into an issue record.
+ */
+
+import { CATEGORIES } from './types.js';
+
+/**
+ * Severities from most to least serious
+ */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Rules by constant name, e.g. RULES.IMG_ALT_MISSING
+ */
+export const RULES = {
+  // Foundation phase
+  LINK_BROKEN: {
+    id: 'link-broken',
+    category: CATEGORIES.BROKEN_LINKS,
+    severity: 'error',
+    description: 'Links and resource references must point to a page or file that exists.',
+    fix: 'Correct the URL, restore the missing page or file, or remove the link.'
+  },
+  PRIVACY_EMAIL_TEXT: {
+    id: 'privacy-email-text',
+    category: CATEGORIES.PRIVACY_EMAIL,
+    severity: 'warning',
+    description: 'Email addresses in page text are collected by spam bots.',
+    fix: 'Obfuscate the address, use a contact form, or add it to emailAllowlist if it is meant to be public.'
+  },
+  PRIVACY_MAILTO_LINK: {
+    id: 'privacy-mailto-link',
+    category: CATEGORIES.PRIVACY_EMAIL,
+    severity: 'warning',
+    description: 'mailto: links expose the address to spam bots.',
+    fix: 'Obfuscate the address, use a contact form, or add it to emailAllowlist if it is meant to be public.'
+  },
+  LINK_BROKEN_ANCHOR: {
+    id: 'link-broken-anchor',
+    category: CATEGORIES.LINK_BROKEN_ANCHOR,
+    severity: 'error',
+    description: 'Fragment links must point to an element id on the target page.',
+    fix: 'Link to an id that exists on the target page, or add the id to the element.'
+  },
+  LINK_UNVERIFIED: {
+    id: 'link-unverified',
+    category: CATEGORIES.LINK_UNVERIFIED,
+    severity: 'info',
+    description: 'External links that kept answering with rate limits or server errors could not be checked.',
+    fix: 'Check the link by hand, or tune linkCheck retries and per-host limits.'
+  },
+  LINK_REDIRECTED: {
+    id: 'link-redirected',
+    category: CATEGORIES.LINK_REDIRECTED,
+    severity: 'warning',
+    description: 'External links that redirect through several hops, permanently or to another site cost crawl budget and may go stale.',
+    fix: 'Link to the final URL directly.'
+  },
+  LINK_TRAILING_SLASH: {
+    id: 'link-trailing-slash',
+    category: CATEGORIES.LINK_TRAILING_SLASH,
+    severity: 'warning',
+    description: 'Internal links should match the trailingSlash setting, so they are not redirected.',
+    fix: 'Add or remove the trailing slash to match the trailingSlash setting.'
+  },
+  LINK_REDIRECT_LOOP: {
+    id: 'link-redirect-loop',
+    category: CATEGORIES.LINK_REDIRECT_INTERNAL,
+    severity: 'error',
+    description: 'Redirects that lead back to themselves never reach a page.',
+    fix: 'Change the redirect rules so the chain ends at a page.'
+  },
+  LINK_REDIRECT_CHAIN: {
+    id: 'link-redirect-chain',
+    category: CATEGORIES.LINK_REDIRECT_INTERNAL,
+    severity: 'warning',
+    description: 'Internal links that go through more than one redirect slow down visitors and crawlers.',
+    fix: 'Link to the final page directly.'
+  },
+  LINK_REDIRECT_MISSING: {
+    id: 'link-redirect-missing',
+    category: CATEGORIES.LINK_REDIRECT_INTERNAL,
+    severity: 'error',
+    description: 'Redirects must lead to a page that exists in the build output.',
+    fix: 'Point the redirect at an existing page, or restore the missing page.'
+  },
+  LINK_SOFT_404: {
+    id: 'link-soft-404',
+    category: CATEGORIES.LINK_SOFT_404,
+    severity: 'warning',
+    description: 'Links to pages that answer successfully but show "not found" content are broken for visitors.',
+    fix: 'Link to a page with real content, or remove the link.'
+  },
+
+  // Metadata phase
+  META_TITLE_MISSING: {
+    id: 'meta-title-missing',
+    category: CATEGORIES.META_MISSING,
+    severity: 'error',
+    description: 'Every page needs a <title>, which search engines show as the result headline.',
+    fix: 'Add a <title> that describes the page in under 60 characters.'
+  },
+  META_TITLE_EMPTY: {
+    id: 'meta-title-empty',
+    category: CATEGORIES.META_EMPTY,
+    severity: 'error',
+    description: 'An empty <title> gives search engines no headline for the page.',
+    fix: 'Fill in the <title> with a description of the page in under 60 characters.'
+  },
+  META_TITLE_DUPLICATE: {
+    id: 'meta-title-duplicate',
+    category: CATEGORIES.META_DUPLICATES,
+    severity: 'warning',
+    description: 'Pages sharing a title compete with each other in search results.',
+    fix: 'Give each page a unique title.'
+  },
+  META_DESCRIPTION_MISSING: {
+    id: 'meta-description-missing',
+    category: CATEGORIES.META_MISSING,
+    severity: 'warning',
+    description: 'Without a meta description, search engines pick a snippet from the page text.',
+    fix: 'Add <meta name="description" content="..."> summarizing the page in 50 to 160 characters.'
+  },
+  META_DESCRIPTION_EMPTY: {
+    id: 'meta-description-empty',
+    category: CATEGORIES.META_EMPTY,
+    severity: 'warning',
+    description: 'An empty meta description is the same as none.',
+    fix: 'Fill in the description content with a summary of the page in 50 to 160 characters.'
+  },
+  META_DESCRIPTION_DUPLICATE: {
+    id: 'meta-description-duplicate',
+    category: CATEGORIES.META_DUPLICATES,
+    severity: 'warning',
+    description: 'Pages sharing a meta description look alike in search results.',
+    fix: 'Give each page a unique description.'
+  },
+  HEADING_H1_MISSING: {
+    id: 'heading-h1-missing',
+    category: CATEGORIES.SEMANTIC_HEADINGS,
+    severity: 'warning',
+    description: 'The <h1> tells visitors and search engines what the page is about.',
+    fix: 'Add one <h1> with the main topic of the page.'
+  },
+  HEADING_H1_MULTIPLE: {
+    id: 'heading-h1-multiple',
+    category: CATEGORIES.SEMANTIC_HEADINGS,
+    severity: 'warning',
+    description: 'More than one <h1> makes the main topic of the page unclear.',
+    fix: 'Keep one <h1> and use <h2> to <h6> for sections.'
+  },
+  HEADING_H1_EMPTY: {
+    id: 'heading-h1-empty',
+    category: CATEGORIES.SEMANTIC_HEADINGS,
+    severity: 'warning',
+    description: 'An empty <h1> gives the page no main heading.',
+    fix: 'Put the main topic of the page in the <h1>.'
+  },
+  HTML_LANG_MISSING: {
+    id: 'html-lang-missing',
+    category: CATEGORIES.SEMANTIC_LANGUAGE,
+    severity: 'warning',
+    description: 'The lang attribute tells screen readers and search engines the language of the page.',
+    fix: 'Add a lang attribute to <html>, e.g. <html lang="en">.'
+  },
+  HTML_LANG_EMPTY: {
+    id: 'html-lang-empty',
+    category: CATEGORIES.SEMANTIC_LANGUAGE,
+    severity: 'warning',
+    description: 'An empty lang attribute is the same as none.',
+    fix: 'Set the lang attribute to the language of the page, e.g. lang="en".'
+  },
+  CANONICAL_EMPTY: {
+    id: 'canonical-empty',
+    category: CATEGORIES.META_CANONICAL,
+    severity: 'error',
+    description: 'A canonical link without href points nowhere.',
+    fix: 'Set href to the preferred URL of the page, or remove the canonical link.'
+  },
+  CANONICAL_MISMATCH: {
+    id: 'canonical-mismatch',
+    category: CATEGORIES.META_CANONICAL,
+    severity: 'warning',
+    description: 'A canonical link to another page asks search engines to index that page instead.',
+    fix: 'Point the canonical link at the page itself, unless it is meant to be a duplicate.'
+  },
+  CANONICAL_INVALID: {
+    id: 'canonical-invalid',
+    category: CATEGORIES.META_CANONICAL,
+    severity: 'error',
+    description: 'Search engines ignore canonical links that are not valid URLs.',
+    fix: 'Use an absolute URL for the canonical link.'
+  },
+
+  // Accessibility phase
+  IMG_ALT_MISSING: {
+    id: 'img-alt-missing',
+    category: CATEGORIES.A11Y_ALT_MISSING,
+    severity: 'error',
+    description: 'Images need alt text for screen readers and image search.',
+    fix: 'Add an alt attribute describing the image, or alt="" if it is decorative.'
+  },
+  IMG_ALT_EMPTY: {
+    id: 'img-alt-empty',
+    category: CATEGORIES.A11Y_ALT_EMPTY,
+    severity: 'info',
+    description: 'Empty alt text hides the image from screen readers, which is only right for decorative images.',
+    fix: 'Describe the image in the alt attribute unless it is decorative.'
+  },
+  BUTTON_NAME_MISSING: {
+    id: 'button-name-missing',
+    category: CATEGORIES.A11Y_INTERACTIVE,
+    severity: 'error',
+    description: 'Buttons need text or a label, or screen readers announce them without a purpose.',
+    fix: 'Add text to the button, or an aria-label or aria-labelledby attribute.'
+  },
+  LINK_NAME_MISSING: {
+    id: 'link-name-missing',
+    category: CATEGORIES.A11Y_INTERACTIVE,
+    severity: 'error',
+    description: 'Links need text or a label, or screen readers announce them without a destination.',
+    fix: 'Add text to the link, or an aria-label or aria-labelledby attribute.'
+  },
+  LINK_TEXT_GENERIC: {
+    id: 'link-text-generic',
+    category: CATEGORIES.A11Y_LINK_TEXT,
+    severity: 'warning',
+    description: 'Link text like "click here" says nothing about the destination to visitors or search engines.',
+    fix: 'Describe the destination in the link text.'
+  },
+
+  // Performance phase
+  IMG_DIMENSIONS_MISSING: {
+    id: 'img-dimensions-missing',
+    category: CATEGORIES.PERF_LAYOUT_SHIFT,
+    severity: 'warning',
+    description: 'Images without width and height move the content around while they load.',
+    fix: 'Add width and height attributes with the intrinsic size of the image.'
+  },
+  RENDER_BLOCKING_SCRIPT: {
+    id: 'render-blocking-script',
+    category: CATEGORIES.PERF_RENDER_BLOCKING,
+    severity: 'warning',
+    description: 'Scripts without async or defer stop the page from rendering until they are loaded.',
+    fix: 'Add defer, or async if the script does not depend on the document.'
+  },
+  RENDER_BLOCKING_STYLESHEET: {
+    id: 'render-blocking-stylesheet',
+    category: CATEGORIES.PERF_RENDER_BLOCKING,
+    severity: 'info',
+    description: 'Stylesheets in the <head> stop the page from rendering until they are loaded.',
+    fix: 'Inline critical CSS and load the rest with media or preload.'
+  },
+  INLINE_SCRIPT_LARGE: {
+    id: 'inline-script-large',
+    category: CATEGORIES.PERF_INLINE_CODE,
+    severity: 'info',
+    description: 'Large inline scripts are downloaded again with every page instead of being cached.',
+    fix: 'Move the script to an external file.'
+  },
+  INLINE_STYLE_LARGE: {
+    id: 'inline-style-large',
+    category: CATEGORIES.PERF_INLINE_CODE,
+    severity: 'info',
+    description: 'Large inline styles are downloaded again with every page instead of being cached.',
+    fix: 'Move the styles to an external stylesheet.'
+  },
+  IMAGE_SIZE_LARGE: {
+    id: 'image-size-large',
+    category: CATEGORIES.PERF_LARGE_RESOURCES,
+    severity: 'info',
+    description: 'Large image files slow down page loads, especially on mobile.',
+    fix: 'Compress the image, resize it to its displayed size, or use a next-gen format such as WebP or AVIF.'
+  },
+  VIEWPORT_MISSING: {
+    id: 'viewport-missing',
+    category: CATEGORIES.TECH_MOBILE,
+    severity: 'error',
+    description: 'Without a viewport meta tag, mobile browsers render the page zoomed out.',
+    fix: 'Add <meta name="viewport" content="width=device-width, initial-scale=1">.'
+  },
+  VIEWPORT_WIDTH: {
+    id: 'viewport-width',
+    category: CATEGORIES.TECH_MOBILE,
+    severity: 'warning',
+    description: 'The viewport should follow the width of the device.',
+    fix: 'Add width=device-width to the viewport content.'
+  },
+  VIEWPORT_INITIAL_SCALE: {
+    id: 'viewport-initial-scale',
+    category: CATEGORIES.TECH_MOBILE,
+    severity: 'warning',
+    description: 'The viewport should start unzoomed.',
+    fix: 'Add initial-scale=1 to the viewport content.'
+  },
+  VIEWPORT_ZOOM_DISABLED: {
+    id: 'viewport-zoom-disabled',
+    category: CATEGORIES.TECH_MOBILE,
+    severity: 'warning',
+    description: 'Disabling zoom keeps visitors with low vision from enlarging the page.',
+    fix: 'Remove user-scalable=no and maximum-scale=1 from the viewport content.'
+  },
+  MIXED_CONTENT_ACTIVE: {
+    id: 'mixed-content-active',
+    category: CATEGORIES.TECH_MIXED_ACTIVE,
+    severity: 'error',
+    description: 'Browsers block scripts, stylesheets, frames and forms loaded over http on https pages.',
+    fix: 'Load the resource over https.'
+  },
+  MIXED_CONTENT_PASSIVE: {
+    id: 'mixed-content-passive',
+    category: CATEGORIES.TECH_MIXED_PASSIVE,
+    severity: 'warning',
+    description: 'Images and media loaded over http on https pages trigger browser warnings.',
+    fix: 'Load the resource over https.'
+  },
+
+  // Crawlability phase
+  ROBOTS_NOINDEX: {
+    id: 'robots-noindex',
+    category: CATEGORIES.CRAWL_NOINDEX,
+    severity: 'warning',
+    description: 'A noindex robots meta tag keeps the page out of search results.',
+    fix: 'Remove noindex unless the page is meant to stay out of search results.'
+  },
+  ROBOTS_NOFOLLOW: {
+    id: 'robots-nofollow',
+    category: CATEGORIES.CRAWL_NOFOLLOW,
+    severity: 'warning',
+    description: 'A nofollow robots meta tag stops search engines from following any link on the page.',
+    fix: 'Remove nofollow unless none of the links should be followed.'
+  },
+  ROBOTS_NOARCHIVE: {
+    id: 'robots-noarchive',
+    category: CATEGORIES.CRAWL_NOARCHIVE,
+    severity: 'info',
+    description: 'A noarchive robots meta tag stops search engines from keeping a cached copy.',
+    fix: 'Remove noarchive unless cached copies must not be shown.'
+  },
+  LINK_NOFOLLOW_INTERNAL: {
+    id: 'link-nofollow-internal',
+    category: CATEGORIES.LINK_NOFOLLOW,
+    severity: 'warning',
+    description: 'rel="nofollow" on internal links stops search engines from discovering your own pages.',
+    fix: 'Remove rel="nofollow" from links to your own pages.'
+  },
+  LINKS_TOO_FEW: {
+    id: 'links-too-few',
+    category: CATEGORIES.LINK_TOO_FEW,
+    severity: 'info',
+    description: 'Pages with few internal links give visitors and crawlers few ways to go on.',
+    fix: 'Link to related pages of the site.'
+  },
+  LINKS_TOO_MANY: {
+    id: 'links-too-many',
+    category: CATEGORIES.LINK_TOO_MANY,
+    severity: 'info',
+    description: 'Pages with very many internal links spread their ranking signals thin.',
+    fix: 'Keep the most relevant links, or split the page.'
+  },
+  ROBOTS_TXT_MISSING: {
+    id: 'robots-txt-missing',
+    category: CATEGORIES.CRAWL_ROBOTS_TXT,
+    severity: 'warning',
+    description: 'robots.txt tells crawlers what to crawl and where the sitemap is.',
+    fix: 'Add a robots.txt file to the public directory.'
+  },
+  ROBOTS_TXT_DISALLOW_ALL: {
+    id: 'robots-txt-disallow-all',
+    category: CATEGORIES.CRAWL_ROBOTS_TXT,
+    severity: 'error',
+    description: '"Disallow: /" blocks search engines from the whole site.',
+    fix: 'Remove "Disallow: /" unless the site must not be crawled.'
+  },
+  ROBOTS_TXT_NO_SITEMAP: {
+    id: 'robots-txt-no-sitemap',
+    category: CATEGORIES.CRAWL_ROBOTS_TXT,
+    severity: 'info',
+    description: 'A Sitemap line in robots.txt helps crawlers find every page.',
+    fix: 'Add "Sitemap: https://your-site/sitemap-index.xml" to robots.txt.'
+  },
+  SITEMAP_MISSING: {
+    id: 'sitemap-missing',
+    category: CATEGORIES.CRAWL_SITEMAP,
+    severity: 'warning',
+    description: 'A sitemap helps search engines find every page.',
+    fix: 'Add the @astrojs/sitemap integration.'
+  },
+  SITEMAP_INVALID: {
+    id: 'sitemap-invalid',
+    category: CATEGORIES.CRAWL_SITEMAP,
+    severity: 'error',
+    description: 'Search engines ignore sitemaps that are not valid XML.',
+    fix: 'Regenerate the sitemap, or fix its XML.'
+  },
+  PAGE_DEAD_END: {
+    id: 'page-dead-end',
+    category: CATEGORIES.LINK_DEAD_END,
+    severity: 'info',
+    description: 'Pages without links to the rest of the site leave visitors and crawlers nowhere to go.',
+    fix: 'Link to related pages, or add site navigation.'
+  },
+  PAGE_ORPHAN: {
+    id: 'page-orphan',
+    category: CATEGORIES.LINK_ORPHAN,
+    severity: 'warning',
+    description: 'Pages no other page links to are hard for visitors and crawlers to find.',
+    fix: 'Link to the page from related pages, or remove it if it is no longer needed.'
+  },
+  PAGE_NOFOLLOW_ONLY: {
+    id: 'page-nofollow-only',
+    category: CATEGORIES.LINK_NOFOLLOW_ONLY,
+    severity: 'warning',
+    description: 'Pages only linked with rel="nofollow" are not discovered by crawlers.',
+    fix: 'Link to the page without rel="nofollow".'
+  },
+  PAGE_UNREACHABLE: {
+    id: 'page-unreachable',
+    category: CATEGORIES.LINK_CLICK_DEPTH,
+    severity: 'warning',
+    description: 'Pages that cannot be reached from the homepage by following links are hard to find.',
+    fix: 'Link to the page from a page that is reachable from the homepage.'
+  },
+  PAGE_CLICK_DEPTH: {
+    id: 'page-click-depth',
+    category: CATEGORIES.LINK_CLICK_DEPTH,
+    severity: 'info',
+    description: 'Pages many clicks from the homepage are crawled less often and rank lower.',
+    fix: 'Link to the page from the homepage or a section page, or raise maxClickDepth.'
+  },
+
+  // AI detection phase
+  AI_CONTENT: {
+    id: 'ai-content',
+    category: CATEGORIES.AI_CONTENT,
+    severity: 'info',
+    description: 'Text that reads as machine-generated may be seen as low-quality content.',
+    fix: 'Review the text and rewrite it in your own voice.'
+  }
+};
+
+// Rules by id, for reports that only have an issue's ruleId
+const RULES_BY_ID = new Map(Object.values(RULES).map((rule) => [rule.id, rule]));
+
+/**
+ * Look up a rule by id
+ *
+ * @param {string} id - Rule id, e.g. "img-alt-missing"
+ * @returns {Object|undefined} - Rule, or undefined for unknown ids
+ */
+export function getRule(id) {
+  return RULES_BY_ID.get(id);
+}
+
+/**
+ * Work out the severity of a rule's issues
+ *
+ * @param {Object} rule - Rule with id, category and default severity
+ * @param {Object} [severities] - Severity overrides by rule id or category
+ * @returns {string} - Severity override for the rule, else for its category, else the rule's default
+ */
+export function getSeverity(rule, severities) {
+  return severities?.[rule.id] ?? severities?.[rule.category] ?? rule.severity;
+}
@@ -0,0 +1,8 @@
+import { AstroLogger, LinkCache, LinkCacheOptions } from '../types/index.js';
+
+export function getDefaultCacheDir(projectRoot?: string): string;
+
+export function createLinkCache(
+  options?: LinkCacheOptions,
+  logger?: AstroLogger
+): LinkCache;
@@ -0,0 +1,150 @@
+/**
+ * External Link Cache
+ *
+ * Persists external link results between builds so that repeated builds only
+ * re-check links that are new or whose cached result has expired.
+ *
+ * The cache lives in node_modules/.cache/astro-seo-checker by default, which
+ * CI providers commonly restore between runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Bump when the stored entry format changes to discard old caches
+const CACHE_VERSION = 2;
+const CACHE_FILE_NAME = 'external-links.json';
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_FAILURE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Get the default cache directory for a project
+ *
+ * @param {string} [projectRoot] - Project root directory (defaults to the working directory)
+ * @returns {string} - Absolute path of the cache directory
+ */
+export function getDefaultCacheDir(projectRoot = process.cwd()) {
+  return path.join(projectRoot, 'node_modules', '.cache', 'astro-seo-checker');
+}
+
+/**
+ * Create a persistent cache for external link results
+ *
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.dir] - Directory to store the cache file in
+ * @param {number} [options.ttl] - How long successful results stay valid, in milliseconds
+ * @param {number} [options.failureTtl] - How long failed results stay valid, in milliseconds
+ * @param {boolean} [options.refresh=false] - Ignore stored results and re-check every link
+ * @param {Object} [logger] - Logger instance
+ * @returns {{get: Function, set: Function, save: Function, size: number}} - Cache instance
+ */
+export function createLinkCache(options = {}, logger) {
+  const cacheDir = options.dir || getDefaultCacheDir();
+  const cacheFile = path.join(cacheDir, CACHE_FILE_NAME);
+  const ttl = options.ttl ?? DEFAULT_TTL;
+  const failureTtl = options.failureTtl ?? DEFAULT_FAILURE_TTL;
+
+  const entries = options.refresh ? new Map() : loadEntries(cacheFile, logger);
+  let dirty = false;
+
+  /**
+   * Check whether a stored entry is still fresh
+   */
+  function isFresh(entry, now = Date.now()) {
+    const maxAge = entry.ok ? ttl : failureTtl;
+    return now - entry.checkedAt < maxAge;
+  }
+
+  return {
+    /**
+     * Get a fresh cached result for a URL
+     *
+     * @param {string} url - External URL
+     * @returns {Object|null} - Cached entry, or null if missing or expired
+     */
+    get(url) {
+      const entry = entries.get(url);
+      return entry && isFresh(entry) ? entry : null;
+    },
+
+    /**
+     * Store the result of checking a URL
+     *
+     * Unverified (rate-limited) results are not stored so the next build tries again.
+     *
+     * @param {string} url - External URL
+     * @param {Object} result - Check result
+     */
+    set(url, result) {
+      if (result.unverified) {
+        return;
+      }
+
+      entries.set(url, {
+        status: result.status,
+        ok: result.ok,
+        error: result.error,
+        finalUrl: result.finalUrl || url,
+        redirects: result.redirects || [],
+        soft404: result.soft404,
+        checkedAt: Date.now()
+      });
+      dirty = true;
+    },
+
+    /**
+     * Write the cache to disk, dropping expired entries
+     */
+    save() {
+      if (!dirty) {
+        return;
+      }
+
+      const now = Date.now();
+      const links = {};
+      for (const [url, entry] of entries) {
+        if (isFresh(entry, now)) {
+          links[url] = entry;
+        }
+      }
+
+      try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(cacheFile, JSON.stringify({ version: CACHE_VERSION, links }), 'utf8');
+        dirty = false;
+      } catch (error) {
+        logger?.warn(`Could not write external link cache to ${cacheFile}: ${error.message}`);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Read cached entries from disk
+ *
+ * @param {string} cacheFile - Path of the cache file
+ * @param {Object} [logger] - Logger instance
+ * @returns {Map<string, Object>} - Cached entries by URL
+ */
+function loadEntries(cacheFile, logger) {
+  if (!fs.existsSync(cacheFile)) {
+    return new Map();
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (data.version !== CACHE_VERSION || !data.links) {
+      return new Map();
+    }
+    return new Map(Object.entries(data.links));
+  } catch (error) {
+    // A corrupt cache is simply rebuilt
+    logger?.debug?.(`Ignoring unreadable external link cache ${cacheFile}: ${error.message}`);
+    return new Map();
+  }
+}
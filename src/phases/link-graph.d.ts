@@ -0,0 +1,20 @@
+import { HTMLElement } from 'node-html-parser';
+import { AstroSiteConfig, IssuesMap, LinkCheckOptions, LinkGraph, LinkGraphPage } from '../types/index.js';
+
+export function createLinkGraph(): LinkGraph;
+
+export function collectPageLinks(
+  root: HTMLElement,
+  documentPath: string,
+  distPath: string,
+  graph: LinkGraph,
+  options?: { astroSiteConfig?: AstroSiteConfig; linkCheck?: LinkCheckOptions }
+): void;
+
+export function analyzeLinkGraph(graph: LinkGraph): LinkGraphPage[];
+
+export function reportLinkGraph(
+  graph: LinkGraph,
+  issuesMap: IssuesMap,
+  options?: { maxClickDepth?: number }
+): LinkGraphPage[];
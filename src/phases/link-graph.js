@@ -0,0 +1,287 @@
+/**
+ * Internal Link Graph
+ *
+ * Every page's links to other pages are collected while pages are scanned.
+ * Once all pages are known, the graph shows which pages nothing links to
+ * (orphans), which pages crawlers can only reach through nofollow links,
+ * which pages link nowhere (dead ends) and how many clicks each page is from
+ * the homepage.
+ */
+
+import { RULES } from './issue-rules.js';
+import path from 'path';
+import { addIssue, normalizePath, normalizeHtmlFilePath } from './utils.js';
+import { getPageUrl, stripBase, getSiteHosts, parseSiteUrl } from './site-paths.js';
+
+// Clicks from the homepage after which a page counts as buried
+const DEFAULT_MAX_CLICK_DEPTH = 3;
+// Error pages are served by the host, not linked to
+const ERROR_PAGES = ['/404', '/500'];
+// Longest anchor text kept per link
+const MAX_ANCHOR_TEXT_LENGTH = 80;
+
+/**
+ * Create the state that collects internal links across pages
+ *
+ * @returns {{pages: Map<string, Object>}} - Empty graph, pages keyed by their path in the build output
+ */
+export function createLinkGraph() {
+  return { pages: new Map() };
+}
+
+/**
+ * Add a page and its links to other pages of the site to the graph
+ *
+ * @param {Object} root - Parsed HTML root
+ * @param {string} documentPath - Path to the HTML file
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} graph - State created by createLinkGraph
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.astroSiteConfig] - Astro base, trailingSlash, build.format and site settings
+ * @param {Object} [options.linkCheck] - Link checking options, for linkCheck.siteAliases
+ */
+export function collectPageLinks(root, documentPath, distPath, graph, options = {}) {
+  const { astroSiteConfig } = options;
+  const pageUrl = getPageUrl(documentPath, distPath, astroSiteConfig);
+  const siteHosts = getSiteHosts(astroSiteConfig?.site, options.linkCheck?.siteAliases);
+
+  // <meta name="robots" content="nofollow"> applies to every link on the page
+  const robots = root.querySelector('meta[name="robots"]')?.getAttribute('content') || '';
+  const pageNofollow = /\b(nofollow|none)\b/i.test(robots);
+
+  const links = [];
+  for (const el of root.querySelectorAll('a[href], area[href]')) {
+    const target = resolveTarget(el.getAttribute('href').trim(), pageUrl, siteHosts, astroSiteConfig?.base);
+    if (!target) {
+      continue;
+    }
+
+    const rel = (el.getAttribute('rel') || '').trim().toLowerCase();
+    links.push({
+      target,
+      text: getAnchorText(el),
+      rel,
+      nofollow: pageNofollow || rel.split(/\s+/).includes('nofollow')
+    });
+  }
+
+  // Keyed the way links resolve, so the homepage is "/" rather than "/index"
+  const page = normalizePath(`/${path.relative(distPath, documentPath).split(path.sep).join('/')}`);
+  graph.pages.set(page, {
+    page,
+    documentPath,
+    distPath,
+    title: (root.querySelector('title')?.textContent || '').replace(/\s+/g, ' ').trim(),
+    links
+  });
+}
+
+/**
+ * Work out inbound links and click depth for every page in the graph
+ *
+ * Links are matched to pages regardless of trailing slashes and `.html`
+ * suffixes. Links to URLs that are not pages of the site are dropped.
+ *
+ * @param {Object} graph - State filled by collectPageLinks
+ * @returns {Array<Object>} - One entry per page, sorted by page: page,
+ *   reportPath (the path its issues are reported under), title, inbound
+ *   (pages linking to it), outbound (pages it links to), depth (clicks from
+ *   the homepage over followed links, null if unreachable), nofollowOnly and
+ *   the resolved links
+ */
+export function analyzeLinkGraph(graph) {
+  const pages = [...graph.pages.values()].sort((a, b) => a.page.localeCompare(b.page));
+  const stats = new Map(pages.map((node) => [node.page, {
+    page: node.page,
+    reportPath: normalizeHtmlFilePath(node.documentPath, node.distPath),
+    title: node.title,
+    inbound: 0,
+    outbound: 0,
+    depth: null,
+    nofollowOnly: false,
+    links: []
+  }]));
+
+  const linkingPages = new Map(pages.map((node) => [node.page, new Set()]));
+  const followed = new Map();
+  const any = new Map();
+
+  for (const node of pages) {
+    const stat = stats.get(node.page);
+    const targets = new Set();
+    followed.set(node.page, new Set());
+    any.set(node.page, new Set());
+
+    for (const link of node.links) {
+      const target = findPage(link.target, stats);
+      if (!target) {
+        continue;
+      }
+      stat.links.push({ ...link, target });
+      if (target === node.page) {
+        continue;
+      }
+
+      targets.add(target);
+      linkingPages.get(target).add(node.page);
+      any.get(node.page).add(target);
+      if (!link.nofollow) {
+        followed.get(node.page).add(target);
+      }
+    }
+    stat.outbound = targets.size;
+  }
+
+  for (const [page, sources] of linkingPages) {
+    stats.get(page).inbound = sources.size;
+  }
+
+  // Click depth and reachability are measured from the homepage
+  if (stats.has('/')) {
+    const followedDepths = getDepths('/', followed);
+    const anyDepths = getDepths('/', any);
+    for (const stat of stats.values()) {
+      stat.depth = followedDepths.get(stat.page) ?? null;
+      stat.nofollowOnly = stat.depth === null && anyDepths.has(stat.page);
+    }
+  }
+
+  return [...stats.values()];
+}
+
+/**
+ * Report orphan, nofollow-only, dead-end and deeply buried pages
+ *
+ * @param {Object} graph - State filled by collectPageLinks
+ * @param {Map} issuesMap - Map to store found issues
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxClickDepth] - Clicks from the homepage after which a page is reported (defaults to 3)
+ * @returns {Array<Object>} - Per-page statistics from analyzeLinkGraph
+ */
+export function reportLinkGraph(graph, issuesMap, options = {}) {
+  const maxDepth = options.maxClickDepth ?? DEFAULT_MAX_CLICK_DEPTH;
+  const pageStats = analyzeLinkGraph(graph);
+  const hasHomepage = graph.pages.has('/');
+
+  for (const stat of pageStats) {
+    const { documentPath, distPath } = graph.pages.get(stat.page);
+    // A page has each of these issues at most once, so none needs a subject
+    const report = (issue, rule) => addIssue(issuesMap, documentPath, issue, rule, distPath, { subject: '' });
+
+    if (ERROR_PAGES.includes(stat.page)) {
+      continue;
+    }
+
+    // A single page has nothing to link to
+    if (stat.outbound === 0 && pageStats.length > 1) {
+      report('Page has no links to other pages on the site (dead end)', RULES.PAGE_DEAD_END);
+    }
+
+    if (stat.page === '/') {
+      continue;
+    }
+
+    if (stat.inbound === 0) {
+      report('No other page links to this page (orphan page)', RULES.PAGE_ORPHAN);
+    } else if (stat.nofollowOnly) {
+      report('Page can only be reached through nofollow links', RULES.PAGE_NOFOLLOW_ONLY);
+    } else if (hasHomepage && stat.depth === null) {
+      report('Page cannot be reached by following links from the homepage', RULES.PAGE_UNREACHABLE);
+    } else if (stat.depth > maxDepth) {
+      report(`Page is ${stat.depth} clicks from the homepage (recommend at most ${maxDepth})`, RULES.PAGE_CLICK_DEPTH);
+    }
+  }
+
+  return pageStats;
+}
+
+/**
+ * Resolve a link to the path of the page it points at
+ *
+ * @param {string} href - Link as written
+ * @param {string} pageUrl - URL path of the page containing the link
+ * @param {Set<string>} siteHosts - Hosts the site is served under
+ * @param {string} [base] - Astro `base` setting
+ * @returns {string|null} - Normalized path inside the build output, or null for external and non-page links
+ */
+function resolveTarget(href, pageUrl, siteHosts, base) {
+  if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href)) {
+    return null;
+  }
+
+  let pathname;
+  try {
+    if (/^https?:\/\//i.test(href) || href.startsWith('//')) {
+      const siteUrl = parseSiteUrl(href.startsWith('//') ? `https:${href}` : href, siteHosts);
+      if (!siteUrl) {
+        return null;
+      }
+      pathname = siteUrl.pathname;
+    } else if (/^[a-z][a-z\d+.-]*:/i.test(href)) {
+      return null;
+    } else {
+      pathname = new URL(href.includes('%') ? href : encodeURI(href), `https://localhost${pageUrl}`).pathname;
+    }
+    pathname = decodeURI(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const buildPath = stripBase(pathname, base);
+  return buildPath === null ? null : normalizePath(buildPath);
+}
+
+/**
+ * Find the page a resolved link points at
+ *
+ * @param {string} target - Normalized link target
+ * @param {Map<string, Object>} pages - Pages keyed by path
+ * @returns {string|null} - Path of the page, or null if the link doesn't point at a page
+ */
+function findPage(target, pages) {
+  if (pages.has(target)) {
+    return target;
+  }
+  // `/about` and `/about/` are the same page for linking purposes
+  const toggled = target.endsWith('/') ? target.replace(/\/+$/, '') : `${target}/`;
+  return toggled && pages.has(toggled) ? toggled : null;
+}
+
+/**
+ * Breadth-first search for the number of clicks to each reachable page
+ *
+ * @param {string} start - Page to start from
+ * @param {Map<string, Set<string>>} edges - Pages each page links to
+ * @returns {Map<string, number>} - Clicks from the start page, for reachable pages only
+ */
+function getDepths(start, edges) {
+  const depths = new Map([[start, 0]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const page = queue.shift();
+    for (const target of edges.get(page) || []) {
+      if (!depths.has(target)) {
+        depths.set(target, depths.get(page) + 1);
+        queue.push(target);
+      }
+    }
+  }
+
+  return depths;
+}
+
+/**
+ * Get the text of a link, falling back to the alt text of linked images
+ *
+ * @param {Object} el - Link element
+ * @returns {string} - Collapsed and truncated anchor text
+ */
+function getAnchorText(el) {
+  const text = el.textContent.replace(/\s+/g, ' ').trim() ||
+    el.querySelector('img[alt]')?.getAttribute('alt')?.trim() ||
+    el.getAttribute('aria-label')?.trim() ||
+    el.getAttribute('alt')?.trim() ||
+    '';
+  return text.length > MAX_ANCHOR_TEXT_LENGTH ? `${text.slice(0, MAX_ANCHOR_TEXT_LENGTH - 1)}…` : text;
+}
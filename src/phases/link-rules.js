@@ -0,0 +1,101 @@
+/**
+ * Link Rules
+ *
+ * User-defined rules that change how links are checked:
+ * - Ignore patterns (globs or regular expressions) for links that should not be checked
+ * - Per-host rules, such as statuses to accept from hosts that block bots
+ */
+
+/**
+ * Compile ignore patterns into matchers
+ *
+ * Strings are globs: `*` matches within a path segment, `**` matches across
+ * segments and `?` matches a single character. Regular expressions are used
+ * as they are.
+ *
+ * @param {Array<string|RegExp>} [patterns] - linkCheck.ignore patterns
+ * @returns {RegExp[]} - Matchers
+ */
+export function compileIgnorePatterns(patterns = []) {
+  return patterns
+    .filter((pattern) => pattern instanceof RegExp || (typeof pattern === 'string' && pattern.length > 0))
+    .map((pattern) => (pattern instanceof RegExp ? pattern : globToRegExp(pattern)));
+}
+
+/**
+ * Check whether any form of a link matches an ignore pattern
+ *
+ * @param {string[]} urls - The link as written and as resolved
+ * @param {RegExp[]} matchers - Matchers from compileIgnorePatterns
+ * @returns {boolean} - True if the link should not be checked
+ */
+export function isIgnoredLink(urls, matchers) {
+  if (matchers.length === 0) {
+    return false;
+  }
+
+  return urls.some((url) => url && matchers.some((matcher) => {
+    // Global and sticky regular expressions keep state between test() calls
+    matcher.lastIndex = 0;
+    return matcher.test(url);
+  }));
+}
+
+/**
+ * Find the rule that applies to the host of a URL
+ *
+ * A rule for `linkedin.com` also applies to `www.linkedin.com`.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} [hostRules] - linkCheck.hosts, keyed by host name
+ * @returns {Object|null} - Rule for the most specific matching host, or null
+ */
+export function getHostRule(url, hostRules) {
+  if (!hostRules) {
+    return null;
+  }
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  const matches = Object.keys(hostRules)
+    .filter((ruleHost) => {
+      const normalized = ruleHost.toLowerCase();
+      return host === normalized || host.endsWith(`.${normalized}`);
+    })
+    .sort((a, b) => b.length - a.length);
+
+  return matches.length > 0 ? hostRules[matches[0]] : null;
+}
+
+/**
+ * Convert a glob into a regular expression matching the whole string
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Equivalent regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
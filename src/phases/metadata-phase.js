@@ -3,70 +3,128 @@
  * 
  * This phase checks for proper metadata and semantic structure in HTML:
  * - Presence and content of <title> and <meta name="description">
- * - Duplicate titles and descriptions across files
+ * - Duplicate titles and descriptions across files, reported once all pages
+ *   are collected so every page sharing a value is listed
  * - Proper heading structure with <h1> tags
  * - Language attribute on the <html> tag
  * - Canonical link validation
  */
 
-import { parse } from 'node-html-parser';
-import { CATEGORIES } from './types.js';
-import { addIssue } from './utils.js';
+import { RULES } from './issue-rules.js';
+import { addIssue, normalizeHtmlFilePath } from './utils.js';
+import { getPageContext, getMetaTags, getElementDetails } from './page-context.js';
 
-// Keep track of duplicate metadata across files
-const metadataMap = {
-  titles: new Map(), // title -> Set of pages with this title
-  descriptions: new Map(), // description -> Set of pages with this description
-};
+// Longest description quoted in duplicate reports
+const MAX_QUOTED_DESCRIPTION_LENGTH = 100;
 
 /**
  * Main handler for Metadata & Semantic Structure phase
  * 
- * @param {string} htmlContent - Raw HTML content to analyze
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
  * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
  * @param {string} distPath - Path to the build output directory
  * @param {Object} options - Configuration options
+ * @param {Object} [options.siteContext] - Run-scoped state that collects titles and descriptions
  */
 export async function checkMetadataPhase(
-  htmlContent,
+  pageContext,
   issuesMap,
   baseUrl,
   documentPath,
   distPath,
   options = {}
 ) {
-  const root = parse(htmlContent);
+  const page = getPageContext(pageContext, documentPath, distPath);
+  // Without a site context, e.g. when checking a single page, duplicates can't be detected
+  const metadata = options.siteContext?.metadata;
   
   // Check <title> tag
-  checkTitle(root, issuesMap, documentPath, distPath);
+  checkTitle(page, issuesMap, documentPath, distPath, metadata);
   
   // Check <meta name="description"> tag
-  checkDescription(root, issuesMap, documentPath, distPath);
+  checkDescription(page, issuesMap, documentPath, distPath, metadata);
   
   // Check heading structure (<h1> tags)
-  checkHeadingStructure(root, issuesMap, documentPath, distPath);
+  checkHeadingStructure(page, issuesMap, documentPath, distPath);
   
   // Check <html lang=""> attribute
-  checkLangAttribute(root, issuesMap, documentPath, distPath);
+  checkLangAttribute(page, issuesMap, documentPath, distPath);
   
   // Check <link rel="canonical"> (if configured)
   if (options.checkCanonical !== false) {
-    checkCanonicalLink(root, issuesMap, documentPath, distPath, baseUrl);
+    checkCanonicalLink(page, issuesMap, documentPath, distPath, baseUrl);
   }
 }
 
+/**
+ * Report titles and descriptions used on more than one page
+ *
+ * Each duplicate is reported once, with every page that uses it.
+ *
+ * @param {Object} siteContext - Run-scoped state filled while collecting pages
+ */
+export function finalizeMetadataPhase(siteContext) {
+  const { metadata, issuesMap, distPath } = siteContext;
+
+  for (const [title, pages] of getDuplicates(metadata.titles, distPath)) {
+    for (const page of pages) {
+      addIssue(
+        issuesMap,
+        page,
+        `Duplicate title "${title}" (used on ${pages.length} pages)`,
+        RULES.META_TITLE_DUPLICATE,
+        distPath,
+        { subject: title }
+      );
+    }
+  }
+
+  for (const [description, pages] of getDuplicates(metadata.descriptions, distPath)) {
+    const quoted = description.length > MAX_QUOTED_DESCRIPTION_LENGTH
+      ? `${description.slice(0, MAX_QUOTED_DESCRIPTION_LENGTH - 3)}...`
+      : description;
+    for (const page of pages) {
+      addIssue(
+        issuesMap,
+        page,
+        `Duplicate meta description "${quoted}" (used on ${pages.length} pages)`,
+        RULES.META_DESCRIPTION_DUPLICATE,
+        distPath,
+        { subject: description }
+      );
+    }
+  }
+}
+
+/**
+ * Get the values used on more than one page, in a stable order
+ *
+ * @param {Map<string, Set<string>>} valueMap - Value -> HTML files using it
+ * @param {string} distPath - Path to the build output directory
+ * @returns {Array<[string, string[]]>} - Duplicated values with their files, sorted by value and page
+ */
+function getDuplicates(valueMap, distPath) {
+  const byPage = (a, b) => normalizeHtmlFilePath(a, distPath).localeCompare(normalizeHtmlFilePath(b, distPath));
+
+  return [...valueMap.entries()]
+    .filter(([_, pages]) => pages.size > 1)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, pages]) => [value, [...pages].sort(byPage)]);
+}
+
 /**
  * Check for the presence and uniqueness of the title tag
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
+ * @param {Object} [metadata] - Titles and descriptions collected across pages
  */
-function checkTitle(root, issuesMap, documentPath, distPath) {
-  const titleElement = root.querySelector('title');
+function checkTitle(page, issuesMap, documentPath, distPath, metadata) {
+  const titleElement = page.root.querySelector('title');
   
   // Check if title exists
   if (!titleElement) {
@@ -74,7 +132,7 @@ function checkTitle(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Missing <title> tag',
-      CATEGORIES.META_MISSING,
+      RULES.META_TITLE_MISSING,
       distPath
     );
     return;
@@ -87,49 +145,33 @@ function checkTitle(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Empty <title> tag',
-      CATEGORIES.META_EMPTY,
-      distPath
+      RULES.META_TITLE_EMPTY,
+      distPath,
+      getElementDetails(page, titleElement)
     );
     return;
   }
   
-  // Check for duplicate titles across pages
-  if (!metadataMap.titles.has(titleText)) {
-    metadataMap.titles.set(titleText, new Set());
-  }
-  
-  // Add this document to the set of documents with this title
-  const normalizedPath = documentPath;
-  metadataMap.titles.get(titleText).add(normalizedPath);
-  
-  // If this title appears on multiple pages, report as duplicate
-  if (metadataMap.titles.get(titleText).size > 1) {
-    // Get all pages with this title except the current page
-    const duplicatePages = Array.from(metadataMap.titles.get(titleText))
-      .filter(path => path !== normalizedPath);
-    
-    if (duplicatePages.length > 0) {
-      addIssue(
-        issuesMap,
-        documentPath,
-        `Duplicate title "${titleText}" (also used on: ${duplicatePages[0]})`,
-        CATEGORIES.META_DUPLICATES,
-        distPath
-      );
+  // Duplicates are reported once every page's title is known
+  if (metadata) {
+    if (!metadata.titles.has(titleText)) {
+      metadata.titles.set(titleText, new Set());
     }
+    metadata.titles.get(titleText).add(documentPath);
   }
 }
 
 /**
  * Check for the presence and uniqueness of meta description
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
+ * @param {Object} [metadata] - Titles and descriptions collected across pages
  */
-function checkDescription(root, issuesMap, documentPath, distPath) {
-  const descriptionElement = root.querySelector('meta[name="description"]');
+function checkDescription(page, issuesMap, documentPath, distPath, metadata) {
+  const [descriptionElement] = getMetaTags(page, 'description');
   
   // Check if description exists
   if (!descriptionElement) {
@@ -137,7 +179,7 @@ function checkDescription(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Missing <meta name="description"> tag',
-      CATEGORIES.META_MISSING,
+      RULES.META_DESCRIPTION_MISSING,
       distPath
     );
     return;
@@ -150,49 +192,32 @@ function checkDescription(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Empty meta description',
-      CATEGORIES.META_EMPTY,
-      distPath
+      RULES.META_DESCRIPTION_EMPTY,
+      distPath,
+      getElementDetails(page, descriptionElement)
     );
     return;
   }
   
-  // Check for duplicate descriptions across pages
-  if (!metadataMap.descriptions.has(descriptionText)) {
-    metadataMap.descriptions.set(descriptionText, new Set());
-  }
-  
-  // Add this document to the set of documents with this description
-  const normalizedPath = documentPath;
-  metadataMap.descriptions.get(descriptionText).add(normalizedPath);
-  
-  // If this description appears on multiple pages, report as duplicate
-  if (metadataMap.descriptions.get(descriptionText).size > 1) {
-    // Get all pages with this description except the current page
-    const duplicatePages = Array.from(metadataMap.descriptions.get(descriptionText))
-      .filter(path => path !== normalizedPath);
-    
-    if (duplicatePages.length > 0) {
-      addIssue(
-        issuesMap,
-        documentPath,
-        `Duplicate meta description (also used on: ${duplicatePages[0]})`,
-        CATEGORIES.META_DUPLICATES,
-        distPath
-      );
+  // Duplicates are reported once every page's description is known
+  if (metadata) {
+    if (!metadata.descriptions.has(descriptionText)) {
+      metadata.descriptions.set(descriptionText, new Set());
     }
+    metadata.descriptions.get(descriptionText).add(documentPath);
   }
 }
 
 /**
  * Check for proper heading structure
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  */
-function checkHeadingStructure(root, issuesMap, documentPath, distPath) {
-  const h1Elements = root.querySelectorAll('h1');
+function checkHeadingStructure(page, issuesMap, documentPath, distPath) {
+  const h1Elements = page.headings.filter(heading => heading.tagName === 'H1');
   
   // Check if h1 exists
   if (h1Elements.length === 0) {
@@ -200,7 +225,7 @@ function checkHeadingStructure(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Missing <h1> tag',
-      CATEGORIES.SEMANTIC_HEADINGS,
+      RULES.HEADING_H1_MISSING,
       distPath
     );
     return;
@@ -212,8 +237,9 @@ function checkHeadingStructure(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       `Multiple <h1> tags (${h1Elements.length} found)`,
-      CATEGORIES.SEMANTIC_HEADINGS,
-      distPath
+      RULES.HEADING_H1_MULTIPLE,
+      distPath,
+      getElementDetails(page, h1Elements[1])
     );
   }
   
@@ -224,8 +250,9 @@ function checkHeadingStructure(root, issuesMap, documentPath, distPath) {
         issuesMap,
         documentPath,
         'Empty <h1> tag',
-        CATEGORIES.SEMANTIC_HEADINGS,
-        distPath
+        RULES.HEADING_H1_EMPTY,
+        distPath,
+        getElementDetails(page, h1)
       );
       break;
     }
@@ -235,13 +262,13 @@ function checkHeadingStructure(root, issuesMap, documentPath, distPath) {
 /**
  * Check for language attribute on HTML tag
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  */
-function checkLangAttribute(root, issuesMap, documentPath, distPath) {
-  const htmlElement = root.querySelector('html');
+function checkLangAttribute(page, issuesMap, documentPath, distPath) {
+  const htmlElement = page.root.querySelector('html');
 
   // Check if html element exists (should always be true)
   if (!htmlElement) {
@@ -254,8 +281,9 @@ function checkLangAttribute(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Missing lang attribute on <html> tag',
-      CATEGORIES.SEMANTIC_LANGUAGE,
-      distPath
+      RULES.HTML_LANG_MISSING,
+      distPath,
+      getElementDetails(page, htmlElement)
     );
     return;
   }
@@ -267,8 +295,9 @@ function checkLangAttribute(root, issuesMap, documentPath, distPath) {
       issuesMap,
       documentPath,
       'Empty lang attribute on <html> tag',
-      CATEGORIES.SEMANTIC_LANGUAGE,
-      distPath
+      RULES.HTML_LANG_EMPTY,
+      distPath,
+      getElementDetails(page, htmlElement)
     );
   }
 }
@@ -276,14 +305,14 @@ function checkLangAttribute(root, issuesMap, documentPath, distPath) {
 /**
  * Check canonical link for validity
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {string} baseUrl - Base URL of the document
  */
-function checkCanonicalLink(root, issuesMap, documentPath, distPath, baseUrl) {
-  const canonicalElement = root.querySelector('link[rel="canonical"]');
+function checkCanonicalLink(page, issuesMap, documentPath, distPath, baseUrl) {
+  const canonicalElement = page.root.querySelector('link[rel="canonical"]');
   
   // Canonical link is optional, so don't warn if it's missing
   if (!canonicalElement) {
@@ -296,8 +325,9 @@ function checkCanonicalLink(root, issuesMap, documentPath, distPath, baseUrl) {
       issuesMap,
       documentPath,
       'Empty href in canonical link',
-      CATEGORIES.META_CANONICAL,
-      distPath
+      RULES.CANONICAL_EMPTY,
+      distPath,
+      getElementDetails(page, canonicalElement)
     );
     return;
   }
@@ -315,8 +345,9 @@ function checkCanonicalLink(root, issuesMap, documentPath, distPath, baseUrl) {
           issuesMap,
           documentPath,
           `Canonical link (${canonicalHref}) doesn't point to current page (${baseUrl})`,
-          CATEGORIES.META_CANONICAL,
-          distPath
+          RULES.CANONICAL_MISMATCH,
+          distPath,
+          getElementDetails(page, canonicalElement)
         );
       }
     }
@@ -326,8 +357,9 @@ function checkCanonicalLink(root, issuesMap, documentPath, distPath, baseUrl) {
       issuesMap,
       documentPath,
       `Invalid canonical URL: ${canonicalHref}`,
-      CATEGORIES.META_CANONICAL,
-      distPath
+      RULES.CANONICAL_INVALID,
+      distPath,
+      getElementDetails(page, canonicalElement)
     );
   }
 }
\ No newline at end of file
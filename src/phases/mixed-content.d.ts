@@ -0,0 +1,17 @@
+import { IssuesMap, MixedContentCollector, PageContext } from '../types/index.js';
+
+export function isHttpsSite(site?: string): boolean;
+
+export function createMixedContentCollector(site?: string): MixedContentCollector;
+
+export function collectMixedContent(
+  page: PageContext | string,
+  documentPath: string,
+  distPath: string,
+  collector: MixedContentCollector
+): void;
+
+export function reportMixedContent(
+  collector: MixedContentCollector,
+  issuesMap: IssuesMap
+): void;
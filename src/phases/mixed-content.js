@@ -0,0 +1,190 @@
+/**
+ * Mixed Content
+ *
+ * Pages served over https that load subresources over plain http are
+ * degraded by browsers: active content (scripts, stylesheets, frames, form
+ * submissions) is blocked outright, passive content (images, media) is
+ * upgraded or shown with a warning.
+ *
+ * Findings are collected for every page first, so that an upgrade to https
+ * can be suggested whenever the same host is referenced over https anywhere
+ * on the site.
+ */
+
+import { RULES } from './issue-rules.js';
+import { addIssue } from './utils.js';
+import { getPageContext, getElementDetails } from './page-context.js';
+
+// Elements whose insecure URLs browsers block: [selector, attribute, description]
+const ACTIVE_CONTENT = [
+  ['script[src]', 'src', 'script'],
+  ['iframe[src]', 'src', 'iframe'],
+  ['frame[src]', 'src', 'frame'],
+  ['object[data]', 'data', 'object'],
+  ['embed[src]', 'src', 'embed'],
+  ['track[src]', 'src', 'text track'],
+  ['form[action]', 'action', 'form action']
+];
+// Stylesheets and preloaded scripts and fonts are active content as well
+const ACTIVE_LINK_RELS = ['stylesheet', 'preload', 'modulepreload'];
+
+// Elements whose insecure URLs browsers upgrade or display with a warning
+const PASSIVE_CONTENT = [
+  ['img[src]', 'src', 'image'],
+  ['img[srcset]', 'srcset', 'image'],
+  ['picture source[srcset]', 'srcset', 'image'],
+  ['video[src]', 'src', 'video'],
+  ['video[poster]', 'poster', 'video poster'],
+  ['audio[src]', 'src', 'audio'],
+  ['video source[src]', 'src', 'video'],
+  ['audio source[src]', 'src', 'audio']
+];
+
+// Attributes that may reveal hosts the site already uses over https
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'action', 'data', 'poster'];
+
+/**
+ * Check whether pages of a site are served over https
+ *
+ * @param {string} [site] - Astro's `site` setting
+ * @returns {boolean} - True if the site URL uses https
+ */
+export function isHttpsSite(site) {
+  return typeof site === 'string' && /^https:\/\//i.test(site.trim());
+}
+
+/**
+ * Create the state that collects mixed content across pages
+ *
+ * @param {string} [site] - Astro's `site` setting; its host counts as available over https
+ * @returns {{findings: Array<Object>, httpsHosts: Set<string>}} - Empty collector
+ */
+export function createMixedContentCollector(site) {
+  const httpsHosts = new Set();
+  if (isHttpsSite(site)) {
+    httpsHosts.add(new URL(site.trim()).host.toLowerCase());
+  }
+  return { findings: [], httpsHosts };
+}
+
+/**
+ * Collect the insecure subresources of a page and the hosts it references over https
+ *
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
+ * @param {string} documentPath - Path to the HTML file
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} collector - State created by createMixedContentCollector
+ */
+export function collectMixedContent(pageContext, documentPath, distPath, collector) {
+  const page = getPageContext(pageContext, documentPath, distPath);
+  const { root } = page;
+  const addFinding = (el, attribute, description, active, source = `<${el.rawTagName.toLowerCase()} ${attribute}>`) => {
+    for (const url of getAttributeUrls(el, attribute)) {
+      if (/^http:\/\//i.test(url)) {
+        const details = getElementDetails(page, el);
+        collector.findings.push({ documentPath, distPath, url, description, source, active, details });
+      }
+    }
+  };
+
+  for (const [selector, attribute, description] of ACTIVE_CONTENT) {
+    for (const el of root.querySelectorAll(selector)) {
+      addFinding(el, attribute, description, true);
+    }
+  }
+
+  for (const el of root.querySelectorAll('link[href]')) {
+    const relValue = (el.getAttribute('rel') || '').toLowerCase();
+    const relTokens = relValue.split(/\s+/);
+    const source = `<link rel="${relValue}" href>`;
+    const rel = relTokens.find((token) => ACTIVE_LINK_RELS.includes(token));
+    if (rel) {
+      addFinding(el, 'href', rel === 'stylesheet' ? 'stylesheet' : `${rel} resource`, true, source);
+    } else if (relTokens.some((token) => token.includes('icon'))) {
+      addFinding(el, 'href', 'icon', false, source);
+    }
+  }
+
+  for (const [selector, attribute, description] of PASSIVE_CONTENT) {
+    for (const el of root.querySelectorAll(selector)) {
+      addFinding(el, attribute, description, false);
+    }
+  }
+
+  // Any https reference shows that its host can serve https
+  for (const el of root.querySelectorAll(URL_ATTRIBUTES.map((attribute) => `[${attribute}]`).join(', '))) {
+    for (const attribute of URL_ATTRIBUTES) {
+      for (const url of getAttributeUrls(el, attribute)) {
+        if (/^https:\/\//i.test(url)) {
+          const host = getHost(url);
+          if (host) {
+            collector.httpsHosts.add(host);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Report the collected mixed content
+ *
+ * Insecure URLs whose host is referenced over https anywhere on the site are
+ * reported with the https URL to use instead.
+ *
+ * @param {Object} collector - State filled by collectMixedContent
+ * @param {Map} issuesMap - Map to store found issues
+ */
+export function reportMixedContent(collector, issuesMap) {
+  // Pages finish in any order, findings are reported in page order
+  const findings = [...collector.findings].sort((a, b) => a.documentPath.localeCompare(b.documentPath));
+
+  for (const { documentPath, distPath, url, description, source, active, details } of findings) {
+    const host = getHost(url);
+    const secureUrl = url.replace(/^http:/i, 'https:');
+    const upgradable = host && collector.httpsHosts.has(host);
+    const upgrade = upgradable ? ` (upgrade to ${secureUrl}, ${host} is used over https elsewhere)` : '';
+
+    addIssue(
+      issuesMap,
+      documentPath,
+      `Insecure ${description} ${url} in \`${source}\`${active ? ' is blocked on https pages' : ''}${upgrade}`,
+      active ? RULES.MIXED_CONTENT_ACTIVE : RULES.MIXED_CONTENT_PASSIVE,
+      distPath,
+      upgradable ? { ...details, fix: `Load ${secureUrl} instead.` } : details
+    );
+  }
+}
+
+/**
+ * Get the URLs in an attribute, splitting srcset into its candidates
+ *
+ * @param {Object} el - Element
+ * @param {string} attribute - Attribute name
+ * @returns {string[]} - URLs in the attribute
+ */
+function getAttributeUrls(el, attribute) {
+  const value = el.getAttribute(attribute);
+  if (!value) {
+    return [];
+  }
+  if (attribute !== 'srcset') {
+    return [value.trim()];
+  }
+  // Candidates are separated by commas followed by whitespace; URLs themselves may contain commas
+  return value.split(/,\s+/).map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+/**
+ * Get the lowercased host of an absolute URL
+ *
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Host including any port, or null if the URL is invalid
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,13 @@
+import { HTMLElement } from 'node-html-parser';
+import { IssueDetails, PageContext } from '../types/index.js';
+
+export function createPageContext(html: string, documentPath: string, distPath: string): PageContext;
+
+export function getPageContext(page: PageContext | string, documentPath: string, distPath: string): PageContext;
+
+export function getMetaTags(page: PageContext, ...names: string[]): HTMLElement[];
+
+export function getElementDetails(
+  page: PageContext,
+  element: HTMLElement
+): Required<Pick<IssueDetails, 'selector' | 'snippet' | 'line' | 'column'>>;
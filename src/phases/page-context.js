@@ -0,0 +1,121 @@
+/**
+ * Page Context
+ *
+ * Each page is parsed once and the parts several phases need - the element
+ * tree, visible text, links, headings and meta tags - are shared, instead of
+ * every phase parsing the raw HTML again.
+ */
+
+import { parse } from 'node-html-parser';
+import { extractTextContent, createLineLocator } from './utils.js';
+
+// Attributes that identify an element when it has no id, in order of preference
+const SELECTOR_ATTRIBUTES = ['href', 'src', 'name', 'property', 'rel', 'type'];
+
+/**
+ * Parse a page and collect what the phases check
+ *
+ * @param {string} html - Raw HTML content of the page
+ * @param {string} documentPath - Path to the HTML file
+ * @param {string} distPath - Path to the build output directory
+ * @returns {Object} - Page context: html, documentPath, distPath, root, links
+ *   (all <a> elements), headings (<h1> to <h6> in document order), meta (all
+ *   <meta> elements), text (visible text, extracted on first use) and
+ *   locate (character offset to line and column)
+ */
+export function createPageContext(html, documentPath, distPath) {
+  const root = parse(html || '');
+  let text;
+  let locator;
+
+  return {
+    html: html || '',
+    documentPath,
+    distPath,
+    root,
+    links: root.querySelectorAll('a'),
+    headings: root.querySelectorAll('h1, h2, h3, h4, h5, h6'),
+    meta: root.querySelectorAll('meta'),
+    // Only the privacy checks need the whole text, so it isn't extracted up front
+    get text() {
+      if (text === undefined) {
+        text = extractTextContent(root);
+      }
+      return text;
+    },
+    // Line starts are only indexed once a check reports an element
+    locate(offset) {
+      locator = locator || createLineLocator(html || '');
+      return locator(offset);
+    }
+  };
+}
+
+/**
+ * Get the page context a phase was called with
+ *
+ * Phases can also be called with raw HTML, e.g. to check a single page, in
+ * which case the page is parsed here.
+ *
+ * @param {Object|string} page - Page context from createPageContext, or raw HTML
+ * @param {string} documentPath - Path to the HTML file
+ * @param {string} distPath - Path to the build output directory
+ * @returns {Object} - Page context
+ */
+export function getPageContext(page, documentPath, distPath) {
+  return typeof page === 'string' || page == null
+    ? createPageContext(page, documentPath, distPath)
+    : page;
+}
+
+/**
+ * Get the meta tags with one of the given names
+ *
+ * @param {Object} page - Page context
+ * @param {...string} names - Meta names, matched case-insensitively
+ * @returns {Array<Object>} - Matching <meta> elements in document order
+ */
+export function getMetaTags(page, ...names) {
+  return page.meta.filter((el) => names.includes((el.getAttribute('name') || '').toLowerCase()));
+}
+
+/**
+ * Describe the element an issue was found on
+ *
+ * @param {Object} page - Page context
+ * @param {Object} element - Element from the page's parsed document
+ * @returns {{selector: string, snippet: string, line: number, column: number}} - Details for addIssue
+ */
+export function getElementDetails(page, element) {
+  const { line, column } = page.locate(element.range[0]);
+  return {
+    selector: getElementSelector(element),
+    snippet: element.outerHTML,
+    line,
+    column
+  };
+}
+
+/**
+ * Build a CSS selector that identifies an element for a reader
+ *
+ * @param {Object} element - Parsed element
+ * @returns {string} - e.g. "button#menu", 'img[src="/hero.jpg"]' or "button.primary"
+ */
+function getElementSelector(element) {
+  const tag = element.rawTagName.toLowerCase();
+  const id = element.getAttribute('id');
+  if (id) {
+    return `${tag}#${id}`;
+  }
+
+  for (const attribute of SELECTOR_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (value) {
+      return `${tag}[${attribute}="${value}"]`;
+    }
+  }
+
+  const className = (element.getAttribute('class') || '').trim().split(/\s+/)[0];
+  return className ? `${tag}.${className}` : tag;
+}
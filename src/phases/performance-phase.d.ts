@@ -1,8 +1,12 @@
+import { IssuesMap, PageContext, SiteContext } from '../types/index.js';
+
 export function checkPerformancePhase(
-  htmlContent: string,
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  page: PageContext | string,
+  issuesMap: IssuesMap,
   baseUrl: string,
   documentPath: string,
   distPath: string,
   options?: Record<string, any>
-): Promise<void>;
\ No newline at end of file
+): Promise<void>;
+
+export function finalizePerformancePhase(siteContext: SiteContext): void;
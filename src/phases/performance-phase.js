@@ -6,14 +6,16 @@
  * - Render-blocking resources (JavaScript without async/defer, CSS)
  * - Large inline code (should be external files)
  * - Mobile viewport configuration
+ * - Mixed content: http subresources on pages served over https
  * - Resource sizes (optional)
  */
 
-import { parse } from 'node-html-parser';
 import path from 'path';
 import fs from 'fs';
-import { CATEGORIES } from './types.js';
+import { RULES } from './issue-rules.js';
 import { addIssue } from './utils.js';
+import { getPageContext, getMetaTags, getElementDetails } from './page-context.js';
+import { isHttpsSite, createMixedContentCollector, collectMixedContent, reportMixedContent } from './mixed-content.js';
 
 // Size thresholds for performance warnings (in KB)
 const IMAGE_SIZE_THRESHOLD = 200; // 200KB
@@ -23,52 +25,76 @@ const JS_SIZE_THRESHOLD = 100; // 100KB
 /**
  * Main handler for Performance & Technical SEO phase
  * 
- * @param {string} htmlContent - Raw HTML content to analyze
+ * @param {Object|string} pageContext - Page context from createPageContext, or raw HTML content
  * @param {Map} issuesMap - Map to store found issues
  * @param {string} baseUrl - Base URL for the document
  * @param {string} documentPath - Path to the HTML file
  * @param {string} distPath - Path to the build output directory
  * @param {Object} options - Configuration options
+ * @param {Object} [options.siteContext] - Run-scoped state whose mixed content is reported once the site is scanned
  */
 export async function checkPerformancePhase(
-  htmlContent,
+  pageContext,
   issuesMap,
   baseUrl,
   documentPath,
   distPath,
   options = {}
 ) {
-  const root = parse(htmlContent);
+  const page = getPageContext(pageContext, documentPath, distPath);
   
   // Check for images without width/height attributes
-  checkImagesWithoutDimensions(root, issuesMap, documentPath, distPath, options);
+  checkImagesWithoutDimensions(page, issuesMap, documentPath, distPath, options);
   
   // Check for render-blocking resources (JS without async/defer)
-  checkRenderBlockingResources(root, issuesMap, documentPath, distPath, options);
+  checkRenderBlockingResources(page, issuesMap, documentPath, distPath, options);
   
   // Check for excessive inline code
-  checkInlineCode(root, issuesMap, documentPath, distPath, options);
+  checkInlineCode(page, issuesMap, documentPath, distPath, options);
   
   // Check for mobile viewport settings
-  checkViewportSettings(root, issuesMap, documentPath, distPath, options);
+  checkViewportSettings(page, issuesMap, documentPath, distPath, options);
+
+  // Check for http subresources when the site is served over https
+  const site = options.astroSiteConfig?.site;
+  if (isHttpsSite(site)) {
+    // Without a site context, upgrades are only suggested for hosts used over https on this page
+    const mixedContent = options.siteContext?.mixedContent || createMixedContentCollector(site);
+    collectMixedContent(page, documentPath, distPath, mixedContent);
+    if (!options.siteContext) {
+      reportMixedContent(mixedContent, issuesMap);
+    }
+  }
   
   // Check for large uncompressed resources if enabled
   if (options.checkResourceSizes) {
-    await checkResourceSizes(root, issuesMap, documentPath, distPath, options);
+    await checkResourceSizes(page, issuesMap, documentPath, distPath, options);
   }
 }
 
+/**
+ * Report the mixed content collected from every page
+ *
+ * Runs once all pages are scanned, so upgrades to https can be suggested for
+ * every host the site uses over https anywhere.
+ *
+ * @param {Object} siteContext - Run-scoped state filled while collecting pages
+ */
+export function finalizePerformancePhase(siteContext) {
+  reportMixedContent(siteContext.mixedContent, siteContext.issuesMap);
+}
+
 /**
  * Check for images missing width/height attributes that cause layout shifts
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkImagesWithoutDimensions(root, issuesMap, documentPath, distPath, options = {}) {
-  const allImages = root.querySelectorAll('img');
+function checkImagesWithoutDimensions(page, issuesMap, documentPath, distPath, options = {}) {
+  const allImages = page.root.querySelectorAll('img');
   
   for (const img of allImages) {
     const hasWidth = img.hasAttribute('width');
@@ -88,8 +114,9 @@ function checkImagesWithoutDimensions(root, issuesMap, documentPath, distPath, o
         issuesMap,
         documentPath,
         issueDesc,
-        CATEGORIES.PERF_LAYOUT_SHIFT,
-        distPath
+        RULES.IMG_DIMENSIONS_MISSING,
+        distPath,
+        getElementDetails(page, img)
       );
     }
   }
@@ -98,15 +125,15 @@ function checkImagesWithoutDimensions(root, issuesMap, documentPath, distPath, o
 /**
  * Check for render-blocking resources
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkRenderBlockingResources(root, issuesMap, documentPath, distPath, options = {}) {
+function checkRenderBlockingResources(page, issuesMap, documentPath, distPath, options = {}) {
   // Check for render-blocking scripts
-  const scripts = root.querySelectorAll('script[src]');
+  const scripts = page.root.querySelectorAll('script[src]');
   
   for (const script of scripts) {
     const isAsync = script.hasAttribute('async');
@@ -124,14 +151,15 @@ function checkRenderBlockingResources(root, issuesMap, documentPath, distPath, o
         issuesMap,
         documentPath,
         `Render-blocking script: <script src="${src}"> without async or defer`,
-        CATEGORIES.PERF_RENDER_BLOCKING,
-        distPath
+        RULES.RENDER_BLOCKING_SCRIPT,
+        distPath,
+        getElementDetails(page, script)
       );
     }
   }
   
   // Check for render-blocking stylesheets
-  const styleLinks = root.querySelectorAll('link[rel="stylesheet"]');
+  const styleLinks = page.root.querySelectorAll('link[rel="stylesheet"]');
   
   for (const link of styleLinks) {
     const href = link.getAttribute('href') || '';
@@ -146,8 +174,9 @@ function checkRenderBlockingResources(root, issuesMap, documentPath, distPath, o
       issuesMap,
       documentPath,
       `Render-blocking stylesheet: <link href="${href}">`,
-      CATEGORIES.PERF_RENDER_BLOCKING,
-      distPath
+      RULES.RENDER_BLOCKING_STYLESHEET,
+      distPath,
+      getElementDetails(page, link)
     );
   }
 }
@@ -155,15 +184,15 @@ function checkRenderBlockingResources(root, issuesMap, documentPath, distPath, o
 /**
  * Check for large inline code that should be external
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkInlineCode(root, issuesMap, documentPath, distPath, options = {}) {
+function checkInlineCode(page, issuesMap, documentPath, distPath, options = {}) {
   // Check for inline scripts
-  const inlineScripts = root.querySelectorAll('script:not([src])');
+  const inlineScripts = page.root.querySelectorAll('script:not([src])');
   
   for (const script of inlineScripts) {
     const scriptContent = script.text;
@@ -182,14 +211,15 @@ function checkInlineCode(root, issuesMap, documentPath, distPath, options = {})
         issuesMap,
         documentPath,
         `Large inline script (${sizeInKB}KB) found. Consider moving to external file.`,
-        CATEGORIES.PERF_INLINE_CODE,
-        distPath
+        RULES.INLINE_SCRIPT_LARGE,
+        distPath,
+        getElementDetails(page, script)
       );
     }
   }
   
   // Check for inline styles
-  const inlineStyles = root.querySelectorAll('style');
+  const inlineStyles = page.root.querySelectorAll('style');
   
   for (const style of inlineStyles) {
     const styleContent = style.text;
@@ -207,8 +237,9 @@ function checkInlineCode(root, issuesMap, documentPath, distPath, options = {})
         issuesMap,
         documentPath,
         `Large inline style (${sizeInKB}KB) found. Consider moving to external file.`,
-        CATEGORIES.PERF_INLINE_CODE,
-        distPath
+        RULES.INLINE_STYLE_LARGE,
+        distPath,
+        getElementDetails(page, style)
       );
     }
   }
@@ -217,22 +248,22 @@ function checkInlineCode(root, issuesMap, documentPath, distPath, options = {})
 /**
  * Check for proper mobile viewport configuration
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-function checkViewportSettings(root, issuesMap, documentPath, distPath, options = {}) {
+function checkViewportSettings(page, issuesMap, documentPath, distPath, options = {}) {
   // Check for viewport meta tag
-  const viewportMeta = root.querySelector('meta[name="viewport"]');
+  const [viewportMeta] = getMetaTags(page, 'viewport');
   
   if (!viewportMeta) {
     addIssue(
       issuesMap,
       documentPath,
       'Missing viewport meta tag. Add <meta name="viewport" content="width=device-width, initial-scale=1">',
-      CATEGORIES.TECH_MOBILE,
+      RULES.VIEWPORT_MISSING,
       distPath
     );
     return;
@@ -246,8 +277,9 @@ function checkViewportSettings(root, issuesMap, documentPath, distPath, options
       issuesMap,
       documentPath,
       'Viewport meta tag missing width=device-width',
-      CATEGORIES.TECH_MOBILE,
-      distPath
+      RULES.VIEWPORT_WIDTH,
+      distPath,
+      getElementDetails(page, viewportMeta)
     );
   }
   
@@ -256,8 +288,9 @@ function checkViewportSettings(root, issuesMap, documentPath, distPath, options
       issuesMap,
       documentPath,
       'Viewport meta tag missing initial-scale=1',
-      CATEGORIES.TECH_MOBILE,
-      distPath
+      RULES.VIEWPORT_INITIAL_SCALE,
+      distPath,
+      getElementDetails(page, viewportMeta)
     );
   }
   
@@ -267,8 +300,9 @@ function checkViewportSettings(root, issuesMap, documentPath, distPath, options
       issuesMap,
       documentPath,
       'Viewport prevents zooming (user-scalable=no or maximum-scale=1), which harms accessibility',
-      CATEGORIES.TECH_MOBILE,
-      distPath
+      RULES.VIEWPORT_ZOOM_DISABLED,
+      distPath,
+      getElementDetails(page, viewportMeta)
     );
   }
 }
@@ -276,18 +310,18 @@ function checkViewportSettings(root, issuesMap, documentPath, distPath, options
 /**
  * Check for large resource files
  * 
- * @param {Object} root - Parsed HTML root
+ * @param {Object} page - Page context
  * @param {Map} issuesMap - Map to store issues
  * @param {string} documentPath - Path to the document
  * @param {string} distPath - Path to the dist directory
  * @param {Object} options - Configuration options
  */
-async function checkResourceSizes(root, issuesMap, documentPath, distPath, options = {}) {
+async function checkResourceSizes(page, issuesMap, documentPath, distPath, options = {}) {
   // Map document path to its directory to resolve relative URLs
   const docDir = path.dirname(documentPath);
   
   // Check image sizes
-  const images = root.querySelectorAll('img[src]');
+  const images = page.root.querySelectorAll('img[src]');
   for (const img of images) {
     const src = img.getAttribute('src') || '';
     
@@ -309,8 +343,9 @@ async function checkResourceSizes(root, issuesMap, documentPath, distPath, optio
             issuesMap,
             documentPath,
             `Large image (${sizeInKB}KB): <img src="${src}">. Consider compression or next-gen formats.`,
-            CATEGORIES.PERF_LARGE_RESOURCES,
-            distPath
+            RULES.IMAGE_SIZE_LARGE,
+            distPath,
+            getElementDetails(page, img)
           );
         }
       }
@@ -0,0 +1,21 @@
+import { AstroLogger, AstroRedirect, RedirectHopInfo, RedirectResolver, RedirectRule } from '../types/index.js';
+
+export function loadRedirectRules(
+  options?: {
+    redirects?: Record<string, AstroRedirect | string>;
+    distPath?: string;
+    projectRoot?: string;
+    base?: string;
+  },
+  logger?: AstroLogger
+): RedirectRule[];
+
+export function parseAstroRedirects(redirects?: Record<string, AstroRedirect | string>): RedirectRule[];
+
+export function parseRedirectsFile(content: string, logger?: AstroLogger): RedirectRule[];
+
+export function parseVercelConfig(content: string, logger?: AstroLogger): RedirectRule[];
+
+export function createRedirectResolver(rules?: RedirectRule[]): RedirectResolver;
+
+export function formatRedirectHops(hops: RedirectHopInfo[]): string;
@@ -0,0 +1,410 @@
+/**
+ * Redirect Resolver
+ *
+ * Resolves internal links through the redirects a deployed site applies:
+ * - Astro `redirects` config, including `[param]` and `[...rest]` routes
+ * - Netlify and Cloudflare Pages `_redirects` files (`:placeholder` and `*` splats)
+ * - Vercel `vercel.json` redirects (`:param`, `:param*`, `:param+` and `:param?`)
+ *
+ * Chains are followed hop by hop so loops and multi-hop chains can be reported.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeBase, stripBase } from './site-paths.js';
+
+// Statuses that send the browser to the destination
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Status of a rewrite, which serves the destination under the original URL
+const REWRITE_STATUS = 200;
+// Chains longer than this are treated as loops
+const MAX_REDIRECT_HOPS = 10;
+// A key=value condition of a _redirects rule, as opposed to a path or URL
+const CONDITION_PATTERN = /^[A-Za-z][\w-]*=/;
+
+/**
+ * Load the redirect rules that apply to a build
+ *
+ * Astro config rules come first, then `_redirects` (from the build output,
+ * which includes `public/`), then `vercel.json` in the project root.
+ *
+ * @param {Object} [options] - Where to find redirects
+ * @param {Object} [options.redirects] - Astro `redirects` config
+ * @param {string} [options.distPath] - Path to the build output directory
+ * @param {string} [options.projectRoot] - Astro project root directory
+ * @param {string} [options.base] - Astro `base` setting, stripped from platform rules
+ * @param {Object} [logger] - Logger instance
+ * @returns {Array<Object>} - Compiled redirect rules in match order
+ */
+export function loadRedirectRules(options = {}, logger) {
+  const rules = [...parseAstroRedirects(options.redirects)];
+
+  const redirectsFiles = [
+    options.distPath && path.join(options.distPath, '_redirects'),
+    options.projectRoot && path.join(options.projectRoot, 'public', '_redirects')
+  ].filter(Boolean);
+  const redirectsFile = redirectsFiles.find((file) => fs.existsSync(file));
+  if (redirectsFile) {
+    const content = readFile(redirectsFile, logger);
+    rules.push(...withoutBase(parseRedirectsFile(content, logger), options.base));
+  }
+
+  const vercelFile = options.projectRoot && path.join(options.projectRoot, 'vercel.json');
+  if (vercelFile && fs.existsSync(vercelFile)) {
+    const content = readFile(vercelFile, logger);
+    rules.push(...withoutBase(parseVercelConfig(content, logger), options.base));
+  }
+
+  return rules;
+}
+
+/**
+ * Compile the Astro `redirects` config
+ *
+ * @param {Object} [redirects] - Map of source route to destination or {status, destination}
+ * @returns {Array<Object>} - Compiled rules
+ */
+export function parseAstroRedirects(redirects = {}) {
+  const rules = [];
+
+  for (const [source, value] of Object.entries(redirects || {})) {
+    const destination = typeof value === 'string' ? value : value?.destination;
+    if (!destination) {
+      continue;
+    }
+
+    rules.push(compileRule({
+      source,
+      destination,
+      status: (typeof value === 'object' && value.status) || 301,
+      // Astro emits a redirect page at the source route, so the rule always wins
+      force: true,
+      origin: 'astro config',
+      syntax: 'astro'
+    }));
+  }
+
+  return rules;
+}
+
+/**
+ * Compile a Netlify or Cloudflare Pages `_redirects` file
+ *
+ * Each line is `from [query=:param ...] to [status][!] [conditions]`. Rules
+ * with a status other than a redirect or a 200 rewrite are ignored.
+ *
+ * @param {string} content - File contents
+ * @param {Object} [logger] - Logger instance
+ * @returns {Array<Object>} - Compiled rules
+ */
+export function parseRedirectsFile(content, logger) {
+  const rules = [];
+
+  for (const line of (content || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    // Query parameter conditions (id=:id) sit between the source and the
+    // destination, and Country=, Language= or Role= conditions after the
+    // status. The destination itself may have a query string.
+    const [source, ...rest] = trimmed.split(/\s+/);
+    const destinationIndex = rest.findIndex((token) => !CONDITION_PATTERN.test(token));
+    const destination = destinationIndex === -1 ? undefined : rest[destinationIndex];
+    const [statusToken = '301'] = rest.slice(destinationIndex + 1).filter((token) => !CONDITION_PATTERN.test(token));
+    const statusMatch = /^(\d{3})(!?)$/.exec(statusToken);
+    // Domain-level rules (https://other.example/*) don't apply to paths
+    if (!source?.startsWith('/') || !destination || !statusMatch) {
+      logger?.debug?.(`Skipping unsupported _redirects rule: ${trimmed}`);
+      continue;
+    }
+
+    const status = parseInt(statusMatch[1], 10);
+    if (!REDIRECT_STATUSES.includes(status) && status !== REWRITE_STATUS) {
+      continue;
+    }
+
+    rules.push(compileRule({
+      source,
+      destination,
+      status,
+      // Without "!" the rule only applies when no file exists at the source
+      force: statusMatch[2] === '!',
+      origin: '_redirects',
+      syntax: 'netlify'
+    }));
+  }
+
+  return rules;
+}
+
+/**
+ * Compile the redirects of a `vercel.json` file
+ *
+ * @param {string} content - File contents
+ * @param {Object} [logger] - Logger instance
+ * @returns {Array<Object>} - Compiled rules
+ */
+export function parseVercelConfig(content, logger) {
+  let config;
+  try {
+    config = JSON.parse(content || '{}');
+  } catch (error) {
+    logger?.warn(`Could not parse vercel.json: ${error.message}`);
+    return [];
+  }
+
+  const rules = [];
+  for (const redirect of config.redirects || []) {
+    if (!redirect?.source || !redirect?.destination || redirect.has || redirect.missing) {
+      continue;
+    }
+
+    // Custom regular expressions can't be mapped onto paths reliably
+    if (/[()]/.test(redirect.source)) {
+      logger?.debug?.(`Skipping vercel.json redirect with a regular expression: ${redirect.source}`);
+      continue;
+    }
+
+    rules.push(compileRule({
+      source: redirect.source,
+      destination: redirect.destination,
+      status: redirect.statusCode || (redirect.permanent === false ? 307 : 308),
+      force: true,
+      origin: 'vercel.json',
+      syntax: 'vercel'
+    }));
+  }
+
+  return rules;
+}
+
+/**
+ * Create a resolver that follows internal links through redirect rules
+ *
+ * @param {Array<Object>} rules - Compiled rules from loadRedirectRules
+ * @returns {{resolve: function(string, function(string): boolean=): Object|null}} - Resolver instance
+ */
+export function createRedirectResolver(rules = []) {
+  /**
+   * Find the first rule that applies to a path
+   */
+  function match(urlPath, exists) {
+    for (const rule of rules) {
+      const params = matchRule(rule, urlPath);
+      if (!params) {
+        continue;
+      }
+      if (!rule.force && exists?.(urlPath)) {
+        continue;
+      }
+      return { rule, destination: substitute(rule, params) };
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Follow a path through the redirect rules
+     *
+     * @param {string} urlPath - Domain-relative path without query or fragment
+     * @param {function(string): boolean} [exists] - Whether a file is served at a path, for rules that don't force
+     * @returns {Object|null} - `{path, hops, loop}`, or null when no rule applies
+     */
+    resolve(urlPath, exists) {
+      const hops = [];
+      const visited = new Set([urlPath]);
+      let current = urlPath;
+
+      while (current.startsWith('/')) {
+        const matched = match(current, exists) || match(safeDecode(current), exists);
+        if (!matched) {
+          break;
+        }
+
+        const { rule, destination } = matched;
+        hops.push({ from: current, to: destination, status: rule.status, origin: rule.origin });
+
+        // Rules match paths, so the query string of a local destination is dropped
+        const next = destination.startsWith('/') ? destination.replace(/[?#].*$/, '') : destination;
+        if (visited.has(next) || hops.length >= MAX_REDIRECT_HOPS) {
+          return { path: next, hops, loop: true };
+        }
+        visited.add(next);
+        current = next;
+
+        // A rewrite serves the destination directly, without another round of rules
+        if (rule.status === REWRITE_STATUS) {
+          break;
+        }
+      }
+
+      return hops.length > 0 ? { path: current, hops, loop: false } : null;
+    }
+  };
+}
+
+/**
+ * Format redirect hops as "/a → 301 /b → 302 /c"
+ *
+ * @param {Array<Object>} hops - Hops from the resolver
+ * @returns {string} - Chain with the status of every hop
+ */
+export function formatRedirectHops(hops) {
+  return [hops[0].from, ...hops.map((hop) => `${hop.status} ${hop.to}`)].join(' → ');
+}
+
+/**
+ * Compile a rule's source pattern into a regular expression
+ *
+ * @param {Object} rule - Rule with source, destination, status, force, origin and syntax
+ * @returns {Object} - Rule with a `pattern` regular expression added
+ */
+function compileRule(rule) {
+  const segments = rule.source.split('?')[0].split('/').filter(Boolean);
+  let pattern = '';
+
+  for (const segment of segments) {
+    pattern += compileSegment(segment, rule.syntax);
+  }
+
+  return { ...rule, pattern: new RegExp(`^${pattern}/?$`) };
+}
+
+/**
+ * Compile one path segment of a source pattern
+ *
+ * @param {string} segment - Path segment without slashes
+ * @param {string} syntax - 'astro', 'netlify' or 'vercel'
+ * @returns {string} - Regular expression source, including the leading slash
+ */
+function compileSegment(segment, syntax) {
+  if (syntax === 'astro') {
+    const rest = /^\[\.\.\.(\w+)\]$/.exec(segment);
+    if (rest) {
+      return `(?:/(?<${rest[1]}>.*))?`;
+    }
+    const parts = segment.split(/(\[\w+\])/).map((part) => {
+      const param = /^\[(\w+)\]$/.exec(part);
+      return param ? `(?<${param[1]}>[^/]+)` : escapeRegExp(part);
+    });
+    return `/${parts.join('')}`;
+  }
+
+  if (syntax === 'netlify' && segment === '*') {
+    return '(?:/(?<splat>.*))?';
+  }
+
+  const param = /^:(\w+)([*+?]?)$/.exec(segment);
+  if (param) {
+    const [, name, modifier] = param;
+    if (modifier === '*') return `(?:/(?<${name}>.*))?`;
+    if (modifier === '+') return `/(?<${name}>.+)`;
+    if (modifier === '?') return `(?:/(?<${name}>[^/]+))?`;
+    return `/(?<${name}>[^/]+)`;
+  }
+
+  return `/${escapeRegExp(segment)}`;
+}
+
+/**
+ * Match a path against a rule
+ *
+ * @param {Object} rule - Compiled rule
+ * @param {string} urlPath - Path to match
+ * @returns {Object|null} - Captured parameters, or null if the rule doesn't match
+ */
+function matchRule(rule, urlPath) {
+  const match = rule.pattern.exec(urlPath);
+  return match ? { ...match.groups } : null;
+}
+
+/**
+ * Fill the captured parameters into a rule's destination
+ *
+ * @param {Object} rule - Compiled rule
+ * @param {Object} params - Captured parameters
+ * @returns {string} - Destination path or URL
+ */
+function substitute(rule, params) {
+  const value = (name) => params[name] ?? '';
+
+  if (rule.syntax === 'astro') {
+    return rule.destination
+      .replace(/\[\.\.\.(\w+)\]/g, (_, name) => value(name))
+      .replace(/\[(\w+)\]/g, (_, name) => value(name));
+  }
+
+  return rule.destination.replace(/:(\w+)[*+?]?/g, (placeholder, name) =>
+    name in params ? value(name) : placeholder
+  );
+}
+
+/**
+ * Remove the base from platform rules, which are written against full URL paths
+ *
+ * Rules whose source lies outside the base can't match any page of this site.
+ *
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {string} [base] - Astro `base` setting
+ * @returns {Array<Object>} - Rules relative to the build output
+ */
+function withoutBase(rules, base) {
+  if (!normalizeBase(base)) {
+    return rules;
+  }
+
+  return rules
+    .map((rule) => {
+      const source = stripBase(rule.source, base);
+      if (source === null) {
+        return null;
+      }
+      const destination = rule.destination.startsWith('/')
+        ? (stripBase(rule.destination, base) ?? rule.destination)
+        : rule.destination;
+      return compileRule({ ...rule, source, destination });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read a redirect file, logging instead of failing
+ *
+ * @param {string} file - Path of the file
+ * @param {Object} [logger] - Logger instance
+ * @returns {string} - File contents, or '' if it could not be read
+ */
+function readFile(file, logger) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    logger?.warn(`Could not read redirects from ${file}: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Decode a path, keeping it as is when it isn't valid percent-encoding
+ *
+ * @param {string} urlPath - Path to decode
+ * @returns {string} - Decoded path
+ */
+function safeDecode(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch (error) {
+    return urlPath;
+  }
+}
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
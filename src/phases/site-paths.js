@@ -0,0 +1,150 @@
+/**
+ * Site Paths
+ *
+ * Maps build output files to the URLs they are deployed at, following the
+ * Astro `base`, `trailingSlash` and `build.format` settings, so links can be
+ * resolved the way the deployed site resolves them.
+ */
+
+import path from 'path';
+
+/**
+ * Normalize the Astro base path to a leading slash without a trailing one
+ *
+ * @param {string} [base] - Astro `base` setting
+ * @returns {string} - Normalized base, or '' when the site is served from the root
+ */
+export function normalizeBase(base) {
+  if (!base) {
+    return '';
+  }
+
+  const trimmed = base.replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Get the URL path a built HTML file is served at
+ *
+ * `dir/index.html` is served as `/dir/`. Other files (`build.format: 'file'`)
+ * are served without their extension, with a trailing slash only when
+ * `trailingSlash` is 'always'.
+ *
+ * @param {string} documentPath - Absolute path of the HTML file
+ * @param {string} distPath - Path to the build output directory
+ * @param {Object} [siteConfig] - Astro settings captured by the integration
+ * @returns {string} - URL path including the base
+ */
+export function getPageUrl(documentPath, distPath, siteConfig = {}) {
+  const relative = path.relative(distPath, documentPath).split(path.sep).join('/');
+
+  let pagePath;
+  if (relative === 'index.html' || relative.endsWith('/index.html')) {
+    pagePath = `/${relative.slice(0, -'index.html'.length)}`;
+  } else if (relative.endsWith('.html')) {
+    pagePath = `/${relative.slice(0, -'.html'.length)}`;
+    if (siteConfig.trailingSlash === 'always') {
+      pagePath += '/';
+    }
+  } else {
+    pagePath = `/${relative}`;
+  }
+
+  return normalizeBase(siteConfig.base) + pagePath;
+}
+
+/**
+ * Remove the base from a URL path to get the path inside the build output
+ *
+ * @param {string} urlPath - Domain-relative URL path
+ * @param {string} [base] - Astro `base` setting
+ * @returns {string|null} - Path relative to the build output, or null when the URL lies outside the base
+ */
+export function stripBase(urlPath, base) {
+  const normalizedBase = normalizeBase(base);
+  if (!normalizedBase) {
+    return urlPath;
+  }
+
+  if (urlPath === normalizedBase) {
+    return '/';
+  }
+  if (urlPath.startsWith(`${normalizedBase}/`)) {
+    return urlPath.slice(normalizedBase.length);
+  }
+  return null;
+}
+
+/**
+ * Check whether a link's trailing slash contradicts the `trailingSlash` policy
+ *
+ * Only page URLs are subject to the policy; paths whose last segment has a
+ * file extension and the site root are always accepted.
+ *
+ * @param {string} urlPath - Domain-relative URL path of the link
+ * @param {string} [trailingSlash] - Astro `trailingSlash` setting
+ * @returns {string|null} - Description of the violation, or null if the link follows the policy
+ */
+export function getTrailingSlashViolation(urlPath, trailingSlash) {
+  if (!trailingSlash || trailingSlash === 'ignore' || urlPath === '/') {
+    return null;
+  }
+
+  const lastSegment = urlPath.replace(/\/$/, '').split('/').pop();
+  if (lastSegment.includes('.')) {
+    return null;
+  }
+
+  if (trailingSlash === 'always' && !urlPath.endsWith('/')) {
+    return `missing trailing slash (trailingSlash: 'always'), use ${urlPath}/`;
+  }
+  if (trailingSlash === 'never' && urlPath.endsWith('/')) {
+    return `unexpected trailing slash (trailingSlash: 'never'), use ${urlPath.replace(/\/+$/, '')}`;
+  }
+  return null;
+}
+
+/**
+ * Get the host names the site is served under
+ *
+ * @param {string} [site] - Astro `site` URL
+ * @param {string[]} [aliases] - Additional domains or URLs that serve the same site
+ * @returns {Set<string>} - Lowercased hosts, including ports where given
+ */
+export function getSiteHosts(site, aliases = []) {
+  const hosts = new Set();
+
+  for (const value of [site, ...aliases]) {
+    if (!value) {
+      continue;
+    }
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+      hosts.add(url.host.toLowerCase());
+    } catch (error) {
+      // Not a usable domain, nothing to match against
+    }
+  }
+
+  return hosts;
+}
+
+/**
+ * Parse an absolute link that points at the site itself
+ *
+ * @param {string} link - Absolute URL
+ * @param {Set<string>} siteHosts - Hosts from getSiteHosts
+ * @returns {URL|null} - Parsed URL when the link targets one of the site hosts, otherwise null
+ */
+export function parseSiteUrl(link, siteHosts) {
+  if (siteHosts.size === 0) {
+    return null;
+  }
+
+  try {
+    const url = new URL(link);
+    return siteHosts.has(url.host.toLowerCase()) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
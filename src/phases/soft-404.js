@@ -0,0 +1,123 @@
+/**
+ * Soft 404 Detection
+ *
+ * Some servers answer missing pages with 200 and a "page not found" body, and
+ * Astro serves the 404 page for catch-all routes. These heuristics spot such
+ * pages by comparing them with a page known to be missing, and by looking
+ * for "not found" wording in the title and opening text.
+ */
+
+import { parse } from 'node-html-parser';
+
+// Text compared between pages, enough to cover the main content of a 404 page
+const MAX_SIGNATURE_TEXT_LENGTH = 5000;
+// Word overlap from which two pages count as the same page
+const SIMILARITY_THRESHOLD = 0.9;
+// Short pages may differ in this many words, e.g. an echoed URL, and still be the same page
+const MAX_DIFFERING_WORDS = 2;
+// Only the opening text is searched for "not found" wording, since longer
+// pages mention it in passing
+const NOT_FOUND_TEXT_LENGTH = 300;
+
+// Wording used by "page not found" pages
+const NOT_FOUND_PATTERNS = [
+  /\b404\b/,
+  /\bnot\s+found\b/i,
+  /\b(page|file|post|article)\s+(does\s*n[o']?t|doesn’t)\s+exist\b/i,
+  /\bno\s+longer\s+(exists|available)\b/i,
+  /\b(could\s*n[o']?t|couldn’t|can'?t|can’t|cannot)\s+(find|be\s+found)\b/i
+];
+
+/**
+ * Reduce an HTML page to the parts that identify it
+ *
+ * @param {string} html - HTML document
+ * @returns {{title: string, text: string}} - Lowercased title and visible body text
+ */
+export function getPageSignature(html) {
+  const root = parse(html || '');
+  const title = (root.querySelector('title')?.textContent || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  const body = root.querySelector('body') || root;
+  for (const el of body.querySelectorAll('script, style, noscript, template')) {
+    el.remove();
+  }
+  const text = body.textContent.replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_SIGNATURE_TEXT_LENGTH);
+
+  return { title, text };
+}
+
+/**
+ * Check whether two pages have the same title and nearly the same text
+ *
+ * @param {{title: string, text: string}} a - Signature of the first page
+ * @param {{title: string, text: string}} b - Signature of the second page
+ * @returns {boolean} - True if the pages look the same
+ */
+export function isSimilarPage(a, b) {
+  if (a.title !== b.title) {
+    return false;
+  }
+  if (a.text === b.text) {
+    return true;
+  }
+
+  // Pages often echo the requested URL, so compare word sets instead of the exact text
+  const wordsA = new Set(a.text.split(' '));
+  const wordsB = new Set(b.text.split(' '));
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  }
+  const total = wordsA.size + wordsB.size - shared;
+  return total - shared <= MAX_DIFFERING_WORDS || shared / total >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Check whether a page's title or opening text says the page was not found
+ *
+ * @param {{title: string, text: string}} signature - Page signature
+ * @returns {boolean} - True if the page reads like a "not found" page
+ */
+export function hasNotFoundWording(signature) {
+  const opening = signature.text.slice(0, NOT_FOUND_TEXT_LENGTH);
+  return NOT_FOUND_PATTERNS.some((pattern) => pattern.test(signature.title)) ||
+    NOT_FOUND_PATTERNS.slice(1).some((pattern) => pattern.test(opening));
+}
+
+/**
+ * Decide whether a successful response is really a "not found" page
+ *
+ * @param {Object} page - The response to judge
+ * @param {string} page.url - Requested URL
+ * @param {string} page.html - Response body
+ * @param {string} page.finalUrl - URL of the response after redirects
+ * @param {Object} [probe] - Response for a URL that cannot exist on the same host
+ * @param {number} probe.status - Status of the probe response
+ * @param {string} [probe.html] - Body of the probe response
+ * @param {string} [probe.finalUrl] - URL of the probe response after redirects
+ * @returns {string|null} - Why the page looks like a soft 404, or null
+ */
+export function detectSoft404(page, probe) {
+  const signature = getPageSignature(page.html);
+
+  if (probe?.status >= 200 && probe.status < 300) {
+    if (probe.finalUrl === page.finalUrl) {
+      // Hosts that redirect every missing page to the same place, e.g. the homepage,
+      // but a link straight to that place is fine
+      if (page.finalUrl !== page.url) {
+        return `redirects to ${page.finalUrl} like a nonexistent URL does`;
+      }
+    } else if (probe.html && isSimilarPage(signature, getPageSignature(probe.html))) {
+      return 'content matches the response for a nonexistent URL';
+    }
+  }
+
+  if (hasNotFoundWording(signature)) {
+    return `page reads like a "not found" page${signature.title ? ` (title: "${signature.title}")` : ''}`;
+  }
+
+  return null;
+}
@@ -20,6 +20,12 @@ export const CATEGORIES = {
   // Foundation phase categories
   BROKEN_LINKS: 'broken_links',
   PRIVACY_EMAIL: 'privacy: exposed email',
+  LINK_BROKEN_ANCHOR: 'linking: broken anchor',
+  LINK_UNVERIFIED: 'linking: unverified external link',
+  LINK_REDIRECTED: 'linking: redirected external link',
+  LINK_TRAILING_SLASH: 'linking: trailing slash',
+  LINK_REDIRECT_INTERNAL: 'linking: internal redirect',
+  LINK_SOFT_404: 'linking: soft 404',
   
   // Metadata phase categories
   META_MISSING: 'metadata: missing elements',
@@ -39,7 +45,10 @@ export const CATEGORIES = {
   PERF_LAYOUT_SHIFT: 'performance: layout shift',
   PERF_RENDER_BLOCKING: 'performance: render blocking',
   PERF_INLINE_CODE: 'performance: inline code',
+  PERF_LARGE_RESOURCES: 'performance: large resources',
   TECH_MOBILE: 'technical: mobile friendly',
+  TECH_MIXED_ACTIVE: 'technical: mixed active content',
+  TECH_MIXED_PASSIVE: 'technical: mixed passive content',
   
   // Crawlability phase categories
   CRAWL_ROBOTS_TXT: 'crawlability: missing robots.txt',
@@ -50,6 +59,10 @@ export const CATEGORIES = {
   LINK_TOO_FEW: 'linking: too few links',
   LINK_TOO_MANY: 'linking: too many links',
   LINK_NOFOLLOW: 'linking: nofollow internal',
+  LINK_ORPHAN: 'linking: orphan page',
+  LINK_NOFOLLOW_ONLY: 'linking: nofollow only',
+  LINK_DEAD_END: 'linking: dead end',
+  LINK_CLICK_DEPTH: 'linking: click depth',
 
   // AI Detection phase categories
   AI_CONTENT: 'content: potential ai text'
@@ -58,6 +71,12 @@ export const CATEGORIES = {
 // Formatting for categories in reports
 export const CATEGORY_FORMATTING = {
   [CATEGORIES.PRIVACY_EMAIL]: '🔒 Privacy: Exposed Email Addresses',
+  [CATEGORIES.LINK_BROKEN_ANCHOR]: '⚓ Linking: Broken Fragment Links',
+  [CATEGORIES.LINK_UNVERIFIED]: '⏳ Linking: Unverified External Links',
+  [CATEGORIES.LINK_REDIRECTED]: '↪️ Linking: Redirected External Links',
+  [CATEGORIES.LINK_TRAILING_SLASH]: '➗ Linking: Trailing Slash Mismatches',
+  [CATEGORIES.LINK_REDIRECT_INTERNAL]: '🔀 Linking: Internal Redirect Issues',
+  [CATEGORIES.LINK_SOFT_404]: '🫥 Linking: Soft 404 Pages',
   [CATEGORIES.META_MISSING]: '📄 Metadata: Missing Elements',
   [CATEGORIES.META_EMPTY]: '📄 Metadata: Empty Elements',
   [CATEGORIES.META_DUPLICATES]: '🔄 Metadata: Duplicates Across Pages',
@@ -71,7 +90,10 @@ export const CATEGORY_FORMATTING = {
   [CATEGORIES.PERF_LAYOUT_SHIFT]: '📏 Performance: Layout Shift Prevention',
   [CATEGORIES.PERF_RENDER_BLOCKING]: '⚡ Performance: Render-Blocking Resources',
   [CATEGORIES.PERF_INLINE_CODE]: '📦 Performance: Excessive Inline Code',
+  [CATEGORIES.PERF_LARGE_RESOURCES]: '🐘 Performance: Large Resources',
   [CATEGORIES.TECH_MOBILE]: '📱 Technical: Mobile-friendly Configuration',
+  [CATEGORIES.TECH_MIXED_ACTIVE]: '🔓 Technical: Mixed Active Content (blocked)',
+  [CATEGORIES.TECH_MIXED_PASSIVE]: '🔓 Technical: Mixed Passive Content',
   [CATEGORIES.CRAWL_ROBOTS_TXT]: '🤖 Crawlability: Missing Robots.txt',
   [CATEGORIES.CRAWL_SITEMAP]: '🗺️ Crawlability: Missing Sitemap',
   [CATEGORIES.CRAWL_NOINDEX]: '🚫 Crawlability: Indexing Blocked',
@@ -80,5 +102,27 @@ export const CATEGORY_FORMATTING = {
   [CATEGORIES.LINK_TOO_FEW]: '🔗 Linking: Too Few Internal Links',
   [CATEGORIES.LINK_TOO_MANY]: '🔗 Linking: Too Many Internal Links',
   [CATEGORIES.LINK_NOFOLLOW]: '🔗 Linking: Nofollow on Internal Links',
+  [CATEGORIES.LINK_ORPHAN]: '🏝️ Linking: Orphan Pages',
+  [CATEGORIES.LINK_NOFOLLOW_ONLY]: '🔗 Linking: Pages Only Reachable Through Nofollow',
+  [CATEGORIES.LINK_DEAD_END]: '🛑 Linking: Dead-End Pages',
+  [CATEGORIES.LINK_CLICK_DEPTH]: '🪜 Linking: Pages Far From the Homepage',
   [CATEGORIES.AI_CONTENT]: '🤖 Content: Potentially AI-Generated Text'
-};
\ No newline at end of file
+};
+
+/**
+ * Groups that report summaries count categories under, in display order
+ *
+ * A category belongs to the group its name starts with, e.g.
+ * "metadata: duplicates" to "metadata". Values are the group's emoji.
+ */
+export const CATEGORY_GROUPS = {
+  performance: '⚡',
+  accessibility: '♿',
+  metadata: '📄',
+  crawlability: '🔍',
+  linking: '🔗',
+  technical: '🔧',
+  content: '📝',
+  privacy: '🔒',
+  semantic: '🏗️'
+};
@@ -28,6 +28,12 @@ export const PHASE_IDS: Record<string, PhaseId> = {
 export type CategoryId = 
   | 'broken_links'
   | 'privacy: exposed email'
+  | 'linking: broken anchor'
+  | 'linking: unverified external link'
+  | 'linking: redirected external link'
+  | 'linking: trailing slash'
+  | 'linking: internal redirect'
+  | 'linking: soft 404'
   | 'metadata: missing elements'
   | 'metadata: empty elements'
   | 'metadata: duplicates'
@@ -41,7 +47,10 @@ export type CategoryId =
   | 'performance: layout shift'
   | 'performance: render blocking'
   | 'performance: inline code'
+  | 'performance: large resources'
   | 'technical: mobile friendly'
+  | 'technical: mixed active content'
+  | 'technical: mixed passive content'
   | 'crawlability: missing robots.txt'
   | 'crawlability: missing sitemap'
   | 'crawlability: noindex'
@@ -50,6 +59,10 @@ export type CategoryId =
   | 'linking: too few links'
   | 'linking: too many links'
   | 'linking: nofollow internal'
+  | 'linking: orphan page'
+  | 'linking: nofollow only'
+  | 'linking: dead end'
+  | 'linking: click depth'
   | 'content: potential ai text';
 
 /**
@@ -59,6 +72,12 @@ export const CATEGORIES: Record<string, CategoryId> = {
   // Foundation phase categories
   BROKEN_LINKS: 'broken_links',
   PRIVACY_EMAIL: 'privacy: exposed email',
+  LINK_BROKEN_ANCHOR: 'linking: broken anchor',
+  LINK_UNVERIFIED: 'linking: unverified external link',
+  LINK_REDIRECTED: 'linking: redirected external link',
+  LINK_TRAILING_SLASH: 'linking: trailing slash',
+  LINK_REDIRECT_INTERNAL: 'linking: internal redirect',
+  LINK_SOFT_404: 'linking: soft 404',
   
   // Metadata phase categories
   META_MISSING: 'metadata: missing elements',
@@ -78,7 +97,10 @@ export const CATEGORIES: Record<string, CategoryId> = {
   PERF_LAYOUT_SHIFT: 'performance: layout shift',
   PERF_RENDER_BLOCKING: 'performance: render blocking',
   PERF_INLINE_CODE: 'performance: inline code',
+  PERF_LARGE_RESOURCES: 'performance: large resources',
   TECH_MOBILE: 'technical: mobile friendly',
+  TECH_MIXED_ACTIVE: 'technical: mixed active content',
+  TECH_MIXED_PASSIVE: 'technical: mixed passive content',
   
   // Crawlability phase categories
   CRAWL_ROBOTS_TXT: 'crawlability: missing robots.txt',
@@ -89,6 +111,10 @@ export const CATEGORIES: Record<string, CategoryId> = {
   LINK_TOO_FEW: 'linking: too few links',
   LINK_TOO_MANY: 'linking: too many links',
   LINK_NOFOLLOW: 'linking: nofollow internal',
+  LINK_ORPHAN: 'linking: orphan page',
+  LINK_NOFOLLOW_ONLY: 'linking: nofollow only',
+  LINK_DEAD_END: 'linking: dead end',
+  LINK_CLICK_DEPTH: 'linking: click depth',
 
   // AI Detection phase categories
   AI_CONTENT: 'content: potential ai text'
@@ -100,6 +126,12 @@ export const CATEGORIES: Record<string, CategoryId> = {
 export const CATEGORY_FORMATTING: Record<CategoryId, string> = {
   'broken_links': '🔗 Broken Links',
   'privacy: exposed email': '🔒 Privacy: Exposed Email Addresses',
+  'linking: broken anchor': '⚓ Linking: Broken Fragment Links',
+  'linking: unverified external link': '⏳ Linking: Unverified External Links',
+  'linking: redirected external link': '↪️ Linking: Redirected External Links',
+  'linking: trailing slash': '➗ Linking: Trailing Slash Mismatches',
+  'linking: internal redirect': '🔀 Linking: Internal Redirect Issues',
+  'linking: soft 404': '🫥 Linking: Soft 404 Pages',
   'metadata: missing elements': '📄 Metadata: Missing Elements',
   'metadata: empty elements': '📄 Metadata: Empty Elements',
   'metadata: duplicates': '🔄 Metadata: Duplicates Across Pages',
@@ -113,7 +145,10 @@ export const CATEGORY_FORMATTING: Record<CategoryId, string> = {
   'performance: layout shift': '📏 Performance: Layout Shift Prevention',
   'performance: render blocking': '⚡ Performance: Render-Blocking Resources',
   'performance: inline code': '📦 Performance: Excessive Inline Code',
+  'performance: large resources': '🐘 Performance: Large Resources',
   'technical: mobile friendly': '📱 Technical: Mobile-friendly Configuration',
+  'technical: mixed active content': '🔓 Technical: Mixed Active Content (blocked)',
+  'technical: mixed passive content': '🔓 Technical: Mixed Passive Content',
   'crawlability: missing robots.txt': '🤖 Crawlability: Missing Robots.txt',
   'crawlability: missing sitemap': '🗺️ Crawlability: Missing Sitemap',
   'crawlability: noindex': '🚫 Crawlability: Indexing Blocked',
@@ -122,5 +157,27 @@ export const CATEGORY_FORMATTING: Record<CategoryId, string> = {
   'linking: too few links': '🔗 Linking: Too Few Internal Links',
   'linking: too many links': '🔗 Linking: Too Many Internal Links',
   'linking: nofollow internal': '🔗 Linking: Nofollow on Internal Links',
+  'linking: orphan page': '🏝️ Linking: Orphan Pages',
+  'linking: nofollow only': '🔗 Linking: Pages Only Reachable Through Nofollow',
+  'linking: dead end': '🛑 Linking: Dead-End Pages',
+  'linking: click depth': '🪜 Linking: Pages Far From the Homepage',
   'content: potential ai text': '🤖 Content: Potentially AI-Generated Text'
-};
\ No newline at end of file
+};
+
+/**
+ * Groups that report summaries count categories under, in display order
+ *
+ * A category belongs to the group its name starts with, e.g.
+ * "metadata: duplicates" to "metadata". Values are the group's emoji.
+ */
+export const CATEGORY_GROUPS: Record<string, string> = {
+  performance: '⚡',
+  accessibility: '♿',
+  metadata: '📄',
+  crawlability: '🔍',
+  linking: '🔗',
+  technical: '🔧',
+  content: '📝',
+  privacy: '🔒',
+  semantic: '🏗️'
+};
@@ -4,6 +4,9 @@
 
 import path from 'path';
 
+// Longer element snippets are shortened in issue records
+const MAX_SNIPPET_LENGTH = 200;
+
 /**
  * Normalize a path for consistent representation
  *
@@ -42,69 +45,114 @@ export function normalizeHtmlFilePath(filePath, distPath = '') {
 }
 
 /**
- * Adds an issue to the issues map with proper categorization
+ * Adds an issue record to the issues map
+ *
+ * Records are grouped by category and message, so reports can list identical
+ * issues across pages together. The same issue on the same element is only
+ * recorded once.
  *
  * @param {Map} issuesMap - The map to store issues in
  * @param {string} documentPath - Path to the document where the issue was found
- * @param {string} issue - Description of the issue
- * @param {string} category - Category identifier for grouping issues
+ * @param {string} message - Description of the issue
+ * @param {Object} rule - Rule the issue breaks, from RULES in issue-rules.js
  * @param {string} distPath - Path to the distribution directory for normalization
- * @param {Object} [elementInfo] - Optional information about the specific element causing the issue
- * @param {string} [elementInfo.selector] - CSS selector identifying the element
- * @param {string} [elementInfo.html] - HTML snippet of the problematic element
- * @param {Object} [elementInfo.attributes] - Key attributes of the element
- * @param {number} [elementInfo.line] - Line number in the document where the issue occurs
+ * @param {Object} [details] - Where on the page the issue was found, from getElementDetails
+ * @param {string} [details.selector] - CSS selector identifying the element
+ * @param {string} [details.snippet] - HTML of the element
+ * @param {string} [details.subject] - What an issue without an element is about, e.g. the duplicated title
+ * @param {number} [details.line] - Line of the element in the document
+ * @param {number} [details.column] - Column of the element in the document
+ * @param {string} [details.fix] - Fix for this issue, when more specific than the rule's
  */
-export function addIssue(issuesMap, documentPath, issue, category, distPath, elementInfo = null) {
+export function addIssue(issuesMap, documentPath, message, rule, distPath, details = {}) {
   // Normalize document path to make it consistent
   const normalizedPath = normalizeHtmlFilePath(documentPath, distPath);
 
-  // Create category if it doesn't exist
-  if (!issuesMap.has(category)) {
-    issuesMap.set(category, new Map());
+  // Create category and message groups if they don't exist
+  if (!issuesMap.has(rule.category)) {
+    issuesMap.set(rule.category, new Map());
+  }
+  const categoryMap = issuesMap.get(rule.category);
+  if (!categoryMap.has(message)) {
+    categoryMap.set(message, []);
+  }
+  const records = categoryMap.get(message);
+
+  const isDuplicate = records.some((record) =>
+    record.page === normalizedPath &&
+    record.selector === details.selector &&
+    record.line === details.line &&
+    record.column === details.column
+  );
+  if (isDuplicate) {
+    return;
   }
 
-  const categoryMap = issuesMap.get(category);
+  const snippet = details.snippet && details.snippet.length > MAX_SNIPPET_LENGTH
+    ? `${details.snippet.substring(0, MAX_SNIPPET_LENGTH - 3)}...`
+    : details.snippet;
+
+  records.push({
+    ruleId: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    message,
+    page: normalizedPath,
+    file: distPath ? path.relative(distPath, documentPath).split(path.sep).join('/') : documentPath,
+    selector: details.selector,
+    subject: details.subject,
+    snippet,
+    line: details.line,
+    column: details.column,
+    fix: details.fix || rule.fix
+  });
+}
 
-  // Enhance issue description with element info if provided
-  let enhancedIssue = issue;
-  if (elementInfo) {
-    // Add line number if available
-    if (elementInfo.line) {
-      enhancedIssue += ` [line: ${elementInfo.line}]`;
-    }
+/**
+ * List every issue record in an issues map
+ *
+ * @param {Map} issuesMap - Issues by category and message
+ * @returns {Array<Object>} - Issue records in map order
+ */
+export function listIssues(issuesMap) {
+  return [...issuesMap.values()].flatMap((messages) => [...messages.values()].flat());
+}
 
-    // Add HTML snippet if available (limited to reasonable length)
-    if (elementInfo.html) {
-      const htmlSnippet = elementInfo.html.length > 100
-        ? elementInfo.html.substring(0, 97) + '...'
-        : elementInfo.html;
-      enhancedIssue += `\nElement: ${htmlSnippet}`;
+/**
+ * Count the issue records in an issues map
+ *
+ * @param {Map} issuesMap - Issues by category and message
+ * @returns {number} - Number of issue records
+ */
+export function countIssues(issuesMap) {
+  let count = 0;
+  for (const messages of issuesMap.values()) {
+    for (const records of messages.values()) {
+      count += records.length;
     }
+  }
+  return count;
+}
 
-    // Add key attributes if available
-    if (elementInfo.attributes && Object.keys(elementInfo.attributes).length > 0) {
-      const attrsStr = Object.entries(elementInfo.attributes)
-        .map(([key, value]) => `${key}="${value}"`)
-        .join(' ');
-      if (attrsStr && !enhancedIssue.includes(attrsStr)) {
-        enhancedIssue += `\nAttributes: ${attrsStr}`;
-      }
+/**
+ * Group issue records by category and message, the reverse of listIssues
+ *
+ * @param {Array<Object>} issues - Issue records
+ * @returns {Map<string, Map<string, Array<Object>>>} - Records by category and message, in the order they are listed
+ */
+export function groupIssues(issues) {
+  const issuesMap = new Map();
+  for (const issue of issues) {
+    if (!issuesMap.has(issue.category)) {
+      issuesMap.set(issue.category, new Map());
     }
-
-    // Add CSS selector if available and not already in the issue description
-    if (elementInfo.selector && !enhancedIssue.includes(elementInfo.selector)) {
-      enhancedIssue += `\nSelector: ${elementInfo.selector}`;
+    const messages = issuesMap.get(issue.category);
+    if (!messages.has(issue.message)) {
+      messages.set(issue.message, []);
     }
+    messages.get(issue.message).push(issue);
   }
-
-  // Create issue if it doesn't exist
-  if (!categoryMap.has(enhancedIssue)) {
-    categoryMap.set(enhancedIssue, new Set());
-  }
-
-  // Add document to the issue's set of affected pages
-  categoryMap.get(enhancedIssue).add(normalizedPath);
+  return issuesMap;
 }
 
 /**
@@ -161,4 +209,38 @@ export function extractTextContent(root) {
 export function isHomepage(documentPath, distPath, baseUrl) {
   const normalizedPath = normalizeHtmlFilePath(documentPath, distPath);
   return normalizedPath === '/' || normalizedPath === '/index' || normalizedPath === '';
-}
\ No newline at end of file
+}
+
+/**
+ * Create a function that maps character offsets in an HTML document to lines
+ *
+ * Parsed elements expose their source offsets as `range`, so this turns
+ * `element.range[0]` into a line and column for reporting.
+ *
+ * @param {string} html - HTML document the offsets refer to
+ * @returns {function(number): {line: number, column: number}} - Offset to 1-based line and column
+ */
+export function createLineLocator(html = '') {
+  // Offsets at which each line starts
+  const lineStarts = [0];
+  for (let i = 0; i < html.length; i++) {
+    if (html[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return (offset) => {
+    // Binary search for the last line starting at or before the offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
@@ -4,20 +4,10 @@
 
 import path from 'path';
 import { HTMLElement } from 'node-html-parser';
+import { IssueDetails, IssueRule, IssuesMap, SeoIssue } from '../types/index.js';
 
-/**
- * Element information for enhanced issue reporting
- */
-export interface ElementInfo {
-  /** CSS selector identifying the element */
-  selector?: string;
-  /** HTML snippet of the problematic element */
-  html?: string;
-  /** Key attributes of the element */
-  attributes?: Record<string, string>;
-  /** Line number in the document where the issue occurs */
-  line?: number;
-}
+// Longer element snippets are shortened in issue records
+const MAX_SNIPPET_LENGTH = 200;
 
 /**
  * Normalize a path for consistent representation
@@ -57,72 +47,115 @@ export function normalizeHtmlFilePath(filePath: string, distPath = ''): string {
 }
 
 /**
- * Adds an issue to the issues map with proper categorization
+ * Adds an issue record to the issues map
+ *
+ * Records are grouped by category and message, so reports can list identical
+ * issues across pages together. The same issue on the same element is only
+ * recorded once.
  *
  * @param issuesMap - The map to store issues in
  * @param documentPath - Path to the document where the issue was found
- * @param issue - Description of the issue
- * @param category - Category identifier for grouping issues
+ * @param message - Description of the issue
+ * @param rule - Rule the issue breaks, from RULES in issue-rules.js
  * @param distPath - Path to the distribution directory for normalization
- * @param elementInfo - Optional information about the specific element causing the issue
+ * @param details - Where on the page the issue was found, from getElementDetails
  */
 export function addIssue(
-  issuesMap: Map<string, Map<string, Set<string>>>,
+  issuesMap: IssuesMap,
   documentPath: string,
-  issue: string,
-  category: string,
+  message: string,
+  rule: IssueRule,
   distPath: string,
-  elementInfo: ElementInfo | null = null
+  details: IssueDetails = {}
 ): void {
   // Normalize document path to make it consistent
   const normalizedPath = normalizeHtmlFilePath(documentPath, distPath);
 
-  // Create category if it doesn't exist
-  if (!issuesMap.has(category)) {
-    issuesMap.set(category, new Map());
+  // Create category and message groups if they don't exist
+  if (!issuesMap.has(rule.category)) {
+    issuesMap.set(rule.category, new Map());
+  }
+  const categoryMap = issuesMap.get(rule.category)!;
+  if (!categoryMap.has(message)) {
+    categoryMap.set(message, []);
+  }
+  const records = categoryMap.get(message)!;
+
+  const isDuplicate = records.some((record) =>
+    record.page === normalizedPath &&
+    record.selector === details.selector &&
+    record.line === details.line &&
+    record.column === details.column
+  );
+  if (isDuplicate) {
+    return;
   }
 
-  const categoryMap = issuesMap.get(category)!;
+  const snippet = details.snippet && details.snippet.length > MAX_SNIPPET_LENGTH
+    ? `${details.snippet.substring(0, MAX_SNIPPET_LENGTH - 3)}...`
+    : details.snippet;
+
+  records.push({
+    ruleId: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    message,
+    page: normalizedPath,
+    file: distPath ? path.relative(distPath, documentPath).split(path.sep).join('/') : documentPath,
+    selector: details.selector,
+    subject: details.subject,
+    snippet,
+    line: details.line,
+    column: details.column,
+    fix: details.fix || rule.fix
+  });
+}
 
-  // Enhance issue description with element info if provided
-  let enhancedIssue = issue;
-  if (elementInfo) {
-    // Add line number if available
-    if (elementInfo.line) {
-      enhancedIssue += ` [line: ${elementInfo.line}]`;
-    }
+/**
+ * List every issue record in an issues map
+ *
+ * @param issuesMap - Issues by category and message
+ * @returns Issue records in map order
+ */
+export function listIssues(issuesMap: IssuesMap): SeoIssue[] {
+  return [...issuesMap.values()].flatMap((messages) => [...messages.values()].flat());
+}
 
-    // Add HTML snippet if available (limited to reasonable length)
-    if (elementInfo.html) {
-      const htmlSnippet = elementInfo.html.length > 100
-        ? elementInfo.html.substring(0, 97) + '...'
-        : elementInfo.html;
-      enhancedIssue += `\nElement: ${htmlSnippet}`;
+/**
+ * Count the issue records in an issues map
+ *
+ * @param issuesMap - Issues by category and message
+ * @returns Number of issue records
+ */
+export function countIssues(issuesMap: IssuesMap): number {
+  let count = 0;
+  for (const messages of issuesMap.values()) {
+    for (const records of messages.values()) {
+      count += records.length;
     }
+  }
+  return count;
+}
 
-    // Add key attributes if available
-    if (elementInfo.attributes && Object.keys(elementInfo.attributes).length > 0) {
-      const attrsStr = Object.entries(elementInfo.attributes)
-        .map(([key, value]) => `${key}="${value}"`)
-        .join(' ');
-      if (attrsStr && !enhancedIssue.includes(attrsStr)) {
-        enhancedIssue += `\nAttributes: ${attrsStr}`;
-      }
+/**
+ * Group issue records by category and message, the reverse of listIssues
+ *
+ * @param issues - Issue records
+ * @returns Records by category and message, in the order they are listed
+ */
+export function groupIssues(issues: SeoIssue[]): IssuesMap {
+  const issuesMap: IssuesMap = new Map();
+  for (const issue of issues) {
+    if (!issuesMap.has(issue.category)) {
+      issuesMap.set(issue.category, new Map());
     }
-
-    // Add CSS selector if available and not already in the issue description
-    if (elementInfo.selector && !enhancedIssue.includes(elementInfo.selector)) {
-      enhancedIssue += `\nSelector: ${elementInfo.selector}`;
+    const messages = issuesMap.get(issue.category)!;
+    if (!messages.has(issue.message)) {
+      messages.set(issue.message, []);
     }
+    messages.get(issue.message)!.push(issue);
   }
-
-  // Create issue if it doesn't exist
-  if (!categoryMap.has(enhancedIssue)) {
-    categoryMap.set(enhancedIssue, new Set());
-  }
-
-  // Add document to the issue's set of affected pages
-  categoryMap.get(enhancedIssue)!.add(normalizedPath);
+  return issuesMap;
 }
 
 /**
@@ -178,4 +211,38 @@ export function extractTextContent(root: HTMLElement): string {
 export function isHomepage(documentPath: string, distPath: string): boolean {
   const normalizedPath = normalizeHtmlFilePath(documentPath, distPath);
   return normalizedPath === '/' || normalizedPath === '/index' || normalizedPath === '';
-}
\ No newline at end of file
+}
+
+/**
+ * Create a function that maps character offsets in an HTML document to lines
+ *
+ * Parsed elements expose their source offsets as `range`, so this turns
+ * `element.range[0]` into a line and column for reporting.
+ *
+ * @param html - HTML document the offsets refer to
+ * @returns Offset to 1-based line and column
+ */
+export function createLineLocator(html = ''): (offset: number) => { line: number; column: number } {
+  // Offsets at which each line starts
+  const lineStarts = [0];
+  for (let i = 0; i < html.length; i++) {
+    if (html[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return (offset: number) => {
+    // Binary search for the last line starting at or before the offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
@@ -172,7 +172,7 @@ export function createAiDetectionChecker(
 /**
  * Create a custom SEO checker with specific report format
  *
- * @param format - Output format (markdown, json, csv)
+ * @param format - Output format (markdown, json, csv, html, sarif)
  * @param reportPath - Path to save the report (optional)
  * @param basePreset - Base preset to extend (defaults to standard)
  * @param outputDir - Custom output directory for the report (optional)
@@ -199,6 +199,8 @@ export function createFormattedChecker(
     // Set default filename with proper extension based on format
     const extension = format === 'json' ? '.json' :
                       format === 'csv' ? '.csv' :
+                      format === 'html' ? '.html' :
+                      format === 'sarif' ? '.sarif' :
                       format === 'markdown' ? '.md' : '.log';
     options.reportFilePath = `site-report${extension}`;
   }
@@ -2,6 +2,8 @@
  * Type definitions for Astro SEO Checker
  */
 
+import type { HTMLElement } from 'node-html-parser';
+
 /**
  * Phase identifiers for configuration and reference
  */
@@ -33,6 +35,179 @@ export interface AstroRedirect {
   permanent?: boolean;
 }
 
+/**
+ * Astro settings that decide which URL each built page is served at
+ */
+export interface AstroSiteConfig {
+  /** Astro `base` path the site is deployed under */
+  base?: string;
+  /** Astro `trailingSlash` policy */
+  trailingSlash?: 'always' | 'never' | 'ignore';
+  /** Astro `build.format` */
+  buildFormat?: 'file' | 'directory' | 'preserve';
+  /** Astro `site` URL the site is deployed at */
+  site?: string;
+}
+
+/**
+ * Redirect rule compiled from the Astro config, `_redirects` or `vercel.json`
+ */
+export interface RedirectRule {
+  source: string;
+  destination: string;
+  /** Redirect status, or 200 for a rewrite */
+  status: number;
+  /** Whether the rule applies even when a file exists at the source */
+  force: boolean;
+  /** Where the rule was defined */
+  origin: 'astro config' | '_redirects' | 'vercel.json';
+  syntax: 'astro' | 'netlify' | 'vercel';
+  pattern: RegExp;
+}
+
+/**
+ * A single hop taken while resolving an internal link through redirects
+ */
+export interface RedirectHopInfo {
+  from: string;
+  to: string;
+  status: number;
+  origin: RedirectRule['origin'];
+}
+
+/**
+ * Resolves internal links through the site's redirect rules
+ */
+export interface RedirectResolver {
+  resolve(
+    urlPath: string,
+    exists?: (urlPath: string) => boolean
+  ): { path: string; hops: RedirectHopInfo[]; loop: boolean } | null;
+}
+
+/**
+ * How serious an issue is
+ */
+export type IssueSeverity = 'error' | 'warning' | 'info';
+
+/**
+ * A check that reports issues, e.g. images without alt text
+ */
+export interface IssueRule {
+  /** Stable identifier, e.g. "img-alt-missing" */
+  id: string;
+  /** Report category the rule's issues are listed under */
+  category: string;
+  severity: IssueSeverity;
+  /** What the rule checks and why it matters */
+  description: string;
+  /** How to fix the rule's issues */
+  fix: string;
+}
+
+/**
+ * Where on a page an issue was found, and how to fix it
+ */
+export interface IssueDetails {
+  /** CSS selector of the element, e.g. 'img[src="/hero.jpg"]' */
+  selector?: string;
+  /** What an issue without an element is about, e.g. the duplicated title. Empty for issues a page has at most once */
+  subject?: string;
+  /** HTML of the element */
+  snippet?: string;
+  /** 1-based line of the element in the HTML file */
+  line?: number;
+  /** 1-based column of the element in the HTML file */
+  column?: number;
+  /** Fix for this issue, when more specific than the rule's */
+  fix?: string;
+}
+
+/**
+ * An issue found on a page
+ */
+export interface SeoIssue extends IssueDetails {
+  ruleId: string;
+  category: string;
+  severity: IssueSeverity;
+  message: string;
+  /** Path of the page, "/index" for the homepage */
+  page: string;
+  /** HTML file relative to the build output directory */
+  file: string;
+  fix: string;
+}
+
+/**
+ * Issues by category and message, so reports can group identical issues across pages
+ */
+export type IssuesMap = Map<string, Map<string, SeoIssue[]>>;
+
+/**
+ * Severities by rule id or category, e.g. { "img-alt-empty": "info", "metadata: duplicates": "error" }
+ */
+export type SeverityOverrides = Record<string, IssueSeverity>;
+
+/**
+ * A limit on the issues a build may have before it fails
+ */
+export interface FailOnThreshold {
+  /** Only count issues of this severity */
+  severity?: IssueSeverity;
+  /** Only count issues in this category, e.g. "metadata: duplicates" */
+  category?: string;
+  /** Only count issues of this rule, e.g. "img-alt-missing" */
+  rule?: string;
+  /** Matching issues allowed; the build fails when there are more (defaults to 0) */
+  max?: number;
+}
+
+/**
+ * When to fail the build: a severity fails on any issue of that severity or worse,
+ * thresholds limit the issues of a severity, category or rule
+ */
+export type FailOnPolicy = IssueSeverity | FailOnThreshold | Array<IssueSeverity | FailOnThreshold>;
+
+/**
+ * Options for comparing the issues of a build with a baseline from an earlier run
+ */
+export interface BaselineOptions {
+  /** Baseline file, relative to the project root */
+  file: string;
+  /** Rewrite the baseline with the issues of this build */
+  update?: boolean;
+}
+
+/**
+ * An issue as stored in a baseline file
+ */
+export interface BaselineIssue {
+  /** Hash of the rule, page and element, or of the message for issues without an element */
+  fingerprint: string;
+  ruleId: string;
+  category: string;
+  severity: IssueSeverity;
+  page: string;
+  message: string;
+  selector?: string;
+}
+
+/**
+ * How the issues of a build compare with the baseline
+ */
+export interface BaselineComparison {
+  /** Absolute path of the baseline file */
+  file: string;
+  /** Issues that are not in the baseline */
+  newIssues: BaselineIssue[];
+  /** Baseline issues that were not found any more */
+  fixedIssues: BaselineIssue[];
+  /** Number of issues found in both */
+  unchangedCount: number;
+  /** The baseline is rewritten with the issues of this build */
+  update: boolean;
+}
+
 /**
  * Category Group for report organization
  */
@@ -50,6 +225,91 @@ export interface GroupEmojis {
   [key: string]: string;
 }
 
+/**
+ * Options for checking external links
+ */
+export interface LinkCheckOptions {
+  /** Maximum number of concurrent requests across all hosts (defaults to 50) */
+  concurrency?: number;
+  /** Maximum number of concurrent requests to a single host (defaults to 4) */
+  perHostConcurrency?: number;
+  /** Request timeout in milliseconds (defaults to 10000) */
+  timeout?: number;
+  /** Retries for rate-limited (429/503) or reset requests (defaults to 3) */
+  retries?: number;
+  /** Initial backoff delay in milliseconds, doubled on every retry (defaults to 1000) */
+  retryDelay?: number;
+  /** Longest delay in milliseconds to wait before a retry, including Retry-After (defaults to 30000) */
+  maxRetryDelay?: number;
+  /** Send a HEAD request first and fall back to GET when the host rejects it (defaults to true) */
+  headFirst?: boolean;
+  /** Redirects a link may go through before the chain is reported (defaults to 2) */
+  maxRedirects?: number;
+  /** Other domains serving this site; absolute links to them and to Astro's `site` are checked against the build output */
+  siteAliases?: string[];
+  /** Links that are not checked: globs (`*`, `**`, `?`) or regular expressions, matched against the link as written or resolved */
+  ignore?: Array<string | RegExp>;
+  /** Per-host rules keyed by host name; a rule for `linkedin.com` also covers its subdomains */
+  hosts?: Record<string, HostRule>;
+  /** Persist external link results between builds; `false` disables the cache (enabled by default) */
+  cache?: boolean | LinkCacheOptions;
+  /** Download external pages that answer 200 and report those that look like "not found" pages (defaults to false) */
+  soft404?: boolean;
+}
+
+/**
+ * Rule for external links to a specific host
+ */
+export interface HostRule {
+  /** Statuses treated as OK for this host, e.g. [403, 999] for hosts that block bots */
+  okStatuses?: number[];
+}
+
+/**
+ * Options for the persistent external link cache
+ */
+export interface LinkCacheOptions {
+  /** Directory for the cache file, relative to the project root (defaults to node_modules/.cache/astro-seo-checker) */
+  dir?: string;
+  /** How long successful results are reused, in milliseconds (defaults to 7 days) */
+  ttl?: number;
+  /** How long failed results are reused, in milliseconds (defaults to 1 day) */
+  failureTtl?: number;
+  /** Ignore cached results and re-check every link, then write fresh results */
+  refresh?: boolean;
+}
+
+/**
+ * Persistent cache of external link results
+ */
+export interface LinkCache {
+  get(url: string): Omit<ExternalLinkResult, 'url' | 'unverified' | 'attempts'> & { checkedAt: number } | null;
+  set(url: string, result: ExternalLinkResult): void;
+  save(): void;
+  readonly size: number;
+}
+
+/**
+ * Options for the incremental scan cache
+ */
+export interface PageCacheOptions {
+  /** Directory for the cache file, relative to the project root (defaults to node_modules/.cache/astro-seo-checker) */
+  dir?: string;
+  /** Ignore cached pages and check every page, then write fresh results */
+  refresh?: boolean;
+}
+
+/**
+ * Persistent cache of page results for incremental scans
+ */
+export interface PageCache {
+  /** Cached scan of a page if neither the page nor anything it depends on changed */
+  get(file: string): PageScan | null;
+  set(scan: PageScan): void;
+  save(): void;
+  readonly size: number;
+}
+
 /**
  * Configuration options for the Astro SEO Checker integration
  */
@@ -58,16 +318,35 @@ export interface AstroSeoCheckerOptions {
   reportFilePath?: string;
   /** Legacy alias for reportFilePath, maintained for backward compatibility */
   logFilePath?: string;
-  /** Report format override ('markdown', 'json', 'csv') regardless of file extension */
+  /** Report format override ('markdown', 'json', 'csv', 'html', 'sarif') regardless of file extension */
   reportFormat?: string;
   /** Custom output directory for reports (defaults to dist directory if not specified) */
   reportOutputDir?: string;
   /** Whether to use absolute paths for reports instead of relative to dist (defaults to false) */
   useAbsolutePaths?: boolean;
+  /** Also write an HTML report into the build output for `astro preview`; `true` writes site-report.html, a string sets its path in the build output (defaults to false) */
+  htmlReport?: boolean | string;
+  /** Write the internal link graph next to the report file; `true` writes every format (defaults to false) */
+  linkGraphExport?: boolean | LinkGraphExportFormat[];
   /** Whether to check external links (significantly slower) */
   checkExternalLinks?: boolean;
+  /** Tuning for external link checks (concurrency, timeouts, retries) */
+  linkCheck?: LinkCheckOptions;
   /** Enable detailed logging during the scan process */
   verbose?: boolean;
+  /** Maximum number of pages read and checked at once, per thread (defaults to 16) */
+  concurrency?: number;
+  /** Spread pages across worker threads; `true` uses one worker per CPU core but one, a number sets the worker count (defaults to false) */
+  workers?: boolean | number;
+  /** Reuse the results of pages that did not change since the last build (defaults to false) */
+  incremental?: boolean | PageCacheOptions;
+
+  /** Severity of rules or whole categories, overriding the defaults */
+  severities?: SeverityOverrides;
+  /** Fail the build when issues go over these limits, e.g. 'error' for any error (defaults to never failing) */
+  failOn?: FailOnPolicy;
+  /** Compare issues with a baseline file and only apply failOn to new issues; a string is the file path (defaults to no baseline) */
+  baseline?: string | BaselineOptions;
 
   /** List of email addresses to ignore when checking for exposed emails */
   emailAllowlist?: string[];
@@ -107,6 +386,8 @@ export interface AstroSeoCheckerOptions {
   minInternalLinks?: number;
   /** Maximum recommended internal links per page */
   maxInternalLinks?: number;
+  /** Clicks from the homepage after which a page is reported as hard to reach (defaults to 3) */
+  maxClickDepth?: number;
   
   /** Score threshold (0-100) for flagging AI content */
   aiDetectionThreshold?: number;
@@ -115,6 +396,267 @@ export interface AstroSeoCheckerOptions {
 
   /** Storage for Astro redirects (populated internally) */
   astroConfigRedirects?: Record<string, AstroRedirect | string>;
+  /** Astro project root directory (populated internally) */
+  astroProjectRoot?: string;
+  /** Astro source directory, to find the source files of pages (populated internally) */
+  astroSrcDir?: string;
+  /** Astro base, trailingSlash, build.format and site settings (populated internally) */
+  astroSiteConfig?: AstroSiteConfig;
+}
+
+/**
+ * Result of checking a single external link
+ */
+export interface ExternalLinkResult {
+  url: string;
+  /** HTTP status of the final attempt, null if no response was received */
+  status: number | null;
+  ok: boolean;
+  /** The host kept rate limiting us (429/503), so the link could not be verified */
+  unverified: boolean;
+  /** Network error code when no response was received */
+  error?: string;
+  /** URL of the final response after following redirects */
+  finalUrl?: string;
+  /** Every redirect hop that was followed, in order */
+  redirects?: RedirectHop[];
+  attempts: number;
+  /** The result was reused from the persistent cache */
+  cached?: boolean;
+  /** Why a successful page looks like a "not found" page, null if it doesn't; only set with linkCheck.soft404 */
+  soft404?: string | null;
+}
+
+/**
+ * An http subresource on a page served over https
+ */
+export interface MixedContentFinding {
+  documentPath: string;
+  distPath: string;
+  /** Insecure URL */
+  url: string;
+  /** Kind of resource, e.g. "script" or "image" */
+  description: string;
+  /** Element attribute the URL came from, e.g. "<script src>" */
+  source: string;
+  /** Active content (scripts, stylesheets, frames, forms) is blocked by browsers */
+  active: boolean;
+  /** Element the URL was found on */
+  details?: IssueDetails;
+}
+
+/**
+ * Mixed content collected across all pages of a site
+ */
+export interface MixedContentCollector {
+  findings: MixedContentFinding[];
+  /** Hosts referenced over https anywhere on the site */
+  httpsHosts: Set<string>;
+}
+
+/**
+ * File formats the internal link graph can be exported in
+ */
+export type LinkGraphExportFormat = 'json' | 'dot' | 'graphml';
+
+/**
+ * A link from one page of the site to another
+ */
+export interface LinkGraphLink {
+  /** Path of the linked page, e.g. "/about/" */
+  target: string;
+  /** Anchor text, or the alt text of a linked image */
+  text: string;
+  /** Value of the rel attribute, lowercased */
+  rel: string;
+  /** The link is rel="nofollow" or on a page with <meta name="robots" content="nofollow"> */
+  nofollow: boolean;
+}
+
+/**
+ * A scanned page and its links to other pages
+ */
+export interface LinkGraphNode {
+  /** Path of the page, e.g. "/about/", or "/" for the homepage */
+  page: string;
+  documentPath: string;
+  distPath: string;
+  title: string;
+  links: LinkGraphLink[];
+}
+
+/**
+ * Internal links collected across all pages of a site
+ */
+export interface LinkGraph {
+  pages: Map<string, LinkGraphNode>;
+}
+
+/**
+ * Position of a page in the internal link graph
+ */
+export interface LinkGraphPage {
+  page: string;
+  /** Path the page's issues are reported under, "/index" for the homepage */
+  reportPath: string;
+  title: string;
+  /** Number of other pages linking to this page */
+  inbound: number;
+  /** Number of other pages this page links to */
+  outbound: number;
+  /** Clicks from the homepage over followed links, null if the page can't be reached that way */
+  depth: number | null;
+  /** The page can be reached from the homepage, but only through nofollow links */
+  nofollowOnly: boolean;
+  /** Links to pages of the site, with targets resolved to page paths */
+  links: LinkGraphLink[];
+}
+
+/**
+ * A page parsed once and shared by every phase that checks it
+ */
+export interface PageContext {
+  /** Raw HTML, used to work out line numbers */
+  html: string;
+  documentPath: string;
+  distPath: string;
+  /** Parsed document */
+  root: HTMLElement;
+  /** All <a> elements */
+  links: HTMLElement[];
+  /** <h1> to <h6> elements in document order */
+  headings: HTMLElement[];
+  /** All <meta> elements */
+  meta: HTMLElement[];
+  /** Visible text without scripts and styles */
+  readonly text: string;
+  /** Line and column of a character offset in the HTML, e.g. of `element.range[0]` */
+  locate(offset: number): { line: number; column: number };
+}
+
+/**
+ * Run-scoped state shared by all pages of one scan
+ *
+ * Phases record cross-page data here while checking each page and report it
+ * in their finalize step, once every page is known.
+ */
+export interface SiteContext {
+  distPath: string;
+  /** Issues the finalize steps report into */
+  issuesMap: IssuesMap;
+  /** Titles and meta descriptions, with the HTML files using them */
+  metadata: {
+    titles: Map<string, Set<string>>;
+    descriptions: Map<string, Set<string>>;
+  };
+  /** Mixed content from every page */
+  mixedContent: MixedContentCollector;
+  /** Links between pages */
+  linkGraph: LinkGraph;
+  /** Inbound links and click depth of every page, filled in when the crawlability phase finalizes */
+  linkGraphPages: LinkGraphPage[];
+}
+
+/**
+ * Everything a scan collects from its pages
+ *
+ * Each page is checked into its own results, which are merged into the
+ * results of the whole scan.
+ */
+export interface ScanResults {
+  /** Map of broken link -> pages */
+  brokenLinksMap: Map<string, Set<string>>;
+  /** Map of broken link -> failure reason and occurrences */
+  brokenLinkDetails: Map<string, BrokenLinkDetail>;
+  /** Map of ignored link -> pages */
+  ignoredLinks: Map<string, Set<string>>;
+  /** Issues found on the pages */
+  seoIssuesMap: IssuesMap;
+  /** Cross-page state, reporting into seoIssuesMap */
+  siteContext: SiteContext;
+}
+
+/**
+ * The results of checking one page, and what they depend on besides the page itself
+ */
+export interface PageScan {
+  /** HTML file relative to the build output directory */
+  file: string;
+  results: ScanResults;
+  dependencies: {
+    /** Other files in the build output whose content the checks read, e.g. for anchors */
+    files: string[];
+    /** HTML files internal links could resolve to, whose existence the link checks depend on */
+    linkTargets: string[];
+    /** External links that were checked */
+    externalLinks: string[];
+  };
+}
+
+/**
+ * Title and visible text of a page, used to recognize "not found" pages
+ */
+export interface PageSignature {
+  title: string;
+  text: string;
+}
+
+/**
+ * A single redirect followed while checking an external link
+ */
+export interface RedirectHop {
+  /** URL that answered with the redirect */
+  url: string;
+  /** Redirect status code (301, 302, 303, 307 or 308) */
+  status: number;
+}
+
+/**
+ * Why a link could not be followed
+ */
+export interface LinkFailure {
+  /**
+   * Kind of failure: missing-file, case-mismatch, outside-base and redirect-loop for internal
+   * links; http-status, dns, timeout, tls, redirect, network and invalid-url
+   * for external ones
+   */
+  reason: string;
+  /** Readable description, e.g. "HTTP 404" or "DNS lookup failed (ENOTFOUND)" */
+  message: string;
+}
+
+/**
+ * A place where a broken link is referenced
+ */
+export interface BrokenLinkOccurrence {
+  /** Page containing the link */
+  page: string;
+  /** Element attribute the link came from, e.g. "<img srcset>" */
+  source: string;
+  /** Tag name of the element, e.g. "img" */
+  element?: string;
+  /** Attribute holding the link, e.g. "srcset" */
+  attribute?: string;
+  /** Link text, or the alt/title text for elements without text */
+  text?: string;
+  /** Line of the element in the built HTML file */
+  line?: number;
+}
+
+/**
+ * Everything known about a broken link
+ */
+export interface BrokenLinkDetail extends LinkFailure {
+  /** HTTP status of external links that received a response */
+  status?: number | null;
+  occurrences: BrokenLinkOccurrence[];
+}
+
+/**
+ * Checker for external links with per-host limits and retries
+ */
+export interface ExternalLinkChecker {
+  check(url: string): Promise<ExternalLinkResult>;
 }
 
 /**
@@ -122,7 +664,25 @@ export interface AstroSeoCheckerOptions {
  */
 export interface PhaseOptions extends AstroSeoCheckerOptions {
   brokenLinksMap: Map<string, Set<string>>;
+  /** Failure reason and every occurrence of each broken link */
+  brokenLinkDetails?: Map<string, BrokenLinkDetail>;
+  /** Links skipped by linkCheck.ignore, with the pages they appear on */
+  ignoredLinks?: Map<string, Set<string>>;
   checkedLinks: Map<string, boolean>;
+  /** Checker shared by all pages so external request limits apply site-wide */
+  externalLinkChecker?: ExternalLinkChecker;
+  /** Resolver for the Astro config and platform redirect rules */
+  redirectResolver?: RedirectResolver;
+  /** Anchor ids defined by each HTML file, used to validate fragment links */
+  pageAnchors?: Map<string, Set<string> | null>;
+  /** Signature of each HTML file, used to spot links that serve the 404 page */
+  pageSignatures?: Map<string, PageSignature | null>;
+  /** Directory listings of the build output, used to match the case of internal links exactly */
+  directoryEntries?: Map<string, string[]>;
+  /** HTML files the internal links of a page could resolve to, recorded for the incremental scan cache */
+  linkTargets?: Set<string>;
+  /** Run-scoped state for checks that span pages, reported when phases finalize */
+  siteContext?: SiteContext;
   logger?: AstroLogger;
 }
 
@@ -134,9 +694,27 @@ export interface ReportOptions {
   format?: string;
   startTime: number;
   useAbsolutePaths?: boolean;
+  /** Failure reason and every occurrence of each broken link */
+  brokenLinkDetails?: Map<string, BrokenLinkDetail>;
+  /** Links skipped by linkCheck.ignore, with the pages they appear on */
+  ignoredLinks?: Map<string, Set<string>>;
+  /** Inbound links and click depth of every page */
+  linkGraph?: LinkGraphPage[];
+  /** Pages reused from the incremental scan cache, if enabled */
+  incremental?: { cachedPages: number; totalPages: number };
+  /** New and fixed issues compared with the baseline, if enabled */
+  baseline?: BaselineComparison;
+  /** Severity overrides, for broken links, which are not issue records */
+  severities?: SeverityOverrides;
+  /** Build output directory, to locate the HTML file of each issue */
+  distPath?: string;
+  /** Project root, which file paths in SARIF reports are relative to */
+  projectRoot?: string;
+  /** Astro source directory, to locate the source file of each page */
+  srcDir?: string;
 }
 
 /**
  * Simplified output format type
  */
-export type OutputFormat = 'markdown' | 'json' | 'csv';
\ No newline at end of file
+export type OutputFormat = 'markdown' | 'json' | 'csv' | 'html' | 'sarif';
\ No newline at end of file
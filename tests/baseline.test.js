@@ -0,0 +1,154 @@
+/**
+ * Test case for baseline comparison
+ *
+ * Verifies that issues are classified as new, fixed or unchanged against a
+ * baseline file, that matching survives line shifts and changing counts, that
+ * failOn only counts new issues, and that the baseline can be rewritten.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { setupTests } from './setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = path.join(__dirname, 'tmp-baseline');
+const distPath = path.join(tmpDir, 'dist');
+const baselineFile = path.join(tmpDir, 'seo-baseline.json');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let createIntegration;
+
+/**
+ * Write the homepage into the build output
+ */
+function writePage(body) {
+  fs.mkdirSync(distPath, { recursive: true });
+  fs.writeFileSync(path.join(distPath, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Home</title>
+  <meta name="description" content="The home page">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body>
+  <h1>Home</h1>
+  ${body}
+</body>
+</html>`);
+}
+
+/**
+ * Run the checker on the build output like a new build
+ */
+async function build(options = {}) {
+  const integration = createIntegration({
+    checkExternalLinks: false,
+    reportFilePath: 'report.json',
+    phases: { foundation: true, metadata: true, accessibility: true, performance: false, crawlability: false, ai_detection: false },
+    baseline: baselineFile,
+    ...options
+  });
+  await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+}
+
+/**
+ * Read a report of the last build
+ */
+function readReport(file = 'report.json') {
+  const content = fs.readFileSync(path.join(distPath, file), 'utf8');
+  return file.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+describe('Baseline', () => {
+  beforeAll(async () => {
+    await setupTests();
+    ({ createIntegration } = await import('../dist/src/core/integration.js'));
+  }, 60000);
+
+  beforeEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    writePage('<img src="/logo.png" width="10" height="10">');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write the baseline and accept every issue when updating', async () => {
+    await build({ baseline: { file: baselineFile, update: true }, failOn: 'error' });
+
+    const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+    expect(baseline.version).toBe(1);
+    expect(baseline.issues.map((issue) => issue.ruleId).sort()).toEqual(['img-alt-missing', 'link-broken']);
+    expect(baseline.issues[0].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+
+    const { baseline: comparison } = readReport();
+    expect(comparison).toMatchObject({ updated: true, newIssueCount: 2, fixedIssueCount: 0 });
+  });
+
+  it('should match issues after their lines moved', async () => {
+    await build({ baseline: { file: baselineFile, update: true } });
+
+    writePage('<p>A new paragraph</p>\n  <p>And another</p>\n  <img src="/logo.png" width="10" height="10">');
+    await build({ failOn: 'error' });
+
+    const { baseline } = readReport();
+    expect(baseline).toMatchObject({ updated: false, newIssueCount: 0, fixedIssueCount: 0, unchangedIssueCount: 2 });
+  });
+
+  it('should match issues whose message has a count that changed', async () => {
+    // The homepage title and description are used on two pages, then on three
+    const copyPage = (page) => {
+      fs.mkdirSync(path.join(distPath, page), { recursive: true });
+      fs.copyFileSync(path.join(distPath, 'index.html'), path.join(distPath, page, 'index.html'));
+    };
+    copyPage('about');
+    await build({ baseline: { file: baselineFile, update: true } });
+
+    copyPage('contact');
+    const error = await build({ failOn: { rule: 'meta-title-duplicate' } }).catch((error) => error);
+
+    expect(error.message).toContain('1 issue of rule meta-title-duplicate, 0 allowed');
+    const { baseline } = readReport();
+    expect(baseline.newIssues.filter((issue) => issue.ruleId === 'meta-title-duplicate').map((issue) => issue.page)).toEqual(['/contact/']);
+    expect(baseline.fixedIssues).toEqual([]);
+  });
+
+  it('should fail the build when the baseline has no file', async () => {
+    await expect(build({ baseline: { update: true } })).rejects.toThrow('The baseline option needs a file');
+  });
+
+  it('should only fail on new issues and list new and fixed issues', async () => {
+    await build({ baseline: { file: baselineFile, update: true } });
+
+    // The logo got its alt text, and a new image without one was added
+    writePage('<img src="/logo.png" alt="Logo" width="10" height="10">\n  <img src="/hero.png" width="10" height="10">');
+    const error = await build({ failOn: 'error' }).catch((error) => error);
+
+    expect(error.message).toContain('2 errors, 0 allowed: img-alt-missing (1), link-broken (1)');
+
+    const { baseline } = readReport();
+    expect(baseline.newIssues.map(({ ruleId, selector, message }) => [ruleId, selector ?? message])).toEqual([
+      ['img-alt-missing', 'img[src="/hero.png"]'],
+      ['link-broken', 'Broken link: /hero.png']
+    ]);
+    expect(baseline.fixedIssues.map(({ ruleId }) => ruleId)).toEqual(['img-alt-missing']);
+    expect(baseline.unchangedIssueCount).toBe(1);
+
+    await build({ reportFilePath: 'report.md', failOn: { severity: 'error', max: 2 } });
+    const markdown = readReport('report.md');
+    expect(markdown).toContain('- Compared with the baseline: 2 new, 1 fixed, 1 unchanged');
+    expect(markdown).toContain('## 🆕 New Issues\n\n- /index: Missing alt attribute on <img> (`img-alt-missing`, error, `img[src="/hero.png"]`)');
+    expect(markdown).toContain('## ✅ Fixed Issues\n\n- /index: Missing alt attribute on <img> (`img-alt-missing`, error, `img[src="/logo.png"]`)');
+  });
+
+  it('should treat every issue as new without a baseline file', async () => {
+    const error = await build({ failOn: 'error' }).catch((error) => error);
+
+    expect(error.message).toContain('2 errors, 0 allowed');
+    expect(fs.existsSync(baselineFile)).toBe(false);
+  });
+});
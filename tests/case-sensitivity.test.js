@@ -0,0 +1,127 @@
+/**
+ * Test case for case mismatches in internal links
+ *
+ * Verifies that links whose case differs from the build output are reported
+ * with the correctly cased path, also when the build runs on a
+ * case-insensitive file system.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import fs from 'fs';
+import path from 'path';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+// Test directory setup
+const testDistDir = path.join(process.cwd(), 'tests', 'tmp-case-sensitivity', 'dist');
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(testDistDir, 'about'), { recursive: true });
+  fs.mkdirSync(path.join(testDistDir, 'Docs', 'getting-started'), { recursive: true });
+  fs.writeFileSync(path.join(testDistDir, 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'about', 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'Docs', 'getting-started', 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'pricing.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'logo.svg'), '');
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(process.cwd(), 'tests', 'tmp-case-sensitivity'), { recursive: true, force: true });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+/**
+ * Run the foundation phase with links to the given paths
+ */
+async function checkLinks(hrefs, astroSiteConfig) {
+  const brokenLinksMap = new Map();
+  const brokenLinkDetails = new Map();
+
+  await checkFoundationPhase(
+    `<html><body>${hrefs.map((href) => `<a href="${href}">Link</a>`).join('')}</body></html>`,
+    new Map(),
+    '/',
+    path.join(testDistDir, 'index.html'),
+    testDistDir,
+    {
+      brokenLinksMap,
+      brokenLinkDetails,
+      checkedLinks: new Map(),
+      checkExternalLinks: false,
+      astroSiteConfig,
+      logger: mockLogger
+    }
+  );
+
+  return { brokenLinks: [...brokenLinksMap.keys()], brokenLinkDetails };
+}
+
+/**
+ * Make existsSync and statSync ignore case, like the default macOS file system
+ */
+function simulateCaseInsensitiveFileSystem() {
+  const existsSync = fs.existsSync;
+  const statSync = fs.statSync;
+
+  const findActualPath = (target) => {
+    const relativePath = path.relative(testDistDir, target);
+    if (relativePath.startsWith('..')) {
+      return target;
+    }
+    let actual = testDistDir;
+    for (const segment of relativePath.split(path.sep).filter(Boolean)) {
+      const entries = existsSync(actual) && statSync(actual).isDirectory() ? fs.readdirSync(actual) : [];
+      const match = entries.find((entry) => entry.toLowerCase() === segment.toLowerCase());
+      if (!match) {
+        return target;
+      }
+      actual = path.join(actual, match);
+    }
+    return actual;
+  };
+
+  vi.spyOn(fs, 'existsSync').mockImplementation((target) => existsSync(findActualPath(String(target))));
+  vi.spyOn(fs, 'statSync').mockImplementation((target, ...args) => statSync(findActualPath(String(target)), ...args));
+}
+
+describe('Case mismatches in internal links', () => {
+  it('should accept links with the exact case', async () => {
+    const { brokenLinks } = await checkLinks(['/about/', '/Docs/getting-started/', '/pricing', '/logo.svg']);
+    expect(brokenLinks).toEqual([]);
+  });
+
+  it('should report the correctly cased path', async () => {
+    const { brokenLinks, brokenLinkDetails } = await checkLinks(['/About/', '/docs/Getting-Started/', '/Pricing', '/missing/']);
+
+    expect(brokenLinks).toEqual(['/About/', '/docs/Getting-Started/', '/Pricing', '/missing/']);
+    expect(brokenLinkDetails.get('/About/')).toMatchObject({ reason: 'case-mismatch', message: 'Case mismatch, the page is at /about/' });
+    expect(brokenLinkDetails.get('/docs/Getting-Started/').message).toBe('Case mismatch, the page is at /Docs/getting-started/');
+    expect(brokenLinkDetails.get('/Pricing').message).toBe('Case mismatch, the page is at /pricing');
+    expect(brokenLinkDetails.get('/missing/').reason).toBe('missing-file');
+  });
+
+  it('should include the base in the suggested path', async () => {
+    const { brokenLinkDetails } = await checkLinks(['/site/About/'], { base: '/site/' });
+    expect(brokenLinkDetails.get('/site/About/').message).toBe('Case mismatch, the page is at /site/about/');
+  });
+
+  it('should report mismatches on case-insensitive file systems', async () => {
+    simulateCaseInsensitiveFileSystem();
+    expect(fs.existsSync(path.join(testDistDir, 'ABOUT'))).toBe(true);
+
+    const { brokenLinks, brokenLinkDetails } = await checkLinks(['/About/', '/about/', '/LOGO.svg']);
+
+    expect(brokenLinks).toEqual(['/About/', '/LOGO.svg']);
+    expect(brokenLinkDetails.get('/LOGO.svg').message).toBe('Case mismatch, the page is at /logo.svg');
+  });
+});
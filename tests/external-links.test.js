@@ -0,0 +1,289 @@
+/**
+ * Test case for the external link checker
+ *
+ * Runs the checker against a local HTTP server to verify per-host limits,
+ * timeouts, the HEAD-first strategy, backoff on rate limiting, redirect
+ * chain reporting and the reasons given for failed links.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { createExternalLinkChecker, describeLinkFailure } from '../src/phases/external-links.js';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import { CATEGORIES } from '../src/phases/types.js';
+
+let server;
+let baseUrl;
+const requests = [];
+let inFlight = 0;
+let maxInFlight = 0;
+const rateLimitCounts = new Map();
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const url = new URL(req.url, 'http://localhost');
+
+    switch (url.pathname) {
+      case '/ok':
+        res.writeHead(200).end('ok');
+        break;
+      case '/missing':
+        res.writeHead(404).end('not found');
+        break;
+      case '/no-head':
+        res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+        break;
+      case '/rate-limited-once': {
+        // First two requests are throttled, then the page is served
+        const count = (rateLimitCounts.get(url.pathname) || 0) + 1;
+        rateLimitCounts.set(url.pathname, count);
+        if (count <= 2) {
+          res.writeHead(429, { 'Retry-After': '0' }).end();
+        } else {
+          res.writeHead(200).end();
+        }
+        break;
+      }
+      case '/always-rate-limited':
+        res.writeHead(503, { 'Retry-After': '0' }).end();
+        break;
+      case '/slow':
+        // Never answer within the test timeout
+        setTimeout(() => res.writeHead(200).end(), 2000);
+        break;
+      case '/busy':
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          res.writeHead(200).end();
+        }, 50);
+        break;
+      case '/moved':
+        res.writeHead(301, { Location: '/ok' }).end();
+        break;
+      case '/chain-1':
+        res.writeHead(302, { Location: '/chain-2' }).end();
+        break;
+      case '/chain-2':
+        res.writeHead(307, { Location: '/chain-3' }).end();
+        break;
+      case '/chain-3':
+        res.writeHead(308, { Location: `http://${req.headers.host}/ok` }).end();
+        break;
+      case '/temporary':
+        res.writeHead(302, { Location: '/ok' }).end();
+        break;
+      case '/loop-a':
+        res.writeHead(302, { Location: '/loop-b' }).end();
+        break;
+      case '/loop-b':
+        res.writeHead(302, { Location: '/loop-a' }).end();
+        break;
+      default:
+        res.writeHead(404).end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections?.();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('External link checker', () => {
+  it('should report reachable and missing pages', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1 });
+
+    expect((await checker.check(`${baseUrl}/ok`)).ok).toBe(true);
+
+    const missing = await checker.check(`${baseUrl}/missing`);
+    expect(missing.ok).toBe(false);
+    expect(missing.unverified).toBe(false);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should fall back to GET when a host rejects HEAD', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1 });
+
+    const result = await checker.check(`${baseUrl}/no-head`);
+    expect(result.ok).toBe(true);
+    expect(requests).toContain('HEAD /no-head');
+    expect(requests).toContain('GET /no-head');
+
+    // The host is remembered as rejecting HEAD, so the next link goes straight to GET
+    await checker.check(`${baseUrl}/ok?second`);
+    expect(requests).not.toContain('HEAD /ok?second');
+    expect(requests).toContain('GET /ok?second');
+  });
+
+  it('should retry rate-limited requests with backoff', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1, retries: 3 });
+
+    const result = await checker.check(`${baseUrl}/rate-limited-once`);
+    expect(result.ok).toBe(true);
+    expect(result.attempts).toBe(3);
+  });
+
+  it('should classify persistent 429/503 responses as unverified', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1, retries: 2 });
+
+    const result = await checker.check(`${baseUrl}/always-rate-limited`);
+    expect(result.ok).toBe(false);
+    expect(result.unverified).toBe(true);
+    expect(result.status).toBe(503);
+    expect(result.attempts).toBe(3);
+  });
+
+  it('should time out slow requests', async () => {
+    const checker = createExternalLinkChecker({ timeout: 100, retries: 0 });
+
+    const result = await checker.check(`${baseUrl}/slow`);
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe('ETIMEDOUT');
+  });
+
+  it('should limit concurrent requests per host', async () => {
+    const checker = createExternalLinkChecker({ perHostConcurrency: 2, headFirst: false });
+
+    await Promise.all(
+      Array.from({ length: 6 }, (_, i) => checker.check(`${baseUrl}/busy?page=${i}`))
+    );
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('should not hold back other hosts while one host is busy', async () => {
+    // A second host, as the per-host limit goes by host and port
+    const other = http.createServer((req, res) => res.writeHead(200).end());
+    await new Promise((resolve) => other.listen(0, '127.0.0.1', resolve));
+    const otherUrl = `http://127.0.0.1:${other.address().port}`;
+
+    try {
+      const checker = createExternalLinkChecker({ concurrency: 2, perHostConcurrency: 1, headFirst: false });
+      const finished = [];
+      const track = (url) => checker.check(url).then(() => finished.push(url));
+
+      await Promise.all([
+        ...Array.from({ length: 4 }, (_, i) => track(`${baseUrl}/busy?host=${i}`)),
+        track(`${otherUrl}/ok`)
+      ]);
+      expect(finished[0]).toBe(`${otherUrl}/ok`);
+    } finally {
+      await new Promise((resolve) => other.close(resolve));
+    }
+  });
+
+  it('should record every redirect hop', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1 });
+
+    const result = await checker.check(`${baseUrl}/chain-1`);
+    expect(result.ok).toBe(true);
+    expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+    expect(result.redirects).toEqual([
+      { url: `${baseUrl}/chain-1`, status: 302 },
+      { url: `${baseUrl}/chain-2`, status: 307 },
+      { url: `${baseUrl}/chain-3`, status: 308 }
+    ]);
+  });
+
+  it('should detect redirect loops', async () => {
+    const checker = createExternalLinkChecker({ retryDelay: 1 });
+
+    const result = await checker.check(`${baseUrl}/loop-a`);
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe('EREDIRECTLOOP');
+  });
+});
+
+describe('Redirect chain reporting', () => {
+  /**
+   * Run the foundation phase on a page linking to the given URLs
+   */
+  async function checkLinks(urls, linkCheck = {}, checker = createExternalLinkChecker({ retryDelay: 1 })) {
+    const issuesMap = new Map();
+    const html = `<html><body>${urls.map((url) => `<a href="${url}">link</a>`).join('')}</body></html>`;
+
+    await checkFoundationPhase(html, issuesMap, '/', '/tmp/dist/index.html', '/tmp/dist', {
+      brokenLinksMap: new Map(),
+      checkedLinks: new Map(),
+      externalLinkChecker: checker,
+      linkCheck
+    });
+
+    return [...(issuesMap.get(CATEGORIES.LINK_REDIRECTED)?.keys() || [])];
+  }
+
+  it('should name the final URL of permanent redirects', async () => {
+    const issues = await checkLinks([`${baseUrl}/moved`]);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toContain(`moved permanently (301), update link to ${baseUrl}/ok`);
+    expect(issues[0]).toContain(`301 ${baseUrl}/moved → 200 ${baseUrl}/ok`);
+  });
+
+  it('should flag chains longer than the hop limit', async () => {
+    const issues = await checkLinks([`${baseUrl}/chain-1`], { maxRedirects: 2 });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toContain('3 redirects exceed the limit of 2');
+    expect(issues[0]).not.toContain('moved permanently');
+  });
+
+  it('should leave single temporary redirects alone', async () => {
+    const issues = await checkLinks([`${baseUrl}/temporary`]);
+    expect(issues).toHaveLength(0);
+  });
+
+  it('should flag downgrades from https to http', async () => {
+    const checker = {
+      check: async (url) => ({
+        url,
+        status: 200,
+        ok: true,
+        unverified: false,
+        finalUrl: 'http://example.com/page',
+        redirects: [{ url, status: 302 }],
+        attempts: 1
+      })
+    };
+
+    const issues = await checkLinks(['https://example.com/page'], {}, checker);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toContain('downgrades from https to http at http://example.com/page');
+  });
+});
+
+describe('Failure reasons', () => {
+  it('should classify HTTP, DNS, timeout, TLS and redirect failures', () => {
+    const reasonOf = (result) => describeLinkFailure({ url: 'https://example.com/', ok: false, status: null, ...result });
+
+    expect(reasonOf({ status: 404 })).toEqual({ reason: 'http-status', message: 'HTTP 404' });
+    expect(reasonOf({ error: 'ENOTFOUND' })).toEqual({ reason: 'dns', message: 'DNS lookup failed (ENOTFOUND)' });
+    expect(reasonOf({ error: 'ETIMEDOUT' }).reason).toBe('timeout');
+    expect(reasonOf({ error: 'CERT_HAS_EXPIRED' }).reason).toBe('tls');
+    expect(reasonOf({ error: 'ERR_TLS_CERT_ALTNAME_INVALID' }).reason).toBe('tls');
+    expect(reasonOf({ status: 302, error: 'EREDIRECTLOOP' })).toEqual({ reason: 'redirect', message: 'Redirect loop' });
+    expect(reasonOf({ error: 'ECONNREFUSED' }).reason).toBe('network');
+  });
+
+  it('should record the reason and status of broken external links', async () => {
+    const brokenLinkDetails = new Map();
+    const url = `${baseUrl}/missing?reason`;
+
+    await checkFoundationPhase(`<html><body><a href="${url}">Gone</a></body></html>`, new Map(), '/', '/tmp/dist/index.html', '/tmp/dist', {
+      brokenLinksMap: new Map(),
+      brokenLinkDetails,
+      checkedLinks: new Map(),
+      externalLinkChecker: createExternalLinkChecker({ retryDelay: 1 })
+    });
+
+    expect(brokenLinkDetails.get(url)).toMatchObject({
+      reason: 'http-status',
+      message: 'HTTP 404',
+      status: 404,
+      occurrences: [{ page: '/index', source: '<a href>', text: 'Gone', line: 1 }]
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Test case for severity overrides and failing the build
+ *
+ * Verifies that rule and category severities can be overridden, that failOn
+ * fails the build with a summary once the report is written, that builds
+ * within the limits pass, and that invalid settings fail the build.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { setupTests } from './setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = path.join(__dirname, 'tmp-fail-policy');
+const distPath = path.join(tmpDir, 'dist');
+
+let createIntegration;
+let errorMessages;
+
+const logger = {
+  info() {},
+  warn() {},
+  error(message) { errorMessages.push(message); },
+  debug() {}
+};
+
+/**
+ * Run the checker on the build output like a new build
+ */
+async function build(options = {}) {
+  const integration = createIntegration({
+    checkExternalLinks: false,
+    reportFilePath: 'report.json',
+    phases: { foundation: true, metadata: true, accessibility: true, performance: false, crawlability: false, ai_detection: false },
+    ...options
+  });
+  await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+}
+
+/**
+ * Read the JSON report of the last build
+ */
+function readReport() {
+  return JSON.parse(fs.readFileSync(path.join(distPath, 'report.json'), 'utf8'));
+}
+
+describe('Severities and failOn', () => {
+  beforeAll(async () => {
+    await setupTests();
+    ({ createIntegration } = await import('../dist/src/core/integration.js'));
+  }, 60000);
+
+  beforeEach(() => {
+    errorMessages = [];
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(distPath, { recursive: true });
+    // Three broken links (error), two images without alt text (error) and an empty description (warning)
+    fs.writeFileSync(path.join(distPath, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Home</title>
+  <meta name="description" content="">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body>
+  <h1>Home</h1>
+  <a href="/missing/">Missing page</a>
+  <img src="/a.png">
+  <img src="/b.png">
+</body>
+</html>`);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should pass without a failOn policy', async () => {
+    await expect(build()).resolves.toBeUndefined();
+    expect(readReport().summary.severities).toMatchObject({ error: 2, warning: 1 });
+  });
+
+  it('should fail the build on any error with a summary after writing the report', async () => {
+    const error = await build({ failOn: 'error' }).catch((error) => error);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ThresholdError');
+    expect(error.message).toContain('5 errors, 0 allowed: link-broken (3), img-alt-missing (2)');
+    expect(errorMessages.some((message) => message.includes('Threshold Error'))).toBe(true);
+    expect(fs.existsSync(path.join(distPath, 'report.json'))).toBe(true);
+  });
+
+  it('should only fail when a threshold is exceeded', async () => {
+    await expect(build({ failOn: { severity: 'error', max: 5 } })).resolves.toBeUndefined();
+    await expect(build({ failOn: { severity: 'warning', category: 'metadata: empty elements', max: 1 } })).resolves.toBeUndefined();
+
+    const error = await build({
+      failOn: [{ severity: 'error', max: 5 }, { rule: 'img-alt-missing', max: 1 }]
+    }).catch((error) => error);
+    expect(error.message).toContain('2 issues of rule img-alt-missing, 1 allowed');
+    expect(error.message).not.toContain('errors');
+  });
+
+  it('should apply severity overrides to reports and thresholds', async () => {
+    await build({
+      severities: { 'img-alt-missing': 'warning', 'metadata: empty elements': 'info', 'link-broken': 'info' },
+      failOn: 'error'
+    });
+
+    const report = readReport();
+    expect(report.summary.severities).toEqual({ error: 0, warning: 2, info: 1 });
+    expect(report.seoIssues['accessibility: missing alt'][0].severity).toBe('warning');
+
+    const error = await build({ severities: { 'link-broken': 'warning' }, failOn: 'warning' }).catch((error) => error);
+    expect(error.message).toContain('6 warnings or worse, 0 allowed');
+  });
+
+  it('should fail the build on unknown rules, categories and severities', async () => {
+    await expect(build({ severities: { 'img-alt-mising': 'info' }, failOn: 'error' }))
+      .rejects.toThrow('Unknown rule or category in severities: img-alt-mising');
+    expect(errorMessages.join('\n')).toContain('Unknown rule or category in severities: img-alt-mising');
+
+    await expect(build({ failOn: { severity: 'fatal' } })).rejects.toThrow('Invalid severity in failOn severity: fatal');
+    await expect(build({ failOn: { category: 'img-alt-missing' } })).rejects.toThrow('Unknown category in failOn: img-alt-missing');
+
+    // Nothing was checked, so no report was written
+    expect(fs.existsSync(path.join(distPath, 'report.json'))).toBe(false);
+  });
+
+  it('should fail the build on invalid settings even when there is nothing to check', async () => {
+    await expect(build({ failOn: { severity: 'fatal' }, phases: { foundation: false, metadata: false, accessibility: false, performance: false, crawlability: false, ai_detection: false } }))
+      .rejects.toThrow('Invalid severity in failOn severity: fatal');
+
+    fs.rmSync(path.join(distPath, 'index.html'));
+    await expect(build({ failOn: { severity: 'fatal' } })).rejects.toThrow('Invalid severity in failOn severity: fatal');
+  });
+});
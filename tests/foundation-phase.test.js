@@ -49,6 +49,24 @@ describe('Foundation & Privacy Phase Tests', () => {
     // Should not contain allowlisted emails
     expect(privacySection).not.toContain('allowlisted@example.com');
   });
+
+  it('should detect fragment links pointing at missing ids', () => {
+    const reportContent = fs.readFileSync(reportFilePath, 'utf-8');
+    const anchorSection = reportContent
+      .split('\n### ')
+      .find(section => section.includes('Linking: Broken Fragment Links')) || '';
+
+    // Same-page and cross-page fragments without a matching id
+    expect(anchorSection).toContain('Broken anchor "#renamed-section": no element with id="renamed-section" on this page');
+    expect(anchorSection).toContain('Broken anchor "/about#team": no element with id="team" on /about');
+    expect(anchorSection).toContain('/anchors');
+
+    // Fragments that resolve to an id, a legacy <a name>, or the top of the page
+    expect(anchorSection).not.toContain('"#introduction"');
+    expect(anchorSection).not.toContain('"/anchors#introduction"');
+    expect(anchorSection).not.toContain('#legacy-anchor');
+    expect(anchorSection).not.toContain('"#top"');
+  });
 });
 
 // Helper function to extract a section from the report
@@ -0,0 +1,77 @@
+/**
+ * Test case for the HTML report in the build output
+ *
+ * Verifies that htmlReport writes the HTML report into the build output next
+ * to the main report, and that reports from an earlier run in the build
+ * output are not checked as pages of the site.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { setupTests } from './setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = path.join(__dirname, 'tmp-html-report');
+const distPath = path.join(tmpDir, 'dist');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let createIntegration;
+
+/**
+ * Run the checker on the build output like a new build, and read its JSON report
+ */
+async function build(options = {}) {
+  const integration = createIntegration({
+    checkExternalLinks: false,
+    reportFilePath: 'report.json',
+    ...options
+  });
+  await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+  return JSON.parse(fs.readFileSync(path.join(distPath, 'report.json'), 'utf8'));
+}
+
+describe('HTML report in the build output', () => {
+  beforeAll(async () => {
+    await setupTests();
+    ({ createIntegration } = await import('../dist/src/core/integration.js'));
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(distPath, { recursive: true });
+    fs.writeFileSync(path.join(distPath, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Home</title>
+  <meta name="description" content="The home page">
+</head>
+<body>
+  <h1>Home</h1>
+  <img src="/logo.png" width="10" height="10">
+</body>
+</html>`);
+  }, 60000);
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write the HTML report next to the main report', async () => {
+    await build({ htmlReport: 'reports/seo.html' });
+
+    const html = fs.readFileSync(path.join(distPath, 'reports/seo.html'), 'utf8');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('img-alt-missing');
+  });
+
+  it('should not check reports of an earlier run as pages', async () => {
+    fs.rmSync(path.join(distPath, 'reports'), { recursive: true, force: true });
+    await build({ htmlReport: true, reportFilePath: 'site-report.html' });
+    expect(fs.existsSync(path.join(distPath, 'site-report.html'))).toBe(true);
+
+    const report = await build({ htmlReport: true });
+    const pages = new Set(Object.values(report.seoIssues).flat().map((issue) => issue.page));
+    expect([...pages]).toEqual(['/index']);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Test case for the persistent external link cache
+ *
+ * Verifies that results survive between checker instances, expire after
+ * their TTL and can be refreshed on demand.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createLinkCache } from '../src/phases/link-cache.js';
+import { createExternalLinkChecker } from '../src/phases/external-links.js';
+import { setupTests } from './setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cacheDir = path.join(__dirname, 'tmp-link-cache');
+const projectRoot = path.join(__dirname, 'tmp-link-cache-project');
+
+let server;
+let baseUrl;
+let requestCount = 0;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requestCount++;
+    res.writeHead(req.url === '/missing' ? 404 : 200).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections?.();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  requestCount = 0;
+});
+
+/**
+ * Check URLs with a fresh checker backed by a fresh cache instance, like a new build
+ */
+async function build(urls, cacheOptions = {}) {
+  const cache = createLinkCache({ dir: cacheDir, ...cacheOptions });
+  const checker = createExternalLinkChecker({ retryDelay: 1, headFirst: false }, undefined, cache);
+  const results = await Promise.all(urls.map((url) => checker.check(url)));
+  cache.save();
+  return results;
+}
+
+describe('External link cache', () => {
+  it('should reuse results from a previous build', async () => {
+    await build([`${baseUrl}/ok`]);
+    expect(requestCount).toBe(1);
+    expect(fs.existsSync(path.join(cacheDir, 'external-links.json'))).toBe(true);
+
+    const [result] = await build([`${baseUrl}/ok`]);
+    expect(requestCount).toBe(1);
+    expect(result.ok).toBe(true);
+    expect(result.cached).toBe(true);
+    expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+  });
+
+  it('should only check new links', async () => {
+    await build([`${baseUrl}/ok`]);
+    await build([`${baseUrl}/ok`, `${baseUrl}/new`]);
+    expect(requestCount).toBe(2);
+  });
+
+  it('should expire failures separately from successes', async () => {
+    await build([`${baseUrl}/ok`, `${baseUrl}/missing`]);
+    expect(requestCount).toBe(2);
+
+    // Failures expire immediately, successes are still fresh
+    const [ok, missing] = await build([`${baseUrl}/ok`, `${baseUrl}/missing`], { failureTtl: 0 });
+    expect(requestCount).toBe(3);
+    expect(ok.cached).toBe(true);
+    expect(missing.cached).toBeUndefined();
+    expect(missing.status).toBe(404);
+  });
+
+  it('should re-check everything when refresh is set', async () => {
+    await build([`${baseUrl}/ok`]);
+    await build([`${baseUrl}/ok`], { refresh: true });
+    expect(requestCount).toBe(2);
+
+    // The refreshed result is written back for the next build
+    await build([`${baseUrl}/ok`]);
+    expect(requestCount).toBe(2);
+  });
+
+  it('should not cache unverified results', () => {
+    const cache = createLinkCache({ dir: cacheDir });
+    cache.set(`${baseUrl}/throttled`, { status: 429, ok: false, unverified: true });
+    expect(cache.get(`${baseUrl}/throttled`)).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  it('should ignore a corrupt cache file', () => {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, 'external-links.json'), '{not json');
+    const cache = createLinkCache({ dir: cacheDir });
+    expect(cache.size).toBe(0);
+  });
+
+  it('should resolve a relative cache directory against the project root', async () => {
+    await setupTests();
+    const { createIntegration } = await import('../dist/src/core/integration.js');
+    const distPath = path.join(projectRoot, 'dist');
+    fs.mkdirSync(distPath, { recursive: true });
+    fs.writeFileSync(path.join(distPath, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head><title>Home</title></head>
+<body><a href="${baseUrl}/">Link</a></body>
+</html>`);
+
+    const logger = { info() {}, warn() {}, error() {}, debug() {} };
+    const integration = createIntegration({
+      reportFilePath: 'report.json',
+      linkCheck: { retryDelay: 1, headFirst: false, cache: { dir: 'link-cache' } }
+    });
+    await integration.hooks['astro:config:setup']({ config: { root: pathToFileURL(`${projectRoot}/`) } });
+    await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+
+    expect(fs.existsSync(path.join(projectRoot, 'link-cache', 'external-links.json'))).toBe(true);
+  });
+});
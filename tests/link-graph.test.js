@@ -0,0 +1,197 @@
+/**
+ * Test case for the site-wide internal link graph
+ *
+ * Verifies that links collected from every page are matched to pages, and
+ * that orphan pages, pages only reachable through nofollow links, dead ends
+ * and pages far from the homepage are reported with their inbound links and
+ * click depth, and that the graph can be exported as JSON, DOT and GraphML.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parse } from 'node-html-parser';
+import { createLinkGraph, collectPageLinks, analyzeLinkGraph, reportLinkGraph } from '../src/phases/link-graph.js';
+import { checkCrawlabilityPhase } from '../src/phases/crawlability-phase.js';
+import { createSiteContext } from '../src/phases/index.js';
+import { formatMarkdown } from '../src/formatters/markdown-formatter.js';
+import { formatLinkGraph } from '../src/formatters/link-graph-formatter.js';
+import { CATEGORIES } from '../src/phases/types.js';
+
+const distPath = '/tmp/link-graph/dist';
+
+// Page file -> body links
+const SITE = {
+  'index.html': '<a href="/about/">About</a><a href="/blog">Blog</a><a href="https://example.com/contact/">Contact</a>',
+  'about/index.html': '<a href="/">Home</a><a href="/about/#team">Team</a>',
+  'blog/index.html': '<a href="/">Home</a><a href="page-2/">Older posts</a><a href="/members/" rel="nofollow">Members</a>',
+  'blog/page-2/index.html': '<a href="../">Newer posts</a><a href="/blog/page-3/">Older posts</a>',
+  'blog/page-3/index.html': '<a href="/blog/page-4/"><img src="/arrow.svg" alt="Older posts"></a>',
+  'blog/page-4/index.html': '<a href="/">Home</a>',
+  'contact/index.html': '<a href="/">Home</a><a href="https://github.com/">GitHub</a>',
+  'members/index.html': '<a href="/">Home</a>',
+  'old-landing.html': '<a href="/">Home</a>',
+  '404.html': '<p>Not found</p>'
+};
+
+/**
+ * Collect the links of every page in SITE
+ */
+function buildGraph(site = SITE, options = { astroSiteConfig: { site: 'https://example.com' } }) {
+  const graph = createLinkGraph();
+  for (const [file, body] of Object.entries(site)) {
+    const html = `<html><head><title>${file}</title></head><body>${body}</body></html>`;
+    collectPageLinks(parse(html), `${distPath}/${file}`, distPath, graph, options);
+  }
+  return graph;
+}
+
+/**
+ * Get the pages reported in a category
+ */
+function getPages(issuesMap, category) {
+  return [...(issuesMap.get(category)?.values() || [])].flatMap((records) => records.map((record) => record.page)).sort();
+}
+
+describe('Internal link graph', () => {
+  it('should count inbound links and click depth for every page', () => {
+    const pages = Object.fromEntries(analyzeLinkGraph(buildGraph()).map((page) => [page.page, page]));
+
+    expect(pages['/']).toMatchObject({ inbound: 6, outbound: 3, depth: 0, title: 'index.html' });
+    expect(pages['/about/']).toMatchObject({ inbound: 1, depth: 1 });
+    // Absolute links to the site itself count as internal links
+    expect(pages['/contact/']).toMatchObject({ inbound: 1, depth: 1 });
+    expect(pages['/blog/page-4/']).toMatchObject({ inbound: 1, depth: 4 });
+    expect(pages['/members/']).toMatchObject({ depth: null, nofollowOnly: true });
+    expect(pages['/old-landing']).toMatchObject({ inbound: 0, depth: null, nofollowOnly: false });
+
+    // Anchor text falls back to the alt text of linked images
+    expect(pages['/blog/page-3/'].links).toEqual([
+      { target: '/blog/page-4/', text: 'Older posts', rel: '', nofollow: false }
+    ]);
+  });
+
+  it('should report orphans, nofollow-only pages, dead ends and deep pages', () => {
+    const issuesMap = new Map();
+    reportLinkGraph(buildGraph(), issuesMap);
+
+    expect(getPages(issuesMap, CATEGORIES.LINK_ORPHAN)).toEqual(['/old-landing']);
+    expect(getPages(issuesMap, CATEGORIES.LINK_NOFOLLOW_ONLY)).toEqual(['/members/']);
+    // Error pages are neither orphans nor dead ends
+    expect(getPages(issuesMap, CATEGORIES.LINK_DEAD_END)).toEqual([]);
+    expect([...issuesMap.get(CATEGORIES.LINK_CLICK_DEPTH).keys()]).toEqual([
+      'Page is 4 clicks from the homepage (recommend at most 3)'
+    ]);
+  });
+
+  it('should honor maxClickDepth and report dead ends', () => {
+    const issuesMap = new Map();
+    reportLinkGraph(buildGraph({
+      'index.html': '<a href="/a/">A</a>',
+      'a/index.html': '<a href="/b/">B</a>',
+      'b/index.html': '<a href="/b/">Self</a><a href="https://github.com/">GitHub</a>'
+    }), issuesMap, { maxClickDepth: 1 });
+
+    expect(getPages(issuesMap, CATEGORIES.LINK_CLICK_DEPTH)).toEqual(['/b/']);
+    expect(getPages(issuesMap, CATEGORIES.LINK_DEAD_END)).toEqual(['/b/']);
+  });
+
+  it('should treat pages on a nofollow page as reachable only through nofollow', () => {
+    const issuesMap = new Map();
+    reportLinkGraph(buildGraph({
+      'index.html': '<meta name="robots" content="index, nofollow"><a href="/a/">A</a>',
+      'a/index.html': '<a href="/">Home</a>'
+    }), issuesMap);
+
+    expect(getPages(issuesMap, CATEGORIES.LINK_NOFOLLOW_ONLY)).toEqual(['/a/']);
+  });
+
+  it('should resolve links under the base and collect pages in the crawlability phase', async () => {
+    const siteContext = createSiteContext(distPath, new Map());
+    const options = { siteContext, astroSiteConfig: { base: '/docs/' } };
+    await checkCrawlabilityPhase('<a href="/docs/guide/">Guide</a><a href="/elsewhere/">Elsewhere</a>', new Map(), '/', `${distPath}/index.html`, distPath, options);
+    await checkCrawlabilityPhase('<a href="../">Docs</a>', new Map(), '/guide/', `${distPath}/guide/index.html`, distPath, options);
+
+    const pages = analyzeLinkGraph(siteContext.linkGraph);
+    expect(pages.map(({ page, inbound, depth }) => ({ page, inbound, depth }))).toEqual([
+      { page: '/', inbound: 1, depth: 0 },
+      { page: '/guide/', inbound: 1, depth: 1 }
+    ]);
+  });
+
+  it('should list inbound links and click depth in the Markdown report', () => {
+    const report = formatMarkdown(new Map(), new Map(), {
+      startTime: Date.now(),
+      linkGraph: analyzeLinkGraph(buildGraph())
+    });
+
+    expect(report).toContain('## 🕸️ Internal Link Graph');
+    expect(report).toContain('| / | 6 | 3 | 0 |');
+    expect(report).toContain('| /members/ | 1 | 1 | nofollow only |');
+    expect(report).toContain('| /old-landing | 0 | 1 | unreachable |');
+  });
+});
+
+describe('Link graph export', () => {
+  const linkGraph = analyzeLinkGraph(buildGraph({
+    'index.html': '<a href="/about/">About "us"</a><a href="/about/#team">Team</a><a href="#top">Top</a>',
+    'about/index.html': '<a href="/" rel="nofollow noopener">Home & more</a>'
+  }));
+  const seoIssues = [
+    { category: CATEGORIES.META_MISSING, message: 'Missing description', page: '/index' },
+    { category: CATEGORIES.META_MISSING, message: 'Missing description', page: '/about/' },
+    { category: CATEGORIES.LINK_DEAD_END, message: 'Dead end', page: '/about/' }
+  ];
+  const brokenLinksMap = new Map([['/missing/', new Set(['/about/'])]]);
+
+  it('should export nodes with title, depth and issue counts and edges with anchor text and rel', () => {
+    const graph = JSON.parse(formatLinkGraph('json', linkGraph, brokenLinksMap, seoIssues));
+
+    expect(graph.nodes).toEqual([
+      {
+        id: '/',
+        title: 'index.html',
+        depth: 0,
+        inboundLinks: 1,
+        outboundLinks: 1,
+        issues: 1,
+        issuesByCategory: { [CATEGORIES.META_MISSING]: 1 }
+      },
+      {
+        id: '/about/',
+        title: 'about/index.html',
+        depth: 1,
+        inboundLinks: 1,
+        outboundLinks: 1,
+        issues: 3,
+        issuesByCategory: { broken_links: 1, [CATEGORIES.META_MISSING]: 1, [CATEGORIES.LINK_DEAD_END]: 1 }
+      }
+    ]);
+    // Every link is an edge, links to the page itself are left out
+    expect(graph.edges).toEqual([
+      { source: '/', target: '/about/', text: 'About "us"', rel: '', nofollow: false },
+      { source: '/', target: '/about/', text: 'Team', rel: '', nofollow: false },
+      { source: '/about/', target: '/', text: 'Home & more', rel: 'nofollow noopener', nofollow: true }
+    ]);
+  });
+
+  it('should export a Graphviz digraph', () => {
+    const dot = formatLinkGraph('dot', linkGraph, brokenLinksMap, seoIssues);
+
+    expect(dot.startsWith('digraph "site" {')).toBe(true);
+    expect(dot).toContain('"/about/" [label="about/index.html\\n/about/", title="about/index.html", depth=1, issues=3, color=red];');
+    expect(dot).toContain('"/" -> "/about/" [label="About \\"us\\"", rel=""];');
+    expect(dot).toContain('"/about/" -> "/" [label="Home & more", rel="nofollow noopener", style=dashed];');
+  });
+
+  it('should export GraphML with typed node and edge data', () => {
+    const graphml = formatLinkGraph('graphml', linkGraph, brokenLinksMap, seoIssues);
+
+    expect(graphml).toContain('<key id="depth" for="node" attr.name="depth" attr.type="int"/>');
+    expect(graphml).toContain('<node id="/about/">');
+    expect(graphml).toContain('<data key="issues">3</data>');
+    expect(graphml).toContain('<edge id="e0" source="/" target="/about/">');
+    expect(graphml).toContain('<data key="text">About &quot;us&quot;</data>');
+    expect(graphml).toContain('<data key="text">Home &amp; more</data>');
+    expect(graphml).toContain('<data key="nofollow">true</data>');
+  });
+});
+
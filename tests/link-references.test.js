@@ -0,0 +1,176 @@
+/**
+ * Test case for resource reference extraction
+ *
+ * Ensures the link checker follows every kind of resource reference, not just
+ * anchors and images, and reports which element attribute produced a broken one.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import { formatMarkdown } from '../src/formatters/markdown-formatter.js';
+import fs from 'fs';
+import path from 'path';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+// Test directory setup
+const testDistDir = path.join(process.cwd(), 'tests', 'tmp-references', 'dist');
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(testDistDir, 'images'), { recursive: true });
+  for (const file of ['images/hero-400.jpg', 'images/hero-800.jpg', 'favicon.svg', 'main.css', 'app.js', 'poster.jpg']) {
+    fs.writeFileSync(path.join(testDistDir, file), '');
+  }
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(process.cwd(), 'tests', 'tmp-references'), { recursive: true, force: true });
+});
+
+/**
+ * Run the foundation phase on an HTML snippet and return the collected maps
+ */
+async function checkHtml(htmlContent) {
+  const brokenLinksMap = new Map();
+  const brokenLinkDetails = new Map();
+
+  await checkFoundationPhase(
+    htmlContent,
+    new Map(),
+    '/',
+    path.join(testDistDir, 'index.html'),
+    testDistDir,
+    {
+      brokenLinksMap,
+      brokenLinkDetails,
+      checkedLinks: new Map(),
+      checkExternalLinks: false,
+      logger: mockLogger
+    }
+  );
+
+  return { brokenLinksMap, brokenLinkDetails };
+}
+
+describe('Resource reference tests', () => {
+  it('should accept existing resources of every kind', async () => {
+    const { brokenLinksMap } = await checkHtml(`
+      <html>
+        <head>
+          <link rel="icon" href="/favicon.svg">
+          <link rel="stylesheet" href="/main.css">
+          <link rel="canonical" href="/not-a-resource-check">
+          <script src="/app.js"></script>
+        </head>
+        <body>
+          <img src="/images/hero-400.jpg" srcset="/images/hero-400.jpg 400w, /images/hero-800.jpg 800w">
+          <video poster="/poster.jpg"></video>
+          <img src="data:image/png;base64,AAAA">
+        </body>
+      </html>
+    `);
+
+    expect(brokenLinksMap.size).toBe(0);
+  });
+
+  it('should report missing resources with the element attribute that references them', async () => {
+    const { brokenLinksMap, brokenLinkDetails } = await checkHtml(`
+      <html>
+        <head>
+          <link rel="shortcut icon" href="/missing-favicon.ico">
+          <link rel="preload" href="/fonts/missing.woff2" as="font">
+          <link rel="manifest" href="/site.webmanifest">
+          <meta property="og:image" content="/social/missing-card.png">
+          <meta name="twitter:image" content="/social/missing-twitter.png">
+          <script src="/missing.js"></script>
+        </head>
+        <body>
+          <img src="/images/hero-400.jpg" srcset="/images/hero-400.jpg 1x, /images/hero-1600.jpg 2x">
+          <picture>
+            <source srcset="/images/hero.avif" type="image/avif">
+            <img src="/images/hero-800.jpg">
+          </picture>
+          <video src="/video/missing.mp4" poster="/missing-poster.jpg">
+            <source src="/video/missing.webm" type="video/webm">
+          </video>
+          <iframe src="/embeds/missing-map.html"></iframe>
+          <object data="/docs/missing.pdf"></object>
+        </body>
+      </html>
+    `);
+
+    const sourceOf = (url) => (brokenLinkDetails.get(url)?.occurrences || [])
+      .filter((occurrence) => occurrence.page === '/index')
+      .map((occurrence) => occurrence.source);
+
+    expect(sourceOf('/images/hero-1600.jpg')).toEqual(['<img srcset>']);
+    expect(sourceOf('/images/hero.avif')).toEqual(['<source srcset>']);
+    expect(sourceOf('/missing-favicon.ico')).toEqual(['<link rel="shortcut icon" href>']);
+    expect(sourceOf('/fonts/missing.woff2')).toEqual(['<link rel="preload" href>']);
+    expect(sourceOf('/site.webmanifest')).toEqual(['<link rel="manifest" href>']);
+    expect(sourceOf('/social/missing-card.png')).toEqual(['<meta property="og:image" content>']);
+    expect(sourceOf('/social/missing-twitter.png')).toEqual(['<meta name="twitter:image" content>']);
+    expect(sourceOf('/missing.js')).toEqual(['<script src>']);
+    expect(sourceOf('/video/missing.mp4')).toEqual(['<video src>']);
+    expect(sourceOf('/video/missing.webm')).toEqual(['<source src>']);
+    expect(sourceOf('/missing-poster.jpg')).toEqual(['<video poster>']);
+    expect(sourceOf('/embeds/missing-map.html')).toEqual(['<iframe src>']);
+    expect(sourceOf('/docs/missing.pdf')).toEqual(['<object data>']);
+    expect(brokenLinksMap.size).toBe(13);
+
+    // The markdown report names the element attribute next to each page
+    const report = formatMarkdown(brokenLinksMap, new Map(), {
+      startTime: Date.now(),
+      filePath: 'report.md',
+      brokenLinkDetails
+    });
+    expect(report).toContain('`<img srcset>`');
+    expect(report).toContain('Reason: No file in the build output (missing-file)');
+  });
+
+  it('should record the element, link text and line of each broken link', async () => {
+    const { brokenLinkDetails } = await checkHtml([
+      '<html>',
+      '<body>',
+      '  <p>Read the <a href="/missing-guide/">installation   guide</a></p>',
+      '  <img src="/images/missing.png" alt="Diagram">',
+      '</body>',
+      '</html>'
+    ].join('\n'));
+
+    const guide = brokenLinkDetails.get('/missing-guide/');
+    expect(guide.reason).toBe('missing-file');
+    expect(guide.occurrences).toEqual([{
+      page: '/index',
+      source: '<a href>',
+      element: 'a',
+      attribute: 'href',
+      text: 'installation guide',
+      line: 3
+    }]);
+
+    const image = brokenLinkDetails.get('/images/missing.png').occurrences[0];
+    expect(image).toMatchObject({ element: 'img', attribute: 'src', text: 'Diagram', line: 4 });
+
+    const report = formatMarkdown(new Map([['/missing-guide/', new Set(['/index'])]]), new Map(), {
+      startTime: Date.now(),
+      filePath: 'report.md',
+      brokenLinkDetails
+    });
+    expect(report).toContain('- /index (line 3, `<a href>`, "installation guide")');
+  });
+
+  it('should parse srcset candidates containing commas and descriptors', async () => {
+    const { brokenLinksMap } = await checkHtml(`
+      <img srcset="/images/hero-400.jpg 400w,/images/a,b.jpg 800w, /images/hero-800.jpg">
+    `);
+
+    expect(Array.from(brokenLinksMap.keys())).toEqual(['/images/a,b.jpg']);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Test case for link ignore patterns and per-host rules
+ *
+ * Verifies that ignored links are skipped but counted, and that host rules
+ * can accept statuses from hosts that block bots.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { compileIgnorePatterns, isIgnoredLink, getHostRule } from '../src/phases/link-rules.js';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import { formatMarkdown } from '../src/formatters/markdown-formatter.js';
+import fs from 'fs';
+import path from 'path';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+// Test directory setup
+const testDistDir = path.join(process.cwd(), 'tests', 'tmp-link-rules', 'dist');
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(testDistDir, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(testDistDir, 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'docs', 'index.html'), '<html></html>');
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(process.cwd(), 'tests', 'tmp-link-rules'), { recursive: true, force: true });
+});
+
+/**
+ * Run the foundation phase with the given linkCheck options
+ */
+async function checkLinks(hrefs, linkCheck, externalLinkChecker) {
+  const brokenLinksMap = new Map();
+  const ignoredLinks = new Map();
+
+  await checkFoundationPhase(
+    `<html><body>${hrefs.map((href) => `<a href="${href}">Link</a>`).join('')}</body></html>`,
+    new Map(),
+    '/',
+    path.join(testDistDir, 'docs', 'index.html'),
+    testDistDir,
+    {
+      brokenLinksMap,
+      ignoredLinks,
+      checkedLinks: new Map(),
+      checkExternalLinks: Boolean(externalLinkChecker),
+      externalLinkChecker,
+      linkCheck,
+      logger: mockLogger
+    }
+  );
+
+  return { brokenLinks: [...brokenLinksMap.keys()], ignoredLinks };
+}
+
+describe('Link rules', () => {
+  it('should match globs within and across path segments', () => {
+    const matchers = compileIgnorePatterns(['/api/*', '/cdn-cgi/**', 'https://*.example.com/?']);
+
+    expect(isIgnoredLink(['/api/users'], matchers)).toBe(true);
+    expect(isIgnoredLink(['/api/users/1'], matchers)).toBe(false);
+    expect(isIgnoredLink(['/cdn-cgi/l/email-protection'], matchers)).toBe(true);
+    expect(isIgnoredLink(['https://www.example.com/a'], matchers)).toBe(true);
+    expect(isIgnoredLink(['/docs/'], matchers)).toBe(false);
+  });
+
+  it('should accept regular expressions', () => {
+    const matchers = compileIgnorePatterns([/^https:\/\/(www\.)?twitter\.com\//g]);
+
+    expect(isIgnoredLink(['https://twitter.com/astrodotbuild'], matchers)).toBe(true);
+    // Global expressions must not carry state between links
+    expect(isIgnoredLink(['https://www.twitter.com/astrodotbuild'], matchers)).toBe(true);
+  });
+
+  it('should apply host rules to subdomains', () => {
+    const hosts = { 'linkedin.com': { okStatuses: [999] }, 'blog.linkedin.com': { okStatuses: [403] } };
+
+    expect(getHostRule('https://www.linkedin.com/in/someone', hosts)).toEqual({ okStatuses: [999] });
+    expect(getHostRule('https://blog.linkedin.com/post', hosts)).toEqual({ okStatuses: [403] });
+    expect(getHostRule('https://notlinkedin.com/', hosts)).toBeNull();
+  });
+});
+
+describe('Ignored links in the link checker', () => {
+  it('should skip and count links matching the raw or resolved URL', async () => {
+    const { brokenLinks, ignoredLinks } = await checkLinks(
+      ['/api/users', '../cdn-cgi/trace', '/missing/'],
+      { ignore: ['/api/**', '/cdn-cgi/**'] }
+    );
+
+    expect(brokenLinks).toEqual(['/missing/']);
+    expect([...ignoredLinks.keys()]).toEqual(['/api/users', '../cdn-cgi/trace']);
+    expect([...ignoredLinks.get('/api/users')]).toEqual(['/docs/']);
+  });
+
+  it('should treat host-specific statuses as OK', async () => {
+    const checker = {
+      check: async (url) => ({ url, status: 999, ok: false, unverified: false, attempts: 1 })
+    };
+
+    const { brokenLinks } = await checkLinks(
+      ['https://www.linkedin.com/in/someone', 'https://example.com/down'],
+      { hosts: { 'linkedin.com': { okStatuses: [999] } } },
+      checker
+    );
+
+    expect(brokenLinks).toEqual(['https://example.com/down']);
+  });
+
+  it('should show the ignored link count in the report summary', () => {
+    const report = formatMarkdown(new Map(), new Map(), {
+      startTime: Date.now(),
+      ignoredLinks: new Map([['/api/users', new Set(['/docs/'])]])
+    });
+
+    expect(report).toContain('- Ignored Links: 1');
+  });
+});
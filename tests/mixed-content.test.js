@@ -0,0 +1,98 @@
+/**
+ * Test case for mixed content detection
+ *
+ * Verifies that http subresources are reported on sites served over https,
+ * split into active and passive content, and that upgrades are suggested for
+ * hosts that are used over https elsewhere on the site.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkPerformancePhase } from '../src/phases/performance-phase.js';
+import { createMixedContentCollector, collectMixedContent, reportMixedContent } from '../src/phases/mixed-content.js';
+import { CATEGORIES } from '../src/phases/types.js';
+
+const distPath = '/tmp/mixed-content/dist';
+const PAGE = `
+  <html>
+    <head>
+      <link rel="stylesheet" href="http://cdn.example.net/style.css">
+      <link rel="icon" href="http://cdn.example.net/favicon.ico">
+      <script src="http://legacy.example.org/analytics.js"></script>
+    </head>
+    <body>
+      <img src="http://images.example.org/hero.jpg" srcset="http://images.example.org/hero-2x.jpg 2x, https://images.example.org/hero-3x.jpg 3x">
+      <iframe src="http://maps.example.org/embed"></iframe>
+      <form action="http://example.com/subscribe"></form>
+      <video src="http://media.example.org/intro.mp4"></video>
+      <a href="http://elsewhere.example.org/">Plain links are fine</a>
+    </body>
+  </html>
+`;
+
+/**
+ * Run the performance phase on a page and return the mixed content issues
+ */
+async function checkPage(html, site) {
+  const issuesMap = new Map();
+  await checkPerformancePhase(html, issuesMap, '/', `${distPath}/index.html`, distPath, {
+    astroSiteConfig: { site }
+  });
+
+  return {
+    active: [...(issuesMap.get(CATEGORIES.TECH_MIXED_ACTIVE)?.keys() || [])],
+    passive: [...(issuesMap.get(CATEGORIES.TECH_MIXED_PASSIVE)?.keys() || [])]
+  };
+}
+
+describe('Mixed content detection', () => {
+  it('should separate active and passive http content on https sites', async () => {
+    const { active, passive } = await checkPage(PAGE, 'https://example.com');
+
+    expect(active).toHaveLength(4);
+    expect(active.find((issue) => issue.includes('style.css'))).toBe(
+      'Insecure stylesheet http://cdn.example.net/style.css in `<link rel="stylesheet" href>` is blocked on https pages'
+    );
+    expect(active.some((issue) => issue.startsWith('Insecure script http://legacy.example.org/analytics.js'))).toBe(true);
+    expect(active.some((issue) => issue.startsWith('Insecure iframe'))).toBe(true);
+    expect(active.some((issue) => issue.startsWith('Insecure form action'))).toBe(true);
+
+    expect(passive).toHaveLength(4);
+    expect(passive.some((issue) => issue.startsWith('Insecure icon'))).toBe(true);
+    expect(passive.some((issue) => issue.includes('hero-2x.jpg'))).toBe(true);
+    expect(passive.some((issue) => issue.startsWith('Insecure video http://media.example.org/intro.mp4'))).toBe(true);
+  });
+
+  it('should suggest upgrades for hosts used over https and for the site itself', async () => {
+    const { active, passive } = await checkPage(PAGE, 'https://example.com');
+
+    expect(passive.find((issue) => issue.includes('hero.jpg'))).toContain(
+      '(upgrade to https://images.example.org/hero.jpg, images.example.org is used over https elsewhere)'
+    );
+    expect(active.find((issue) => issue.includes('/subscribe'))).toContain('upgrade to https://example.com/subscribe');
+    expect(active.find((issue) => issue.includes('analytics.js'))).not.toContain('upgrade');
+  });
+
+  it('should skip sites without https', async () => {
+    const { active, passive } = await checkPage(PAGE, 'http://example.com');
+    expect(active).toEqual([]);
+    expect(passive).toEqual([]);
+
+    const noSite = await checkPage(PAGE, undefined);
+    expect(noSite.active).toEqual([]);
+  });
+
+  it('should use https references from other pages when collecting site-wide', () => {
+    const collector = createMixedContentCollector('https://example.com');
+    collectMixedContent('<script src="http://legacy.example.org/analytics.js"></script>', `${distPath}/a.html`, distPath, collector);
+    collectMixedContent('<a href="https://legacy.example.org/about">About</a>', `${distPath}/b.html`, distPath, collector);
+
+    const issuesMap = new Map();
+    reportMixedContent(collector, issuesMap);
+
+    const issues = issuesMap.get(CATEGORIES.TECH_MIXED_ACTIVE);
+    expect([...issues.keys()]).toEqual([
+      'Insecure script http://legacy.example.org/analytics.js in `<script src>` is blocked on https pages (upgrade to https://legacy.example.org/analytics.js, legacy.example.org is used over https elsewhere)'
+    ]);
+    expect([...issues.values()][0].map((issue) => issue.page)).toEqual(['/a']);
+  });
+});
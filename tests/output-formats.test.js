@@ -6,6 +6,8 @@ import { formatReport, OUTPUT_FORMATS } from '../src/formatters/index.js';
 import { formatMarkdown } from '../src/formatters/markdown-formatter.js';
 import { formatJSON } from '../src/formatters/json-formatter.js';
 import { formatCSV } from '../src/formatters/csv-formatter.js';
+import { formatHTML } from '../src/formatters/html-formatter.js';
+import { formatSARIF } from '../src/formatters/sarif-formatter.js';
 
 describe('Output Format Tests', () => {
   const testDir = path.join(__dirname, 'output-test');
@@ -15,16 +17,38 @@ describe('Output Format Tests', () => {
   brokenLinksMap.set('/broken-page', new Set(['/page1', '/page2']));
   brokenLinksMap.set('/another-broken', new Set(['/page3']));
   
-  const seoIssuesMap = new Map();
-  const categoryMap = new Map();
-  categoryMap.set('Missing meta description', new Set(['/page1']));
-  categoryMap.set('Empty title tag', new Set(['/page2', '/page3']));
-  seoIssuesMap.set('metadata: missing elements', categoryMap);
-  
-  // Add a different category
-  const privacyMap = new Map();
-  privacyMap.set('Raw email exposed: test@example.com', new Set(['/page1']));
-  seoIssuesMap.set('privacy: exposed email', privacyMap);
+  const emptyTitle = {
+    ruleId: 'meta-title-empty',
+    category: 'metadata: missing elements',
+    severity: 'error',
+    message: 'Empty title tag',
+    selector: 'title',
+    snippet: '<title></title>',
+    fix: 'Write a title that describes the page.'
+  };
+  const seoIssues = [
+    {
+      ruleId: 'meta-description-missing',
+      category: 'metadata: missing elements',
+      severity: 'warning',
+      message: 'Missing meta description',
+      page: '/page1',
+      file: 'page1/index.html',
+      fix: 'Add a <meta name="description"> tag.'
+    },
+    { ...emptyTitle, page: '/page2', file: 'page2/index.html', line: 4, column: 5 },
+    { ...emptyTitle, page: '/page3', file: 'page3/index.html', line: 6, column: 3 },
+    // A different category
+    {
+      ruleId: 'privacy-email-text',
+      category: 'privacy: exposed email',
+      severity: 'warning',
+      message: 'Raw email exposed: test@example.com',
+      page: '/page1',
+      file: 'page1/index.html',
+      fix: 'Obfuscate the address.'
+    }
+  ];
   
   // Options for formatters
   const options = {
@@ -53,7 +77,7 @@ describe('Output Format Tests', () => {
     const markdownPath = path.join(testDir, 'report.md');
     const markdownOptions = { ...options, filePath: markdownPath };
     
-    const content = formatMarkdown(brokenLinksMap, seoIssuesMap, markdownOptions);
+    const content = formatMarkdown(brokenLinksMap, seoIssues, markdownOptions);
     
     // Write content for inspection
     fs.writeFileSync(markdownPath, content);
@@ -65,13 +89,15 @@ describe('Output Format Tests', () => {
     expect(content).toContain('## 🔍 SEO Issues');
     expect(content).toContain('/broken-page');
     expect(content).toContain('Missing meta description');
+    expect(content).toContain('Rule: `meta-title-empty` (error)');
+    expect(content).toContain('- /page2 (line 4, `title`)\n  `<title></title>`');
   });
   
   it('should generate JSON report', () => {
     const jsonPath = path.join(testDir, 'report.json');
     const jsonOptions = { ...options, filePath: jsonPath };
     
-    const content = formatJSON(brokenLinksMap, seoIssuesMap, jsonOptions);
+    const content = formatJSON(brokenLinksMap, seoIssues, jsonOptions);
     
     // Write content for inspection
     fs.writeFileSync(jsonPath, content);
@@ -87,11 +113,24 @@ describe('Output Format Tests', () => {
     
     // Verify counts
     expect(report.summary.brokenLinkCount).toBe(2);
-    expect(report.summary.seoIssueCount).toBe(3);
+    expect(report.summary.seoIssueCount).toBe(4);
     
     // Verify issues
-    expect(report.seoIssues['metadata: missing elements']).toHaveLength(2);
+    expect(report.seoIssues['metadata: missing elements']).toHaveLength(3);
     expect(report.seoIssues['privacy: exposed email']).toHaveLength(1);
+    expect(report.seoIssues['metadata: missing elements'][1]).toEqual({
+      ruleId: 'meta-title-empty',
+      severity: 'error',
+      message: 'Empty title tag',
+      page: '/page2',
+      file: 'page2/index.html',
+      selector: 'title',
+      snippet: '<title></title>',
+      line: 4,
+      column: 5,
+      fix: 'Write a title that describes the page.'
+    });
+    expect(report.summary.severities).toEqual({ error: 2, warning: 2, info: 0 });
     
     // Verify broken links
     expect(report.brokenLinks).toHaveLength(2);
@@ -102,7 +141,7 @@ describe('Output Format Tests', () => {
     const csvPath = path.join(testDir, 'report.csv');
     const csvOptions = { ...options, filePath: csvPath };
     
-    const content = formatCSV(brokenLinksMap, seoIssuesMap, csvOptions);
+    const content = formatCSV(brokenLinksMap, seoIssues, csvOptions);
     
     // Write content for inspection
     fs.writeFileSync(csvPath, content);
@@ -112,32 +151,159 @@ describe('Output Format Tests', () => {
     expect(content).toContain('"broken_link","broken_link","/broken-page","/page1",');
     expect(content).toContain('"broken_link","broken_link","/broken-page","/page2",');
     expect(content).toContain('"seo_issue","metadata: missing elements","Missing meta description","/page1",');
+    expect(content).toContain('"4","","","meta-title-empty","error","title","<title></title>","5","Write a title that describes the page."');
+  });
+  
+  it('should generate a self-contained HTML report', () => {
+    const htmlPath = path.join(testDir, 'report.html');
+    const htmlIssues = [...seoIssues, { ...emptyTitle, message: 'Empty title </script><b>', page: '/page4', file: 'page4.html' }];
+
+    const content = formatHTML(brokenLinksMap, htmlIssues, { ...options, filePath: htmlPath });
+
+    // Write content for inspection
+    fs.writeFileSync(htmlPath, content);
+
+    // Nothing is loaded from elsewhere
+    expect(content).toMatch(/^<!DOCTYPE html>/);
+    expect(content).not.toMatch(/<link|<script src|https?:\/\//);
+
+    // Dashboard by category group, with severity totals
+    expect(content).toContain('<h3>📄 Metadata <span class="count">4</span></h3>');
+    expect(content).toContain('<button type="button" data-category="privacy: exposed email">exposed email</button>');
+    expect(content).toContain('<div class="total error"><span class="number">6</span> Errors</div>');
+    expect(content).toContain('<option value="metadata: missing elements">');
+
+    // Broken links are listed once per page, and markup in issues can't end the data block
+    const [, json] = content.match(/<script type="application\/json" id="report-data">(.*?)<\/script>/s);
+    const data = JSON.parse(json);
+    expect(data.issues).toHaveLength(8);
+    expect(data.issues.filter((issue) => issue.ruleId === 'link-broken').map((issue) => issue.page)).toEqual(['/page1', '/page2', '/page3']);
+    expect(json).not.toContain('</script>');
+    expect(data.issues.at(-1).message).toBe('Empty title </script><b>');
+
+    // Broken links take their severity from the overrides, like failOn
+    const graded = formatHTML(brokenLinksMap, seoIssues, { ...options, filePath: htmlPath, severities: { 'link-broken': 'warning' } });
+    const [, gradedJson] = graded.match(/<script type="application\/json" id="report-data">(.*?)<\/script>/s);
+    expect(new Set(JSON.parse(gradedJson).issues.filter((issue) => issue.ruleId === 'link-broken').map((issue) => issue.severity))).toEqual(new Set(['warning']));
+    expect(graded).toContain('<div class="total error"><span class="number">2</span> Errors</div>');
+
+    // The inline script parses
+    const script = content.slice(content.lastIndexOf('<script>') + '<script>'.length, content.lastIndexOf('</script>'));
+    expect(() => new Function(script)).not.toThrow();
   });
   
+  it('should generate a SARIF log', () => {
+    const sarifPath = path.join(testDir, 'report.sarif');
+    const sarifIssues = [...seoIssues, { ...seoIssues[0], ruleId: 'img-alt-empty', category: 'accessibility: empty alt', severity: 'info', message: 'Empty alt attribute on <img>' }];
+
+    const content = formatSARIF(brokenLinksMap, sarifIssues, { ...options, filePath: sarifPath });
+    fs.writeFileSync(sarifPath, content);
+
+    const log = JSON.parse(content);
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toContain('sarif-2.1.0');
+    const [run] = log.runs;
+
+    // Every rule is described, with help on how to fix it
+    const rule = run.tool.driver.rules.find((rule) => rule.id === 'meta-title-empty');
+    expect(rule.help.text).toBeTruthy();
+    expect(rule.shortDescription.text).toBeTruthy();
+    expect(rule.defaultConfiguration.level).toBe('error');
+
+    // Severities map to SARIF levels, and results point at the rules
+    expect(run.results).toHaveLength(8);
+    expect(run.results.map((result) => result.level)).toEqual(['error', 'error', 'error', 'warning', 'error', 'error', 'warning', 'note']);
+    for (const result of run.results) {
+      expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId);
+    }
+
+    // Results point at the built HTML file and line
+    const title = run.results.find((result) => result.properties.page === '/page2' && result.ruleId === 'meta-title-empty');
+    expect(title.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'page2/index.html' },
+      region: { startLine: 4, startColumn: 5, snippet: { text: '<title></title>' } }
+    });
+    const brokenLink = run.results.find((result) => result.ruleId === 'link-broken');
+    expect(brokenLink.message.text).toBe('Broken link: /broken-page');
+    expect(brokenLink.locations[0].physicalLocation.artifactLocation.uri).toBe('page1.html');
+
+    // Severity overrides apply to broken links, which are not issue records
+    const overridden = JSON.parse(formatSARIF(brokenLinksMap, [], { ...options, filePath: sarifPath, severities: { 'link-broken': 'warning' } }));
+    const brokenLinkLevels = overridden.runs[0].results.map((result) => result.level);
+    expect(brokenLinkLevels.length).toBeGreaterThan(0);
+    expect(brokenLinkLevels.every((level) => level === 'warning')).toBe(true);
+  });
+
+  it('should point SARIF results at the source files of pages', () => {
+    const projectRoot = path.join(__dirname, 'tmp-sarif-project');
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+    fs.mkdirSync(path.join(projectRoot, 'src/pages/page3'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'src/pages/page2.astro'), '---\n---\n<title></title>\n');
+    fs.writeFileSync(path.join(projectRoot, 'src/pages/page3/index.md'), '# Page 3\n');
+
+    try {
+      const content = formatSARIF(new Map(), seoIssues, {
+        ...options,
+        filePath: 'report.sarif',
+        distPath: path.join(projectRoot, 'dist'),
+        projectRoot
+      });
+      const [run] = JSON.parse(content).runs;
+      expect(run.originalUriBaseIds.PROJECTROOT.uri).toMatch(/^file:\/\/.*\/tmp-sarif-project\/$/);
+
+      const [page1, page2, page3] = run.results;
+      // No source file, so the built HTML is the location
+      expect(page1.locations[0].physicalLocation.artifactLocation).toEqual({ uri: 'dist/page1/index.html', uriBaseId: 'PROJECTROOT' });
+
+      expect(page2.locations[0].physicalLocation.artifactLocation).toEqual({ uri: 'src/pages/page2.astro', uriBaseId: 'PROJECTROOT' });
+      expect(page2.relatedLocations[0].physicalLocation).toMatchObject({
+        artifactLocation: { uri: 'dist/page2/index.html', uriBaseId: 'PROJECTROOT' },
+        region: { startLine: 4, startColumn: 5 }
+      });
+      expect(page3.locations[0].physicalLocation.artifactLocation.uri).toBe('src/pages/page3/index.md');
+    } finally {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  });
+
   it('should select the correct formatter based on file extension', () => {
     // Test markdown formatter selection
-    let report = formatReport(brokenLinksMap, seoIssuesMap, { 
+    let report = formatReport(brokenLinksMap, seoIssues, { 
       ...options, 
       filePath: 'report.md' 
     });
     expect(report).toContain('# Site Report');
     
     // Test JSON formatter selection
-    report = formatReport(brokenLinksMap, seoIssuesMap, { 
+    report = formatReport(brokenLinksMap, seoIssues, { 
       ...options, 
       filePath: 'report.json' 
     });
     expect(report).toContain('"timestamp":');
     
     // Test CSV formatter selection
-    report = formatReport(brokenLinksMap, seoIssuesMap, { 
+    report = formatReport(brokenLinksMap, seoIssues, { 
       ...options, 
       filePath: 'report.csv' 
     });
     expect(report).toContain('issue_type,category,issue,page,timestamp');
+
+    // Test HTML formatter selection
+    report = formatReport(brokenLinksMap, seoIssues, {
+      ...options,
+      filePath: 'report.html'
+    });
+    expect(report).toContain('<!DOCTYPE html>');
+
+    // Test SARIF formatter selection
+    report = formatReport(brokenLinksMap, seoIssues, {
+      ...options,
+      filePath: 'report.sarif'
+    });
+    expect(JSON.parse(report).version).toBe('2.1.0');
     
     // Test explicit format override
-    report = formatReport(brokenLinksMap, seoIssuesMap, { 
+    report = formatReport(brokenLinksMap, seoIssues, { 
       ...options, 
       filePath: 'report.txt',
       format: OUTPUT_FORMATS.JSON
@@ -0,0 +1,163 @@
+/**
+ * Test case for incremental scans
+ *
+ * Verifies that unchanged pages are served from the page cache, that changed
+ * pages and pages whose linked anchors changed are checked again, that
+ * site-level checks still see every page, and that option changes discard
+ * the cache.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { setupTests } from './setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = path.join(__dirname, 'tmp-page-cache');
+const distPath = path.join(tmpDir, 'dist');
+const cacheDir = path.join(tmpDir, 'cache');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Built integration, so the page worker and package version lookup match a real install
+let createIntegration;
+
+/**
+ * Write a page into the build output
+ */
+function writePage(file, { title, description = 'A page of the test site', body = '' }) {
+  const filePath = path.join(distPath, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>${title}</title>
+  <meta name="description" content="${description}">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body>
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`);
+}
+
+/**
+ * Run the checker on the build output like a new build, and read its JSON report
+ */
+async function build(options = {}) {
+  const integration = createIntegration({
+    checkExternalLinks: false,
+    reportFilePath: 'report.json',
+    incremental: { dir: cacheDir },
+    ...options
+  });
+  await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+  const report = JSON.parse(fs.readFileSync(path.join(distPath, 'report.json'), 'utf8'));
+  const issues = Object.values(report.seoIssues).flat().map((issue) => `${issue.page}: ${issue.message}`);
+  return { report, issues };
+}
+
+describe('Incremental scans', () => {
+  beforeAll(async () => {
+    await setupTests();
+    ({ createIntegration } = await import('../dist/src/core/integration.js'));
+  }, 60000);
+
+  beforeEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    writePage('index.html', { title: 'Home', body: '<a href="/about/#team">Our team</a> <a href="/blog/post/">Latest post</a>' });
+    writePage('about/index.html', { title: 'About', body: '<h2 id="team">Team</h2> <a href="/">Home</a>' });
+    writePage('blog/post/index.html', { title: 'Post', body: '<a href="/">Home</a>' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should serve unchanged pages from the cache with the same results', async () => {
+    const first = await build();
+    const second = await build();
+
+    expect(first.report.summary).toMatchObject({ pageCount: 3, cachedPageCount: 0 });
+    expect(second.report.summary).toMatchObject({ pageCount: 3, cachedPageCount: 3 });
+    expect(second.report.seoIssues).toEqual(first.report.seoIssues);
+    expect(second.report.linkGraph).toEqual(first.report.linkGraph);
+  });
+
+  it('should check changed pages again and run site-level checks on all pages', async () => {
+    await build();
+
+    // The post now shares its title with the cached about page
+    writePage('blog/post/index.html', { title: 'About', description: '' });
+    const { report, issues } = await build();
+
+    expect(report.summary.cachedPageCount).toBe(2);
+    expect(issues).toContain('/blog/post/: Empty meta description');
+    expect(issues).toContain('/about/: Duplicate title "About" (used on 2 pages)');
+    expect(issues).toContain('/blog/post/: Duplicate title "About" (used on 2 pages)');
+  });
+
+  it('should check pages again when an anchor they link to is removed', async () => {
+    await build();
+
+    writePage('about/index.html', { title: 'About', body: '<h2>Team</h2> <a href="/">Home</a>' });
+    const { report, issues } = await build();
+
+    // The about page changed, and the homepage links to its #team anchor
+    expect(report.summary.cachedPageCount).toBe(1);
+    expect(issues.some((issue) => issue.startsWith('/index:') && issue.includes('#team'))).toBe(true);
+  });
+
+  it('should check pages again when a page they link to is deleted or added', async () => {
+    await build();
+
+    fs.rmSync(path.join(distPath, 'blog'), { recursive: true });
+    const deleted = await build();
+
+    // The about page doesn't link to the post, the homepage does
+    expect(deleted.report.summary).toMatchObject({ pageCount: 2, cachedPageCount: 1 });
+    expect(deleted.report.brokenLinks.map(({ url, reason, pages }) => ({ url, reason, pages }))).toEqual([
+      { url: '/blog/post/', reason: 'missing-file', pages: ['/index'] }
+    ]);
+
+    writePage('blog/post/index.html', { title: 'Post', body: '<a href="/">Home</a>' });
+    const restored = await build();
+
+    expect(restored.report.summary).toMatchObject({ pageCount: 3, cachedPageCount: 1 });
+    expect(restored.report.brokenLinks).toEqual([]);
+  });
+
+  it('should discard the cache when options change or a refresh is requested', async () => {
+    await build();
+
+    const changed = await build({ emailAllowlist: ['team@example.com'] });
+    expect(changed.report.summary.cachedPageCount).toBe(0);
+
+    const refreshed = await build({ emailAllowlist: ['team@example.com'], incremental: { dir: cacheDir, refresh: true } });
+    expect(refreshed.report.summary.cachedPageCount).toBe(0);
+
+    const reused = await build({ emailAllowlist: ['team@example.com'] });
+    expect(reused.report.summary.cachedPageCount).toBe(3);
+  });
+
+  it('should leave the cache counts out of the report when incremental scans are off', async () => {
+    const { report } = await build({ incremental: false });
+
+    expect(report.summary).not.toHaveProperty('cachedPageCount');
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+
+  it('should resolve a relative cache directory against the project root', async () => {
+    const integration = createIntegration({
+      checkExternalLinks: false,
+      reportFilePath: 'report.json',
+      incremental: { dir: path.relative(tmpDir, cacheDir) }
+    });
+    await integration.hooks['astro:config:setup']({ config: { root: pathToFileURL(`${tmpDir}/`) } });
+    await integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+
+    expect(fs.existsSync(path.join(cacheDir, 'pages.json'))).toBe(true);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Test case for the shared page context
+ *
+ * Verifies that a page is parsed once per scan, with its links, headings,
+ * meta tags and text shared by every phase, and that phases still accept
+ * raw HTML when called on their own.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parse } from 'node-html-parser';
+import { createPageContext, getMetaTags } from '../src/phases/page-context.js';
+import { runPhases, createSiteContext } from '../src/phases/index.js';
+import { checkMetadataPhase } from '../src/phases/metadata-phase.js';
+import { CATEGORIES } from '../src/phases/types.js';
+
+vi.mock('node-html-parser', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, parse: vi.fn(actual.parse) };
+});
+
+const distPath = '/tmp/page-context/dist';
+
+const HTML = `<html lang="en">
+<head>
+  <title>Contact</title>
+  <meta name="Description" content="How to reach us">
+  <meta name="robots" content="noarchive">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>.hidden { display: none; }</style>
+</head>
+<body>
+  <h1>Contact</h1>
+  <h2>Email</h2>
+  <p>Write to <a href="mailto:hello@example.com">hello@example.com</a> or read <a href="/about/">about us</a>.</p>
+  <h3>Office</h3>
+  <script>const tracking = true;</script>
+</body>
+</html>`;
+
+describe('Page context', () => {
+  beforeEach(() => {
+    parse.mockClear();
+  });
+
+  it('should collect links, headings, meta tags and visible text', () => {
+    const page = createPageContext(HTML, `${distPath}/contact/index.html`, distPath);
+
+    expect(page.links.map((link) => link.getAttribute('href'))).toEqual(['mailto:hello@example.com', '/about/']);
+    expect(page.headings.map((heading) => heading.tagName)).toEqual(['H1', 'H2', 'H3']);
+    expect(getMetaTags(page, 'description').map((meta) => meta.getAttribute('content'))).toEqual(['How to reach us']);
+    expect(page.text).toContain('Write to hello@example.com');
+    expect(page.text).not.toContain('tracking');
+    expect(page.text).not.toContain('display: none');
+  });
+
+  it('should parse each page once for all phases', async () => {
+    const issuesMap = new Map();
+    await runPhases(HTML, issuesMap, '/contact', `${distPath}/contact/index.html`, distPath, {
+      siteContext: createSiteContext(distPath, issuesMap)
+    });
+
+    expect(parse).toHaveBeenCalledTimes(1);
+    expect(issuesMap.get(CATEGORIES.PRIVACY_EMAIL)?.has('Unobfuscated mailto link: hello@example.com')).toBe(true);
+    expect(issuesMap.has(CATEGORIES.CRAWL_NOARCHIVE)).toBe(true);
+  });
+
+  it('should record the rule, severity and element of each issue', async () => {
+    const issuesMap = new Map();
+    await runPhases(HTML, issuesMap, '/contact', `${distPath}/contact/index.html`, distPath, {
+      siteContext: createSiteContext(distPath, issuesMap)
+    });
+
+    const [issue] = issuesMap.get(CATEGORIES.PRIVACY_EMAIL).get('Unobfuscated mailto link: hello@example.com');
+    expect(issue).toEqual({
+      ruleId: 'privacy-mailto-link',
+      category: CATEGORIES.PRIVACY_EMAIL,
+      severity: 'warning',
+      message: 'Unobfuscated mailto link: hello@example.com',
+      page: '/contact/',
+      file: 'contact/index.html',
+      selector: 'a[href="mailto:hello@example.com"]',
+      snippet: '<a href="mailto:hello@example.com">hello@example.com</a>',
+      line: 12,
+      column: 15,
+      fix: expect.stringContaining('emailAllowlist')
+    });
+  });
+
+  it('should parse raw HTML when a phase is called directly', async () => {
+    const issuesMap = new Map();
+    await checkMetadataPhase('<html><head><title>Solo</title></head><body></body></html>', issuesMap, '/', `${distPath}/index.html`, distPath);
+
+    expect(parse).toHaveBeenCalledTimes(1);
+    expect([...issuesMap.get(CATEGORIES.META_MISSING).keys()]).toEqual(['Missing <meta name="description"> tag']);
+  });
+});
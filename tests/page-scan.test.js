@@ -0,0 +1,118 @@
+/**
+ * Test case for page concurrency and worker threads
+ *
+ * Verifies that pages checked a few at a time or spread across worker threads
+ * produce the same results, with progress reported for every page, and that
+ * invalid concurrency settings are rejected and fail the build, as does a
+ * failed worker thread.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import fastGlob from 'fast-glob';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { setupTests } from './setup.js';
+
+// Workers run the compiled integration, so the built package is tested
+let pageScan;
+let createIntegration;
+let distPath;
+let htmlFiles;
+
+const options = { checkExternalLinks: false, emailAllowlist: [], astroSiteConfig: {} };
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Turn scan results into plain data for comparison
+ */
+function toPlain(results) {
+  pageScan.sortScanResults(results);
+  const sets = (map) => [...map].map(([key, values]) => [key, [...values].sort()]);
+  return {
+    brokenLinks: sets(results.brokenLinksMap),
+    brokenLinkDetails: [...results.brokenLinkDetails],
+    seoIssues: [...results.seoIssuesMap].map(([category, issues]) => [category, sets(issues)]),
+    linkGraph: [...results.siteContext.linkGraph.pages.keys()].sort(),
+    titles: sets(results.siteContext.metadata.titles).sort()
+  };
+}
+
+/**
+ * Check every page on the main thread, merging the results of each page
+ */
+async function scanOnMainThread(concurrency) {
+  const results = pageScan.createScanResults(distPath);
+  const phaseOptions = pageScan.createPhaseOptions(options, results, {
+    redirectResolver: { resolve: () => null },
+    logger
+  });
+  let pages = 0;
+  await pageScan.scanPages(htmlFiles, distPath, phaseOptions, concurrency, (file, scan) => {
+    pages++;
+    pageScan.mergeScanResults(results, scan.results);
+  });
+  return { results, pages };
+}
+
+describe('Page scanning', () => {
+  beforeAll(async () => {
+    const setup = await setupTests();
+    distPath = path.join(setup.testProjectDir, 'dist');
+    htmlFiles = (await fastGlob('**/*.html', { cwd: distPath })).sort();
+    pageScan = await import('../dist/src/core/page-scan.js');
+    ({ createIntegration } = await import('../dist/src/core/integration.js'));
+  }, 60000);
+
+  it('should give the same results regardless of page concurrency', async () => {
+    const one = await scanOnMainThread(1);
+    const many = await scanOnMainThread(8);
+
+    expect(one.pages).toBe(htmlFiles.length);
+    expect(toPlain(many.results)).toEqual(toPlain(one.results));
+  });
+
+  it('should merge worker results into the same results as a single thread', async () => {
+    const { results: expected } = await scanOnMainThread(4);
+
+    const merged = pageScan.createScanResults(distPath);
+    const files = [];
+    await pageScan.scanPagesInWorkers(
+      htmlFiles,
+      distPath,
+      options,
+      { workers: 2, concurrency: 4, redirectRules: [] },
+      { logger },
+      (file, scan) => {
+        files.push(file);
+        pageScan.mergeScanResults(merged, scan.results);
+      }
+    );
+
+    expect(files.sort()).toEqual(htmlFiles);
+    expect(toPlain(merged)).toEqual(toPlain(expected));
+  }, 30000);
+
+  it('should reject invalid concurrency and worker counts', () => {
+    expect(pageScan.getScanSettings({})).toEqual({ concurrency: pageScan.DEFAULT_PAGE_CONCURRENCY, workers: 0 });
+    expect(pageScan.getScanSettings({ concurrency: 4, workers: 3 })).toEqual({ concurrency: 4, workers: 3 });
+    expect(pageScan.getScanSettings({ workers: true }).workers).toBeGreaterThanOrEqual(1);
+    expect(() => pageScan.getScanSettings({ concurrency: 0 })).toThrow('Invalid concurrency');
+    expect(() => pageScan.getScanSettings({ workers: 1.5 })).toThrow('Invalid workers');
+  });
+
+  it('should fail the build on invalid concurrency and worker counts', async () => {
+    const build = (settings) => createIntegration({ checkExternalLinks: false, ...settings })
+      .hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+
+    await expect(build({ concurrency: 0 })).rejects.toThrow('Invalid concurrency');
+    await expect(build({ workers: -1 })).rejects.toThrow('Invalid workers');
+  });
+
+  it('should fail the build when a worker thread fails', async () => {
+    // Functions can't be copied to worker threads
+    const integration = createIntegration({ checkExternalLinks: false, workers: 2, transform: () => {} });
+    const build = integration.hooks['astro:build:done']({ dir: pathToFileURL(`${distPath}/`), logger });
+
+    await expect(build).rejects.toThrow('A worker thread failed before checking all pages');
+  }, 30000);
+});
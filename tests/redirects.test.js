@@ -0,0 +1,192 @@
+/**
+ * Test case for the redirect resolver
+ *
+ * Verifies Astro dynamic redirects, Netlify/Cloudflare `_redirects` and
+ * `vercel.json` rules, and the reporting of loops, chains and redirects to
+ * missing pages.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import {
+  createRedirectResolver,
+  loadRedirectRules,
+  parseAstroRedirects,
+  parseRedirectsFile,
+  parseVercelConfig
+} from '../src/phases/redirects.js';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import { CATEGORIES } from '../src/phases/types.js';
+import fs from 'fs';
+import path from 'path';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+// Test directory setup
+const testRoot = path.join(process.cwd(), 'tests', 'tmp-redirects');
+const testDistDir = path.join(testRoot, 'dist');
+
+beforeAll(() => {
+  for (const page of ['', 'blog/new-post', 'docs/intro']) {
+    fs.mkdirSync(path.join(testDistDir, page), { recursive: true });
+    fs.writeFileSync(path.join(testDistDir, page, 'index.html'), '<html></html>');
+  }
+
+  fs.writeFileSync(path.join(testDistDir, '_redirects'), [
+    '# Moved sections',
+    '/articles/*    /blog/:splat    301',
+    '/posts/:slug   /articles/:slug 302',
+    '/ping          /pong           301',
+    '/pong          /ping           301',
+    '/gone          /removed        301',
+    '/docs/*        /docs/intro/    200'
+  ].join('\n'));
+
+  fs.writeFileSync(path.join(testRoot, 'vercel.json'), JSON.stringify({
+    redirects: [
+      { source: '/guides/:path*', destination: '/docs/:path*', permanent: true }
+    ]
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(testRoot, { recursive: true, force: true });
+});
+
+describe('Redirect rule parsing', () => {
+  it('should resolve Astro dynamic and rest parameters', () => {
+    const resolver = createRedirectResolver(parseAstroRedirects({
+      '/old/[slug]': '/blog/[slug]',
+      '/legacy/[...rest]': { status: 302, destination: '/docs/[...rest]' }
+    }));
+
+    expect(resolver.resolve('/old/new-post').path).toBe('/blog/new-post');
+    expect(resolver.resolve('/legacy/a/b').path).toBe('/docs/a/b');
+    expect(resolver.resolve('/legacy/a/b').hops[0].status).toBe(302);
+    expect(resolver.resolve('/unrelated')).toBeNull();
+  });
+
+  it('should parse _redirects files with splats, placeholders and forced rules', () => {
+    const rules = parseRedirectsFile([
+      '/a/*  /b/:splat  301!',
+      '/c id=:id  /d/:id',
+      'https://other.example/* https://example.com/:splat 301',
+      '/e  /f  404'
+    ].join('\n'));
+
+    expect(rules).toHaveLength(2);
+    expect(rules[0].force).toBe(true);
+    expect(rules[1].status).toBe(301);
+    expect(createRedirectResolver(rules).resolve('/a/x/y').path).toBe('/b/x/y');
+  });
+
+  it('should keep query strings in _redirects destinations', () => {
+    const rules = parseRedirectsFile([
+      '/search/*  /find?q=:splat  302',
+      '/old  /new?ref=old  301  Country=us,ca',
+      '/lang  /en  302  Language=en'
+    ].join('\n'));
+
+    expect(rules.map((rule) => rule.status)).toEqual([302, 301, 302]);
+    expect(rules[0].destination).toBe('/find?q=:splat');
+    expect(rules[1].destination).toBe('/new?ref=old');
+    expect(createRedirectResolver(rules).resolve('/search/shoes').path).toBe('/find');
+  });
+
+  it('should parse vercel.json redirects', () => {
+    const rules = parseVercelConfig(JSON.stringify({
+      redirects: [
+        { source: '/from/:slug', destination: '/to/:slug', permanent: false },
+        { source: '/regex/(.*)', destination: '/skipped' }
+      ]
+    }), mockLogger);
+
+    expect(rules).toHaveLength(1);
+    expect(rules[0].status).toBe(307);
+    expect(createRedirectResolver(rules).resolve('/from/here').path).toBe('/to/here');
+  });
+
+  it('should follow chains across rule sources and detect loops', () => {
+    const resolver = createRedirectResolver(loadRedirectRules({ distPath: testDistDir, projectRoot: testRoot }));
+
+    const chain = resolver.resolve('/posts/new-post');
+    expect(chain.path).toBe('/blog/new-post');
+    expect(chain.hops.map((hop) => hop.status)).toEqual([302, 301]);
+
+    expect(resolver.resolve('/guides/intro').hops[0].to).toBe('/docs/intro');
+    expect(resolver.resolve('/ping').loop).toBe(true);
+  });
+
+  it('should not apply unforced rules when a file exists at the source', () => {
+    const resolver = createRedirectResolver(parseRedirectsFile('/docs/*  /elsewhere  301'));
+    expect(resolver.resolve('/docs/intro', () => true)).toBeNull();
+    expect(resolver.resolve('/docs/missing', () => false).path).toBe('/elsewhere');
+  });
+});
+
+describe('Redirect reporting', () => {
+  /**
+   * Run the foundation phase with the test redirect rules
+   */
+  async function checkLinks(hrefs) {
+    const issuesMap = new Map();
+    const brokenLinksMap = new Map();
+
+    await checkFoundationPhase(
+      `<html><body>${hrefs.map((href) => `<a href="${href}">Link</a>`).join('')}</body></html>`,
+      issuesMap,
+      '/',
+      path.join(testDistDir, 'index.html'),
+      testDistDir,
+      {
+        brokenLinksMap,
+        checkedLinks: new Map(),
+        checkExternalLinks: false,
+        redirectResolver: createRedirectResolver(loadRedirectRules({ distPath: testDistDir, projectRoot: testRoot })),
+        logger: mockLogger
+      }
+    );
+
+    return {
+      brokenLinks: [...brokenLinksMap.keys()],
+      redirectIssues: [...(issuesMap.get(CATEGORIES.LINK_REDIRECT_INTERNAL)?.keys() || [])]
+    };
+  }
+
+  it('should accept single redirects to existing pages', async () => {
+    const { brokenLinks, redirectIssues } = await checkLinks(['/articles/new-post', '/guides/intro']);
+    expect(brokenLinks).toEqual([]);
+    expect(redirectIssues).toEqual([]);
+  });
+
+  it('should report redirect chains', async () => {
+    const { brokenLinks, redirectIssues } = await checkLinks(['/posts/new-post']);
+    expect(brokenLinks).toEqual([]);
+    expect(redirectIssues).toEqual([
+      'Redirect chain for /posts/new-post: /posts/new-post → 302 /articles/new-post → 301 /blog/new-post (link to /blog/new-post directly)'
+    ]);
+  });
+
+  it('should report redirect loops as broken', async () => {
+    const { brokenLinks, redirectIssues } = await checkLinks(['/ping']);
+    expect(brokenLinks).toEqual(['/ping']);
+    expect(redirectIssues[0]).toContain('Redirect loop for /ping');
+  });
+
+  it('should report redirects to missing pages', async () => {
+    const { brokenLinks, redirectIssues } = await checkLinks(['/gone']);
+    expect(brokenLinks).toEqual(['/gone']);
+    expect(redirectIssues).toEqual(['Redirect for /gone leads to missing page /removed: /gone → 301 /removed']);
+  });
+
+  it('should treat rewrites as served pages', async () => {
+    const { brokenLinks, redirectIssues } = await checkLinks(['/docs/anything']);
+    expect(brokenLinks).toEqual([]);
+    expect(redirectIssues).toEqual([]);
+  });
+});
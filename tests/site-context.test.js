@@ -0,0 +1,102 @@
+/**
+ * Test case for the two-pass phase architecture
+ *
+ * Verifies that cross-page checks collect into a site context on every page
+ * and report once every page is known, so duplicates list every page that
+ * shares a value, no state leaks between scans and site-wide checks run once,
+ * and that each run picks its phases without changing the shared registry.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runPhases, finalizePhases, createSiteContext, getEnabledPhases, phases } from '../src/phases/index.js';
+import { CATEGORIES, PHASE_IDS } from '../src/phases/types.js';
+
+const distPath = '/tmp/site-context/dist';
+
+/**
+ * Collect and finalize a site made of page file -> HTML entries
+ */
+async function scanSite(site, options = {}) {
+  const issuesMap = new Map();
+  const siteContext = createSiteContext(distPath, issuesMap);
+  const phaseOptions = { ...options, siteContext };
+
+  for (const [file, html] of Object.entries(site)) {
+    await runPhases(html, issuesMap, '/', `${distPath}/${file}`, distPath, phaseOptions);
+  }
+  await finalizePhases(siteContext, phaseOptions);
+
+  return { issuesMap, siteContext };
+}
+
+/**
+ * Build a page with a title and description
+ */
+function page(title, description) {
+  return `<html lang="en"><head><title>${title}</title><meta name="description" content="${description}"></head><body><h1>${title}</h1><a href="/">Home</a></body></html>`;
+}
+
+describe('Site context', () => {
+  it('should report a duplicate on every page that uses it, in a stable order', async () => {
+    const { issuesMap } = await scanSite({
+      'c/index.html': page('Shared title', 'C description'),
+      'index.html': page('Home', 'Shared description'),
+      'a/index.html': page('Shared title', 'Shared description'),
+      'b/index.html': page('Shared title', 'B description')
+    });
+
+    const duplicates = issuesMap.get(CATEGORIES.META_DUPLICATES);
+    expect([...duplicates.keys()]).toEqual([
+      'Duplicate title "Shared title" (used on 3 pages)',
+      'Duplicate meta description "Shared description" (used on 2 pages)'
+    ]);
+    expect(duplicates.get('Duplicate title "Shared title" (used on 3 pages)').map(({ page }) => page)).toEqual(['/a/', '/b/', '/c/']);
+    expect(duplicates.get('Duplicate meta description "Shared description" (used on 2 pages)').map(({ page }) => page)).toEqual(['/a/', '/index']);
+  });
+
+  it('should not carry titles over from a previous scan', async () => {
+    await scanSite({ 'index.html': page('Home', 'First site') });
+    const { issuesMap } = await scanSite({ 'index.html': page('Home', 'Second site') });
+
+    expect(issuesMap.has(CATEGORIES.META_DUPLICATES)).toBe(false);
+  });
+
+  it('should check robots.txt and sitemap.xml once per scan', async () => {
+    const { issuesMap, siteContext } = await scanSite({
+      'index.html': page('Home', 'Home description'),
+      'about/index.html': page('About', 'About description')
+    });
+
+    expect([...issuesMap.get(CATEGORIES.CRAWL_ROBOTS_TXT).values()].flat().map(({ page }) => page)).toEqual(['/index']);
+    expect(siteContext.linkGraphPages.map(({ page }) => page)).toEqual(['/', '/about/']);
+  });
+});
+
+describe('Phase configuration', () => {
+  it('should apply the phases option to one run only', async () => {
+    const site = {
+      'index.html': page('Home', 'Shared description'),
+      'a/index.html': page('Home', 'Shared description')
+    };
+
+    const disabled = await scanSite(site, { phases: { [PHASE_IDS.METADATA]: false } });
+    const enabled = await scanSite(site);
+
+    expect(disabled.issuesMap.has(CATEGORIES.META_DUPLICATES)).toBe(false);
+    expect(enabled.issuesMap.has(CATEGORIES.META_DUPLICATES)).toBe(true);
+    expect(phases[PHASE_IDS.METADATA].enabled).toBe(true);
+  });
+
+  it('should keep the registry read-only and list enabled phases in registry order', () => {
+    expect(Object.isFrozen(phases)).toBe(true);
+    expect(() => { phases[PHASE_IDS.METADATA].enabled = false; }).toThrow(TypeError);
+
+    expect(getEnabledPhases({ [PHASE_IDS.FOUNDATION]: false, [PHASE_IDS.AI_DETECTION]: undefined }).map(({ id }) => id)).toEqual([
+      PHASE_IDS.METADATA,
+      PHASE_IDS.ACCESSIBILITY,
+      PHASE_IDS.PERFORMANCE,
+      PHASE_IDS.CRAWLABILITY,
+      PHASE_IDS.AI_DETECTION
+    ]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Test case for resolving links against Astro's deployment settings
+ *
+ * Verifies that base, trailingSlash and build.format are honored when internal
+ * links are resolved against the build output, and that absolute links to the
+ * site's own domains are checked offline.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import {
+  getPageUrl,
+  stripBase,
+  getTrailingSlashViolation,
+  getSiteHosts,
+  parseSiteUrl
+} from '../src/phases/site-paths.js';
+import { CATEGORIES } from '../src/phases/types.js';
+import fs from 'fs';
+import path from 'path';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+// Test directory setup
+const testDistDir = path.join(process.cwd(), 'tests', 'tmp-site-paths', 'dist');
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(testDistDir, 'docs', 'child'), { recursive: true });
+  fs.writeFileSync(path.join(testDistDir, 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'docs', 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'docs', 'child', 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'guide.html'), '<html></html>');
+  fs.writeFileSync(path.join(testDistDir, 'logo.svg'), '');
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(process.cwd(), 'tests', 'tmp-site-paths'), { recursive: true, force: true });
+});
+
+/**
+ * Run the foundation phase on a page in the test build output
+ */
+async function checkPage(page, body, astroSiteConfig, linkCheck) {
+  const issuesMap = new Map();
+  const brokenLinksMap = new Map();
+
+  await checkFoundationPhase(
+    `<html><body>${body}</body></html>`,
+    issuesMap,
+    '/',
+    path.join(testDistDir, page),
+    testDistDir,
+    {
+      brokenLinksMap,
+      checkedLinks: new Map(),
+      checkExternalLinks: false,
+      astroSiteConfig,
+      linkCheck,
+      logger: mockLogger
+    }
+  );
+
+  return {
+    brokenLinks: [...brokenLinksMap.keys()],
+    trailingSlashIssues: [...(issuesMap.get(CATEGORIES.LINK_TRAILING_SLASH)?.keys() || [])]
+  };
+}
+
+describe('Site paths', () => {
+  it('should map build output files to deployed URLs', () => {
+    expect(getPageUrl(path.join(testDistDir, 'index.html'), testDistDir)).toBe('/');
+    expect(getPageUrl(path.join(testDistDir, 'docs', 'index.html'), testDistDir, { base: '/site/' })).toBe('/site/docs/');
+    expect(getPageUrl(path.join(testDistDir, 'guide.html'), testDistDir, {})).toBe('/guide');
+    expect(getPageUrl(path.join(testDistDir, 'guide.html'), testDistDir, { trailingSlash: 'always' })).toBe('/guide/');
+  });
+
+  it('should strip the base from internal paths', () => {
+    expect(stripBase('/site/docs/', '/site')).toBe('/docs/');
+    expect(stripBase('/site', '/site/')).toBe('/');
+    expect(stripBase('/other', '/site')).toBeNull();
+    expect(stripBase('/docs', '/')).toBe('/docs');
+  });
+
+  it('should only apply the trailing slash policy to page URLs', () => {
+    expect(getTrailingSlashViolation('/docs', 'always')).toContain('use /docs/');
+    expect(getTrailingSlashViolation('/docs/', 'never')).toContain('use /docs');
+    expect(getTrailingSlashViolation('/logo.svg', 'always')).toBeNull();
+    expect(getTrailingSlashViolation('/docs', 'ignore')).toBeNull();
+  });
+});
+
+describe('Link resolution with Astro settings', () => {
+  it('should resolve relative links against the directory of the page', async () => {
+    const { brokenLinks } = await checkPage('docs/index.html', '<a href="./child/">Child</a><a href="child">Child</a>', {});
+    expect(brokenLinks).toEqual([]);
+  });
+
+  it('should resolve links under the base path', async () => {
+    const { brokenLinks } = await checkPage(
+      'docs/index.html',
+      '<a href="/site/docs/child/">Child</a><a href="/site/">Home</a><img src="/site/logo.svg" alt=""><a href="/docs/">Outside</a>',
+      { base: '/site' }
+    );
+    expect(brokenLinks).toEqual(['/docs/']);
+  });
+
+  it('should report links that contradict the trailing slash policy', async () => {
+    const always = await checkPage('index.html', '<a href="/docs">Docs</a><a href="/docs/child/">Child</a><img src="/logo.svg" alt="">', { trailingSlash: 'always' });
+    expect(always.trailingSlashIssues).toHaveLength(1);
+    expect(always.trailingSlashIssues[0]).toContain('Link /docs has missing trailing slash');
+
+    const never = await checkPage('index.html', '<a href="/docs/">Docs</a>', { trailingSlash: 'never' });
+    expect(never.trailingSlashIssues).toHaveLength(1);
+    expect(never.trailingSlashIssues[0]).toContain('use /docs');
+  });
+
+  it('should serve file-format pages with a trailing slash', async () => {
+    const { brokenLinks } = await checkPage('index.html', '<a href="/guide/">Guide</a>', { buildFormat: 'file', trailingSlash: 'always' });
+    expect(brokenLinks).toEqual([]);
+  });
+});
+
+describe('Links to the site domain', () => {
+  it('should match the site and alias hosts', () => {
+    const hosts = getSiteHosts('https://example.com/blog', ['www.example.com', 'https://preview.example.com:8080']);
+    expect([...hosts]).toEqual(['example.com', 'www.example.com', 'preview.example.com:8080']);
+
+    expect(parseSiteUrl('http://WWW.example.com/about', hosts).pathname).toBe('/about');
+    expect(parseSiteUrl('https://other.com/about', hosts)).toBeNull();
+  });
+
+  it('should check absolute links to the site against the build output', async () => {
+    const { brokenLinks } = await checkPage(
+      'index.html',
+      '<a href="https://example.com/docs/">Docs</a><a href="https://example.com/deleted/">Deleted</a><a href="https://other.com/missing/">Other</a>',
+      { site: 'https://example.com' }
+    );
+    expect(brokenLinks).toEqual(['https://example.com/deleted/']);
+  });
+
+  it('should treat alias domains and protocol-relative links as internal', async () => {
+    const { brokenLinks } = await checkPage(
+      'index.html',
+      '<a href="//www.example.com/docs/child/">Child</a><a href="https://old.example.com/gone">Gone</a>',
+      { site: 'https://example.com' },
+      { siteAliases: ['www.example.com', 'old.example.com'] }
+    );
+    expect(brokenLinks).toEqual(['https://old.example.com/gone']);
+  });
+
+  it('should apply the base to absolute links to the site', async () => {
+    const { brokenLinks } = await checkPage(
+      'index.html',
+      '<a href="https://example.com/site/docs/">Docs</a><a href="https://example.com/docs/">Outside</a>',
+      { site: 'https://example.com', base: '/site' }
+    );
+    expect(brokenLinks).toEqual(['https://example.com/docs/']);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Test case for soft 404 detection
+ *
+ * Verifies that external pages answering 200 with "not found" content are
+ * recognized by comparing them with a probe of a nonexistent URL, and that
+ * internal links serving the content of the built 404.html are reported.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { detectSoft404, getPageSignature, isSimilarPage } from '../src/phases/soft-404.js';
+import { createExternalLinkChecker } from '../src/phases/external-links.js';
+import { createLinkCache } from '../src/phases/link-cache.js';
+import { checkFoundationPhase } from '../src/phases/foundation-phase.js';
+import { CATEGORIES } from '../src/phases/types.js';
+
+// Mocks
+const mockLogger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  debug: vi.fn()
+};
+
+const page = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+const NOT_FOUND_PAGE = page('Oops', '<h1>Oops</h1><p>We looked everywhere for this page.</p>');
+
+// Test directory setup
+const testDistDir = path.join(process.cwd(), 'tests', 'tmp-soft-404', 'dist');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  fs.mkdirSync(path.join(testDistDir, 'blog', 'real-post'), { recursive: true });
+  fs.mkdirSync(path.join(testDistDir, 'blog', 'ghost-post'), { recursive: true });
+  fs.writeFileSync(path.join(testDistDir, '404.html'), page('Page not found', '<h1>404</h1><p>Nothing here.</p>'));
+  fs.writeFileSync(path.join(testDistDir, 'blog', 'real-post', 'index.html'), page('Real post', '<p>Actual content.</p>'));
+  fs.writeFileSync(path.join(testDistDir, 'blog', 'ghost-post', 'index.html'), page('Page not found', '<h1>404</h1><p>Nothing here.</p>'));
+
+  server = http.createServer((req, res) => {
+    const html = { 'Content-Type': 'text/html' };
+    switch (req.url) {
+      case '/article':
+        res.writeHead(200, html).end(page('A real article', '<p>Plenty of words about an actual topic.</p>'));
+        break;
+      case '/':
+        res.writeHead(200, html).end(page('Home', '<p>Welcome home.</p>'));
+        break;
+      case '/says-not-found':
+        res.writeHead(200, html).end(page('Page Not Found | Example', '<p>Sorry.</p>'));
+        break;
+      default:
+        // Every other path gets the same friendly page with a 200
+        res.writeHead(200, html).end(NOT_FOUND_PAGE.replace('this page', `this page (${req.url})`));
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections?.();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(path.join(process.cwd(), 'tests', 'tmp-soft-404'), { recursive: true, force: true });
+});
+
+describe('Soft 404 heuristics', () => {
+  it('should treat pages that only differ in the echoed URL as similar', () => {
+    const notFound = (url) => getPageSignature(page('Oops', `<p>We could not find ${url} in our archive.</p>`));
+    expect(isSimilarPage(notFound('/a'), notFound('/b'))).toBe(true);
+
+    const long = (url) => getPageSignature(page('Oops', `<p>${Array.from({ length: 40 }, (_, i) => `w${i}`).join(' ')} ${url} and ${url}/more</p>`));
+    expect(isSimilarPage(long('/a'), long('/b'))).toBe(true);
+
+    // Same template and title, different content
+    const post = (text) => getPageSignature(page('Blog', `<p>${text}</p>`));
+    expect(isSimilarPage(post('Release notes for version two of the plugin'), post('How we test links offline in CI'))).toBe(false);
+  });
+
+  it('should recognize "not found" wording in the title and opening text', () => {
+    expect(detectSoft404({ url: 'https://a.test/x', finalUrl: 'https://a.test/x', html: page('404 | Site', '') })).toContain('not found');
+    expect(detectSoft404({ url: 'https://a.test/x', finalUrl: 'https://a.test/x', html: page('Docs', '<p>This page no longer exists.</p>') })).not.toBeNull();
+    expect(detectSoft404({ url: 'https://a.test/x', finalUrl: 'https://a.test/x', html: page('Docs', '<p>Installing the CLI.</p>') })).toBeNull();
+  });
+
+  it('should flag pages redirected to the same place as a nonexistent URL', () => {
+    const probe = { status: 200, finalUrl: 'https://a.test/', html: page('Home', '') };
+    expect(detectSoft404({ url: 'https://a.test/old', finalUrl: 'https://a.test/', html: page('Home', '') }, probe))
+      .toContain('like a nonexistent URL');
+    // The homepage itself is not a soft 404
+    expect(detectSoft404({ url: 'https://a.test/', finalUrl: 'https://a.test/', html: page('Home', '') }, probe)).toBeNull();
+  });
+});
+
+describe('Soft 404 reporting', () => {
+  /**
+   * Run the foundation phase on a page linking to the given URLs
+   */
+  async function checkLinks(hrefs, linkCheck = {}, cache = undefined) {
+    const issuesMap = new Map();
+    const brokenLinksMap = new Map();
+
+    await checkFoundationPhase(
+      `<html><body>${hrefs.map((href) => `<a href="${href}">Link</a>`).join('')}</body></html>`,
+      issuesMap,
+      '/',
+      path.join(testDistDir, 'blog', 'real-post', 'index.html'),
+      testDistDir,
+      {
+        brokenLinksMap,
+        checkedLinks: new Map(),
+        checkExternalLinks: true,
+        externalLinkChecker: createExternalLinkChecker({ retryDelay: 1, ...linkCheck }, undefined, cache),
+        linkCheck,
+        logger: mockLogger
+      }
+    );
+
+    return {
+      brokenLinks: [...brokenLinksMap.keys()],
+      soft404Issues: [...(issuesMap.get(CATEGORIES.LINK_SOFT_404)?.keys() || [])]
+    };
+  }
+
+  it('should flag external pages that look like the response for a nonexistent URL', async () => {
+    const { brokenLinks, soft404Issues } = await checkLinks(
+      [`${baseUrl}/article`, `${baseUrl}/deleted-article`, `${baseUrl}/says-not-found`],
+      { soft404: true }
+    );
+
+    expect(brokenLinks).toEqual([]);
+    expect(soft404Issues.sort()).toEqual([
+      `Soft 404 for ${baseUrl}/deleted-article: content matches the response for a nonexistent URL`,
+      `Soft 404 for ${baseUrl}/says-not-found: page reads like a "not found" page (title: "page not found | example")`
+    ]);
+  });
+
+  it('should not download external pages unless soft404 is enabled', async () => {
+    const { soft404Issues } = await checkLinks([`${baseUrl}/deleted-article`]);
+    expect(soft404Issues).toEqual([]);
+  });
+
+  it('should not report cached soft 404s once soft404 is disabled', async () => {
+    const cache = createLinkCache({ dir: path.join(testDistDir, '..', 'cache') });
+    const url = `${baseUrl}/cached-article`;
+
+    const enabled = await checkLinks([url], { soft404: true }, cache);
+    expect(enabled.soft404Issues).toHaveLength(1);
+
+    const disabled = await checkLinks([url], {}, cache);
+    expect(disabled.soft404Issues).toEqual([]);
+
+    // The finding is kept for when detection is turned on again
+    const reenabled = await checkLinks([url], { soft404: true }, cache);
+    expect(reenabled.soft404Issues).toHaveLength(1);
+  });
+
+  it('should flag internal links whose target matches 404.html', async () => {
+    const { brokenLinks, soft404Issues } = await checkLinks(['/blog/real-post/', '/blog/ghost-post/', '/404.html']);
+
+    expect(brokenLinks).toEqual([]);
+    expect(soft404Issues).toEqual(['Soft 404 for /blog/ghost-post/: content matches the 404 page']);
+  });
+});